@@ -0,0 +1,355 @@
+// File: backend/controllers/accountController.js
+// Purpose: Admin management of login accounts: invite, change role, deactivate, unlock, list
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Auth = require('../models/Auth');
+const { ROLES } = require('../middleware/permissions');
+const { recordAudit } = require('../services/auditLog');
+const { revokeAllSessions } = require('../services/sessions');
+const { sendNotification } = require('../services/notifier');
+const { sendError } = require('../middleware/errorHandler');
+const { escapeRegex } = require('../middleware/validate');
+
+// How long an invitation link stays valid
+const INVITE_EXPIRE_HOURS = Number(process.env.INVITE_EXPIRE_HOURS) || 72;
+
+// Fields an admin can see; never tokens, hashes or 2FA secrets
+const accountSummary = (account) => ({
+  id: account._id,
+  email: account.email,
+  name: account.name,
+  role: account.role,
+  isActive: account.isActive,
+  deactivatedAt: account.deactivatedAt,
+  twoFactorEnabled: account.twoFactor.enabled,
+  failedLoginAttempts: account.failedLoginAttempts,
+  lockedUntil: account.lockUntil && account.lockUntil > new Date() ? account.lockUntil : undefined,
+  invitedBy: account.invitedBy,
+  createdAt: account.createdAt
+});
+
+const findAccount = async (id) => {
+  return mongoose.isValidObjectId(id) ? Auth.findById(id) : null;
+};
+
+const ACTIVE_ADMIN = { role: 'admin', isActive: { $ne: false } };
+
+const isActiveAdmin = (account) => account.role === 'admin' && account.isActive;
+
+/**
+ * Demotes or deactivates an active admin unless no other active admin remains
+ *
+ * The change applies only while the account is still an active admin, and is
+ * undone if the admins left afterwards number zero; two admins demoting each
+ * other at once therefore both fail rather than both succeed.
+ *
+ * @param {Object} account Active admin account
+ * @param {Object} change Update removing its admin access
+ * @param {Object} undo Update restoring it
+ * @returns {Object} { account } with the updated account, or { error } with why it was refused
+ */
+const changeAdminUnlessLast = async (account, change, undo) => {
+  const updated = await Auth.findOneAndUpdate({ _id: account._id, ...ACTIVE_ADMIN }, change, { new: true });
+  if (!updated) {
+    return { error: 'it was changed by someone else; reload it and try again' };
+  }
+
+  if (await Auth.countDocuments(ACTIVE_ADMIN) === 0) {
+    await Auth.updateOne({ _id: account._id }, undo);
+    return { error: 'it is the last active admin' };
+  }
+
+  return { account: updated };
+};
+
+// @desc    List accounts
+// @route   GET /api/accounts
+// @access  Private (admin)
+exports.getAccounts = async (req, res, next) => {
+  try {
+    const { role, active, search, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (role) {
+      query.role = role;
+    }
+    if (active !== undefined) {
+      query.isActive = active === false ? false : { $ne: false };
+    }
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: 'i' };
+      query.$or = [{ email: pattern }, { name: pattern }];
+    }
+
+    const pageSize = Math.min(parseInt(limit) || 50, 200);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+    const [accounts, total] = await Promise.all([
+      Auth.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      Auth.countDocuments(query)
+    ]);
+
+    res.json({
+      accounts: accounts.map(accountSummary),
+      pagination: {
+        total,
+        pages: Math.ceil(total / pageSize),
+        page: pageNumber,
+        limit: pageSize
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get an account
+// @route   GET /api/accounts/:id
+// @access  Private (admin)
+exports.getAccountById = async (req, res, next) => {
+  try {
+    const account = await findAccount(req.params.id);
+    if (!account) {
+      return sendError(res, 404, 'Account not found');
+    }
+    res.json(accountSummary(account));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Invite someone: creates the account and emails a link to set a password
+// @route   POST /api/accounts/invite
+// @access  Private (admin)
+exports.inviteAccount = async (req, res, next) => {
+  try {
+    const { email, name, role = 'user' } = req.body || {};
+    if (!email || !name) {
+      return sendError(res, 400, 'email and name are required');
+    }
+    if (!ROLES.includes(role)) {
+      return sendError(res, 400, `role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    if (await Auth.exists({ email: String(email).toLowerCase().trim() })) {
+      return sendError(res, 409, 'An account with this email already exists');
+    }
+
+    // Random password nobody knows; the invitee sets their own through the link
+    const account = new Auth({
+      email,
+      name,
+      role,
+      password: `${crypto.randomBytes(32).toString('base64url')}aA1!`,
+      invitedBy: req.user._id
+    });
+    const inviteToken = account.getResetPasswordToken(INVITE_EXPIRE_HOURS * 60);
+    await account.save();
+
+    const base = process.env.INVITE_URL || process.env.PASSWORD_RESET_URL ||
+      `http://localhost:${process.env.PORT || 5000}/reset-password`;
+    const inviteUrl = `${base}?token=${inviteToken}`;
+
+    try {
+      await sendNotification({
+        to: account.email,
+        subject: 'You have been invited to SentriCard',
+        text: `${req.user.name} invited you to SentriCard as ${role}.\n` +
+          `Set your password: ${inviteUrl}\n` +
+          `This link expires at ${account.resetPasswordExpire.toISOString()}.`,
+        data: { inviteUrl, role, expiresAt: account.resetPasswordExpire }
+      });
+    } catch (mailError) {
+      // Without the email nobody can use the account, so do not keep it
+      console.error('Invitation email error:', mailError);
+      await Auth.deleteOne({ _id: account._id });
+      return sendError(res, 500, 'Invitation email could not be sent');
+    }
+
+    await recordAudit({
+      req,
+      action: 'account.invited',
+      entityType: 'Auth',
+      entityId: account._id,
+      after: { email: account.email, name: account.name, role: account.role }
+    });
+
+    res.status(201).json(accountSummary(account));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Change an account's role
+// @route   PUT /api/accounts/:id/role
+// @access  Private (admin)
+exports.changeAccountRole = async (req, res, next) => {
+  try {
+    const { role } = req.body || {};
+    if (!ROLES.includes(role)) {
+      return sendError(res, 400, `role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    const account = await findAccount(req.params.id);
+    if (!account) {
+      return sendError(res, 404, 'Account not found');
+    }
+    if (String(account._id) === String(req.user._id)) {
+      return sendError(res, 400, 'You cannot change your own role');
+    }
+    if (account.role === role) {
+      return res.json(accountSummary(account));
+    }
+
+    const before = { role: account.role };
+    let updatedAccount;
+
+    // Access tokens carry the role, so existing ones stop working straight away
+    if (isActiveAdmin(account)) {
+      const result = await changeAdminUnlessLast(account, { $set: { role } }, { $set: { role: 'admin' } });
+      if (result.error) {
+        return sendError(res, 409, `Cannot demote the account: ${result.error}`);
+      }
+      updatedAccount = result.account;
+    } else {
+      account.role = role;
+      updatedAccount = await account.save({ validateBeforeSave: false });
+    }
+
+    await recordAudit({
+      req,
+      action: 'account.role_changed',
+      entityType: 'Auth',
+      entityId: account._id,
+      before,
+      after: { role: updatedAccount.role }
+    });
+
+    res.json(accountSummary(updatedAccount));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Deactivate an account and revoke its sessions
+// @route   PUT /api/accounts/:id/deactivate
+// @access  Private (admin)
+exports.deactivateAccount = async (req, res, next) => {
+  try {
+    const account = await findAccount(req.params.id);
+    if (!account) {
+      return sendError(res, 404, 'Account not found');
+    }
+    if (String(account._id) === String(req.user._id)) {
+      return sendError(res, 400, 'You cannot deactivate your own account');
+    }
+    if (!account.isActive) {
+      return sendError(res, 409, 'Account is already deactivated');
+    }
+
+    const deactivation = {
+      $set: { isActive: false, deactivatedAt: new Date(), deactivatedBy: req.user._id },
+      $unset: { resetPasswordToken: 1, resetPasswordExpire: 1 }
+    };
+    let updatedAccount;
+
+    if (isActiveAdmin(account)) {
+      const result = await changeAdminUnlessLast(account, deactivation, {
+        $set: { isActive: true },
+        $unset: { deactivatedAt: 1, deactivatedBy: 1 }
+      });
+      if (result.error) {
+        return sendError(res, 409, `Cannot deactivate the account: ${result.error}`);
+      }
+      updatedAccount = result.account;
+    } else {
+      updatedAccount = await Auth.findByIdAndUpdate(account._id, deactivation, { new: true });
+      if (!updatedAccount) {
+        return sendError(res, 404, 'Account not found');
+      }
+    }
+
+    const revoked = await revokeAllSessions(account._id, 'account_deactivated');
+
+    await recordAudit({
+      req,
+      action: 'account.deactivated',
+      entityType: 'Auth',
+      entityId: account._id,
+      before: { isActive: true },
+      after: { isActive: false },
+      metadata: { reason: (req.body || {}).reason, sessionsRevoked: revoked }
+    });
+
+    res.json(accountSummary(updatedAccount));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Reactivate a deactivated account
+// @route   PUT /api/accounts/:id/reactivate
+// @access  Private (admin)
+exports.reactivateAccount = async (req, res, next) => {
+  try {
+    const account = await findAccount(req.params.id);
+    if (!account) {
+      return sendError(res, 404, 'Account not found');
+    }
+    if (account.isActive) {
+      return sendError(res, 409, 'Account is already active');
+    }
+
+    account.isActive = true;
+    account.deactivatedAt = undefined;
+    account.deactivatedBy = undefined;
+    await account.save({ validateBeforeSave: false });
+
+    await recordAudit({
+      req,
+      action: 'account.reactivated',
+      entityType: 'Auth',
+      entityId: account._id,
+      before: { isActive: false },
+      after: { isActive: true }
+    });
+
+    res.json(accountSummary(account));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Clear a login lockout before it expires
+// @route   PUT /api/accounts/:id/unlock
+// @access  Private (admin)
+exports.unlockAccount = async (req, res, next) => {
+  try {
+    const account = await findAccount(req.params.id);
+    if (!account) {
+      return sendError(res, 404, 'Account not found');
+    }
+
+    const before = { failedLoginAttempts: account.failedLoginAttempts, lockUntil: account.lockUntil };
+    account.failedLoginAttempts = 0;
+    account.lockUntil = undefined;
+    await account.save({ validateBeforeSave: false });
+
+    await recordAudit({
+      req,
+      action: 'account.unlocked',
+      entityType: 'Auth',
+      entityId: account._id,
+      before,
+      after: { failedLoginAttempts: 0 }
+    });
+
+    res.json(accountSummary(account));
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,85 @@
+// File: backend/controllers/alertController.js
+const { ALERT_AUDIENCE, canReceive, alertsSince, subscribe } = require('../services/alertStream');
+const { issueStreamTicket, checkStreamAccess } = require('../services/streamTickets');
+
+// Comment line sent periodically so proxies keep the connection open
+const HEARTBEAT_MS = 25 * 1000;
+
+// Reconnect delay suggested to EventSource clients
+const RETRY_MS = 5000;
+
+// How often an open stream re-checks that its session is still live
+const SESSION_CHECK_MS = Number(process.env.ALERT_SESSION_CHECK_SECONDS || 60) * 1000;
+
+const writeAlert = (res, alert) => {
+  res.write(`id: ${alert.id}\nevent: ${alert.type}\ndata: ${JSON.stringify(alert)}\n\n`);
+};
+
+// @desc    Issue a single-use ticket for opening the alert stream
+// @route   POST /api/alerts/stream-ticket
+// @access  Private (analyst, admin)
+exports.createStreamTicket = async (req, res, next) => {
+  try {
+    const { ticket, expiresAt } = await issueStreamTicket(req.user, req.authSession);
+    res.status(201).json({ ticket, expiresAt });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Stream live alerts (flagged transactions, case updates) as Server-Sent Events
+// @route   GET /api/alerts/stream?types=a,b&ticket=<ticket>
+// @access  Private (analyst, admin)
+exports.streamAlerts = (req, res) => {
+  const requested = req.query.types ? String(req.query.types).split(',') : Object.keys(ALERT_AUDIENCE);
+  const types = requested.filter(type => canReceive(type, req.user.role));
+  const wants = (alert) => types.includes(alert.type);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  // Resume after a reconnect; EventSource sends the header, other clients may use the query
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId) {
+    const { alerts, complete } = alertsSince(lastEventId);
+    if (!complete) {
+      // Some alerts were lost; the client should reload its state before relying on the stream
+      res.write(`event: resync\ndata: ${JSON.stringify({ lastEventId })}\n\n`);
+    }
+    alerts.filter(wants).forEach(alert => writeAlert(res, alert));
+  }
+
+  const unsubscribe = subscribe(alert => {
+    if (wants(alert)) {
+      writeAlert(res, alert);
+    }
+  });
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  // Logging out, revoking the session or changing the role ends the stream; a reconnect needs a new ticket
+  const { _id: authId, role } = req.user;
+  const sessionId = req.authSession._id;
+  const sessionCheck = setInterval(async () => {
+    try {
+      if (!await checkStreamAccess(authId, sessionId, role)) {
+        res.write('event: revoked\ndata: {}\n\n');
+        res.end();
+      }
+    } catch (error) {
+      console.error('Error checking alert stream session:', error);
+    }
+  }, SESSION_CHECK_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    clearInterval(sessionCheck);
+    unsubscribe();
+  });
+};
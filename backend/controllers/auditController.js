@@ -0,0 +1,99 @@
+// File: backend/controllers/auditController.js
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { sendError } = require('../middleware/errorHandler');
+const { escapeRegex } = require('../middleware/validate');
+
+// @desc    Query the audit log
+// @route   GET /api/audit
+// @access  Private (admin)
+exports.getAuditLogs = async (req, res, next) => {
+  try {
+    const {
+      actor,
+      entityType,
+      entityId,
+      action,
+      startDate,
+      endDate,
+      page = 1,
+      limit = 50
+    } = req.query;
+
+    const query = {};
+
+    if (actor) {
+      if (!mongoose.isValidObjectId(actor)) {
+        return sendError(res, 400, 'actor must be a valid id');
+      }
+      query.actor = actor;
+    }
+
+    if (entityType) {
+      query.entityType = entityType;
+    }
+
+    if (entityId) {
+      if (!mongoose.isValidObjectId(entityId)) {
+        return sendError(res, 400, 'entityId must be a valid id');
+      }
+      query.entityId = entityId;
+    }
+
+    // Exact action, or a prefix such as "transaction." for all transaction actions
+    if (action) {
+      query.action = action.endsWith('.')
+        ? { $regex: `^${escapeRegex(action)}` }
+        : action;
+    }
+
+    if (startDate || endDate) {
+      query.timestamp = {};
+      if (startDate) {
+        query.timestamp.$gte = new Date(startDate);
+      }
+      if (endDate) {
+        query.timestamp.$lte = new Date(endDate);
+      }
+    }
+
+    const pageSize = Math.min(parseInt(limit), 500);
+    const skip = (parseInt(page) - 1) * pageSize;
+
+    const entries = await AuditLog.find(query)
+      .sort({ timestamp: -1 })
+      .skip(skip)
+      .limit(pageSize);
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      entries,
+      pagination: {
+        total,
+        pages: Math.ceil(total / pageSize),
+        page: parseInt(page),
+        limit: pageSize
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get a single audit entry
+// @route   GET /api/audit/:id
+// @access  Private (admin)
+exports.getAuditLogById = async (req, res, next) => {
+  try {
+    const entry = mongoose.isValidObjectId(req.params.id) && await AuditLog.findById(req.params.id);
+
+    if (!entry) {
+      return sendError(res, 404, 'Audit entry not found');
+    }
+
+    res.json(entry);
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,20 +1,102 @@
 // File: backend/controllers/authController.js
+const mongoose = require('mongoose');
 const Auth = require('../models/Auth');
+const Session = require('../models/Session');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const { recordAudit } = require('../services/auditLog');
+const {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  revokeSessionsForAccounts
+} = require('../services/sessions');
+const { sendNotification } = require('../services/notifier');
+const {
+  getSecurityPolicy,
+  invalidateSecurityPolicyCache,
+  isTwoFactorRequired
+} = require('../services/securityPolicy');
+const twoFactor = require('../services/twoFactor');
+const {
+  claimLoginAttempt,
+  recordFailedLogin,
+  releaseLoginAttempt,
+  recordSuccessfulLogin
+} = require('../services/loginThrottle');
+const { sendError } = require('../middleware/errorHandler');
+
+// Body returned whenever tokens are issued
+const tokenResponse = (user, tokens) => ({
+  success: true,
+  token: tokens.token,
+  refreshToken: tokens.refreshToken,
+  refreshTokenExpiresAt: tokens.refreshTokenExpiresAt,
+  user: {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role
+  }
+});
+
+// Body returned instead of tokens when the password is right but a second
+// step is needed: a TOTP code, or 2FA setup when policy requires it.
+// Returns null when the account can be given a session straight away.
+const pendingLoginResponse = async (user) => {
+  if (user.twoFactor.enabled) {
+    return {
+      success: true,
+      twoFactorRequired: true,
+      preAuthToken: user.getPreAuthToken('login')
+    };
+  }
+  if (await isTwoFactorRequired(user.role)) {
+    return {
+      success: true,
+      twoFactorSetupRequired: true,
+      preAuthToken: user.getPreAuthToken('enroll')
+    };
+  }
+  return null;
+};
+
+// Refuses a login attempt while the account is locked out
+const sendLocked = async (req, res, user, seconds) => {
+  await recordAudit({
+    req,
+    actor: user,
+    action: 'auth.login_failed',
+    entityType: 'Auth',
+    entityId: user._id,
+    metadata: { email: user.email, reason: 'account_locked' }
+  });
+  res.set('Retry-After', String(seconds));
+  return sendError(res, 429, `Too many failed login attempts; try again in ${seconds} seconds`, 'ACCOUNT_LOCKED');
+};
 
 // @desc    Register a new user
 // @route   POST /api/auth/register
 // @access  Public
-exports.register = async (req, res) => {
+exports.register = async (req, res, next) => {
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password, role } = req.body || {};
+
+    // Self-registration only creates plain users; staff accounts are invited by an admin
+    if (role !== undefined && role !== 'user') {
+      await recordAudit({
+        req,
+        action: 'auth.register_denied',
+        entityType: 'Auth',
+        metadata: { email, requestedRole: role }
+      });
+      return sendError(res, 403, 'Roles are assigned by an administrator');
+    }
 
     // Check if user already exists
     const existingUser = await Auth.findOne({ email });
     if (existingUser) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'User with this email already exists' 
-      });
+      return sendError(res, 400, 'User with this email already exists');
     }
 
     // Create user
@@ -22,90 +104,131 @@ exports.register = async (req, res) => {
       name,
       email,
       password,
-      role: role || 'user' // Default to 'user' if role not specified
+      role: 'user'
     });
 
-    // Generate token
-    const token = user.getSignedJwtToken();
-
-    res.status(201).json({
-      success: true,
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role
-      }
+    await recordAudit({
+      req,
+      actor: user,
+      action: 'auth.register',
+      entityType: 'Auth',
+      entityId: user._id,
+      after: { email: user.email, name: user.name, role: user.role }
     });
+
+    // Roles that require 2FA must enrol before getting a session
+    const pending = await pendingLoginResponse(user);
+    if (pending) {
+      return res.status(201).json(pending);
+    }
+
+    // Start a session and issue its tokens
+    const tokens = await createSession(user, req);
+
+    res.status(201).json(tokenResponse(user, tokens));
   } catch (error) {
-    console.error('Register error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+    next(error);
   }
 };
 
 // @desc    Login user
 // @route   POST /api/auth/login
 // @access  Public
-exports.login = async (req, res) => {
+exports.login = async (req, res, next) => {
   try {
-    const { email, password } = req.body;
+    const { email, password } = req.body || {};
 
     // Validate email and password
     if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide email and password'
-      });
+      return sendError(res, 400, 'Please provide email and password');
     }
 
     // Check for user
     const user = await Auth.findOne({ email }).select('+password');
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
+      await Auth.matchUnknownAccount(password);
+      await recordAudit({
+        req,
+        action: 'auth.login_failed',
+        entityType: 'Auth',
+        metadata: { email, reason: 'unknown_email' }
       });
+      return sendError(res, 401, 'Invalid credentials', 'INVALID_CREDENTIALS');
+    }
+
+    // The attempt is counted up front, and locked accounts are refused before the password is even checked
+    const claim = await claimLoginAttempt(user);
+    if (claim.lockedFor) {
+      return sendLocked(req, res, user, claim.lockedFor);
     }
 
     // Check if password matches
     const isMatch = await user.matchPassword(password);
     if (!isMatch) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
+      await recordAudit({
+        req,
+        actor: user,
+        action: 'auth.login_failed',
+        entityType: 'Auth',
+        entityId: user._id,
+        metadata: { email, reason: 'wrong_password' }
       });
+      await recordFailedLogin(user, claim, req, 'wrong_password');
+      return sendError(res, 401, 'Invalid credentials', 'INVALID_CREDENTIALS');
     }
 
-    // Generate token
-    const token = user.getSignedJwtToken();
+    // Only revealed once the password is known to be right
+    if (!user.isActive) {
+      await releaseLoginAttempt(user, claim);
+      await recordAudit({
+        req,
+        actor: user,
+        action: 'auth.login_failed',
+        entityType: 'Auth',
+        entityId: user._id,
+        metadata: { email, reason: 'account_deactivated' }
+      });
+      return sendError(res, 403, 'Account is deactivated', 'ACCOUNT_DEACTIVATED');
+    }
 
-    res.status(200).json({
-      success: true,
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role
-      }
+    // Password is right; 2FA accounts get a pre-auth token instead of a session
+    const pending = await pendingLoginResponse(user);
+    if (pending) {
+      await releaseLoginAttempt(user, claim);
+      await recordAudit({
+        req,
+        actor: user,
+        action: 'auth.login_password_verified',
+        entityType: 'Auth',
+        entityId: user._id,
+        metadata: { nextStep: pending.twoFactorRequired ? 'two_factor' : 'two_factor_setup' }
+      });
+      return res.status(200).json(pending);
+    }
+
+    await recordSuccessfulLogin(user);
+
+    await recordAudit({
+      req,
+      actor: user,
+      action: 'auth.login',
+      entityType: 'Auth',
+      entityId: user._id
     });
+
+    // Start a session and issue its tokens
+    const tokens = await createSession(user, req);
+
+    res.status(200).json(tokenResponse(user, tokens));
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+    next(error);
   }
 };
 
 // @desc    Get current logged in user
 // @route   GET /api/auth/me
 // @access  Private
-exports.getMe = async (req, res) => {
+exports.getMe = async (req, res, next) => {
   try {
     const user = await Auth.findById(req.user.id);
 
@@ -115,24 +238,568 @@ exports.getMe = async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        twoFactorEnabled: user.twoFactor.enabled
       }
     });
   } catch (error) {
-    console.error('Get me error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
+    next(error);
+  }
+};
+
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token)
+exports.refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+      return sendError(res, 400, 'Please provide a refresh token');
+    }
+
+    const { user, ...tokens } = await refreshSession(refreshToken, req);
+
+    res.status(200).json(tokenResponse(user, tokens));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Logout user by revoking the current session
+// @route   POST /api/auth/logout (GET kept for older clients)
+// @access  Private
+exports.logout = async (req, res, next) => {
+  try {
+    await revokeSession(req.authSession._id, 'logout');
+
+    await recordAudit({
+      req,
+      action: 'auth.logout',
+      entityType: 'Auth',
+      entityId: req.user._id,
+      metadata: { sessionId: req.authSession._id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Log out of every device by revoking all sessions
+// @route   POST /api/auth/logout-all
+// @access  Private
+exports.logoutAll = async (req, res, next) => {
+  try {
+    const revoked = await revokeAllSessions(req.user._id, 'logout_all');
+
+    await recordAudit({
+      req,
+      action: 'auth.logout_all',
+      entityType: 'Auth',
+      entityId: req.user._id,
+      metadata: { sessionsRevoked: revoked }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Logged out of ${revoked} session(s)`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List the current user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      authId: req.user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: String(session._id) === String(req.authSession._id)
+      }))
     });
+  } catch (error) {
+    next(error);
   }
 };
 
-// @desc    Logout user / clear cookie
-// @route   GET /api/auth/logout
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
 // @access  Private
-exports.logout = (req, res) => {
-  res.status(200).json({
+exports.revokeSessionById = async (req, res, next) => {
+  try {
+    const session = mongoose.isValidObjectId(req.params.id) &&
+      await Session.findOne({ _id: req.params.id, authId: req.user._id });
+    if (!session) {
+      return sendError(res, 404, 'Session not found');
+    }
+
+    await revokeSession(session._id, 'revoked_by_user');
+
+    await recordAudit({
+      req,
+      action: 'auth.session_revoked',
+      entityType: 'Auth',
+      entityId: req.user._id,
+      metadata: { sessionId: session._id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Issues a reset token and emails the link; failures are logged, never reported to the caller
+const sendPasswordReset = async (email, req) => {
+  const user = await Auth.findOne({ email: String(email).toLowerCase(), isActive: { $ne: false } });
+  if (!user) return;
+
+  const resetToken = user.getResetPasswordToken();
+  await user.save({ validateBeforeSave: false });
+
+  const base = process.env.PASSWORD_RESET_URL ||
+    `http://localhost:${process.env.PORT || 5000}/reset-password`;
+  const resetUrl = `${base}?token=${resetToken}`;
+
+  try {
+    await sendNotification({
+      to: user.email,
+      subject: 'Reset your SentriCard password',
+      text: `A password reset was requested for your account.\n` +
+        `Reset your password: ${resetUrl}\n` +
+        `This link expires at ${user.resetPasswordExpire.toISOString()}. ` +
+        `If you did not ask for this, you can ignore this email.`,
+      data: { resetUrl, expiresAt: user.resetPasswordExpire }
+    });
+  } catch (mailError) {
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+    throw mailError;
+  }
+
+  await recordAudit({
+    req,
+    actor: user,
+    action: 'auth.password_reset_requested',
+    entityType: 'Auth',
+    entityId: user._id
+  });
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = (req, res) => {
+  const { email } = req.body || {};
+  if (!email) {
+    return sendError(res, 400, 'Please provide an email');
+  }
+
+  // The lookup and email happen after responding, so neither the answer nor
+  // its timing shows whether the account exists
+  sendPasswordReset(email, req).catch(error => console.error('Password reset email error:', error));
+
+  res.status(202).json({
     success: true,
-    message: 'Logged out successfully'
+    message: 'If an account exists for that email, a reset link has been sent'
   });
-};
\ No newline at end of file
+};
+
+// @desc    Set a new password with a reset token; signs out every session
+// @route   POST /api/auth/reset-password
+// @access  Public (reset token)
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body || {};
+    if (!token || !password) {
+      return sendError(res, 400, 'Please provide the reset token and a new password');
+    }
+
+    const user = await Auth.findOne({
+      resetPasswordToken: Auth.hashResetToken(token),
+      resetPasswordExpire: { $gt: new Date() },
+      isActive: { $ne: false }
+    });
+    if (!user) {
+      return sendError(res, 400, 'Reset token is invalid or has expired');
+    }
+
+    user.password = password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save();
+
+    const revoked = await revokeAllSessions(user._id, 'password_reset');
+
+    await recordAudit({
+      req,
+      actor: user,
+      action: 'auth.password_reset',
+      entityType: 'Auth',
+      entityId: user._id,
+      metadata: { sessionsRevoked: revoked }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset; please log in again'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change the current user's password; signs out their other sessions
+// @route   PUT /api/auth/password
+// @access  Private
+exports.changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!currentPassword || !newPassword) {
+      return sendError(res, 400, 'Please provide your current and new password');
+    }
+
+    const user = await Auth.findById(req.user._id).select('+password');
+    if (!(await user.matchPassword(currentPassword))) {
+      await recordAudit({
+        req,
+        action: 'auth.password_change_failed',
+        entityType: 'Auth',
+        entityId: user._id,
+        metadata: { reason: 'wrong_password' }
+      });
+      return sendError(res, 401, 'Current password is incorrect');
+    }
+
+    if (await user.matchPassword(newPassword)) {
+      return sendError(res, 400, 'New password must be different from the current one');
+    }
+
+    user.password = newPassword;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save();
+
+    // Keep this device signed in; every other session must log in again
+    const revoked = await revokeAllSessions(user._id, 'password_changed', req.authSession._id);
+
+    await recordAudit({
+      req,
+      action: 'auth.password_changed',
+      entityType: 'Auth',
+      entityId: user._id,
+      metadata: { sessionsRevoked: revoked }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Finish a two-step login with a TOTP code or a backup code
+// @route   POST /api/auth/login/2fa
+// @access  Public (pre-auth token)
+exports.verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { preAuthToken, code, backupCode } = req.body || {};
+    if (!preAuthToken || (!code && !backupCode)) {
+      return sendError(res, 400, 'Please provide the pre-auth token and an authentication code');
+    }
+
+    const user = await twoFactor.verifyPreAuthToken(preAuthToken, 'login');
+
+    // Failed codes count towards the same lockout as failed passwords
+    const claim = await claimLoginAttempt(user);
+    if (claim.lockedFor) {
+      return sendLocked(req, res, user, claim.lockedFor);
+    }
+
+    const method = await twoFactor.verifySecondFactor(user, { code, backupCode });
+    if (!method) {
+      await recordAudit({
+        req,
+        actor: user,
+        action: 'auth.login_failed',
+        entityType: 'Auth',
+        entityId: user._id,
+        metadata: { email: user.email, reason: 'invalid_two_factor_code' }
+      });
+      await recordFailedLogin(user, claim, req, 'invalid_two_factor_code');
+      return sendError(res, 401, 'Invalid authentication code', 'INVALID_TWO_FACTOR_CODE');
+    }
+
+    await recordSuccessfulLogin(user);
+
+    await recordAudit({
+      req,
+      actor: user,
+      action: 'auth.login',
+      entityType: 'Auth',
+      entityId: user._id,
+      metadata: { secondFactor: method }
+    });
+
+    const tokens = await createSession(user, req);
+
+    res.status(200).json(tokenResponse(user, tokens));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the current user's two-factor status
+// @route   GET /api/auth/2fa
+// @access  Private
+exports.getTwoFactorStatus = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      enabled: req.user.twoFactor.enabled,
+      enabledAt: req.user.twoFactor.enabledAt,
+      required: await isTwoFactorRequired(req.user.role),
+      backupCodesRemaining: req.user.twoFactor.enabled ? await twoFactor.countBackupCodes(req.user) : 0
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start 2FA enrolment: returns the secret and otpauth URI for an authenticator app
+// @route   POST /api/auth/2fa/setup
+// @access  Private (or enrolment pre-auth token)
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const { secret, otpauthUrl } = await twoFactor.beginEnrollment(req.user);
+
+    await recordAudit({
+      req,
+      actor: req.user,
+      action: 'auth.two_factor_setup_started',
+      entityType: 'Auth',
+      entityId: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      secret,
+      otpauthUrl
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm enrolment with a code; returns backup codes, plus tokens when
+//          enrolling from a login that policy held back
+// @route   POST /api/auth/2fa/enable
+// @access  Private (or enrolment pre-auth token)
+exports.enableTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) {
+      return sendError(res, 400, 'Please provide an authentication code');
+    }
+
+    const backupCodes = await twoFactor.completeEnrollment(req.user, code);
+
+    await recordAudit({
+      req,
+      actor: req.user,
+      action: 'auth.two_factor_enabled',
+      entityType: 'Auth',
+      entityId: req.user._id,
+      after: { twoFactorEnabled: true }
+    });
+
+    if (req.preAuth) {
+      const tokens = await createSession(req.user, req);
+      return res.status(200).json({ ...tokenResponse(req.user, tokens), backupCodes });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      backupCodes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Turn 2FA off; needs the password and a current code
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, backupCode } = req.body || {};
+    if (!password || (!code && !backupCode)) {
+      return sendError(res, 400, 'Please provide your password and an authentication code');
+    }
+
+    if (!req.user.twoFactor.enabled) {
+      return sendError(res, 400, 'Two-factor authentication is not enabled');
+    }
+
+    if (await isTwoFactorRequired(req.user.role)) {
+      return sendError(res, 403, `Two-factor authentication is required for the ${req.user.role} role`);
+    }
+
+    const user = await Auth.findById(req.user._id).select('+password');
+    const method = (await user.matchPassword(password)) &&
+      await twoFactor.verifySecondFactor(user, { code, backupCode });
+    if (!method) {
+      await recordAudit({
+        req,
+        action: 'auth.two_factor_disable_failed',
+        entityType: 'Auth',
+        entityId: user._id
+      });
+      return sendError(res, 401, 'Password or authentication code is incorrect');
+    }
+
+    await twoFactor.disableTwoFactor(user);
+
+    await recordAudit({
+      req,
+      action: 'auth.two_factor_disabled',
+      entityType: 'Auth',
+      entityId: user._id,
+      before: { twoFactorEnabled: true },
+      after: { twoFactorEnabled: false }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Replace the backup codes; needs a current TOTP code
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+exports.regenerateBackupCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) {
+      return sendError(res, 400, 'Please provide an authentication code');
+    }
+
+    if (!req.user.twoFactor.enabled) {
+      return sendError(res, 400, 'Two-factor authentication is not enabled');
+    }
+
+    if (!(await twoFactor.verifySecondFactor(req.user, { code }))) {
+      return sendError(res, 401, 'Invalid authentication code', 'INVALID_TWO_FACTOR_CODE');
+    }
+
+    const backupCodes = await twoFactor.regenerateBackupCodes(req.user);
+
+    await recordAudit({
+      req,
+      action: 'auth.two_factor_backup_codes_regenerated',
+      entityType: 'Auth',
+      entityId: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      backupCodes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the account security policy
+// @route   GET /api/auth/security-policy
+// @access  Private (admin)
+exports.getSecurityPolicy = async (req, res, next) => {
+  try {
+    const policy = await getSecurityPolicy();
+    res.status(200).json({ success: true, policy });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update the account security policy; signs out accounts that now need 2FA
+// @route   PUT /api/auth/security-policy
+// @access  Private (admin)
+exports.updateSecurityPolicy = async (req, res, next) => {
+  try {
+    const { requireTwoFactorRoles } = req.body || {};
+    if (!Array.isArray(requireTwoFactorRoles) ||
+        requireTwoFactorRoles.some(role => !SecurityPolicy.ROLES.includes(role))) {
+      return sendError(res, 400, `requireTwoFactorRoles must be a list of: ${SecurityPolicy.ROLES.join(', ')}`);
+    }
+
+    // Otherwise the admin would be signed out with no way back in but enrolment
+    if (requireTwoFactorRoles.includes(req.user.role) && !req.user.twoFactor.enabled) {
+      return sendError(res, 400, 'Enable two-factor authentication on your own account first');
+    }
+
+    await getSecurityPolicy();
+    const policy = await SecurityPolicy.findOne({ name: 'default' });
+    const before = policy.toObject();
+
+    policy.requireTwoFactorRoles = [...new Set(requireTwoFactorRoles)];
+    policy.updatedBy = req.user._id;
+    const updatedPolicy = await policy.save();
+    invalidateSecurityPolicyCache();
+
+    // Sessions of accounts that no longer meet the policy stop working now
+    const affected = await Auth.distinct('_id', {
+      role: { $in: updatedPolicy.requireTwoFactorRoles },
+      'twoFactor.enabled': { $ne: true }
+    });
+    const revoked = await revokeSessionsForAccounts(affected, 'two_factor_required');
+
+    await recordAudit({
+      req,
+      action: 'security_policy.updated',
+      entityType: 'SecurityPolicy',
+      entityId: updatedPolicy._id,
+      before,
+      after: updatedPolicy.toObject(),
+      metadata: { accountsAffected: affected.length, sessionsRevoked: revoked }
+    });
+
+    res.status(200).json({
+      success: true,
+      policy: updatedPolicy,
+      sessionsRevoked: revoked
+    });
+  } catch (error) {
+    next(error);
+  }
+};
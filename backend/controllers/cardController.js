@@ -0,0 +1,95 @@
+// File: backend/controllers/cardController.js
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { applyCardAction, replaceCard, getCardStatus } = require('../services/cardLifecycle');
+const { sendError } = require('../middleware/errorHandler');
+
+const findUser = (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return User.findById(id);
+};
+
+const describeCard = (card) => ({
+  ...card.toObject(),
+  status: getCardStatus(card)
+});
+
+// Builds a handler that applies one status action to a card
+const cardActionHandler = (action) => async (req, res, next) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) {
+      return sendError(res, 404, 'User not found');
+    }
+
+    const card = await applyCardAction(user, req.params.cardId, action, req.user, (req.body || {}).reason, req);
+    res.json(describeCard(card));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get a user's cards with their status history
+// @route   GET /api/users/:id/cards
+// @access  Private (analyst, admin)
+exports.getCards = async (req, res, next) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) {
+      return sendError(res, 404, 'User not found');
+    }
+
+    res.json(user.cards.map(describeCard));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Temporarily freeze a card
+// @route   POST /api/users/:id/cards/:cardId/freeze
+// @access  Private (analyst, admin)
+exports.freezeCard = cardActionHandler('freeze');
+
+// @desc    Unfreeze a frozen card
+// @route   POST /api/users/:id/cards/:cardId/unfreeze
+// @access  Private (analyst, admin)
+exports.unfreezeCard = cardActionHandler('unfreeze');
+
+// @desc    Permanently block a card
+// @route   POST /api/users/:id/cards/:cardId/block
+// @access  Private (analyst, admin)
+exports.blockCard = cardActionHandler('block');
+
+// @desc    Report a card lost or stolen (body: { type: 'lost' | 'stolen', reason })
+// @route   POST /api/users/:id/cards/:cardId/report-lost
+// @access  Private (analyst, admin)
+exports.reportCardLost = async (req, res, next) => {
+  const { type = 'lost' } = req.body || {};
+  if (!['lost', 'stolen'].includes(type)) {
+    return sendError(res, 400, 'type must be lost or stolen');
+  }
+
+  return cardActionHandler(`report-${type}`)(req, res, next);
+};
+
+// @desc    Issue a replacement card (body: { lastFour, type, reason })
+// @route   POST /api/users/:id/cards/:cardId/replace
+// @access  Private (analyst, admin)
+exports.replaceCard = async (req, res, next) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) {
+      return sendError(res, 404, 'User not found');
+    }
+
+    const { lastFour, type, reason } = req.body || {};
+    const { oldCard, newCard } = await replaceCard(user, req.params.cardId, req.user, { lastFour, type, reason }, req);
+
+    res.status(201).json({
+      replacedCard: describeCard(oldCard),
+      card: describeCard(newCard)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
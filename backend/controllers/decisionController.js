@@ -0,0 +1,101 @@
+// File: backend/controllers/decisionController.js
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const DecisionPolicy = require('../models/DecisionPolicy');
+const { submitTransaction } = require('../services/transactionProcessing');
+const { getDecisionPolicy, invalidatePolicyCache } = require('../services/decisionEngine');
+const { recordAudit } = require('../services/auditLog');
+const { sendError } = require('../middleware/errorHandler');
+
+const POLICY_FIELDS = ['reviewAbove', 'declineAbove', 'latencyBudgetMs', 'fallbackDecision'];
+
+// @desc    Score a transaction at authorization time and return approve / review / decline
+// @route   POST /api/decisions
+// @access  Private (analyst, admin, or API key with decisions:write)
+exports.createDecision = async (req, res, next) => {
+  try {
+    const { transaction, decision } = await submitTransaction(req.body, req);
+
+    res.status(201).json({
+      transactionId: transaction._id,
+      decision: decision.outcome,
+      reasonCodes: decision.reasonCodes,
+      score: decision.score,
+      isFallback: decision.isFallback,
+      latencyMs: decision.latencyMs
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get the decision recorded for a transaction
+// @route   GET /api/decisions/:transactionId
+// @access  Private (analyst, admin, or API key with decisions:read)
+exports.getDecision = async (req, res, next) => {
+  try {
+    const transaction = mongoose.isValidObjectId(req.params.transactionId) &&
+      await Transaction.findById(req.params.transactionId).select('decision fraudScore isFlagged');
+
+    if (!transaction) {
+      return sendError(res, 404, 'Transaction not found');
+    }
+
+    if (!transaction.decision || !transaction.decision.outcome) {
+      return sendError(res, 404, 'No decision recorded for this transaction');
+    }
+
+    res.json({
+      transactionId: transaction._id,
+      ...transaction.decision.toObject()
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get the decision policy (score bands, latency budget, fallback)
+// @route   GET /api/decisions/policy
+// @access  Private (analyst, admin)
+exports.getPolicy = async (req, res, next) => {
+  try {
+    const policy = await getDecisionPolicy();
+    res.json(policy);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Update the decision policy
+// @route   PUT /api/decisions/policy
+// @access  Private (admin)
+exports.updatePolicy = async (req, res, next) => {
+  try {
+    await getDecisionPolicy();
+    const policy = await DecisionPolicy.findOne({ name: 'default' });
+    const before = policy.toObject();
+
+    POLICY_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        policy[field] = req.body[field];
+      }
+    });
+    policy.updatedBy = req.user._id;
+
+    const updatedPolicy = await policy.save();
+    invalidatePolicyCache();
+
+    await recordAudit({
+      req,
+      action: 'decision_policy.updated',
+      entityType: 'DecisionPolicy',
+      entityId: updatedPolicy._id,
+      before,
+      after: updatedPolicy.toObject()
+    });
+
+    res.json(updatedPolicy);
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,232 @@
+// File: backend/controllers/fraudCaseController.js
+const mongoose = require('mongoose');
+const FraudCase = require('../models/FraudCase');
+const Transaction = require('../models/Transaction');
+const Auth = require('../models/Auth');
+const {
+  ACTIVE_STATUSES,
+  openCaseForTransaction,
+  transitionCase,
+  assignCase,
+  addComment,
+  linkTransaction
+} = require('../services/caseManagement');
+const { sendError } = require('../middleware/errorHandler');
+
+const findCase = (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return FraudCase.findById(id);
+};
+
+const populateCase = (query) => {
+  return query
+    .populate('transactions')
+    .populate('userId', 'name email')
+    .populate('assignee', 'name email role')
+    .populate('comments.author', 'name email')
+    .populate('statusHistory.changedBy', 'name email');
+};
+
+// @desc    Get fraud cases with filtering
+// @route   GET /api/fraud/cases
+// @access  Private (analyst, admin)
+exports.getCases = async (req, res, next) => {
+  try {
+    const { status, assignee, priority, overdue, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+
+    if (status === 'active') {
+      query.status = { $in: ACTIVE_STATUSES };
+    } else if (status) {
+      query.status = status;
+    }
+
+    if (assignee === 'me') {
+      query.assignee = req.user._id;
+    } else if (assignee === 'none') {
+      query.assignee = { $exists: false };
+    } else if (assignee) {
+      query.assignee = assignee;
+    }
+
+    if (priority) {
+      query.priority = priority;
+    }
+
+    if (overdue === true) {
+      query.status = query.status || { $in: ACTIVE_STATUSES };
+      query['sla.resolutionDueAt'] = { $lt: new Date() };
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const cases = await FraudCase.find(query)
+      .sort({ 'sla.resolutionDueAt': 1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('userId', 'name email')
+      .populate('assignee', 'name email role');
+
+    const total = await FraudCase.countDocuments(query);
+
+    res.json({
+      cases,
+      pagination: {
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+        page: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get a single fraud case
+// @route   GET /api/fraud/cases/:caseId
+// @access  Private (analyst, admin)
+exports.getCaseById = async (req, res, next) => {
+  try {
+    const query = findCase(req.params.caseId);
+    const fraudCase = query && await populateCase(query);
+
+    if (!fraudCase) {
+      return sendError(res, 404, 'Case not found');
+    }
+
+    res.json(fraudCase);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Open a case manually for a transaction
+// @route   POST /api/fraud/cases
+// @access  Private (analyst, admin)
+exports.createCase = async (req, res, next) => {
+  try {
+    const { transactionId } = req.body;
+
+    if (!mongoose.isValidObjectId(transactionId)) {
+      return sendError(res, 400, 'A valid transactionId is required');
+    }
+
+    const transaction = await Transaction.findById(transactionId);
+    if (!transaction) {
+      return sendError(res, 404, 'Transaction not found');
+    }
+
+    const fraudCase = await openCaseForTransaction(transaction);
+
+    res.status(201).json(fraudCase);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Change the status of a case
+// @route   PUT /api/fraud/cases/:caseId/status
+// @access  Private (analyst, admin)
+exports.updateCaseStatus = async (req, res, next) => {
+  try {
+    const { status, reason } = req.body;
+
+    if (!status) {
+      return sendError(res, 400, 'status field is required');
+    }
+
+    const fraudCase = await findCase(req.params.caseId);
+    if (!fraudCase) {
+      return sendError(res, 404, 'Case not found');
+    }
+
+    const updatedCase = await transitionCase(fraudCase, status, req.user, reason);
+
+    res.json(updatedCase);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Assign a case to an analyst (assigneeId "me" for self, null to unassign)
+// @route   PUT /api/fraud/cases/:caseId/assign
+// @access  Private (analyst, admin)
+exports.assignFraudCase = async (req, res, next) => {
+  try {
+    const { assigneeId } = req.body;
+
+    if (assigneeId === undefined) {
+      return sendError(res, 400, 'assigneeId field is required');
+    }
+
+    const fraudCase = await findCase(req.params.caseId);
+    if (!fraudCase) {
+      return sendError(res, 404, 'Case not found');
+    }
+
+    let assignee = null;
+    if (assigneeId === 'me') {
+      assignee = req.user;
+    } else if (assigneeId !== null) {
+      assignee = mongoose.isValidObjectId(assigneeId) && await Auth.findById(assigneeId);
+      if (!assignee) {
+        return sendError(res, 404, 'Assignee not found');
+      }
+    }
+
+    const updatedCase = await assignCase(fraudCase, assignee, req.user);
+
+    res.json(updatedCase);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Add a comment to a case
+// @route   POST /api/fraud/cases/:caseId/comments
+// @access  Private (analyst, admin)
+exports.addCaseComment = async (req, res, next) => {
+  try {
+    const fraudCase = await findCase(req.params.caseId);
+    if (!fraudCase) {
+      return sendError(res, 404, 'Case not found');
+    }
+
+    const updatedCase = await addComment(fraudCase, req.user, req.body.body);
+
+    res.status(201).json(updatedCase);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Link another transaction to a case
+// @route   POST /api/fraud/cases/:caseId/transactions
+// @access  Private (analyst, admin)
+exports.linkCaseTransaction = async (req, res, next) => {
+  try {
+    const { transactionId } = req.body;
+
+    if (!mongoose.isValidObjectId(transactionId)) {
+      return sendError(res, 400, 'A valid transactionId is required');
+    }
+
+    const fraudCase = await findCase(req.params.caseId);
+    if (!fraudCase) {
+      return sendError(res, 404, 'Case not found');
+    }
+
+    const transaction = await Transaction.findById(transactionId);
+    if (!transaction) {
+      return sendError(res, 404, 'Transaction not found');
+    }
+
+    const updatedCase = await linkTransaction(fraudCase, transaction);
+
+    res.json(updatedCase);
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,167 @@
+// File: backend/controllers/fraudModelController.js
+const mongoose = require('mongoose');
+const FraudModel = require('../models/FraudModel');
+const ModelTrainingJob = require('../models/ModelTrainingJob');
+const { queueTrainingJob, activateModel, deactivateModels } = require('../services/modelTraining');
+const { recordAudit } = require('../services/auditLog');
+const { sendError } = require('../middleware/errorHandler');
+
+const parseBlendWeight = (value) => {
+  if (value === undefined) return { value: undefined };
+  const blendWeight = Number(value);
+  if (Number.isNaN(blendWeight) || blendWeight < 0 || blendWeight > 1) {
+    return { error: 'blendWeight must be a number between 0 and 1' };
+  }
+  return { value: blendWeight };
+};
+
+// @desc    List trained model versions (without weights)
+// @route   GET /api/fraud/models
+// @access  Private (admin)
+exports.getModels = async (req, res, next) => {
+  try {
+    const models = await FraudModel.find()
+      .select('-weights -scaler')
+      .sort({ version: -1 });
+    res.json(models);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get a model version including its weights
+// @route   GET /api/fraud/models/:version
+// @access  Private (admin)
+exports.getModel = async (req, res, next) => {
+  try {
+    const model = await FraudModel.findOne({ version: Number(req.params.version) });
+
+    if (!model) {
+      return sendError(res, 404, 'Model not found');
+    }
+
+    res.json(model);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Queue training of a new model version from labelled history; poll the job for the result
+// @route   POST /api/fraud/models/train
+// @access  Private (admin)
+exports.trainFraudModel = async (req, res, next) => {
+  try {
+    const { startDate, endDate, hyperparameters, maxSamples, activate } = req.body;
+    const blendWeight = parseBlendWeight(req.body.blendWeight);
+    if (blendWeight.error) {
+      return sendError(res, 400, blendWeight.error);
+    }
+
+    const job = await queueTrainingJob({
+      startDate,
+      endDate,
+      hyperparameters,
+      maxSamples,
+      activate: activate === true,
+      blendWeight: blendWeight.value
+    }, req.user._id);
+
+    await recordAudit({
+      req,
+      action: 'model.training_queued',
+      entityType: 'ModelTrainingJob',
+      entityId: job._id,
+      after: { options: job.options }
+    });
+
+    res.status(202).json(job);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    List recent training jobs
+// @route   GET /api/fraud/models/jobs
+// @access  Private (admin)
+exports.getTrainingJobs = async (req, res, next) => {
+  try {
+    const { status, limit } = req.query;
+    const jobs = await ModelTrainingJob.find(status ? { status } : {})
+      .sort({ createdAt: -1 })
+      .limit(limit);
+    res.json(jobs);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get a training job's status, progress and resulting model version
+// @route   GET /api/fraud/models/jobs/:id
+// @access  Private (admin)
+exports.getTrainingJob = async (req, res, next) => {
+  try {
+    const job = mongoose.isValidObjectId(req.params.id)
+      ? await ModelTrainingJob.findById(req.params.id)
+      : null;
+    if (!job) {
+      return sendError(res, 404, 'Training job not found');
+    }
+    res.json(job);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Activate a model version and optionally set its blend weight
+// @route   PUT /api/fraud/models/:version/activate
+// @access  Private (admin)
+exports.activateFraudModel = async (req, res, next) => {
+  try {
+    const blendWeight = parseBlendWeight(req.body.blendWeight);
+    if (blendWeight.error) {
+      return sendError(res, 400, blendWeight.error);
+    }
+
+    const previous = await FraudModel.findOne({ isActive: true }).select('version blendWeight').lean();
+    const model = await activateModel(Number(req.params.version), blendWeight.value);
+
+    if (!model) {
+      return sendError(res, 404, 'Model not found');
+    }
+
+    await recordAudit({
+      req,
+      action: 'model.activated',
+      entityType: 'FraudModel',
+      entityId: model._id,
+      before: previous ? { version: previous.version, blendWeight: previous.blendWeight } : null,
+      after: { version: model.version, blendWeight: model.blendWeight }
+    });
+
+    res.json(model);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Deactivate all models (score with rules only)
+// @route   PUT /api/fraud/models/deactivate
+// @access  Private (admin)
+exports.deactivateFraudModels = async (req, res, next) => {
+  try {
+    const previous = await FraudModel.findOne({ isActive: true }).select('version blendWeight').lean();
+    await deactivateModels();
+
+    await recordAudit({
+      req,
+      action: 'model.deactivated',
+      entityType: 'FraudModel',
+      entityId: previous ? previous._id : undefined,
+      before: previous ? { version: previous.version, blendWeight: previous.blendWeight } : null
+    });
+
+    res.json({ message: 'Scoring uses rules only' });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,246 @@
+// File: backend/controllers/fraudRuleController.js
+const mongoose = require('mongoose');
+const FraudRule = require('../models/FraudRule');
+const BacktestJob = require('../models/BacktestJob');
+const { validateCondition } = require('../services/ruleEngine');
+const { invalidateRuleCache, ensureDefaultRules } = require('../services/ruleStore');
+const { FACT_CATALOG } = require('../services/fraudDetection');
+const { queueBacktestJob } = require('../services/backtest');
+const { recordAudit } = require('../services/auditLog');
+const { sendError } = require('../middleware/errorHandler');
+
+// Upper bound on transactions replayed by one backtest job; use the CLI for larger ranges
+const MAX_BACKTEST_TRANSACTIONS = 50000;
+
+// Fields an admin may set on a rule
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'message',
+  'condition',
+  'weight',
+  'group',
+  'priority',
+  'isActive'
+];
+
+const pickEditable = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+const checkCondition = (condition) => {
+  return validateCondition(condition, Object.keys(FACT_CATALOG));
+};
+
+// Shapes rule errors like validation details for the error envelope
+const conditionDetails = (field, errors) => {
+  return errors.map(message => ({ location: 'body', field, message }));
+};
+
+// @desc    Get all fraud rules
+// @route   GET /api/fraud/rules
+// @access  Private (admin)
+exports.getRules = async (req, res, next) => {
+  try {
+    await ensureDefaultRules();
+
+    const query = {};
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive;
+    }
+
+    const rules = await FraudRule.find(query).sort({ priority: 1, ruleId: 1 });
+    res.json(rules);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get the facts that rule conditions can reference
+// @route   GET /api/fraud/rules/facts
+// @access  Private (admin)
+exports.getRuleFacts = (req, res) => {
+  res.json(FACT_CATALOG);
+};
+
+// @desc    Get a single fraud rule
+// @route   GET /api/fraud/rules/:ruleId
+// @access  Private (admin)
+exports.getRule = async (req, res, next) => {
+  try {
+    const rule = await FraudRule.findOne({ ruleId: req.params.ruleId });
+
+    if (!rule) {
+      return sendError(res, 404, 'Rule not found');
+    }
+
+    res.json(rule);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Create a fraud rule
+// @route   POST /api/fraud/rules
+// @access  Private (admin)
+exports.createRule = async (req, res, next) => {
+  try {
+    const errors = checkCondition(req.body.condition);
+    if (errors.length > 0) {
+      return sendError(res, 400, 'Invalid rule condition', 'INVALID_RULE_CONDITION', conditionDetails('condition', errors));
+    }
+
+    const existingRule = await FraudRule.findOne({ ruleId: req.body.ruleId });
+    if (existingRule) {
+      return sendError(res, 400, 'Rule with this id already exists');
+    }
+
+    const rule = new FraudRule({
+      ...pickEditable(req.body),
+      ruleId: req.body.ruleId,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    const savedRule = await rule.save();
+    invalidateRuleCache();
+
+    await recordAudit({
+      req,
+      action: 'rule.created',
+      entityType: 'FraudRule',
+      entityId: savedRule._id,
+      after: savedRule.toObject()
+    });
+
+    res.status(201).json(savedRule);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Update a fraud rule (re-weight, enable/disable, change condition)
+// @route   PUT /api/fraud/rules/:ruleId
+// @access  Private (admin)
+exports.updateRule = async (req, res, next) => {
+  try {
+    if (req.body.condition !== undefined) {
+      const errors = checkCondition(req.body.condition);
+      if (errors.length > 0) {
+        return sendError(res, 400, 'Invalid rule condition', 'INVALID_RULE_CONDITION', conditionDetails('condition', errors));
+      }
+    }
+
+    const rule = await FraudRule.findOne({ ruleId: req.params.ruleId });
+
+    if (!rule) {
+      return sendError(res, 404, 'Rule not found');
+    }
+
+    const before = rule.toObject();
+    rule.set(pickEditable(req.body));
+    rule.updatedBy = req.user._id;
+
+    const updatedRule = await rule.save();
+    invalidateRuleCache();
+
+    await recordAudit({
+      req,
+      action: 'rule.updated',
+      entityType: 'FraudRule',
+      entityId: updatedRule._id,
+      before,
+      after: updatedRule.toObject()
+    });
+
+    res.json(updatedRule);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Delete a fraud rule
+// @route   DELETE /api/fraud/rules/:ruleId
+// @access  Private (admin)
+exports.deleteRule = async (req, res, next) => {
+  try {
+    const rule = await FraudRule.findOne({ ruleId: req.params.ruleId });
+
+    if (!rule) {
+      return sendError(res, 404, 'Rule not found');
+    }
+
+    if (rule.isBuiltIn) {
+      return sendError(res, 400, 'Built-in rules cannot be deleted; set isActive to false instead');
+    }
+
+    await rule.deleteOne();
+
+    invalidateRuleCache();
+
+    await recordAudit({
+      req,
+      action: 'rule.deleted',
+      entityType: 'FraudRule',
+      entityId: rule._id,
+      before: rule.toObject()
+    });
+
+    res.json({ message: 'Rule deleted', ruleId: rule.ruleId });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Queue a backtest of a candidate rule set / threshold against stored transactions; poll the job for the report
+// @route   POST /api/fraud/rules/backtest
+// @access  Private (analyst, admin)
+exports.backtestRules = async (req, res, next) => {
+  try {
+    const { startDate, endDate, rules, ruleOverrides, threshold, blendWeight } = req.body;
+
+    if (rules !== undefined && !Array.isArray(rules)) {
+      return sendError(res, 400, 'rules must be an array');
+    }
+
+    const job = await queueBacktestJob({
+      startDate,
+      endDate,
+      rules,
+      ruleOverrides,
+      threshold,
+      blendWeight,
+      maxTransactions: MAX_BACKTEST_TRANSACTIONS
+    }, req.user._id);
+
+    res.status(202).json(job);
+  } catch (err) {
+    if (err.errors && Array.isArray(err.errors)) {
+      return sendError(res, 400, err.message, 'INVALID_RULE', conditionDetails('rules', err.errors));
+    }
+    next(err);
+  }
+};
+
+// @desc    Get a backtest job's status, progress and, once finished, its report
+// @route   GET /api/fraud/rules/backtest/:id
+// @access  Private (analyst, admin)
+exports.getBacktestJob = async (req, res, next) => {
+  try {
+    const job = mongoose.isValidObjectId(req.params.id)
+      ? await BacktestJob.findById(req.params.id)
+      : null;
+    if (!job) {
+      return sendError(res, 404, 'Backtest job not found');
+    }
+    res.json(job);
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,253 @@
+// File: backend/controllers/merchantController.js
+// Purpose: Merchant directory with fraud history, and admin management of the allow/block lists
+
+const mongoose = require('mongoose');
+const Merchant = require('../models/Merchant');
+const { normalizeMerchantName, findNameConflict, refreshMerchantStats } = require('../services/merchants');
+const { recordAudit } = require('../services/auditLog');
+const { sendError } = require('../middleware/errorHandler');
+const { escapeRegex } = require('../middleware/validate');
+
+// Fields an admin may set directly; name is the display name only, matching uses normalizedName
+const EDITABLE_FIELDS = ['name', 'mcc', 'category', 'country'];
+
+const LIST_ACTIONS = {
+  allow: 'merchant.allowlisted',
+  block: 'merchant.blocklisted',
+  none: 'merchant.unlisted'
+};
+
+const pickEditable = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      // null clears an optional field
+      fields[field] = body[field] === null ? undefined : body[field];
+    }
+  });
+  return fields;
+};
+
+const findMerchantById = (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Merchant.findById(id);
+};
+
+// Normalized, de-duplicated aliases, without the merchant's own name
+const normalizeAliases = (aliases, normalizedName) => {
+  const names = aliases.map(normalizeMerchantName).filter(name => name && name !== normalizedName);
+  return [...new Set(names)];
+};
+
+const nameConflictError = (res, conflict) => {
+  const message = `Name or alias already belongs to merchant ${conflict.name}`;
+  return sendError(res, 409, message, 'MERCHANT_NAME_CONFLICT', [{
+    location: 'body',
+    field: 'aliases',
+    message: 'already matches another merchant',
+    merchantId: conflict._id
+  }]);
+};
+
+// @desc    List merchants, optionally by list status or fraud rate
+// @route   GET /api/merchants
+// @access  Private (analyst, admin)
+exports.getMerchants = async (req, res, next) => {
+  try {
+    const {
+      listStatus, search, mcc, country, minFraudRate, minTransactions,
+      sortField, sortOrder, page, limit
+    } = req.query;
+
+    const query = {};
+    if (listStatus) {
+      query.listStatus = listStatus;
+    }
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: 'i' };
+      query.$or = [{ name: pattern }, { normalizedName: pattern }, { aliases: pattern }];
+    }
+    if (mcc) {
+      query.mcc = mcc;
+    }
+    if (country) {
+      query.country = country;
+    }
+    if (minFraudRate !== undefined) {
+      query['stats.fraudRate'] = { $gte: minFraudRate };
+    }
+    if (minTransactions !== undefined) {
+      query['stats.transactionCount'] = { $gte: minTransactions };
+    }
+
+    const [merchants, total] = await Promise.all([
+      Merchant.find(query)
+        .sort({ [sortField]: sortOrder === 'asc' ? 1 : -1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Merchant.countDocuments(query)
+    ]);
+
+    res.json({
+      merchants,
+      pagination: {
+        total,
+        pages: Math.ceil(total / limit),
+        page,
+        limit
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get a merchant
+// @route   GET /api/merchants/:id
+// @access  Private (analyst, admin)
+exports.getMerchantById = async (req, res, next) => {
+  try {
+    const merchant = await findMerchantById(req.params.id);
+    if (!merchant) {
+      return sendError(res, 404, 'Merchant not found');
+    }
+    res.json(merchant);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Create a merchant ahead of its first transaction, e.g. to blocklist it
+// @route   POST /api/merchants
+// @access  Private (admin)
+exports.createMerchant = async (req, res, next) => {
+  try {
+    const normalizedName = normalizeMerchantName(req.body.name);
+    if (!normalizedName) {
+      return sendError(res, 400, 'Request validation failed', 'VALIDATION_ERROR', [{
+        location: 'body',
+        field: 'name',
+        message: 'must contain letters or digits'
+      }]);
+    }
+    const aliases = normalizeAliases(req.body.aliases || [], normalizedName);
+
+    const conflict = await findNameConflict([normalizedName, ...aliases]);
+    if (conflict) {
+      return nameConflictError(res, conflict);
+    }
+
+    const merchant = await Merchant.create({
+      ...pickEditable(req.body),
+      normalizedName,
+      aliases,
+      updatedBy: req.user._id
+    });
+
+    await recordAudit({
+      req,
+      action: 'merchant.created',
+      entityType: 'Merchant',
+      entityId: merchant._id,
+      after: merchant.toObject()
+    });
+
+    res.status(201).json(merchant);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Update a merchant's details or aliases
+// @route   PUT /api/merchants/:id
+// @access  Private (admin)
+exports.updateMerchant = async (req, res, next) => {
+  try {
+    const merchant = await findMerchantById(req.params.id);
+    if (!merchant) {
+      return sendError(res, 404, 'Merchant not found');
+    }
+
+    const before = merchant.toObject();
+    merchant.set(pickEditable(req.body));
+
+    if (req.body.aliases !== undefined) {
+      const aliases = normalizeAliases(req.body.aliases, merchant.normalizedName);
+      const conflict = await findNameConflict(aliases, merchant._id);
+      if (conflict) {
+        return nameConflictError(res, conflict);
+      }
+      merchant.aliases = aliases;
+    }
+
+    merchant.updatedBy = req.user._id;
+    const updatedMerchant = await merchant.save();
+
+    await recordAudit({
+      req,
+      action: 'merchant.updated',
+      entityType: 'Merchant',
+      entityId: merchant._id,
+      before,
+      after: updatedMerchant.toObject()
+    });
+
+    res.json(updatedMerchant);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Allowlist, blocklist or unlist a merchant; takes effect on the next transaction
+// @route   PUT /api/merchants/:id/list
+// @access  Private (admin)
+exports.setListStatus = async (req, res, next) => {
+  try {
+    const { status, reason } = req.body;
+
+    const merchant = await findMerchantById(req.params.id);
+    if (!merchant) {
+      return sendError(res, 404, 'Merchant not found');
+    }
+
+    const before = merchant.toObject();
+    if (status === 'none') {
+      merchant.set({ listStatus: 'none', listReason: undefined, listedBy: undefined, listedAt: undefined });
+    } else {
+      merchant.set({ listStatus: status, listReason: reason, listedBy: req.user._id, listedAt: new Date() });
+    }
+    merchant.updatedBy = req.user._id;
+    const updatedMerchant = await merchant.save();
+
+    await recordAudit({
+      req,
+      action: LIST_ACTIONS[status],
+      entityType: 'Merchant',
+      entityId: merchant._id,
+      before: { listStatus: before.listStatus, listReason: before.listReason },
+      after: { listStatus: updatedMerchant.listStatus, listReason: updatedMerchant.listReason },
+      metadata: { reason }
+    });
+
+    res.json(updatedMerchant);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Recompute a merchant's transaction count and confirmed fraud rate now
+// @route   POST /api/merchants/:id/refresh-stats
+// @access  Private (admin)
+exports.refreshStats = async (req, res, next) => {
+  try {
+    const merchant = await findMerchantById(req.params.id);
+    if (!merchant) {
+      return sendError(res, 404, 'Merchant not found');
+    }
+
+    const stats = await refreshMerchantStats(merchant._id);
+    res.json({ merchantId: merchant._id, stats });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,235 @@
+// File: backend/controllers/serviceAccountController.js
+const mongoose = require('mongoose');
+const ServiceAccount = require('../models/ServiceAccount');
+const ApiKey = require('../models/ApiKey');
+const { API_KEY_SCOPES } = require('../middleware/permissions');
+const { createApiKey, rotateApiKey, revokeApiKey } = require('../services/apiKeys');
+const { recordAudit } = require('../services/auditLog');
+const { sendError } = require('../middleware/errorHandler');
+
+// Fields an admin may set on a service account
+const EDITABLE_FIELDS = ['name', 'description', 'isActive'];
+
+const findServiceAccount = (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return ServiceAccount.findById(id);
+};
+
+const findKey = (serviceAccountId, keyId) => {
+  if (!mongoose.isValidObjectId(serviceAccountId) || !mongoose.isValidObjectId(keyId)) return null;
+  return ApiKey.findOne({ _id: keyId, serviceAccount: serviceAccountId });
+};
+
+// Audit-safe view of a key: the prefix identifies it, the hash never leaves the database
+const keySnapshot = (apiKey) => ({
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  expiresAt: apiKey.expiresAt
+});
+
+// @desc    List the scopes API keys can be granted
+// @route   GET /api/service-accounts/scopes
+// @access  Private (admin)
+exports.getScopes = (req, res) => {
+  res.json(API_KEY_SCOPES);
+};
+
+// @desc    Get all service accounts
+// @route   GET /api/service-accounts
+// @access  Private (admin)
+exports.getServiceAccounts = async (req, res, next) => {
+  try {
+    const serviceAccounts = await ServiceAccount.find().sort({ createdAt: -1 });
+    res.json(serviceAccounts);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get a service account
+// @route   GET /api/service-accounts/:id
+// @access  Private (admin)
+exports.getServiceAccountById = async (req, res, next) => {
+  try {
+    const serviceAccount = await findServiceAccount(req.params.id);
+    if (!serviceAccount) {
+      return sendError(res, 404, 'Service account not found');
+    }
+    res.json(serviceAccount);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Create a service account
+// @route   POST /api/service-accounts
+// @access  Private (admin)
+exports.createServiceAccount = async (req, res, next) => {
+  try {
+    const { name, description } = req.body || {};
+    const serviceAccount = await ServiceAccount.create({
+      name,
+      description,
+      createdBy: req.user._id
+    });
+
+    await recordAudit({
+      req,
+      action: 'service_account.created',
+      entityType: 'ServiceAccount',
+      entityId: serviceAccount._id,
+      after: serviceAccount.toObject()
+    });
+
+    res.status(201).json(serviceAccount);
+  } catch (err) {
+    if (err.code === 11000) {
+      return sendError(res, 409, 'A service account with this name already exists');
+    }
+    next(err);
+  }
+};
+
+// @desc    Update a service account; deactivating it stops all of its keys
+// @route   PUT /api/service-accounts/:id
+// @access  Private (admin)
+exports.updateServiceAccount = async (req, res, next) => {
+  try {
+    const serviceAccount = await findServiceAccount(req.params.id);
+    if (!serviceAccount) {
+      return sendError(res, 404, 'Service account not found');
+    }
+
+    const before = serviceAccount.toObject();
+    const body = req.body || {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (body[field] !== undefined) {
+        serviceAccount[field] = body[field];
+      }
+    });
+    serviceAccount.updatedBy = req.user._id;
+
+    const updated = await serviceAccount.save();
+
+    await recordAudit({
+      req,
+      action: 'service_account.updated',
+      entityType: 'ServiceAccount',
+      entityId: updated._id,
+      before,
+      after: updated.toObject()
+    });
+
+    res.json(updated);
+  } catch (err) {
+    if (err.code === 11000) {
+      return sendError(res, 409, 'A service account with this name already exists');
+    }
+    next(err);
+  }
+};
+
+// @desc    List a service account's keys with their usage
+// @route   GET /api/service-accounts/:id/keys
+// @access  Private (admin)
+exports.getKeys = async (req, res, next) => {
+  try {
+    const serviceAccount = await findServiceAccount(req.params.id);
+    if (!serviceAccount) {
+      return sendError(res, 404, 'Service account not found');
+    }
+
+    const keys = await ApiKey.find({ serviceAccount: serviceAccount._id }).sort({ createdAt: -1 });
+    res.json(keys);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Issue an API key; the key is only returned here
+// @route   POST /api/service-accounts/:id/keys
+// @access  Private (admin)
+exports.createKey = async (req, res, next) => {
+  try {
+    const serviceAccount = await findServiceAccount(req.params.id);
+    if (!serviceAccount) {
+      return sendError(res, 404, 'Service account not found');
+    }
+    if (!serviceAccount.isActive) {
+      return sendError(res, 409, 'Service account is deactivated');
+    }
+
+    const { name, scopes, expiresInDays } = req.body || {};
+    const { apiKey, key } = await createApiKey(serviceAccount, { name, scopes, expiresInDays }, req.user);
+
+    await recordAudit({
+      req,
+      action: 'api_key.created',
+      entityType: 'ApiKey',
+      entityId: apiKey._id,
+      after: keySnapshot(apiKey),
+      metadata: { serviceAccount: serviceAccount._id }
+    });
+
+    res.status(201).json({ ...apiKey.toJSON(), key });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Rotate an API key: issues a new key and expires the old one after a grace period
+// @route   POST /api/service-accounts/:id/keys/:keyId/rotate
+// @access  Private (admin)
+exports.rotateKey = async (req, res, next) => {
+  try {
+    const apiKey = await findKey(req.params.id, req.params.keyId);
+    if (!apiKey) {
+      return sendError(res, 404, 'API key not found');
+    }
+
+    const { graceHours, expiresInDays } = req.body || {};
+    const { apiKey: newKey, key, previous } = await rotateApiKey(apiKey, { graceHours, expiresInDays }, req.user);
+
+    await recordAudit({
+      req,
+      action: 'api_key.rotated',
+      entityType: 'ApiKey',
+      entityId: previous._id,
+      before: keySnapshot(previous),
+      after: keySnapshot(newKey),
+      metadata: { newKeyId: newKey._id, oldKeyExpiresAt: previous.expiresAt }
+    });
+
+    res.status(201).json({ ...newKey.toJSON(), key, previousKeyExpiresAt: previous.expiresAt });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Revoke an API key immediately
+// @route   DELETE /api/service-accounts/:id/keys/:keyId
+// @access  Private (admin)
+exports.revokeKey = async (req, res, next) => {
+  try {
+    const apiKey = await findKey(req.params.id, req.params.keyId);
+    if (!apiKey) {
+      return sendError(res, 404, 'API key not found');
+    }
+
+    const revoked = await revokeApiKey(apiKey, (req.body || {}).reason || 'revoked_by_admin');
+
+    await recordAudit({
+      req,
+      action: 'api_key.revoked',
+      entityType: 'ApiKey',
+      entityId: revoked._id,
+      before: keySnapshot(revoked),
+      metadata: { reason: revoked.revokedReason }
+    });
+
+    res.json(revoked);
+  } catch (err) {
+    next(err);
+  }
+};
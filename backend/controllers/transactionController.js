@@ -1,90 +1,34 @@
 // File: backend/controllers/transactionController.js
 const Transaction = require('../models/Transaction');
 const User = require('../models/User');
-const { analyzeTransaction } = require('../services/fraudDetection');
+const { submitTransaction } = require('../services/transactionProcessing');
+const { recordAudit } = require('../services/auditLog');
+const { reviewTransaction } = require('../services/caseManagement');
+const { resolveFormat, importTransactions } = require('../services/transactionImport');
+const { buildTransactionQuery } = require('../services/transactionQuery');
+const {
+  EXPORT_FORMATS,
+  resolveColumns,
+  writeWithBackpressure,
+  exportTransactions
+} = require('../services/transactionExport');
+const { hasPermission } = require('../middleware/permissions');
+const { sendError, describeError } = require('../middleware/errorHandler');
 
 // @desc    Get all transactions with filtering
 // @route   GET /api/transactions
 // @access  Private
-exports.getTransactions = async (req, res) => {
+exports.getTransactions = async (req, res, next) => {
   try {
-    // Extract filter parameters from query string
+    // Extract pagination and sorting parameters from query string
     const {
-      startDate,
-      endDate,
-      minAmount,
-      maxAmount,
-      merchantCategory,
-      merchantName,
-      location,
-      cardLastFour,
-      isFlagged,
-      searchTerm,
       page = 1,
       limit = 20,
       sortField = 'timestamp',
       sortOrder = 'desc'
     } = req.query;
 
-    // Build filter query
-    const query = {};
-
-    // Date range filter
-    if (startDate || endDate) {
-      query.timestamp = {};
-      if (startDate) {
-        query.timestamp.$gte = new Date(startDate);
-      }
-      if (endDate) {
-        query.timestamp.$lte = new Date(endDate);
-      }
-    }
-
-    // Amount range filter
-    if (minAmount || maxAmount) {
-      query.amount = {};
-      if (minAmount) {
-        query.amount.$gte = parseFloat(minAmount);
-      }
-      if (maxAmount) {
-        query.amount.$lte = parseFloat(maxAmount);
-      }
-    }
-
-    // Merchant category filter
-    if (merchantCategory) {
-      query.merchantCategory = merchantCategory;
-    }
-
-    // Merchant name filter
-    if (merchantName) {
-      query.merchantName = { $regex: merchantName, $options: 'i' };
-    }
-
-    // Location filter
-    if (location) {
-      query['location.country'] = { $regex: location, $options: 'i' };
-    }
-
-    // Card last four digits filter
-    if (cardLastFour) {
-      query.cardLastFour = cardLastFour;
-    }
-
-    // Flag status filter
-    if (isFlagged !== undefined) {
-      query.isFlagged = isFlagged === 'true';
-    }
-
-    // Text search across multiple fields
-    if (searchTerm) {
-      query.$or = [
-        { merchantName: { $regex: searchTerm, $options: 'i' } },
-        { merchantCategory: { $regex: searchTerm, $options: 'i' } },
-        { 'location.country': { $regex: searchTerm, $options: 'i' } },
-        { 'location.city': { $regex: searchTerm, $options: 'i' } }
-      ];
-    }
+    const query = buildTransactionQuery(req.query);
 
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -119,105 +63,96 @@ exports.getTransactions = async (req, res) => {
     });
   } catch (err) {
     console.error('Error getting transactions:', err);
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 };
 
 // @desc    Get flagged transactions
 // @route   GET /api/transactions/flagged
 // @access  Private
-exports.getFlaggedTransactions = async (req, res) => {
+exports.getFlaggedTransactions = async (req, res, next) => {
   try {
     const transactions = await Transaction.find({ isFlagged: true })
       .sort({ timestamp: -1 })
+      .limit(req.query.limit)
       .populate('userId', 'name email');
       
     res.json(transactions);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 };
 
 // @desc    Get a single transaction by ID
 // @route   GET /api/transactions/:id
 // @access  Private
-exports.getTransactionById = async (req, res) => {
+exports.getTransactionById = async (req, res, next) => {
   try {
     const transaction = await Transaction.findById(req.params.id)
       .populate('userId', 'name email');
       
     if (!transaction) {
-      return res.status(404).json({ message: 'Transaction not found' });
+      return sendError(res, 404, 'Transaction not found');
     }
     
     res.json(transaction);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 };
 
 // @desc    Process new transaction
 // @route   POST /api/transactions
-// @access  Private
-exports.processTransaction = async (req, res) => {
+// @access  Private (analyst, admin, or API key with transactions:write)
+exports.processTransaction = async (req, res, next) => {
   try {
-    // Analyze transaction for fraud
-    const fraudAnalysis = await analyzeTransaction(req.body);
-    
-    // Create new transaction with fraud score
-    const transaction = new Transaction({
-      ...req.body,
-      fraudScore: fraudAnalysis.score,
-      isFlagged: fraudAnalysis.score > 70
-    });
-    
-    const savedTransaction = await transaction.save();
+    const { transaction, fraudAnalysis, decision } = await submitTransaction(req.body, req);
     
     res.status(201).json({
-      transaction: savedTransaction,
-      fraudAnalysis
+      transaction,
+      fraudAnalysis,
+      decision
     });
   } catch (err) {
-    res.status(400).json({ message: err.message });
+    next(err);
   }
 };
 
 // @desc    Update transaction fraud status
 // @route   PUT /api/transactions/:id/fraud-status
 // @access  Private
-exports.updateFraudStatus = async (req, res) => {
+exports.updateFraudStatus = async (req, res, next) => {
   try {
     const { isConfirmedFraud } = req.body;
     
     if (isConfirmedFraud === undefined) {
-      return res.status(400).json({ message: 'isConfirmedFraud field is required' });
+      return sendError(res, 400, 'isConfirmedFraud field is required');
     }
     
     const transaction = await Transaction.findById(req.params.id);
     
     if (!transaction) {
-      return res.status(404).json({ message: 'Transaction not found' });
-    }
-    
-    transaction.isConfirmedFraud = isConfirmedFraud;
-    
-    // If confirmed as not fraud, unflag it
-    if (isConfirmedFraud === false) {
-      transaction.isFlagged = false;
+      return sendError(res, 404, 'Transaction not found');
     }
     
-    const updatedTransaction = await transaction.save();
+    // Unflags a transaction confirmed as not fraud, and keeps its case in step
+    const updatedTransaction = await reviewTransaction(
+      transaction,
+      isConfirmedFraud ? 'confirmed_fraud' : 'false_positive',
+      req.user,
+      { req, action: 'transaction.fraud_status_updated' }
+    );
     
     res.json(updatedTransaction);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 };
 
 // @desc    Get transactions statistics
 // @route   GET /api/transactions/stats
 // @access  Private
-exports.getTransactionStats = async (req, res) => {
+exports.getTransactionStats = async (req, res, next) => {
   try {
     // Get total transactions
     const totalTransactions = await Transaction.countDocuments();
@@ -281,6 +216,96 @@ exports.getTransactionStats = async (req, res) => {
       transactionsByDay
     });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
-};
\ No newline at end of file
+};
+
+// @desc    Import a CSV or NDJSON file of transactions; streams back one NDJSON result per row, then a summary
+// @route   POST /api/transactions/import?format=csv|ndjson
+// @access  Private (analyst, admin)
+exports.importTransactions = async (req, res, next) => {
+  let format;
+  try {
+    format = resolveFormat(req.query.format, req.get('Content-Type'));
+  } catch (err) {
+    return next(err);
+  }
+
+  res.status(200).set('Content-Type', 'application/x-ndjson');
+
+  const writeLine = (data) => writeWithBackpressure(res, JSON.stringify(data) + '\n');
+
+  try {
+    const summary = await importTransactions(req, {
+      format,
+      req,
+      source: req.get('Content-Disposition'),
+      onResult: writeLine
+    });
+    await writeLine({ summary });
+  } catch (err) {
+    // Headers are already sent, so the failure goes in the stream
+    const { code, message } = describeError(err);
+    if (!err.statusCode) {
+      console.error('Error importing transactions:', err);
+    }
+    await writeLine({ error: { code, message } });
+  }
+  res.end();
+};
+
+// @desc    Export every transaction matching the list filters as CSV or NDJSON
+// @route   GET /api/transactions/export?format=csv|ndjson&fields=a,b&mask=false
+// @access  Private (analyst, admin; only admins may turn masking off)
+exports.exportTransactions = async (req, res, next) => {
+  const { format = 'csv', fields, mask, sortField = 'timestamp', sortOrder = 'desc' } = req.query;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return sendError(res, 400, `format must be one of ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  let columns;
+  try {
+    columns = resolveColumns(fields);
+  } catch (err) {
+    return next(err);
+  }
+
+  const unmasked = mask === false;
+  if (unmasked && !hasPermission(req.user.role, 'transactions:export_unmasked')) {
+    return sendError(res, 403, 'Only admins may export unmasked data');
+  }
+
+  const query = buildTransactionQuery(req.query);
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.status(200).set({
+    'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+    'Content-Disposition': `attachment; filename="transactions-${date}.${format}"`
+  });
+
+  let rows = 0;
+  try {
+    rows = await exportTransactions(query, {
+      format,
+      columns,
+      mask: !unmasked,
+      sort: { [sortField]: sortOrder === 'asc' ? 1 : -1 },
+      write: (chunk) => writeWithBackpressure(res, chunk),
+      isAborted: () => res.destroyed
+    });
+  } catch (err) {
+    // Headers are already sent, so cut the download short rather than pretend it completed
+    console.error('Error exporting transactions:', err);
+    res.destroy(err);
+    return;
+  }
+  res.end();
+
+  await recordAudit({
+    req,
+    action: 'transaction.exported',
+    entityType: 'Transaction',
+    metadata: { format, columns, masked: !unmasked, rows, filters: req.query }
+  });
+};
@@ -0,0 +1,137 @@
+// File: backend/controllers/verificationController.js
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const VerificationChallenge = require('../models/VerificationChallenge');
+const { createChallenge, getChallengeForAnswer, respondToChallenge } = require('../services/verification');
+const { sendError } = require('../middleware/errorHandler');
+
+const ANSWER_PROMPTS = {
+  confirm: { title: 'Confirm this purchase', button: 'Yes, this was me' },
+  deny: { title: 'Report this purchase', button: 'No, this was not me' }
+};
+
+const ANSWERED_MESSAGES = {
+  confirmed: 'Thank you, the transaction has been confirmed',
+  denied: 'Thank you, the transaction has been reported as fraud'
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+// Minimal standalone page for cardholders following a notification link
+const sendPage = (res, status, title, content) => {
+  res.status(status).type('html').send(
+    '<!DOCTYPE html><html lang="en"><head><meta charset="utf-8">' +
+    '<meta name="viewport" content="width=device-width, initial-scale=1">' +
+    `<title>${escapeHtml(title)}</title></head>` +
+    `<body><h1>${escapeHtml(title)}</h1>${content}</body></html>`
+  );
+};
+
+// Browsers submitting the confirmation form get a page; API clients keep JSON
+const wantsHtml = (req) => req.accepts(['json', 'html']) === 'html';
+
+// @desc    Page the notification link opens: shows the purchase and asks the cardholder to submit the answer
+// @route   GET /api/verifications/:challengeId/respond
+// @access  Public (signed)
+exports.showResponsePage = async (req, res, next) => {
+  try {
+    const { answer, signature } = req.query;
+    const { challenge, transaction } = await getChallengeForAnswer(req.params.challengeId, answer, signature);
+    const prompt = ANSWER_PROMPTS[answer];
+
+    if (challenge.status !== 'pending') {
+      return sendPage(res, 409, prompt.title, `<p>This request is already ${escapeHtml(challenge.status)}.</p>`);
+    }
+    if (challenge.expiresAt <= new Date()) {
+      return sendPage(res, 410, prompt.title, '<p>This request has expired.</p>');
+    }
+
+    const description = transaction
+      ? `<p>A payment of ${escapeHtml(transaction.amount)} at ${escapeHtml(transaction.merchantName)} ` +
+        `on the card ending ${escapeHtml(transaction.cardLastFour)}.</p>`
+      : '';
+
+    // Posts back to this URL; answering only on submit keeps link scanners from answering
+    sendPage(res, 200, prompt.title, description +
+      '<form method="post">' +
+      `<input type="hidden" name="answer" value="${escapeHtml(answer)}">` +
+      `<input type="hidden" name="signature" value="${escapeHtml(signature)}">` +
+      `<button type="submit">${escapeHtml(prompt.button)}</button>` +
+      '</form>');
+  } catch (err) {
+    if (err.statusCode) {
+      return sendPage(res, err.statusCode, 'Verification', `<p>${escapeHtml(err.message)}</p>`);
+    }
+    next(err);
+  }
+};
+
+// @desc    Cardholder answers a "was this you?" challenge (answer and signature from the notification link)
+// @route   POST /api/verifications/:challengeId/respond
+// @access  Public (signed)
+exports.respond = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.challengeId)) {
+      return sendError(res, 404, 'Verification not found');
+    }
+
+    const body = req.body || {};
+    const answer = body.answer || req.query.answer;
+    const signature = body.signature || req.query.signature;
+    const challenge = await respondToChallenge(req.params.challengeId, answer, signature, req);
+    const message = ANSWERED_MESSAGES[challenge.status];
+
+    if (wantsHtml(req)) {
+      return sendPage(res, 200, 'Verification', `<p>${escapeHtml(message)}</p>`);
+    }
+    res.json({ status: challenge.status, message });
+  } catch (err) {
+    if (err.statusCode && wantsHtml(req)) {
+      return sendPage(res, err.statusCode, 'Verification', `<p>${escapeHtml(err.message)}</p>`);
+    }
+    next(err);
+  }
+};
+
+// @desc    Send (or re-send) a verification for a flagged transaction
+// @route   POST /api/verifications
+// @access  Private (analyst, admin)
+exports.createVerification = async (req, res, next) => {
+  try {
+    const { transactionId } = req.body || {};
+    const transaction = mongoose.isValidObjectId(transactionId) && await Transaction.findById(transactionId);
+    if (!transaction) {
+      return sendError(res, 404, 'Transaction not found');
+    }
+
+    if (!transaction.isFlagged || transaction.isConfirmedFraud) {
+      return sendError(res, 400, 'Only flagged, unresolved transactions can be verified');
+    }
+
+    const challenge = await createChallenge(transaction, { actor: req.user });
+    res.status(201).json(challenge);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get the verifications sent for a transaction, newest first
+// @route   GET /api/verifications/transaction/:transactionId
+// @access  Private (analyst, admin)
+exports.getTransactionVerifications = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.transactionId)) {
+      return sendError(res, 404, 'Transaction not found');
+    }
+
+    const challenges = await VerificationChallenge.find({ transactionId: req.params.transactionId })
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'name email');
+
+    res.json(challenges);
+  } catch (err) {
+    next(err);
+  }
+};
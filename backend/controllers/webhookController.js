@@ -0,0 +1,204 @@
+// File: backend/controllers/webhookController.js
+const mongoose = require('mongoose');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { generateSecret, replayDelivery } = require('../services/webhooks');
+const { recordAudit } = require('../services/auditLog');
+const { sendError } = require('../middleware/errorHandler');
+
+// Fields an admin may set on a subscription
+const EDITABLE_FIELDS = ['name', 'url', 'events', 'isActive', 'description'];
+
+const pickEditable = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+const findSubscription = (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return WebhookSubscription.findById(id);
+};
+
+// @desc    List the events subscriptions can listen for
+// @route   GET /api/webhooks/events
+// @access  Private (admin)
+exports.getEvents = (req, res) => {
+  res.json(WebhookSubscription.EVENTS);
+};
+
+// @desc    Get all webhook subscriptions
+// @route   GET /api/webhooks
+// @access  Private (admin)
+exports.getSubscriptions = async (req, res, next) => {
+  try {
+    const subscriptions = await WebhookSubscription.find().sort({ createdAt: -1 });
+    res.json(subscriptions);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get a webhook subscription
+// @route   GET /api/webhooks/:id
+// @access  Private (admin)
+exports.getSubscriptionById = async (req, res, next) => {
+  try {
+    const subscription = await findSubscription(req.params.id);
+    if (!subscription) {
+      return sendError(res, 404, 'Webhook subscription not found');
+    }
+    res.json(subscription);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Create a webhook subscription; the signing secret is only returned here
+// @route   POST /api/webhooks
+// @access  Private (admin)
+exports.createSubscription = async (req, res, next) => {
+  try {
+    const subscription = await WebhookSubscription.create({
+      ...pickEditable(req.body || {}),
+      secret: generateSecret(),
+      createdBy: req.user._id
+    });
+
+    const { secret, ...after } = subscription.toObject();
+    await recordAudit({
+      req,
+      action: 'webhook.created',
+      entityType: 'WebhookSubscription',
+      entityId: subscription._id,
+      after
+    });
+
+    res.status(201).json({ ...after, secret });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Update a webhook subscription
+// @route   PUT /api/webhooks/:id
+// @access  Private (admin)
+exports.updateSubscription = async (req, res, next) => {
+  try {
+    const subscription = await findSubscription(req.params.id);
+    if (!subscription) {
+      return sendError(res, 404, 'Webhook subscription not found');
+    }
+
+    const before = subscription.toObject();
+    subscription.set(pickEditable(req.body || {}));
+    subscription.updatedBy = req.user._id;
+    const updatedSubscription = await subscription.save();
+
+    await recordAudit({
+      req,
+      action: 'webhook.updated',
+      entityType: 'WebhookSubscription',
+      entityId: subscription._id,
+      before,
+      after: updatedSubscription.toObject()
+    });
+
+    res.json(updatedSubscription);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Delete a webhook subscription
+// @route   DELETE /api/webhooks/:id
+// @access  Private (admin)
+exports.deleteSubscription = async (req, res, next) => {
+  try {
+    const subscription = await findSubscription(req.params.id);
+    if (!subscription) {
+      return sendError(res, 404, 'Webhook subscription not found');
+    }
+
+    await subscription.deleteOne();
+
+    await recordAudit({
+      req,
+      action: 'webhook.deleted',
+      entityType: 'WebhookSubscription',
+      entityId: subscription._id,
+      before: subscription.toObject()
+    });
+
+    res.json({ message: 'Webhook subscription deleted' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get the delivery log for a subscription, newest first
+// @route   GET /api/webhooks/:id/deliveries
+// @access  Private (admin)
+exports.getDeliveries = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return sendError(res, 404, 'Webhook subscription not found');
+    }
+
+    const { status, event, page, limit } = req.query;
+    const query = { subscriptionId: req.params.id };
+    if (status) query.status = status;
+    if (event) query.event = event;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookDelivery.countDocuments(query)
+    ]);
+
+    res.json({
+      deliveries,
+      pagination: {
+        total,
+        pages: Math.ceil(total / limit),
+        page,
+        limit
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Send a logged delivery again
+// @route   POST /api/webhooks/deliveries/:deliveryId/replay
+// @access  Private (admin)
+exports.replayDelivery = async (req, res, next) => {
+  try {
+    const delivery = mongoose.isValidObjectId(req.params.deliveryId) &&
+      await WebhookDelivery.findById(req.params.deliveryId);
+    if (!delivery) {
+      return sendError(res, 404, 'Webhook delivery not found');
+    }
+
+    const replay = await replayDelivery(delivery);
+
+    await recordAudit({
+      req,
+      action: 'webhook.replayed',
+      entityType: 'WebhookSubscription',
+      entityId: delivery.subscriptionId,
+      metadata: { deliveryId: delivery._id, replayId: replay._id, eventId: delivery.eventId }
+    });
+
+    res.status(201).json(replay);
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,6 +1,12 @@
 // File: backend/middleware/auth.js
 const jwt = require('jsonwebtoken');
 const Auth = require('../models/Auth');
+const { findActiveSession } = require('../services/sessions');
+const { redeemStreamTicket } = require('../services/streamTickets');
+const { verifyPreAuthToken } = require('../services/twoFactor');
+const { rolesFor, scopesGrant } = require('./permissions');
+const { apiKeyFromRequest, authenticateApiKey } = require('../services/apiKeys');
+const { sendError } = require('./errorHandler');
 
 // Protect routes
 exports.protect = async (req, res, next) => {
@@ -17,25 +23,30 @@ exports.protect = async (req, res, next) => {
 
   // Make sure token exists
   if (!token) {
-    return res.status(401).json({
-      success: false,
-      message: 'Not authorized to access this route'
-    });
+    return sendError(res, 401, 'Not authorized to access this route');
   }
 
   try {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    // Set user in req object
-    req.user = await Auth.findById(decoded.id);
+    // Tokens must belong to a live session, and are stale once the account's role changes
+    const [user, session] = await Promise.all([
+      Auth.findById(decoded.id),
+      findActiveSession(decoded.sid)
+    ]);
+    if (!user || !user.isActive || !session || String(session.authId) !== String(user._id) ||
+        decoded.role !== user.role) {
+      return sendError(res, 401, 'Not authorized to access this route');
+    }
+
+    // Set user and session in req object
+    req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
-    return res.status(401).json({
-      success: false,
-      message: 'Not authorized to access this route'
-    });
+    return sendError(res, 401, 'Not authorized to access this route');
   }
 };
 
@@ -43,18 +54,104 @@ exports.protect = async (req, res, next) => {
 exports.authorize = (...roles) => {
   return (req, res, next) => {
     if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Not authorized to access this route'
-      });
+      return sendError(res, 401, 'Not authorized to access this route');
     }
     
     if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: `User role ${req.user.role} is not authorized to access this route`
-      });
+      return sendError(res, 403, `User role ${req.user.role} is not authorized to access this route`);
     }
     next();
   };
-};
\ No newline at end of file
+};
+
+// Grant access to the roles holding a permission in the permission matrix,
+// or to API keys with a scope that carries it
+exports.requirePermission = (permission) => {
+  const authorizeRoles = exports.authorize(...rolesFor(permission));
+
+  const checkPermission = (req, res, next) => {
+    if (!req.apiKey) {
+      return authorizeRoles(req, res, next);
+    }
+    if (!scopesGrant(req.apiKey.scopes, permission)) {
+      return sendError(res, 403, 'API key does not have a scope for this route');
+    }
+    next();
+  };
+  // Lets the route tests read which permission guards a route
+  checkPermission.permission = permission;
+  return checkPermission;
+};
+
+// Protect routes that machine clients may call. Accepts an API key in the
+// X-API-Key header (or as the bearer token), and otherwise behaves like protect.
+// Only requirePermission() lets API keys through, so routes must use it.
+exports.protectOrApiKey = async (req, res, next) => {
+  // Already authenticated by the global rate limiter, which keys on the API key
+  if (req.apiKey) {
+    return next();
+  }
+
+  const rawKey = apiKeyFromRequest(req);
+  if (!rawKey) {
+    return exports.protect(req, res, next);
+  }
+
+  try {
+    const authenticated = await authenticateApiKey(rawKey, req);
+    if (!authenticated) {
+      return sendError(res, 401, 'Invalid or expired API key');
+    }
+
+    req.apiKey = authenticated.apiKey;
+    req.serviceAccount = authenticated.serviceAccount;
+    next();
+  } catch (error) {
+    console.error('API key auth error:', error);
+    return sendError(res, 401, 'Not authorized to access this route');
+  }
+};
+
+// Protect routes that browsers open without custom headers, such as EventSource
+// streams, with a single-use ?ticket= issued to an authenticated session. Access
+// tokens are never accepted in the URL, where proxies and logs would keep them.
+exports.protectStreamTicket = async (req, res, next) => {
+  try {
+    const access = await redeemStreamTicket(req.query.ticket);
+    if (!access) {
+      return sendError(res, 401, 'Invalid or expired stream ticket');
+    }
+
+    req.user = access.user;
+    req.authSession = access.session;
+    next();
+  } catch (error) {
+    console.error('Stream ticket auth error:', error);
+    return sendError(res, 401, 'Not authorized to access this route');
+  }
+};
+
+// Protect 2FA enrolment routes. Besides a normal access token, accepts the
+// pre-auth token issued at login when policy requires 2FA but it is not set up yet.
+exports.protectEnrollment = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer') ? header.split(' ')[1] : undefined;
+
+  let decoded;
+  try {
+    decoded = token && jwt.decode(token);
+  } catch (error) {
+    decoded = null;
+  }
+  if (!decoded || decoded.purpose !== 'enroll') {
+    return exports.protect(req, res, next);
+  }
+
+  try {
+    req.user = await verifyPreAuthToken(token, 'enroll');
+    req.preAuth = true;
+    next();
+  } catch (error) {
+    return sendError(res, 401, 'Not authorized to access this route');
+  }
+};
@@ -0,0 +1,139 @@
+// File: backend/middleware/errorHandler.js
+// Purpose: Uniform error envelope for every API error, and the final Express error handler
+//
+// Every error response has the shape
+//   { success: false, code: 'NOT_FOUND', message: 'Transaction not found', details?: [...] }
+// Unexpected errors are logged and answered with a generic message, so internals never leak.
+
+// Default machine-readable code for each status
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+/**
+ * Creates an error the handler turns into a response
+ * @param {Number} statusCode HTTP status
+ * @param {String} message Message safe to show to the client
+ * @param {String} [code] Machine-readable code, defaulting to one for the status
+ * @param {Array<Object>} [details] Per-field problems, e.g. from validation
+ * @returns {Error}
+ */
+const httpError = (statusCode, message, code, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code || STATUS_CODES[statusCode];
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
+/**
+ * Sends an error response directly, for handlers that answer without throwing
+ * @param {Object} res Express response
+ * @param {Number} statusCode HTTP status
+ * @param {String} message Message safe to show to the client
+ * @param {String} [code] Machine-readable code
+ * @param {Array<Object>} [details] Per-field problems
+ */
+const sendError = (res, statusCode, message, code, details) => {
+  const body = {
+    success: false,
+    code: code || STATUS_CODES[statusCode] || 'ERROR',
+    message
+  };
+  if (details) {
+    body.details = details;
+  }
+  return res.status(statusCode).json(body);
+};
+
+/**
+ * Maps an error to what the client may see
+ * @param {Error} err Any error
+ * @returns {Object} { statusCode, code, message, details }; unexpected errors get a generic message
+ */
+const describeError = (err) => {
+  // Malformed or oversized request bodies, from express.json()
+  if (err.type === 'entity.parse.failed') {
+    return { statusCode: 400, code: 'INVALID_JSON', message: 'Request body is not valid JSON' };
+  }
+  if (err.type === 'entity.too.large') {
+    return { statusCode: 413, code: 'PAYLOAD_TOO_LARGE', message: 'Request body is too large' };
+  }
+
+  if (err.name === 'ValidationError' && err.errors) {
+    return {
+      statusCode: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Request validation failed',
+      details: Object.values(err.errors).map(fieldError => ({
+        location: 'body',
+        field: fieldError.path,
+        message: fieldError.message
+      }))
+    };
+  }
+  if (err.name === 'CastError') {
+    return { statusCode: 400, code: 'INVALID_VALUE', message: `Invalid value for ${err.path}` };
+  }
+  if (err.code === 11000) {
+    return { statusCode: 409, code: 'DUPLICATE', message: 'A record with these values already exists' };
+  }
+
+  // Errors raised on purpose carry a status (see httpError and the services' error helpers)
+  if (err.statusCode && err.statusCode < 500) {
+    return {
+      statusCode: err.statusCode,
+      code: typeof err.code === 'string' ? err.code : STATUS_CODES[err.statusCode] || 'ERROR',
+      message: err.message,
+      details: err.details
+    };
+  }
+
+  return {
+    statusCode: err.statusCode || 500,
+    code: STATUS_CODES[err.statusCode] || 'INTERNAL_ERROR',
+    message: 'Server error'
+  };
+};
+
+// Answers requests that matched no route
+const notFound = (req, res, next) => {
+  next(httpError(404, `Route ${req.method} ${req.path} not found`, 'ROUTE_NOT_FOUND'));
+};
+
+// Final error handler; mounted last in server.js.
+// Express recognises error handlers by their four arguments, so next must stay.
+const errorHandler = (err, req, res, next) => {
+  // Streaming responses that already started cannot switch to an error body;
+  // Express's default handler closes the connection instead
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const { statusCode, code, message, details } = describeError(err);
+  if (statusCode >= 500) {
+    console.error(`Unhandled error for ${req.method} ${req.originalUrl}:`, err);
+  }
+
+  sendError(res, statusCode, message, code, details);
+};
+
+module.exports = {
+  STATUS_CODES,
+  httpError,
+  sendError,
+  describeError,
+  notFound,
+  errorHandler
+};
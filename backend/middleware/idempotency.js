@@ -0,0 +1,78 @@
+// File: backend/middleware/idempotency.js
+// Purpose: Honours the Idempotency-Key header on routes that create records
+//
+// The first request with a key runs normally and its response is stored.
+// A retry with the same key and body gets that response again, marked with
+// an Idempotent-Replayed: true header, instead of creating a second record.
+
+const { hashRequest, beginRequest, completeRequest, releaseRequest } = require('../services/idempotency');
+const { sendError } = require('./errorHandler');
+
+// Visible ASCII only; long enough for a UUID or a gateway's own request id
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// Keys are scoped to the client, so two clients cannot collide or read each other's results
+const ownerOf = (req) => {
+  if (req.serviceAccount) {
+    return `service:${req.serviceAccount._id}`;
+  }
+  return `account:${req.user._id}`;
+};
+
+/**
+ * Idempotency middleware; mount after authentication and validation
+ * @returns {Function} Express middleware
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+  if (!KEY_PATTERN.test(key)) {
+    return sendError(res, 400, 'Idempotency-Key must be 1-255 visible ASCII characters', 'INVALID_IDEMPOTENCY_KEY');
+  }
+
+  let claim;
+  try {
+    claim = await beginRequest({
+      owner: ownerOf(req),
+      key,
+      endpoint: `${req.method} ${req.baseUrl}${req.path}`,
+      requestHash: hashRequest(req.body)
+    });
+  } catch (error) {
+    return next(error);
+  }
+
+  const { record, replay } = claim;
+  if (replay) {
+    return res.status(record.responseStatus)
+      .set('Idempotent-Replayed', 'true')
+      .type('json')
+      .send(record.responseBody);
+  }
+
+  // Capture the response; the outcome is stored before it is sent, so a
+  // retry arriving right after the response always finds it. If the client
+  // disconnects first, the handler still finishes and its outcome is stored.
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    res.json = sendJson;
+
+    // Server errors free the key so the client can retry; anything else is final
+    const store = res.statusCode >= 500
+      ? releaseRequest(record)
+      : completeRequest(record, res.statusCode, JSON.stringify(body));
+
+    store
+      .catch(error => console.error('Error storing idempotent response:', error))
+      .then(() => sendJson(body));
+    return res;
+  };
+
+  next();
+};
+
+module.exports = {
+  idempotency
+};
@@ -0,0 +1,106 @@
+// File: backend/middleware/permissions.js
+// Purpose: Permission matrix mapping each permission to the roles that hold it
+//
+// Every protected route asks for a permission rather than naming roles, so
+// the whole access policy can be reviewed (and checked) in this one table.
+
+const ROLES = ['user', 'analyst', 'admin'];
+
+const STAFF = ['analyst', 'admin'];
+const ADMIN = ['admin'];
+
+const PERMISSIONS = {
+  // Transactions; processors submit them with API keys
+  'transactions:create': STAFF,
+  'transactions:read': STAFF,
+  'transactions:review': STAFF,
+  'transactions:import': STAFF,
+  'transactions:export': STAFF,
+  'transactions:export_unmasked': ADMIN,
+
+  // Real-time decisions; callers outside the fraud team use API keys
+  'decisions:create': STAFF,
+  'decisions:read': STAFF,
+  'decision_policy:read': STAFF,
+  'decision_policy:update': ADMIN,
+
+  // Cardholders and their cards
+  'cardholders:read': STAFF,
+  'cardholders:create': ADMIN,
+  'cardholders:profile_rebuild': STAFF,
+  'cards:manage': STAFF,
+
+  // Fraud investigation
+  'fraud:read': STAFF,
+  'fraud:review': STAFF,
+  'cases:manage': STAFF,
+  'verifications:manage': STAFF,
+  'alerts:stream': STAFF,
+  'dashboard:read': STAFF,
+
+  // Detection configuration
+  'rules:backtest': STAFF,
+  'rules:manage': ADMIN,
+  'models:manage': ADMIN,
+
+  // Merchants and their allow/block lists
+  'merchants:read': STAFF,
+  'merchants:manage': ADMIN,
+
+  // Administration
+  'audit:read': ADMIN,
+  'webhooks:manage': ADMIN,
+  'accounts:manage': ADMIN,
+  'service_accounts:manage': ADMIN,
+  'security_policy:manage': ADMIN
+};
+
+// Scopes an API key can be granted, and the permissions each one carries.
+// Keys are limited to these; every other route rejects them.
+const API_KEY_SCOPES = {
+  'transactions:write': ['transactions:create'],
+  'transactions:read': ['transactions:read'],
+  'decisions:write': ['decisions:create'],
+  'decisions:read': ['decisions:read']
+};
+
+/**
+ * Roles holding a permission
+ * @param {String} permission Permission name, e.g. cases:manage
+ * @returns {Array<String>} Roles
+ */
+const rolesFor = (permission) => {
+  const roles = PERMISSIONS[permission];
+  if (!roles) {
+    // Fail at startup rather than silently opening or closing a route
+    throw new Error(`Unknown permission ${permission}`);
+  }
+  return roles;
+};
+
+/**
+ * Whether a role holds a permission
+ * @param {String} role Account role
+ * @param {String} permission Permission name
+ * @returns {Boolean}
+ */
+const hasPermission = (role, permission) => rolesFor(permission).includes(role);
+
+/**
+ * Whether an API key's scopes grant a permission
+ * @param {Array<String>} scopes Scopes of the key
+ * @param {String} permission Permission name
+ * @returns {Boolean}
+ */
+const scopesGrant = (scopes, permission) => {
+  return scopes.some(scope => (API_KEY_SCOPES[scope] || []).includes(permission));
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  rolesFor,
+  hasPermission,
+  scopesGrant
+};
@@ -0,0 +1,129 @@
+// File: backend/middleware/rateLimit.js
+// Purpose: Fixed-window rate limiting per client IP, API key or access token
+
+const jwt = require('jsonwebtoken');
+const { getRateLimitStore } = require('../services/rateLimitStore');
+const { apiKeyFromRequest, authenticateApiKey } = require('../services/apiKeys');
+const { sendError } = require('./errorHandler');
+
+// API key or session (or account) behind the bearer token; falls back to the IP for anonymous requests.
+// The signature is checked so clients cannot spread requests over made-up keys.
+const tokenKey = (req) => {
+  if (req.apiKey) {
+    return `apikey:${req.apiKey._id}`;
+  }
+  if (req.authSession) {
+    return `session:${req.authSession._id}`;
+  }
+
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer')) {
+    try {
+      const decoded = jwt.verify(header.split(' ')[1], process.env.JWT_SECRET);
+      return decoded.sid ? `session:${decoded.sid}` : `account:${decoded.id}`;
+    } catch (error) {
+      // Invalid tokens are limited by IP; protect() rejects them afterwards
+    }
+  }
+  return `ip:${req.ip}`;
+};
+
+// API key for requests that present a valid one, so clients sharing an IP (e.g. behind a
+// processor's NAT) are limited separately; anything else by IP, so made-up keys gain nothing.
+// Runs before the routers, so it authenticates the key itself and leaves the result on the
+// request for protectOrApiKey.
+const clientKey = async (req) => {
+  const rawKey = apiKeyFromRequest(req);
+  if (rawKey) {
+    const authenticated = await authenticateApiKey(rawKey, req);
+    if (authenticated) {
+      req.apiKey = authenticated.apiKey;
+      req.serviceAccount = authenticated.serviceAccount;
+      return `apikey:${authenticated.apiKey._id}`;
+    }
+  }
+  return `ip:${req.ip}`;
+};
+
+const KEY_GENERATORS = {
+  ip: (req) => `ip:${req.ip}`,
+  client: clientKey,
+  token: tokenKey
+};
+
+/**
+ * Builds a rate-limiting middleware
+ *
+ * Sets the RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers
+ * on every response, and answers 429 with Retry-After once the limit is hit.
+ * If the store fails, requests are let through rather than taking the API down.
+ *
+ * @param {Object} options
+ * @param {String} options.name Limiter name, keeps counters of different limiters apart
+ * @param {Number} options.max Requests allowed per window
+ * @param {Number} options.windowMs Window length in milliseconds
+ * @param {String} [options.keyBy] ip (default), client or token
+ * @returns {Function} Express middleware
+ */
+const rateLimit = ({ name, max, windowMs, keyBy = 'ip' }) => {
+  const keyFor = KEY_GENERATORS[keyBy];
+  if (!keyFor) {
+    throw new Error(`Unknown rate limit key ${keyBy}`);
+  }
+
+  return async (req, res, next) => {
+    let result;
+    try {
+      result = await getRateLimitStore().increment(`${name}:${await keyFor(req)}`, windowMs);
+    } catch (error) {
+      console.error('Rate limit store error:', error);
+      return next();
+    }
+
+    const resetSeconds = Math.max(0, Math.ceil((result.resetAt.getTime() - Date.now()) / 1000));
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - result.count)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (result.count > max) {
+      res.set('Retry-After', String(resetSeconds));
+      return sendError(res, 429, 'Too many requests, please try again later');
+    }
+    next();
+  };
+};
+
+// Limits used by the routers; each can be tuned through the environment
+const limitFromEnv = (variable, fallback) => Number(process.env[variable]) || fallback;
+
+// Every API request, per API key or otherwise per client IP
+const apiLimiter = rateLimit({
+  name: 'api',
+  max: limitFromEnv('API_RATE_LIMIT', 300),
+  windowMs: 60 * 1000,
+  keyBy: 'client'
+});
+
+// Login, 2FA, token refresh and password reset attempts, per client IP
+const authLimiter = rateLimit({
+  name: 'auth',
+  max: limitFromEnv('AUTH_RATE_LIMIT', 20),
+  windowMs: 15 * 60 * 1000
+});
+
+// Transaction submissions, per access token or API key
+const transactionLimiter = rateLimit({
+  name: 'transactions',
+  max: limitFromEnv('TRANSACTION_RATE_LIMIT', 120),
+  windowMs: 60 * 1000,
+  keyBy: 'token'
+});
+
+module.exports = {
+  rateLimit,
+  apiLimiter,
+  authLimiter,
+  transactionLimiter
+};
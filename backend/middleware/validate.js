@@ -0,0 +1,319 @@
+// File: backend/middleware/validate.js
+// Purpose: Schema-driven validation of request params, query strings and bodies
+//
+// A schema lists every field a route accepts; anything else is rejected.
+// Values are coerced (query strings to numbers, dates and booleans) and
+// defaults applied, so handlers only ever see clean input:
+//
+//   router.get('/', validate({
+//     query: { page: t.integer({ min: 1, default: 1 }), isFlagged: t.boolean() }
+//   }), getTransactions);
+
+const mongoose = require('mongoose');
+const { httpError } = require('./errorHandler');
+
+// Longest string accepted unless a field sets its own max
+const DEFAULT_MAX_LENGTH = 1000;
+
+// Longest search term matched with a regex, to keep pattern scans cheap
+const MAX_SEARCH_LENGTH = 100;
+
+/**
+ * Builds a field type
+ * @param {Function} check (value, context) => { value } or { error }
+ * @param {Object} options
+ * @param {Boolean} [options.required] Reject the request when the field is missing
+ * @param {*} [options.default] Value used when the field is missing
+ * @param {Boolean} [options.nullable] Accept null, e.g. to clear a value
+ * @returns {Object} Field definition
+ */
+const fieldType = (check, { required = false, default: defaultValue, nullable = false } = {}) => ({
+  required,
+  defaultValue,
+  nullable,
+  check
+});
+
+// Query strings, route params and CSV files carry every value as text
+const TEXT_LOCATIONS = ['query', 'params', 'csv'];
+
+const fromText = (context) => TEXT_LOCATIONS.includes(context.location);
+
+const types = {
+  /**
+   * Text
+   * @param {Object} [options] min, max, pattern, trim (default true), plus required / default
+   */
+  string: (options = {}) => fieldType((value) => {
+    if (typeof value !== 'string') return { error: 'must be a string' };
+    const text = options.trim === false ? value : value.trim();
+    const max = options.max || DEFAULT_MAX_LENGTH;
+    if (options.min !== undefined && text.length < options.min) {
+      return { error: `must be at least ${options.min} characters` };
+    }
+    if (text.length > max) return { error: `must be at most ${max} characters` };
+    if (options.pattern && !options.pattern.test(text)) {
+      return { error: options.patternMessage || 'has an invalid format' };
+    }
+    return { value: text };
+  }, options),
+
+  /**
+   * Free-text search term; kept short and stripped of control characters.
+   * Callers must still escape it before using it in a regex (see escapeRegex).
+   */
+  search: (options = {}) => fieldType((value) => {
+    if (typeof value !== 'string') return { error: 'must be a string' };
+    const text = value.trim();
+    if (text.length > MAX_SEARCH_LENGTH) {
+      return { error: `must be at most ${MAX_SEARCH_LENGTH} characters` };
+    }
+    if (/[\u0000-\u001f]/.test(text)) return { error: 'contains control characters' };
+    return { value: text };
+  }, options),
+
+  /**
+   * One of a fixed set of strings
+   * @param {Array<String>} values Allowed values
+   */
+  enum: (values, options = {}) => fieldType((value) => {
+    if (!values.includes(value)) return { error: `must be one of: ${values.join(', ')}` };
+    return { value };
+  }, options),
+
+  /**
+   * Whole number; numeric strings are accepted from text sources (query string, params, CSV)
+   * @param {Object} [options] min, max, plus required / default
+   */
+  integer: (options = {}) => fieldType((value, context) => {
+    const number = typeof value === 'string' && fromText(context) && value.trim() !== '' ? Number(value) : value;
+    if (!Number.isInteger(number)) return { error: 'must be a whole number' };
+    if (options.min !== undefined && number < options.min) return { error: `must be at least ${options.min}` };
+    if (options.max !== undefined && number > options.max) return { error: `must be at most ${options.max}` };
+    return { value: number };
+  }, options),
+
+  /**
+   * Finite number; numeric strings are accepted from text sources (query string, params, CSV)
+   * @param {Object} [options] min, max, plus required / default
+   */
+  number: (options = {}) => fieldType((value, context) => {
+    const number = typeof value === 'string' && fromText(context) && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) return { error: 'must be a number' };
+    if (options.min !== undefined && number < options.min) return { error: `must be at least ${options.min}` };
+    if (options.max !== undefined && number > options.max) return { error: `must be at most ${options.max}` };
+    return { value: number };
+  }, options),
+
+  /**
+   * true or false; 'true' and 'false' are accepted from text sources
+   */
+  boolean: (options = {}) => fieldType((value, context) => {
+    if (typeof value === 'boolean') return { value };
+    if (fromText(context) && (value === 'true' || value === 'false')) return { value: value === 'true' };
+    return { error: 'must be true or false' };
+  }, options),
+
+  /**
+   * Date as an ISO 8601 string or epoch milliseconds
+   */
+  date: (options = {}) => fieldType((value) => {
+    const valid = typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value));
+    const date = valid ? new Date(value) : null;
+    if (!date || Number.isNaN(date.getTime())) return { error: 'must be a valid date' };
+    return { value: date };
+  }, options),
+
+  /**
+   * MongoDB ObjectId as a 24-character hex string
+   */
+  objectId: (options = {}) => fieldType((value) => {
+    if (typeof value !== 'string' || !mongoose.isValidObjectId(value) || !/^[a-f0-9]{24}$/i.test(value)) {
+      return { error: 'must be a valid id' };
+    }
+    return { value };
+  }, options),
+
+  /**
+   * List of items of one type
+   * @param {Object} item Field type of each item
+   * @param {Object} [options] min, max (default 100), plus required / default
+   */
+  array: (item, options = {}) => fieldType((value, context) => {
+    if (!Array.isArray(value)) return { error: 'must be a list' };
+    const max = options.max || 100;
+    if (value.length > max) return { error: `must have at most ${max} items` };
+    if (options.min !== undefined && value.length < options.min) {
+      return { error: `must have at least ${options.min} items` };
+    }
+    const result = [];
+    for (let i = 0; i < value.length; i++) {
+      const checked = checkField(item, value[i], { ...context, path: `${context.path}[${i}]` });
+      if (checked.errors.length) return { errors: checked.errors };
+      result.push(checked.value);
+    }
+    return { value: result };
+  }, options),
+
+  /**
+   * Nested object with its own fields; unknown fields are rejected
+   * @param {Object} shape Field types by name
+   */
+  object: (shape, options = {}) => fieldType((value, context) => {
+    if (!isPlainObject(value)) return { error: 'must be an object' };
+    const checked = checkShape(shape, value, context);
+    return checked.errors.length ? { errors: checked.errors } : { value: checked.value };
+  }, options),
+
+  /**
+   * Any JSON object, for free-form settings checked elsewhere (e.g. rule conditions)
+   * @param {Object} [options] maxKeys (default 50), plus required / default
+   */
+  json: (options = {}) => fieldType((value) => {
+    if (!isPlainObject(value)) return { error: 'must be an object' };
+    if (Object.keys(value).length > (options.maxKeys || 50)) return { error: 'has too many fields' };
+    return { value };
+  }, options)
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Runs one field's check, returning its value and any problems found
+const checkField = (definition, value, context) => {
+  const result = definition.check(value, context);
+  if (result.errors) {
+    return { errors: result.errors };
+  }
+  if (result.error) {
+    return { errors: [{ location: context.location, field: context.path, message: result.error }] };
+  }
+  return { value: result.value, errors: [] };
+};
+
+// Checks an object against a shape: unknown fields, required fields, defaults and values
+const checkShape = (shape, input, context) => {
+  const errors = [];
+  const value = {};
+
+  Object.keys(input).forEach(name => {
+    if (!Object.prototype.hasOwnProperty.call(shape, name)) {
+      errors.push({
+        location: context.location,
+        field: context.path ? `${context.path}.${name}` : name,
+        message: 'is not an allowed field'
+      });
+    }
+  });
+
+  Object.entries(shape).forEach(([name, definition]) => {
+    const path = context.path ? `${context.path}.${name}` : name;
+    const raw = input[name];
+
+    if (raw === null && definition.nullable) {
+      value[name] = null;
+      return;
+    }
+    if (raw === undefined || raw === null || (raw === '' && fromText(context))) {
+      if (definition.required) {
+        errors.push({ location: context.location, field: path, message: 'is required' });
+      } else if (definition.defaultValue !== undefined) {
+        value[name] = definition.defaultValue;
+      }
+      return;
+    }
+
+    const checked = checkField(definition, raw, { ...context, path });
+    if (checked.errors.length) {
+      errors.push(...checked.errors);
+    } else {
+      value[name] = checked.value;
+    }
+  });
+
+  return { value, errors };
+};
+
+/**
+ * Builds middleware validating a request against a schema
+ *
+ * Only the parts named in the schema are checked; pass `body: {}` for routes
+ * that take no body, so a stray body is rejected rather than ignored.
+ * On success req.body and req.query are replaced with the cleaned values.
+ *
+ * @param {Object} schema
+ * @param {Object} [schema.params] Field types for route params
+ * @param {Object} [schema.query] Field types for the query string
+ * @param {Object} [schema.body] Field types for the JSON body
+ * @returns {Function} Express middleware
+ */
+const validate = (schema) => (req, res, next) => {
+  const errors = [];
+  const cleaned = {};
+
+  ['params', 'query', 'body'].forEach(location => {
+    if (!schema[location]) return;
+
+    const input = req[location] === undefined ? {} : req[location];
+    if (!isPlainObject(input)) {
+      errors.push({ location, field: '', message: 'must be an object' });
+      return;
+    }
+
+    const checked = checkShape(schema[location], input, { location, path: '' });
+    errors.push(...checked.errors);
+    cleaned[location] = checked.value;
+  });
+
+  if (errors.length) {
+    return next(httpError(400, 'Request validation failed', 'VALIDATION_ERROR', errors));
+  }
+
+  if (cleaned.body) {
+    req.body = cleaned.body;
+  }
+  if (cleaned.query) {
+    // req.query is a getter in Express 5; shadow it with the cleaned values
+    Object.defineProperty(req, 'query', { value: cleaned.query, writable: true, configurable: true });
+  }
+  next();
+};
+
+/**
+ * Checks values against a schema outside a request, e.g. a row of an imported file
+ * @param {Object} shape Field types by name
+ * @param {Object} input Values to check
+ * @param {String} location Where the values came from, named in errors; 'csv' values are text
+ * @returns {Object} { value, errors } with the cleaned values and the problems found
+ */
+const checkValues = (shape, input, location) => {
+  if (!isPlainObject(input)) {
+    return { errors: [{ location, field: '', message: 'must be an object' }] };
+  }
+  return checkShape(shape, input, { location, path: '' });
+};
+
+/**
+ * Escapes text so it matches literally inside a RegExp
+ * @param {String} text User input
+ * @returns {String}
+ */
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Common pagination fields for list routes
+ * @param {Number} [defaultLimit] Page size when none is given
+ * @param {Number} [maxLimit] Largest page size allowed
+ * @returns {Object} page and limit field types
+ */
+const pagination = (defaultLimit = 20, maxLimit = 200) => ({
+  page: types.integer({ min: 1, max: 100000, default: 1 }),
+  limit: types.integer({ min: 1, max: maxLimit, default: defaultLimit })
+});
+
+module.exports = {
+  types,
+  validate,
+  checkValues,
+  escapeRegex,
+  pagination
+};
@@ -0,0 +1,70 @@
+// File: backend/models/ApiKey.js
+// Purpose: Hashed, scoped and expiring API key belonging to a service account
+
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../middleware/permissions');
+
+const ApiKeySchema = new mongoose.Schema({
+  serviceAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceAccount',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Public part of the key, used to find it; safe to show and log
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // SHA-256 of the secret part; the key itself is only shown when created
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: Object.keys(API_KEY_SCOPES)
+    }],
+    validate: [scopes => scopes.length > 0, 'Grant at least one scope']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: String,
+  // Key issued by rotating this one
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+  // Usage stats, updated on every authenticated request
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auth'
+  }
+}, { timestamps: true });
+
+ApiKeySchema.index({ serviceAccount: 1, createdAt: -1 });
+
+// A key authenticates until it is revoked or expires
+ApiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+ApiKeySchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
@@ -0,0 +1,97 @@
+// File: backend/models/AuditLog.js
+// Purpose: Append-only audit trail of fraud decisions, data changes and auth events
+
+const mongoose = require('mongoose');
+
+const AuditLogSchema = new mongoose.Schema({
+  // Null for system actions and unauthenticated events such as failed logins
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auth',
+    immutable: true
+  },
+  // Snapshot of the actor at the time of the action, in case the account changes later
+  actorEmail: {
+    type: String,
+    immutable: true
+  },
+  actorRole: {
+    type: String,
+    immutable: true
+  },
+  // Set instead of actor when a machine client made the request with an API key
+  serviceAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceAccount',
+    immutable: true
+  },
+  action: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  entityType: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    immutable: true
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    immutable: true
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    immutable: true
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    immutable: true
+  },
+  ipAddress: {
+    type: String,
+    immutable: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, { versionKey: false });
+
+AuditLogSchema.index({ actor: 1, timestamp: -1 });
+AuditLogSchema.index({ entityType: 1, entityId: 1, timestamp: -1 });
+AuditLogSchema.index({ action: 1, timestamp: -1 });
+AuditLogSchema.index({ timestamp: -1 });
+
+const rejectMutation = function(next) {
+  next(new Error('Audit log entries are append-only'));
+};
+
+// Entries can be created but never changed or removed through the model
+AuditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries are append-only'));
+  }
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(operation => {
+  AuditLogSchema.pre(operation, { document: false, query: true }, rejectMutation);
+});
+
+AuditLogSchema.pre('deleteOne', { document: true, query: false }, rejectMutation);
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -2,6 +2,39 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { validatePassword } = require('../services/passwordPolicy');
+
+// How long a password reset link stays valid
+const RESET_TOKEN_MINUTES = Number(process.env.RESET_PASSWORD_EXPIRE_MINUTES) || 30;
+
+// How long a pre-auth token from the first login step can be exchanged
+const PRE_AUTH_TOKEN_EXPIRE = process.env.PRE_AUTH_TOKEN_EXPIRE || '5m';
+
+const TwoFactorSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  // TOTP secrets are encrypted at rest (see services/totp.js)
+  secret: {
+    type: String,
+    select: false
+  },
+  // Secret generated by setup, waiting for a code to confirm it
+  pendingSecret: {
+    type: String,
+    select: false
+  },
+  // SHA-256 hashes of unused backup codes
+  backupCodes: {
+    type: [String],
+    select: false
+  },
+  // Time step of the last accepted code, so a code cannot be replayed
+  lastUsedStep: Number,
+  enabledAt: Date
+}, { _id: false });
 
 const AuthSchema = new mongoose.Schema({
   email: {
@@ -15,7 +48,17 @@ const AuthSchema = new mongoose.Schema({
   password: {
     type: String,
     required: true,
-    minlength: 6,
+    // Checked before hashing, and only when the password is being set
+    validate: {
+      validator: function(value) {
+        if (!this.isModified('password')) return true;
+        const problems = validatePassword(value, this);
+        if (problems.length) {
+          throw new Error(problems.join('; '));
+        }
+        return true;
+      }
+    },
     select: false // Don't return password in queries by default
   },
   name: {
@@ -28,6 +71,32 @@ const AuthSchema = new mongoose.Schema({
     enum: ['user', 'analyst', 'admin'],
     default: 'user'
   },
+  // Deactivated accounts cannot log in and their sessions are revoked
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  deactivatedAt: Date,
+  deactivatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auth'
+  },
+  // Set for accounts an admin invited rather than self-registered
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auth'
+  },
+  twoFactor: {
+    type: TwoFactorSchema,
+    default: () => ({})
+  },
+  // Consecutive failed password or 2FA attempts; reset on a successful login
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: Date,
+  lockUntil: Date,
   resetPasswordToken: String,
   resetPasswordExpire: Date,
   createdAt: {
@@ -57,13 +126,48 @@ AuthSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Generate JWT token
-AuthSchema.methods.getSignedJwtToken = function() {
+// Hash of a random password, at the same cost as real ones
+const UNKNOWN_ACCOUNT_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+// Spends as long as matchPassword when no account has the email, so response
+// times do not reveal which emails are registered; never matches
+AuthSchema.statics.matchUnknownAccount = async function(enteredPassword) {
+  await bcrypt.compare(String(enteredPassword), UNKNOWN_ACCOUNT_HASH);
+  return false;
+};
+
+// Generate a short-lived access token bound to a login session
+AuthSchema.methods.getSignedJwtToken = function(sessionId) {
+  return jwt.sign(
+    { id: this._id, role: this.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRE || '15m' }
+  );
+};
+
+// Generate a token that only proves the password step of a login, or allows
+// 2FA enrolment; it has no session, so protect() rejects it
+AuthSchema.methods.getPreAuthToken = function(purpose) {
   return jwt.sign(
-    { id: this._id, role: this.role },
+    { id: this._id, purpose },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE }
+    { expiresIn: PRE_AUTH_TOKEN_EXPIRE }
   );
 };
 
+// Generate a password reset token; only its hash is stored.
+// Invitations use the same token with a longer lifetime.
+AuthSchema.methods.getResetPasswordToken = function(minutes = RESET_TOKEN_MINUTES) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.resetPasswordToken = AuthSchema.statics.hashResetToken(resetToken);
+  this.resetPasswordExpire = new Date(Date.now() + minutes * 60 * 1000);
+
+  return resetToken;
+};
+
+AuthSchema.statics.hashResetToken = function(resetToken) {
+  return crypto.createHash('sha256').update(String(resetToken)).digest('hex');
+};
+
 module.exports = mongoose.model('Auth', AuthSchema);
\ No newline at end of file
@@ -0,0 +1,49 @@
+// File: backend/models/BacktestJob.js
+// Purpose: A queued or running backtest, so replaying history happens outside the HTTP request
+
+const mongoose = require('mongoose');
+
+const BACKTEST_JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+
+const BacktestJobSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: BACKTEST_JOB_STATUSES,
+    default: 'queued'
+  },
+  // Options passed to runBacktest (see services/backtest.js)
+  options: {
+    startDate: Date,
+    endDate: Date,
+    rules: mongoose.Schema.Types.Mixed,
+    ruleOverrides: mongoose.Schema.Types.Mixed,
+    threshold: Number,
+    blendWeight: Number,
+    maxTransactions: Number
+  },
+  // Transactions replayed so far, out of those in the range
+  progress: {
+    processed: {
+      type: Number,
+      default: 0
+    },
+    total: Number
+  },
+  // Set once the backtest has finished
+  report: mongoose.Schema.Types.Mixed,
+  error: String,
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auth'
+  },
+  startedAt: Date,
+  // Refreshed while running; a running job that stops updating was interrupted
+  heartbeatAt: Date,
+  finishedAt: Date
+}, { timestamps: true });
+
+BacktestJobSchema.index({ status: 1, createdAt: 1 });
+
+BacktestJobSchema.statics.STATUSES = BACKTEST_JOB_STATUSES;
+
+module.exports = mongoose.model('BacktestJob', BacktestJobSchema);
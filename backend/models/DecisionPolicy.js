@@ -0,0 +1,60 @@
+// File: backend/models/DecisionPolicy.js
+// Purpose: Score bands and fallback behaviour for real-time authorization decisions
+
+const mongoose = require('mongoose');
+
+const DECISION_OUTCOMES = ['approve', 'review', 'decline'];
+
+const DecisionPolicySchema = new mongoose.Schema({
+  // A single policy document named "default" is used
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    default: 'default'
+  },
+  // Scores above this are sent to step-up / manual review
+  reviewAbove: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100,
+    default: 70
+  },
+  // Scores above this are declined outright
+  declineAbove: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100,
+    default: 90
+  },
+  // Time allowed for scoring before the fallback decision is returned
+  latencyBudgetMs: {
+    type: Number,
+    min: 10,
+    max: 10000,
+    default: 500
+  },
+  // Decision returned when scoring fails or exceeds the latency budget
+  fallbackDecision: {
+    type: String,
+    enum: DECISION_OUTCOMES,
+    default: 'review'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auth'
+  }
+}, { timestamps: true });
+
+DecisionPolicySchema.pre('validate', function(next) {
+  if (this.declineAbove < this.reviewAbove) {
+    this.invalidate('declineAbove', 'declineAbove must be greater than or equal to reviewAbove');
+  }
+  next();
+});
+
+DecisionPolicySchema.statics.OUTCOMES = DECISION_OUTCOMES;
+
+module.exports = mongoose.model('DecisionPolicy', DecisionPolicySchema);
@@ -0,0 +1,128 @@
+// File: backend/models/FraudCase.js
+// Purpose: Fraud investigation case opened for flagged transactions
+
+const mongoose = require('mongoose');
+
+const CASE_STATUSES = [
+  'open',
+  'investigating',
+  'awaiting_customer',
+  'confirmed_fraud',
+  'false_positive',
+  'closed'
+];
+
+// Statuses in which a case is still being worked
+const ACTIVE_CASE_STATUSES = ['open', 'investigating', 'awaiting_customer'];
+
+const CommentSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auth',
+    required: true
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 5000
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const StatusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: CASE_STATUSES
+  },
+  to: {
+    type: String,
+    enum: CASE_STATUSES,
+    required: true
+  },
+  // Null when the change was made by the system (e.g. auto-open)
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auth'
+  },
+  reason: String,
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const FraudCaseSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  cardLastFour: String,
+  transactions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+  status: {
+    type: String,
+    enum: CASE_STATUSES,
+    default: 'open'
+  },
+  // Mirrors status, for the one-active-case-per-card index; set on save
+  isActive: Boolean,
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  // Highest fraud score among the linked transactions
+  maxFraudScore: {
+    type: Number,
+    default: 0
+  },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auth'
+  },
+  comments: [CommentSchema],
+  statusHistory: [StatusChangeSchema],
+  sla: {
+    openedAt: {
+      type: Date,
+      default: Date.now
+    },
+    firstResponseDueAt: Date,
+    resolutionDueAt: Date,
+    firstRespondedAt: Date,
+    resolvedAt: Date,
+    closedAt: Date
+  }
+}, { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+FraudCaseSchema.index({ status: 1, 'sla.resolutionDueAt': 1 });
+FraudCaseSchema.index({ userId: 1, cardLastFour: 1, status: 1 });
+FraudCaseSchema.index({ transactions: 1 });
+// A card has at most one active case, so concurrent flags link to the same one
+FraudCaseSchema.index(
+  { userId: 1, cardLastFour: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+FraudCaseSchema.pre('validate', function() {
+  this.isActive = ACTIVE_CASE_STATUSES.includes(this.status);
+});
+
+// A case is overdue when it has missed its resolution deadline
+FraudCaseSchema.virtual('isOverdue').get(function() {
+  if (!this.sla || !this.sla.resolutionDueAt) return false;
+  const resolvedAt = this.sla.resolvedAt || this.sla.closedAt;
+  return (resolvedAt || new Date()) > this.sla.resolutionDueAt;
+});
+
+FraudCaseSchema.statics.STATUSES = CASE_STATUSES;
+FraudCaseSchema.statics.ACTIVE_STATUSES = ACTIVE_CASE_STATUSES;
+
+module.exports = mongoose.model('FraudCase', FraudCaseSchema);
@@ -0,0 +1,71 @@
+// File: backend/models/FraudModel.js
+// Purpose: Versioned machine-learning model artefact trained from labelled transactions
+
+const mongoose = require('mongoose');
+
+const FraudModelSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  algorithm: {
+    type: String,
+    enum: ['logistic_regression'],
+    default: 'logistic_regression'
+  },
+  // Feature order the weights were trained against
+  featureNames: {
+    type: [String],
+    required: true
+  },
+  weights: {
+    type: [Number],
+    required: true
+  },
+  bias: {
+    type: Number,
+    required: true
+  },
+  scaler: {
+    mean: [Number],
+    std: [Number]
+  },
+  hyperparameters: mongoose.Schema.Types.Mixed,
+  trainingData: {
+    startDate: Date,
+    endDate: Date,
+    samples: Number,
+    positives: Number,
+    // Unlabelled (flagged but unresolved) or unusable transactions
+    skipped: Number,
+    // Share of each class kept when the labelled history exceeded the sample cap; the bias
+    // is corrected for it, so predictions are at the history's fraud rate
+    sampleRates: {
+      positive: Number,
+      negative: Number
+    }
+  },
+  metrics: {
+    train: mongoose.Schema.Types.Mixed,
+    test: mongoose.Schema.Types.Mixed
+  },
+  // Only one model is active at a time
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+  // Share of the final score taken from the model probability (0 = rules only)
+  blendWeight: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 1
+  },
+  trainedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auth'
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('FraudModel', FraudModelSchema);
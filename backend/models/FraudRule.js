@@ -0,0 +1,66 @@
+// File: backend/models/FraudRule.js
+// Purpose: Persisted fraud scoring rule with a declarative condition
+
+const mongoose = require('mongoose');
+const { validateCondition } = require('../services/ruleEngine');
+
+const FraudRuleSchema = new mongoose.Schema({
+  ruleId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9][a-z0-9-]*$/, 'Rule id may only contain lowercase letters, digits and dashes']
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  // Risk factor text; supports {{fact.path}} placeholders
+  message: String,
+  condition: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+    validate: {
+      validator: function(condition) {
+        return validateCondition(condition).length === 0;
+      },
+      message: props => validateCondition(props.value).join('; ')
+    }
+  },
+  // Points added to the fraud score when the rule matches
+  weight: {
+    type: Number,
+    required: true,
+    min: -100,
+    max: 100
+  },
+  // Only the first matching rule (by priority) within a group contributes
+  group: String,
+  priority: {
+    type: Number,
+    default: 100
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Shipped with the service; can be deactivated or re-weighted but not deleted
+  isBuiltIn: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auth'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auth'
+  }
+}, { timestamps: true, minimize: false });
+
+module.exports = mongoose.model('FraudRule', FraudRuleSchema);
@@ -0,0 +1,46 @@
+// File: backend/models/IdempotencyKey.js
+// Purpose: Remembers the response to a request sent with an Idempotency-Key header, so retries get the same result
+
+const mongoose = require('mongoose');
+
+const IdempotencyKeySchema = new mongoose.Schema({
+  // Client that sent the key, e.g. "service:<id>" or "account:<id>"; keys are unique per client
+  owner: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  // Method and path the key was first used with, e.g. "POST /api/transactions"
+  endpoint: {
+    type: String,
+    required: true
+  },
+  // Hash of the request body; a retry must send the same body
+  requestHash: {
+    type: String,
+    required: true
+  },
+  // processing until the first request finishes, then completed
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: Number,
+  // Serialized JSON, replayed byte for byte
+  responseBody: String,
+  completedAt: Date,
+  // Keys are forgotten after this, and may then be used again
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+IdempotencyKeySchema.index({ owner: 1, key: 1 }, { unique: true });
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
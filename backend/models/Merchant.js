@@ -0,0 +1,78 @@
+// File: backend/models/Merchant.js
+// Purpose: A merchant transactions are made at, with its fraud history and allow/block list status
+
+const mongoose = require('mongoose');
+
+const LIST_STATUSES = ['none', 'allow', 'block'];
+
+// Recomputed from stored transactions by services/merchants.js
+const MerchantStatsSchema = new mongoose.Schema({
+  transactionCount: {
+    type: Number,
+    default: 0
+  },
+  confirmedFraudCount: {
+    type: Number,
+    default: 0
+  },
+  // confirmedFraudCount / transactionCount (0-1)
+  fraudRate: {
+    type: Number,
+    default: 0
+  },
+  lastTransactionAt: Date,
+  computedAt: Date
+}, { _id: false });
+
+const MerchantSchema = new mongoose.Schema({
+  // Display name, as first seen or as edited by an admin
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Matching key (see normalizeMerchantName); fixed once the merchant exists
+  normalizedName: {
+    type: String,
+    required: true
+  },
+  // Other normalized spellings that belong to this merchant, e.g. "amzn mktp" for Amazon
+  aliases: [String],
+  // ISO 18245 merchant category code
+  mcc: {
+    type: String,
+    match: [/^\d{4}$/, 'MCC must be four digits']
+  },
+  // merchantCategory of the first transaction, unless set by an admin
+  category: String,
+  country: String,
+  // allow lowers the score of its transactions; block declines them
+  listStatus: {
+    type: String,
+    enum: LIST_STATUSES,
+    default: 'none'
+  },
+  listReason: String,
+  listedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auth'
+  },
+  listedAt: Date,
+  stats: {
+    type: MerchantStatsSchema,
+    default: () => ({})
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auth'
+  }
+}, { timestamps: true });
+
+MerchantSchema.index({ normalizedName: 1 }, { unique: true });
+MerchantSchema.index({ aliases: 1 });
+MerchantSchema.index({ listStatus: 1 });
+MerchantSchema.index({ 'stats.fraudRate': -1 });
+
+MerchantSchema.statics.LIST_STATUSES = LIST_STATUSES;
+
+module.exports = mongoose.model('Merchant', MerchantSchema);
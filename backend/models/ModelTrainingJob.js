@@ -0,0 +1,48 @@
+// File: backend/models/ModelTrainingJob.js
+// Purpose: A queued or running model training, so training happens outside the HTTP request
+
+const mongoose = require('mongoose');
+
+const TRAINING_JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+
+const ModelTrainingJobSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: TRAINING_JOB_STATUSES,
+    default: 'queued'
+  },
+  // Options passed to trainModel (see services/modelTraining.js)
+  options: {
+    startDate: Date,
+    endDate: Date,
+    hyperparameters: mongoose.Schema.Types.Mixed,
+    maxSamples: Number,
+    activate: Boolean,
+    blendWeight: Number
+  },
+  // Transactions read while building the dataset, out of the labelled total
+  progress: {
+    processed: {
+      type: Number,
+      default: 0
+    },
+    total: Number
+  },
+  // Set once the model is stored
+  modelVersion: Number,
+  error: String,
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auth'
+  },
+  startedAt: Date,
+  // Refreshed while running; a running job that stops updating was interrupted
+  heartbeatAt: Date,
+  finishedAt: Date
+}, { timestamps: true });
+
+ModelTrainingJobSchema.index({ status: 1, createdAt: 1 });
+
+ModelTrainingJobSchema.statics.STATUSES = TRAINING_JOB_STATUSES;
+
+module.exports = mongoose.model('ModelTrainingJob', ModelTrainingJobSchema);
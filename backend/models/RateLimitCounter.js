@@ -0,0 +1,26 @@
+// File: backend/models/RateLimitCounter.js
+// Purpose: Shared request counter for one rate-limit key and window, so limits hold across instances
+
+const mongoose = require('mongoose');
+
+const RateLimitCounterSchema = new mongoose.Schema({
+  // Limiter name, client key and window start, e.g. "api:ip:10.0.0.1:28745310"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  // End of the window; the counter is dropped shortly after
+  resetAt: {
+    type: Date,
+    required: true
+  }
+});
+
+RateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 60 });
+
+module.exports = mongoose.model('RateLimitCounter', RateLimitCounterSchema);
@@ -0,0 +1,29 @@
+// File: backend/models/SecurityPolicy.js
+// Purpose: Account security settings applied at login, such as which roles must use two-factor authentication
+
+const mongoose = require('mongoose');
+
+const ROLES = ['user', 'analyst', 'admin'];
+
+const SecurityPolicySchema = new mongoose.Schema({
+  // A single policy document named "default" is used
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    default: 'default'
+  },
+  // Accounts with these roles cannot get a session without a verified TOTP code
+  requireTwoFactorRoles: {
+    type: [{ type: String, enum: ROLES }],
+    default: []
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auth'
+  }
+}, { timestamps: true });
+
+SecurityPolicySchema.statics.ROLES = ROLES;
+
+module.exports = mongoose.model('SecurityPolicy', SecurityPolicySchema);
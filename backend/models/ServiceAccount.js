@@ -0,0 +1,29 @@
+// File: backend/models/ServiceAccount.js
+// Purpose: Machine client, such as a payment gateway, that calls the API with API keys
+
+const mongoose = require('mongoose');
+
+const ServiceAccountSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: String,
+  // Deactivating a service account stops all of its keys working
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auth'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auth'
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('ServiceAccount', ServiceAccountSchema);
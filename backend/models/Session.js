@@ -0,0 +1,52 @@
+// File: backend/models/Session.js
+// Purpose: Server-side login session backing a rotating refresh token
+
+const mongoose = require('mongoose');
+
+// Refresh tokens rotated out of a session, kept to detect reuse of a stolen token
+const MAX_ROTATED_HASHES = 20;
+
+const SessionSchema = new mongoose.Schema({
+  authId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auth',
+    required: true
+  },
+  // SHA-256 of the current refresh token secret; the token itself is never stored
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  rotatedTokenHashes: {
+    type: [String],
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  userAgent: String,
+  ipAddress: String,
+  revokedAt: Date,
+  revokedReason: String
+}, { timestamps: true });
+
+SessionSchema.index({ authId: 1, revokedAt: 1 });
+// Drop sessions a day after they expire
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// A session can authenticate requests until it is revoked or expires
+SessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+SessionSchema.set('toJSON', { virtuals: true });
+
+SessionSchema.statics.MAX_ROTATED_HASHES = MAX_ROTATED_HASHES;
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -0,0 +1,37 @@
+// File: backend/models/StreamTicket.js
+// Purpose: Short-lived, single-use ticket that opens an alert stream in place of a token in the URL
+
+const mongoose = require('mongoose');
+
+const StreamTicketSchema = new mongoose.Schema({
+  // SHA-256 of the ticket; the ticket itself is only returned to the client
+  ticketHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  authId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auth',
+    required: true
+  },
+  // Session the ticket was issued to; the stream lives only as long as it does
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  // Role at issue time; a role change invalidates the ticket like it does the access token
+  role: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+StreamTicketSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('StreamTicket', StreamTicketSchema);
@@ -1,11 +1,32 @@
 const mongoose = require('mongoose');
 
+// Authorization decision returned to the caller when the transaction was submitted
+const DecisionSchema = new mongoose.Schema({
+  outcome: {
+    type: String,
+    enum: ['approve', 'review', 'decline']
+  },
+  reasonCodes: [String],
+  // True when scoring failed or timed out and the policy fallback was used
+  isFallback: Boolean,
+  score: Number,
+  reviewAbove: Number,
+  declineAbove: Number,
+  latencyMs: Number,
+  decidedAt: Date
+}, { _id: false });
+
 const TransactionSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Reference assigned by the card processor; unique, so a resubmission is refused
+  processorReference: {
+    type: String,
+    trim: true
+  },
   cardLastFour: {
     type: String,
     required: true
@@ -22,6 +43,11 @@ const TransactionSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Matched from merchantName when the transaction is stored (see services/merchants.js)
+  merchantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant'
+  },
   location: {
     country: String,
     city: String,
@@ -31,6 +57,8 @@ const TransactionSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Physical card used at a terminal; when unset, non-"Online" locations count as card-present
+  cardPresent: Boolean,
   ipAddress: String,
   deviceId: String,
   fraudScore: {
@@ -44,7 +72,21 @@ const TransactionSchema = new mongoose.Schema({
   isConfirmedFraud: {
     type: Boolean,
     default: false
-  }
+  },
+  decision: DecisionSchema
 }, { timestamps: true });
 
+// Support per-user history lookups and velocity windows per dimension
+TransactionSchema.index({ userId: 1, timestamp: -1 });
+TransactionSchema.index({ userId: 1, cardLastFour: 1, timestamp: -1 });
+TransactionSchema.index({ deviceId: 1, timestamp: -1 });
+TransactionSchema.index({ ipAddress: 1, timestamp: -1 });
+TransactionSchema.index({ merchantName: 1, timestamp: -1 });
+TransactionSchema.index({ merchantId: 1, timestamp: -1 });
+// Only enforced when a reference is given; older transactions have none
+TransactionSchema.index(
+  { processorReference: 1 },
+  { unique: true, partialFilterExpression: { processorReference: { $type: 'string' } } }
+);
+
 module.exports = mongoose.model('Transaction', TransactionSchema);
\ No newline at end of file
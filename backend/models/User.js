@@ -3,6 +3,29 @@
 
 const mongoose = require('mongoose');
 
+const CARD_STATUSES = ['active', 'frozen', 'blocked', 'lost', 'stolen', 'replaced'];
+
+const CardStatusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: CARD_STATUSES
+  },
+  to: {
+    type: String,
+    enum: CARD_STATUSES,
+    required: true
+  },
+  reason: String,
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auth'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 // Define the card schema first
 const CardSchema = new mongoose.Schema({
   lastFour: {
@@ -13,12 +36,75 @@ const CardSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Kept in sync with status: true only while the card is active
   isActive: {
     type: Boolean,
     default: true
+  },
+  // No default, so cards stored before statuses existed keep deriving it from isActive
+  status: {
+    type: String,
+    enum: CARD_STATUSES
+  },
+  statusHistory: [CardStatusChangeSchema],
+  // Card issued to replace this one, and the card this one replaces
+  replacedBy: mongoose.Schema.Types.ObjectId,
+  replaces: mongoose.Schema.Types.ObjectId,
+  issuedAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
+CardSchema.pre('validate', function(next) {
+  if (!this.status) {
+    this.status = this.isActive === false ? 'blocked' : 'active';
+  }
+  this.isActive = this.status === 'active';
+  next();
+});
+
+// Occurrence count of a category or location
+const ValueCountSchema = new mongoose.Schema({
+  value: String,
+  count: Number
+}, { _id: false });
+
+const SpendingProfileSchema = new mongoose.Schema({
+  transactionCount: {
+    type: Number,
+    default: 0
+  },
+  amountMean: {
+    type: Number,
+    default: 0
+  },
+  // Sum of squared deviations from the mean (Welford's algorithm)
+  amountM2: {
+    type: Number,
+    default: 0
+  },
+  amountStdDev: {
+    type: Number,
+    default: 0
+  },
+  // Transactions per hour of day, index 0-23
+  hourHistogram: {
+    type: [Number],
+    default: () => new Array(24).fill(0)
+  },
+  categoryCounts: [ValueCountSchema],
+  locationCounts: [ValueCountSchema],
+  windowDays: Number,
+  // Start of the rolling window the statistics cover; older transactions have been aged out
+  windowStart: Date,
+  lastTransactionAt: Date,
+  rebuiltAt: Date,
+  updatedAt: Date,
+  // Bumped on every write; writes only apply to the revision they were computed from
+  revision: Number
+}, { _id: false });
+
 const UserSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -37,13 +123,18 @@ const UserSchema = new mongoose.Schema({
   cards: [CardSchema], // Use the CardSchema for the cards array
   typicalSpendingPatterns: {
     averageTransactionAmount: Number,
+    amountStdDev: Number,
     frequentCategories: [String],
     frequentLocations: [String],
     activeHours: {
       start: Number,
       end: Number
     }
-  }
+  },
+  // Running statistics learned from transaction history (see services/profileBuilder.js)
+  spendingProfile: SpendingProfileSchema
 }, { timestamps: true });
 
+UserSchema.statics.CARD_STATUSES = CARD_STATUSES;
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
@@ -0,0 +1,84 @@
+// File: backend/models/VerificationChallenge.js
+// Purpose: One-time "was this you?" challenge sent to the cardholder for a flagged transaction
+
+const mongoose = require('mongoose');
+
+const CHALLENGE_STATUSES = ['pending', 'confirmed', 'denied', 'expired', 'cancelled'];
+
+const DeliverySchema = new mongoose.Schema({
+  transport: String,
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  sentAt: Date
+}, { _id: false });
+
+const VerificationChallengeSchema = new mongoose.Schema({
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  caseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FraudCase'
+  },
+  recipient: {
+    type: String,
+    required: true
+  },
+  // Random secret mixed into the response signatures; never returned by the API
+  nonce: {
+    type: String,
+    required: true,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: CHALLENGE_STATUSES,
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: Date,
+  responseIp: String,
+  delivery: {
+    type: DeliverySchema,
+    default: () => ({})
+  },
+  // Account that requested the challenge (unset when sent automatically)
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auth'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    // Keep the nonce out of API responses even when it was loaded
+    transform: (doc, ret) => {
+      delete ret.nonce;
+      return ret;
+    }
+  }
+});
+
+VerificationChallengeSchema.index({ transactionId: 1, createdAt: -1 });
+VerificationChallengeSchema.index({ status: 1, expiresAt: 1 });
+
+VerificationChallengeSchema.statics.STATUSES = CHALLENGE_STATUSES;
+
+module.exports = mongoose.model('VerificationChallenge', VerificationChallengeSchema);
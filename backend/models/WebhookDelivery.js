@@ -0,0 +1,61 @@
+// File: backend/models/WebhookDelivery.js
+// Purpose: Delivery log for one event sent to one webhook subscription
+
+const mongoose = require('mongoose');
+
+const DELIVERY_STATUSES = ['pending', 'sending', 'retrying', 'succeeded', 'failed'];
+
+const AttemptSchema = new mongoose.Schema({
+  attemptedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // HTTP status returned by the endpoint (unset when the request failed)
+  responseStatus: Number,
+  error: String,
+  durationMs: Number
+}, { _id: false });
+
+const WebhookDeliverySchema = new mongoose.Schema({
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+  // Shared by every delivery of the same event, so receivers can de-duplicate
+  eventId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'pending'
+  },
+  attempts: [AttemptSchema],
+  // When a pending or retrying delivery is due to be sent
+  nextAttemptAt: Date,
+  // While sending, the claim expires at this time so a crashed sender's delivery is picked up again
+  lockedUntil: Date,
+  deliveredAt: Date,
+  // Delivery this one re-sends, when created by a replay
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  }
+}, { timestamps: true });
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+
+WebhookDeliverySchema.statics.STATUSES = DELIVERY_STATUSES;
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
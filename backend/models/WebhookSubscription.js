@@ -0,0 +1,62 @@
+// File: backend/models/WebhookSubscription.js
+// Purpose: Downstream endpoint subscribed to fraud events
+
+const mongoose = require('mongoose');
+
+const WEBHOOK_EVENTS = [
+  'transaction.flagged',
+  'transaction.confirmed_fraud',
+  'transaction.false_positive',
+  'card.frozen',
+  'card.unfrozen',
+  'card.blocked',
+  'card.lost',
+  'card.stolen',
+  'card.replaced'
+];
+
+const WebhookSubscriptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  url: {
+    type: String,
+    required: true,
+    match: [/^https?:\/\/\S+$/, 'Please provide an http(s) URL']
+  },
+  // Event names, or '*' for every event
+  events: {
+    type: [{
+      type: String,
+      enum: [...WEBHOOK_EVENTS, '*']
+    }],
+    validate: [events => events.length > 0, 'Subscribe to at least one event']
+  },
+  // HMAC key for payload signatures; only returned when the subscription is created
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  description: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auth'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auth'
+  }
+}, { timestamps: true });
+
+WebhookSubscriptionSchema.index({ isActive: 1, events: 1 });
+
+WebhookSubscriptionSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = mongoose.model('WebhookSubscription', WebhookSubscriptionSchema);
@@ -0,0 +1,28 @@
+// File: backend/routes/accounts.js
+const express = require('express');
+const router = express.Router();
+const {
+  getAccounts,
+  getAccountById,
+  inviteAccount,
+  changeAccountRole,
+  deactivateAccount,
+  reactivateAccount,
+  unlockAccount
+} = require('../controllers/accountController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/accounts');
+
+// Account administration is admin-only
+router.use(protect, requirePermission('accounts:manage'));
+
+router.get('/', validate(schemas.list), getAccounts);
+router.post('/invite', validate(schemas.invite), inviteAccount);
+router.get('/:id', validate(schemas.get), getAccountById);
+router.put('/:id/role', validate(schemas.changeRole), changeAccountRole);
+router.put('/:id/deactivate', validate(schemas.statusChange), deactivateAccount);
+router.put('/:id/reactivate', validate(schemas.statusChange), reactivateAccount);
+router.put('/:id/unlock', validate(schemas.statusChange), unlockAccount);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+// File: backend/routes/alerts.js
+const express = require('express');
+const router = express.Router();
+const { createStreamTicket, streamAlerts } = require('../controllers/alertController');
+const { protect, requirePermission, protectStreamTicket } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/alerts');
+
+// EventSource cannot send headers, so the stream is opened with a single-use ?ticket=
+// obtained from the ticket route with the usual bearer token
+router.post('/stream-ticket', protect, requirePermission('alerts:stream'), validate(schemas.ticket), createStreamTicket);
+router.get('/stream', protectStreamTicket, requirePermission('alerts:stream'), validate(schemas.stream), streamAlerts);
+
+module.exports = router;
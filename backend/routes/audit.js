@@ -0,0 +1,15 @@
+// File: backend/routes/audit.js
+const express = require('express');
+const router = express.Router();
+const { getAuditLogs, getAuditLogById } = require('../controllers/auditController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/audit');
+
+// The audit trail is read-only and restricted to admins
+router.use(protect, requirePermission('audit:read'));
+
+router.get('/', validate(schemas.list), getAuditLogs);
+router.get('/:id', validate(schemas.get), getAuditLogById);
+
+module.exports = router;
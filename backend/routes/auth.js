@@ -5,16 +5,54 @@ const {
   register, 
   login, 
   getMe, 
-  logout 
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSessionById,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  getSecurityPolicy,
+  updateSecurityPolicy
 } = require('../controllers/authController');
-const { protect } = require('../middleware/auth');
+const { protect, protectEnrollment, requirePermission } = require('../middleware/auth');
+const { authLimiter } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/auth');
 
 // Public routes
-router.post('/register', register);
-router.post('/login', login);
+router.post('/register', authLimiter, validate(schemas.register), register);
+router.post('/login', authLimiter, validate(schemas.login), login);
+router.post('/login/2fa', authLimiter, validate(schemas.verifyTwoFactorLogin), verifyTwoFactorLogin);
+router.post('/refresh', authLimiter, validate(schemas.refresh), refresh);
+router.post('/forgot-password', authLimiter, validate(schemas.forgotPassword), forgotPassword);
+router.post('/reset-password', authLimiter, validate(schemas.resetPassword), resetPassword);
 
 // Protected routes
-router.get('/me', protect, getMe);
-router.get('/logout', protect, logout);
+router.get('/me', protect, validate(schemas.me), getMe);
+router.put('/password', protect, validate(schemas.changePassword), changePassword);
+router.post('/logout', protect, validate(schemas.logout), logout);
+router.get('/logout', protect, validate(schemas.logout), logout);
+router.post('/logout-all', protect, validate(schemas.logout), logoutAll);
+router.get('/sessions', protect, validate(schemas.sessions), getSessions);
+router.delete('/sessions/:id', protect, validate(schemas.revokeSession), revokeSessionById);
+
+// Two-factor authentication; setup and enable also accept an enrolment pre-auth token
+router.get('/2fa', protect, validate(schemas.twoFactorStatus), getTwoFactorStatus);
+router.post('/2fa/setup', protectEnrollment, validate(schemas.setupTwoFactor), setupTwoFactor);
+router.post('/2fa/enable', protectEnrollment, validate(schemas.enableTwoFactor), enableTwoFactor);
+router.post('/2fa/disable', protect, validate(schemas.disableTwoFactor), disableTwoFactor);
+router.post('/2fa/backup-codes', protect, validate(schemas.regenerateBackupCodes), regenerateBackupCodes);
+
+// Account security policy
+router.get('/security-policy', protect, requirePermission('security_policy:manage'), validate(schemas.getSecurityPolicy), getSecurityPolicy);
+router.put('/security-policy', protect, requirePermission('security_policy:manage'), validate(schemas.updateSecurityPolicy), updateSecurityPolicy);
 
 module.exports = router;
\ No newline at end of file
@@ -6,19 +6,24 @@ const router = express.Router();
 const { getFraudStatistics } = require('../services/fraudDetection');
 const Transaction = require('../models/Transaction');
 const User = require('../models/User');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+// The dashboard widgets take no parameters
+router.use(protect, requirePermission('dashboard:read'), validate({ query: {} }));
 
 // Get fraud detection dashboard stats
-router.get('/stats', async (req, res) => {
+router.get('/stats', async (req, res, next) => {
   try {
     const stats = await getFraudStatistics();
     res.json(stats);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
 // Get recent flagged transactions
-router.get('/recent-flags', async (req, res) => {
+router.get('/recent-flags', async (req, res, next) => {
   try {
     const recentFlags = await Transaction.find({ isFlagged: true })
       .sort({ timestamp: -1 })
@@ -27,17 +32,17 @@ router.get('/recent-flags', async (req, res) => {
       
     res.json(recentFlags);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
 // Get user count
-router.get('/user-count', async (req, res) => {
+router.get('/user-count', async (req, res, next) => {
   try {
     const userCount = await User.countDocuments();
     res.json({ userCount });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
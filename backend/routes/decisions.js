@@ -0,0 +1,26 @@
+// File: backend/routes/decisions.js
+const express = require('express');
+const router = express.Router();
+const {
+  createDecision,
+  getDecision,
+  getPolicy,
+  updatePolicy
+} = require('../controllers/decisionController');
+const { protectOrApiKey, requirePermission } = require('../middleware/auth');
+const { transactionLimiter } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const { idempotency } = require('../middleware/idempotency');
+const schemas = require('../validators/decisions');
+
+router.use(protectOrApiKey);
+
+// Decision policy
+router.get('/policy', requirePermission('decision_policy:read'), validate(schemas.getPolicy), getPolicy);
+router.put('/policy', requirePermission('decision_policy:update'), validate(schemas.updatePolicy), updatePolicy);
+
+// Real-time decisions; a retry with the same Idempotency-Key gets the original response
+router.post('/', requirePermission('decisions:create'), transactionLimiter, validate(schemas.create), idempotency, createDecision);
+router.get('/:transactionId', requirePermission('decisions:read'), validate(schemas.get), getDecision);
+
+module.exports = router;
@@ -1,43 +1,63 @@
 const express = require('express');
 const router = express.Router();
 const Transaction = require('../models/Transaction');
+const {
+  getCases,
+  getCaseById,
+  createCase,
+  updateCaseStatus,
+  assignFraudCase,
+  addCaseComment,
+  linkCaseTransaction
+} = require('../controllers/fraudCaseController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { reviewTransaction } = require('../services/caseManagement');
+const { sendError } = require('../middleware/errorHandler');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/fraudCases');
+
+// Case management (analysts and admins only)
+router.get('/cases', protect, requirePermission('cases:manage'), validate(schemas.listCases), getCases);
+router.post('/cases', protect, requirePermission('cases:manage'), validate(schemas.createCase), createCase);
+router.get('/cases/:caseId', protect, requirePermission('cases:manage'), validate(schemas.getCase), getCaseById);
+router.put('/cases/:caseId/status', protect, requirePermission('cases:manage'), validate(schemas.updateStatus), updateCaseStatus);
+router.put('/cases/:caseId/assign', protect, requirePermission('cases:manage'), validate(schemas.assign), assignFraudCase);
+router.post('/cases/:caseId/comments', protect, requirePermission('cases:manage'), validate(schemas.addComment), addCaseComment);
+router.post('/cases/:caseId/transactions', protect, requirePermission('cases:manage'), validate(schemas.linkTransaction), linkCaseTransaction);
 
 // Get all confirmed fraud cases
-router.get('/', async (req, res) => {
+router.get('/', protect, requirePermission('fraud:read'), validate(schemas.listConfirmed), async (req, res, next) => {
   try {
     const fraudCases = await Transaction.find({ isConfirmedFraud: true });
     res.json(fraudCases);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
-// Mark a transaction as confirmed fraud
-router.put('/:id/confirm', async (req, res) => {
+// Mark a transaction as confirmed fraud; its active case is resolved as fraud
+router.put('/:id/confirm', protect, requirePermission('fraud:review'), validate(schemas.review), async (req, res, next) => {
   try {
     const transaction = await Transaction.findById(req.params.id);
-    if (!transaction) return res.status(404).json({ message: 'Transaction not found' });
-    
-    transaction.isConfirmedFraud = true;
-    const updatedTransaction = await transaction.save();
+    if (!transaction) return sendError(res, 404, 'Transaction not found');
+
+    const updatedTransaction = await reviewTransaction(transaction, 'confirmed_fraud', req.user, { req });
     res.json(updatedTransaction);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
-// Mark a transaction as false positive
-router.put('/:id/false-positive', async (req, res) => {
+// Mark a transaction as false positive; its active case is resolved once nothing else in it is flagged
+router.put('/:id/false-positive', protect, requirePermission('fraud:review'), validate(schemas.review), async (req, res, next) => {
   try {
     const transaction = await Transaction.findById(req.params.id);
-    if (!transaction) return res.status(404).json({ message: 'Transaction not found' });
-    
-    transaction.isFlagged = false;
-    transaction.fraudScore = 0;
-    const updatedTransaction = await transaction.save();
+    if (!transaction) return sendError(res, 404, 'Transaction not found');
+
+    const updatedTransaction = await reviewTransaction(transaction, 'false_positive', req.user, { req });
     res.json(updatedTransaction);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
@@ -0,0 +1,28 @@
+// File: backend/routes/fraudModels.js
+const express = require('express');
+const router = express.Router();
+const {
+  getModels,
+  getModel,
+  trainFraudModel,
+  getTrainingJobs,
+  getTrainingJob,
+  activateFraudModel,
+  deactivateFraudModels
+} = require('../controllers/fraudModelController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/fraudModels');
+
+// Model management is restricted to admins
+router.use(protect, requirePermission('models:manage'));
+
+router.get('/', validate(schemas.list), getModels);
+router.post('/train', validate(schemas.train), trainFraudModel);
+router.get('/jobs', validate(schemas.jobs), getTrainingJobs);
+router.get('/jobs/:id', validate(schemas.job), getTrainingJob);
+router.put('/deactivate', validate(schemas.deactivate), deactivateFraudModels);
+router.get('/:version', validate(schemas.get), getModel);
+router.put('/:version/activate', validate(schemas.activate), activateFraudModel);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+// File: backend/routes/fraudRules.js
+const express = require('express');
+const router = express.Router();
+const {
+  getRules,
+  getRuleFacts,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  backtestRules,
+  getBacktestJob
+} = require('../controllers/fraudRuleController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/fraudRules');
+
+router.use(protect);
+
+// Analysts may simulate candidate configurations without changing live rules; the backtest runs
+// as a job, polled for its report
+router.post('/backtest', requirePermission('rules:backtest'), validate(schemas.backtest), backtestRules);
+router.get('/backtest/:id', requirePermission('rules:backtest'), validate(schemas.backtestJob), getBacktestJob);
+
+// Rule management is restricted to admins
+router.use(requirePermission('rules:manage'));
+
+// List rules and the facts their conditions can use
+router.get('/', validate(schemas.list), getRules);
+router.get('/facts', validate(schemas.facts), getRuleFacts);
+
+// Single rule operations
+router.get('/:ruleId', validate(schemas.get), getRule);
+router.post('/', validate(schemas.create), createRule);
+router.put('/:ruleId', validate(schemas.update), updateRule);
+router.delete('/:ruleId', validate(schemas.remove), deleteRule);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+// File: backend/routes/merchants.js
+const express = require('express');
+const router = express.Router();
+const {
+  getMerchants,
+  getMerchantById,
+  createMerchant,
+  updateMerchant,
+  setListStatus,
+  refreshStats
+} = require('../controllers/merchantController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/merchants');
+
+router.use(protect);
+
+// Staff can look merchants up; only admins edit them or change the lists
+router.get('/', requirePermission('merchants:read'), validate(schemas.list), getMerchants);
+router.post('/', requirePermission('merchants:manage'), validate(schemas.create), createMerchant);
+router.get('/:id', requirePermission('merchants:read'), validate(schemas.get), getMerchantById);
+router.put('/:id', requirePermission('merchants:manage'), validate(schemas.update), updateMerchant);
+router.put('/:id/list', requirePermission('merchants:manage'), validate(schemas.setListStatus), setListStatus);
+router.post('/:id/refresh-stats', requirePermission('merchants:manage'), validate(schemas.refreshStats), refreshStats);
+
+module.exports = router;
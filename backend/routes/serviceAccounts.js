@@ -0,0 +1,34 @@
+// File: backend/routes/serviceAccounts.js
+const express = require('express');
+const router = express.Router();
+const {
+  getScopes,
+  getServiceAccounts,
+  getServiceAccountById,
+  createServiceAccount,
+  updateServiceAccount,
+  getKeys,
+  createKey,
+  rotateKey,
+  revokeKey
+} = require('../controllers/serviceAccountController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/serviceAccounts');
+
+// Service accounts and their keys are managed by admins only
+router.use(protect, requirePermission('service_accounts:manage'));
+
+router.get('/scopes', validate(schemas.scopes), getScopes);
+
+router.get('/', validate(schemas.list), getServiceAccounts);
+router.post('/', validate(schemas.create), createServiceAccount);
+router.get('/:id', validate(schemas.get), getServiceAccountById);
+router.put('/:id', validate(schemas.update), updateServiceAccount);
+
+router.get('/:id/keys', validate(schemas.listKeys), getKeys);
+router.post('/:id/keys', validate(schemas.createKey), createKey);
+router.post('/:id/keys/:keyId/rotate', validate(schemas.rotateKey), rotateKey);
+router.delete('/:id/keys/:keyId', validate(schemas.revokeKey), revokeKey);
+
+module.exports = router;
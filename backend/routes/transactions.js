@@ -6,30 +6,42 @@ const {
   getFlaggedTransactions, 
   getTransactionById,
   processTransaction,
+  importTransactions,
+  exportTransactions,
   updateFraudStatus,
   getTransactionStats
 } = require('../controllers/transactionController');
-const { protect, authorize } = require('../middleware/auth');
+const { protectOrApiKey, requirePermission } = require('../middleware/auth');
+const { transactionLimiter } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const { idempotency } = require('../middleware/idempotency');
+const schemas = require('../validators/transactions');
 
-// Apply authentication middleware to all routes
-router.use(protect);
+// Apply authentication middleware to all routes (user tokens or API keys)
+router.use(protectOrApiKey);
 
 // Get all transactions with filtering
-router.get('/', getTransactions);
+router.get('/', requirePermission('transactions:read'), validate(schemas.list), getTransactions);
 
 // Get flagged transactions
-router.get('/flagged', getFlaggedTransactions);
+router.get('/flagged', requirePermission('transactions:read'), validate(schemas.flagged), getFlaggedTransactions);
 
 // Get transaction statistics
-router.get('/stats', getTransactionStats);
+router.get('/stats', requirePermission('transactions:read'), validate(schemas.stats), getTransactionStats);
+
+// Bulk import from CSV or NDJSON (analysts and admins only)
+router.post('/import', requirePermission('transactions:import'), validate(schemas.import), importTransactions);
+
+// Streaming export of filtered transactions (analysts and admins only)
+router.get('/export', requirePermission('transactions:export'), validate(schemas.export), exportTransactions);
 
 // Get a single transaction
-router.get('/:id', getTransactionById);
+router.get('/:id', requirePermission('transactions:read'), validate(schemas.get), getTransactionById);
 
-// Process new transaction
-router.post('/', processTransaction);
+// Process new transaction; a retry with the same Idempotency-Key gets the original response
+router.post('/', requirePermission('transactions:create'), transactionLimiter, validate(schemas.create), idempotency, processTransaction);
 
 // Update transaction fraud status (analysts and admins only)
-router.put('/:id/fraud-status', authorize('analyst', 'admin'), updateFraudStatus);
+router.put('/:id/fraud-status', requirePermission('transactions:review'), validate(schemas.updateFraudStatus), updateFraudStatus);
 
 module.exports = router;
\ No newline at end of file
@@ -1,36 +1,89 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const { recordAudit } = require('../services/auditLog');
+const { describeProfile, rebuildProfile } = require('../services/profileBuilder');
+const {
+  getCards,
+  freezeCard,
+  unfreezeCard,
+  blockCard,
+  reportCardLost,
+  replaceCard
+} = require('../controllers/cardController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { sendError } = require('../middleware/errorHandler');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/users');
 
 // Get all users
-router.get('/', async (req, res) => {
+router.get('/', protect, requirePermission('cardholders:read'), validate(schemas.list), async (req, res, next) => {
   try {
     const users = await User.find();
     res.json(users);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
 // Get a specific user
-router.get('/:id', async (req, res) => {
+router.get('/:id', protect, requirePermission('cardholders:read'), validate(schemas.get), async (req, res, next) => {
   try {
     const user = await User.findById(req.params.id);
-    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (!user) return sendError(res, 404, 'User not found');
     res.json(user);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
+// Get a user's learned spending profile
+router.get('/:id/profile', protect, requirePermission('cardholders:read'), validate(schemas.get), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return sendError(res, 404, 'User not found');
+    res.json(describeProfile(user));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Recompute a user's spending profile from their transaction history
+router.post('/:id/profile/rebuild', protect, requirePermission('cardholders:profile_rebuild'), validate(schemas.rebuildProfile), async (req, res, next) => {
+  try {
+    const user = await rebuildProfile(req.params.id);
+    if (!user) return sendError(res, 404, 'User not found');
+    res.json(describeProfile(user));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Card lifecycle
+router.get('/:id/cards', protect, requirePermission('cards:manage'), validate(schemas.getCards), getCards);
+router.post('/:id/cards/:cardId/freeze', protect, requirePermission('cards:manage'), validate(schemas.cardAction), freezeCard);
+router.post('/:id/cards/:cardId/unfreeze', protect, requirePermission('cards:manage'), validate(schemas.cardAction), unfreezeCard);
+router.post('/:id/cards/:cardId/block', protect, requirePermission('cards:manage'), validate(schemas.cardAction), blockCard);
+router.post('/:id/cards/:cardId/report-lost', protect, requirePermission('cards:manage'), validate(schemas.reportLost), reportCardLost);
+router.post('/:id/cards/:cardId/replace', protect, requirePermission('cards:manage'), validate(schemas.replaceCard), replaceCard);
+
 // Create a user
-router.post('/', async (req, res) => {
+router.post('/', protect, requirePermission('cardholders:create'), validate(schemas.create), async (req, res, next) => {
   const user = new User(req.body);
   try {
     const newUser = await user.save();
+
+    await recordAudit({
+      req,
+      action: 'user.created',
+      entityType: 'User',
+      entityId: newUser._id,
+      after: newUser.toObject()
+    });
+
     res.status(201).json(newUser);
   } catch (err) {
-    res.status(400).json({ message: err.message });
+    next(err);
   }
 });
 
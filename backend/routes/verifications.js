@@ -0,0 +1,23 @@
+// File: backend/routes/verifications.js
+const express = require('express');
+const router = express.Router();
+const {
+  showResponsePage,
+  respond,
+  createVerification,
+  getTransactionVerifications
+} = require('../controllers/verificationController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/verifications');
+
+// Cardholder response; authorized by the signature in the notification link.
+// The link opens a confirmation page whose form posts the answer back as a urlencoded body.
+router.get('/:challengeId/respond', validate(schemas.responsePage), showResponsePage);
+router.post('/:challengeId/respond', express.urlencoded({ extended: false, limit: '2kb' }), validate(schemas.respond), respond);
+
+// Analyst tools
+router.post('/', protect, requirePermission('verifications:manage'), validate(schemas.create), createVerification);
+router.get('/transaction/:transactionId', protect, requirePermission('verifications:manage'), validate(schemas.forTransaction), getTransactionVerifications);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+// File: backend/routes/webhooks.js
+const express = require('express');
+const router = express.Router();
+const {
+  getEvents,
+  getSubscriptions,
+  getSubscriptionById,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  getDeliveries,
+  replayDelivery
+} = require('../controllers/webhookController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/webhooks');
+
+// Webhook subscriptions are managed by admins
+router.use(protect, requirePermission('webhooks:manage'));
+
+router.get('/events', validate(schemas.events), getEvents);
+router.post('/deliveries/:deliveryId/replay', validate(schemas.replay), replayDelivery);
+
+router.get('/', validate(schemas.list), getSubscriptions);
+router.post('/', validate(schemas.create), createSubscription);
+router.get('/:id', validate(schemas.get), getSubscriptionById);
+router.put('/:id', validate(schemas.update), updateSubscription);
+router.delete('/:id', validate(schemas.remove), deleteSubscription);
+router.get('/:id/deliveries', validate(schemas.deliveries), getDeliveries);
+
+module.exports = router;
@@ -0,0 +1,61 @@
+// File: backend/scripts/backtest.js
+// Purpose: CLI to replay stored transactions through a candidate scoring configuration
+//
+// Usage:
+//   node scripts/backtest.js [--start 2025-01-01] [--end 2025-02-01]
+//                            [--threshold 60] [--blend-weight 0.3] [--config candidate.json]
+//
+// The optional config file is JSON with `rules` (a complete rule set),
+// `ruleOverrides` (partial changes keyed by ruleId), `threshold` and/or `blendWeight`.
+
+const fs = require('fs');
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+const { runBacktest } = require('../services/backtest');
+
+// Parse --name value pairs from the command line
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  let config = {};
+  if (args.config) {
+    config = JSON.parse(fs.readFileSync(path.resolve(args.config), 'utf8'));
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('Connected to MongoDB Atlas for backtesting');
+
+  try {
+    const report = await runBacktest({
+      ...config,
+      startDate: args.start || config.startDate,
+      endDate: args.end || config.endDate,
+      threshold: args.threshold !== undefined ? Number(args.threshold) : config.threshold,
+      blendWeight: args['blend-weight'] !== undefined ? Number(args['blend-weight']) : config.blendWeight
+    });
+
+    console.log(JSON.stringify(report, null, 2));
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+main().catch(error => {
+  console.error('Error running backtest:', error.message);
+  if (Array.isArray(error.errors)) {
+    error.errors.forEach(message => console.error(`  - ${message}`));
+  }
+  process.exit(1);
+});
@@ -0,0 +1,34 @@
+// File: backend/scripts/buildMerchants.js
+// Purpose: Batch job that links stored transactions to merchants and recomputes merchant fraud rates
+//
+// Usage:
+//   node scripts/buildMerchants.js
+
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+const { backfillMerchants } = require('../services/merchants');
+
+const main = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('Connected to MongoDB Atlas for merchant backfill');
+
+  try {
+    const result = await backfillMerchants({
+      onProgress: (processed, total) => {
+        if (processed % 100 === 0 || processed === total) {
+          console.log(`Processed ${processed}/${total} merchant names`);
+        }
+      }
+    });
+
+    console.log(`Linked ${result.transactions} transactions to ${result.merchants} merchants`);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+main().catch(error => {
+  console.error('Error building merchants:', error);
+  process.exit(1);
+});
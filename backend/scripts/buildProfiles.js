@@ -0,0 +1,38 @@
+// File: backend/scripts/buildProfiles.js
+// Purpose: Batch job that rebuilds every user's spending profile from transaction history
+//
+// Usage:
+//   node scripts/buildProfiles.js [--window-days 180]
+
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+const { rebuildAllProfiles } = require('../services/profileBuilder');
+
+const main = async () => {
+  const windowIndex = process.argv.indexOf('--window-days');
+  const windowDays = windowIndex !== -1 ? Number(process.argv[windowIndex + 1]) : undefined;
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('Connected to MongoDB Atlas for profile rebuild');
+
+  try {
+    const result = await rebuildAllProfiles({
+      windowDays,
+      onProgress: (processed, total) => {
+        if (processed % 100 === 0 || processed === total) {
+          console.log(`Processed ${processed}/${total} users`);
+        }
+      }
+    });
+
+    console.log(`Rebuilt ${result.rebuilt} profiles (${result.failed} failed)`);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+main().catch(error => {
+  console.error('Error rebuilding profiles:', error);
+  process.exit(1);
+});
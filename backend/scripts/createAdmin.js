@@ -0,0 +1,86 @@
+// File: backend/scripts/createAdmin.js
+// Purpose: CLI to create the first admin account, or promote an existing account
+//
+// Usage:
+//   ADMIN_PASSWORD='...' node scripts/createAdmin.js --email admin@example.com --name "Jane Admin"
+//
+// Registration only creates plain users and further admins are invited through
+// /api/accounts, so this is how an installation gets its first admin.
+
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+const Auth = require('../models/Auth');
+const { recordAudit } = require('../services/auditLog');
+
+// Parse --name value pairs from the command line
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.email) {
+    throw new Error('--email is required');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('Connected to MongoDB Atlas');
+
+  try {
+    let account = await Auth.findOne({ email: args.email.toLowerCase() });
+    if (account) {
+      const before = { role: account.role, isActive: account.isActive };
+      account.role = 'admin';
+      account.isActive = true;
+      account.deactivatedAt = undefined;
+      account.deactivatedBy = undefined;
+      await account.save({ validateBeforeSave: false });
+      await recordAudit({
+        action: 'account.role_changed',
+        entityType: 'Auth',
+        entityId: account._id,
+        before,
+        after: { role: account.role, isActive: true },
+        metadata: { source: 'createAdmin script' }
+      });
+      console.log(`Promoted ${account.email} to admin`);
+      return;
+    }
+
+    // Read from the environment so the password stays out of shell history
+    const password = process.env.ADMIN_PASSWORD;
+    if (!args.name || !password) {
+      throw new Error('--name and ADMIN_PASSWORD are required to create a new account');
+    }
+
+    account = await Auth.create({
+      email: args.email,
+      name: args.name,
+      password,
+      role: 'admin'
+    });
+    await recordAudit({
+      action: 'account.created',
+      entityType: 'Auth',
+      entityId: account._id,
+      after: { email: account.email, name: account.name, role: account.role },
+      metadata: { source: 'createAdmin script' }
+    });
+    console.log(`Created admin ${account.email}`);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+main().catch(error => {
+  console.error('Error creating admin:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,73 @@
+// File: backend/scripts/importTransactions.js
+// Purpose: CLI to import a processor file of transactions (CSV or NDJSON)
+//
+// Usage:
+//   node scripts/importTransactions.js --file transactions.csv [--format csv|ndjson]
+//                                      [--report report.ndjson]
+//
+// The format defaults to the file extension. Each row's result is written to
+// the report file (or printed when rejected) and a summary is printed at the end.
+
+const fs = require('fs');
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+const { resolveFormat, importTransactions } = require('../services/transactionImport');
+
+// Parse --name value pairs from the command line
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+};
+
+const FORMAT_BY_EXTENSION = {
+  '.csv': 'csv',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson'
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file) {
+    throw new Error('--file is required');
+  }
+
+  const file = path.resolve(args.file);
+  const format = resolveFormat(args.format || FORMAT_BY_EXTENSION[path.extname(file).toLowerCase()]);
+  const report = args.report ? fs.createWriteStream(path.resolve(args.report)) : null;
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('Connected to MongoDB Atlas for import');
+
+  try {
+    const summary = await importTransactions(fs.createReadStream(file), {
+      format,
+      source: path.basename(file),
+      onResult: (result) => {
+        if (report) {
+          report.write(JSON.stringify(result) + '\n');
+        } else if (result.status === 'rejected') {
+          console.log(`Row ${result.row} (line ${result.line}) rejected: ${result.reason}`);
+        }
+      }
+    });
+
+    console.log(JSON.stringify(summary, null, 2));
+  } finally {
+    if (report) {
+      await new Promise(resolve => report.end(resolve));
+    }
+    await mongoose.connection.close();
+  }
+};
+
+main().catch(error => {
+  console.error('Error importing transactions:', error.message);
+  process.exit(1);
+});
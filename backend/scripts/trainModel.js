@@ -0,0 +1,44 @@
+// File: backend/scripts/trainModel.js
+// Purpose: CLI to train a new fraud model version from labelled transaction history
+//
+// Usage:
+//   node scripts/trainModel.js [--start 2025-01-01] [--end 2025-06-01]
+//                              [--activate] [--blend-weight 0.3] [--max-samples 20000]
+
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+const { trainModel } = require('../services/modelTraining');
+
+const argValue = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+const main = async () => {
+  const blendWeight = argValue('blend-weight');
+  const maxSamples = argValue('max-samples');
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('Connected to MongoDB Atlas for model training');
+
+  try {
+    const model = await trainModel({
+      startDate: argValue('start'),
+      endDate: argValue('end'),
+      activate: process.argv.includes('--activate'),
+      blendWeight: blendWeight !== undefined ? Number(blendWeight) : undefined,
+      maxSamples: maxSamples !== undefined ? Number(maxSamples) : undefined
+    });
+
+    console.log(`Trained model v${model.version}${model.isActive ? ' (active)' : ''}`);
+    console.log(JSON.stringify({ trainingData: model.trainingData, metrics: model.metrics }, null, 2));
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+main().catch(error => {
+  console.error('Error training model:', error.message);
+  process.exit(1);
+});
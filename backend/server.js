@@ -8,10 +8,16 @@ require('dotenv').config();
 // Create Express app
 const app = express();
 
+// Behind a load balancer, req.ip (used for rate limits and audit) comes from X-Forwarded-For
+if (process.env.TRUST_PROXY_HOPS) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS));
+}
+
 // Middleware
 app.use(helmet());
 app.use(cors());
-app.use(express.json());
+// Bodies larger than this are refused with 413 PAYLOAD_TOO_LARGE
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '100kb' }));
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI)
@@ -31,23 +37,81 @@ mongoose.connect(process.env.MONGODB_URI)
 const transactionRoutes = require('./routes/transactions');
 const userRoutes = require('./routes/users');
 const fraudRoutes = require('./routes/fraudCases');
+const fraudRuleRoutes = require('./routes/fraudRules');
+const fraudModelRoutes = require('./routes/fraudModels');
 const dashboardRoutes = require('./routes/dashboard');
 const authRoutes = require('./routes/auth'); // Add auth routes
+const auditRoutes = require('./routes/audit');
+const decisionRoutes = require('./routes/decisions');
+const verificationRoutes = require('./routes/verifications');
+const webhookRoutes = require('./routes/webhooks');
+const alertRoutes = require('./routes/alerts');
+const accountRoutes = require('./routes/accounts');
+const serviceAccountRoutes = require('./routes/serviceAccounts');
+const merchantRoutes = require('./routes/merchants');
+const { expireChallenges } = require('./services/verification');
+const { processDueDeliveries } = require('./services/webhooks');
+const { processTrainingJobs } = require('./services/modelTraining');
+const { processBacktestJobs } = require('./services/backtest');
+const { getTransportName } = require('./services/notifier');
+const { apiLimiter } = require('./middleware/rateLimit');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+
+// Per-API-key (otherwise per-IP) limit across the whole API; routers add tighter limits where needed
+app.use('/api', apiLimiter);
 
 // Use routes
 app.use('/api/transactions', transactionRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/fraud/rules', fraudRuleRoutes);
+app.use('/api/fraud/models', fraudModelRoutes);
 app.use('/api/fraud', fraudRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/auth', authRoutes); // Mount auth routes
+app.use('/api/audit', auditRoutes);
+app.use('/api/decisions', decisionRoutes);
+app.use('/api/verifications', verificationRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/accounts', accountRoutes);
+app.use('/api/service-accounts', serviceAccountRoutes);
+app.use('/api/merchants', merchantRoutes);
 
 // Basic route
 app.get('/', (req, res) => {
   res.send('SentriCard Fraud Detection API is running');
 });
 
+// Unknown routes and every error passed to next() get the same JSON envelope;
+// these must stay after all other routes
+app.use(notFound);
+app.use(errorHandler);
+
+// Expire unanswered cardholder verifications every minute
+setInterval(() => {
+  expireChallenges().catch(err => console.error('Error expiring verifications:', err));
+}, 60 * 1000).unref();
+
+// Retry failed webhook deliveries whose backoff has elapsed
+setInterval(() => {
+  processDueDeliveries().catch(err => console.error('Error retrying webhooks:', err));
+}, 15 * 1000).unref();
+
+// Pick up model training jobs left queued (e.g. across a restart) and fail interrupted ones
+setInterval(() => {
+  processTrainingJobs().catch(err => console.error('Error processing training jobs:', err));
+}, 60 * 1000).unref();
+
+// Pick up backtest jobs left queued (e.g. across a restart) and fail interrupted ones
+setInterval(() => {
+  processBacktestJobs().catch(err => console.error('Error processing backtest jobs:', err));
+}, 60 * 1000).unref();
+
 // Start server
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  if (!getTransportName()) {
+    console.error('NOTIFIER_TRANSPORT is not set: password reset, invitation and verification emails will fail');
+  }
 });
\ No newline at end of file
@@ -0,0 +1,105 @@
+// File: backend/services/alertStream.js
+// Purpose: In-process fan-out of live alerts to connected clients, with a replay buffer
+
+const { EventEmitter } = require('events');
+
+// Alerts kept for clients resuming with Last-Event-ID
+const BUFFER_SIZE = Number(process.env.ALERT_BUFFER_SIZE) || 1000;
+
+// Roles that receive each alert type
+const ALERT_AUDIENCE = {
+  'transaction.flagged': ['analyst', 'admin'],
+  'case.opened': ['analyst', 'admin'],
+  'case.updated': ['analyst', 'admin'],
+  'webhook.delivery_failed': ['admin']
+};
+
+// Ids are "<epoch>-<sequence>"; the epoch changes on restart so stale ids can be detected
+const epoch = Date.now().toString(36);
+let sequence = 0;
+const buffer = [];
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+/**
+ * Whether an account may receive an alert type
+ * @param {String} type Alert type
+ * @param {String} role Account role
+ * @returns {Boolean}
+ */
+const canReceive = (type, role) => (ALERT_AUDIENCE[type] || []).includes(role);
+
+/**
+ * Publishes an alert to connected clients
+ * @param {String} type Alert type, one of the ALERT_AUDIENCE keys
+ * @param {Object} data Alert payload
+ * @returns {Object} The alert { id, type, data, createdAt }
+ */
+const publishAlert = (type, data) => {
+  sequence += 1;
+  const alert = { id: `${epoch}-${sequence}`, type, data, createdAt: new Date() };
+
+  buffer.push(alert);
+  if (buffer.length > BUFFER_SIZE) {
+    buffer.shift();
+  }
+
+  emitter.emit('alert', alert);
+  return alert;
+};
+
+/**
+ * Alerts published after a given id
+ * @param {String} lastEventId Id of the last alert the client received
+ * @returns {Object} { alerts, complete } where complete is false when alerts
+ *   may have been missed (unknown id, server restart or buffer overrun)
+ */
+const alertsSince = (lastEventId) => {
+  const [idEpoch, idSequence] = String(lastEventId).split('-');
+  const lastSequence = Number(idSequence);
+
+  if (idEpoch !== epoch || !Number.isInteger(lastSequence) || lastSequence > sequence) {
+    return { alerts: buffer.slice(), complete: false };
+  }
+
+  const alerts = buffer.filter(alert => Number(alert.id.split('-')[1]) > lastSequence);
+  const oldestBuffered = buffer.length ? Number(buffer[0].id.split('-')[1]) : sequence + 1;
+  return { alerts, complete: oldestBuffered <= lastSequence + 1 };
+};
+
+/**
+ * Subscribes to alerts as they are published
+ * @param {Function} listener Called with each alert
+ * @returns {Function} Unsubscribe
+ */
+const subscribe = (listener) => {
+  emitter.on('alert', listener);
+  return () => emitter.off('alert', listener);
+};
+
+/**
+ * Case fields included in case.* alerts
+ * @param {Object} fraudCase Case document
+ * @param {String} change What changed, e.g. status, assigned, comment
+ * @returns {Object} Alert payload
+ */
+const caseAlertData = (fraudCase, change) => ({
+  caseId: fraudCase._id,
+  change,
+  status: fraudCase.status,
+  priority: fraudCase.priority,
+  assignee: fraudCase.assignee,
+  userId: fraudCase.userId,
+  cardLastFour: fraudCase.cardLastFour,
+  maxFraudScore: fraudCase.maxFraudScore,
+  transactionCount: fraudCase.transactions.length
+});
+
+module.exports = {
+  ALERT_AUDIENCE,
+  canReceive,
+  publishAlert,
+  alertsSince,
+  subscribe,
+  caseAlertData
+};
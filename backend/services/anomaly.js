@@ -0,0 +1,166 @@
+// File: backend/services/anomaly.js
+// Purpose: Statistical amount anomaly scoring per user and per merchant category
+
+const Transaction = require('../models/Transaction');
+
+// Prior legitimate transactions sampled per analysis
+const HISTORY_SAMPLE_SIZE = 200;
+
+// Fewer samples than this are not enough to judge a distribution
+const MIN_SAMPLES = 10;
+
+// Scales the median absolute deviation to be comparable with a standard deviation
+const MAD_SCALE = 1.4826;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const median = (sorted) => {
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Describes the distribution of a list of amounts
+ * @param {Array<Number>} amounts Historical amounts
+ * @returns {Object|null} mean, stdDev, median and mad, or null when empty
+ */
+const describeAmounts = (amounts) => {
+  if (amounts.length === 0) return null;
+
+  const sorted = [...amounts].sort((a, b) => a - b);
+  const mean = amounts.reduce((sum, amount) => sum + amount, 0) / amounts.length;
+  const variance = amounts.length > 1
+    ? amounts.reduce((sum, amount) => sum + (amount - mean) ** 2, 0) / (amounts.length - 1)
+    : 0;
+  const mid = median(sorted);
+  const mad = median(sorted.map(amount => Math.abs(amount - mid)).sort((a, b) => a - b));
+
+  return {
+    samples: amounts.length,
+    mean,
+    stdDev: Math.sqrt(variance),
+    median: mid,
+    mad
+  };
+};
+
+/**
+ * Scores an amount against a distribution
+ *
+ * The robust z-score uses the median and MAD so that a few past outliers do
+ * not widen the distribution. Both spreads are floored at 10% of the centre
+ * (and at 1) so that a user who always spends the same amount does not turn
+ * every cent of difference into a huge deviation.
+ *
+ * @param {Number} amount Amount to score
+ * @param {Object} stats Output of describeAmounts
+ * @returns {Object} zScore and robustZ in standard units
+ */
+const scoreAmount = (amount, stats) => {
+  const robustSpread = Math.max(MAD_SCALE * stats.mad, 0.1 * Math.abs(stats.median), 1);
+  const spread = Math.max(stats.stdDev, 0.1 * Math.abs(stats.mean), 1);
+
+  return {
+    samples: stats.samples,
+    mean: round(stats.mean),
+    stdDev: round(stats.stdDev),
+    median: round(stats.median),
+    mad: round(stats.mad),
+    zScore: round((amount - stats.mean) / spread),
+    robustZ: round((amount - stats.median) / robustSpread)
+  };
+};
+
+/**
+ * Computes amount anomaly facts for a transaction
+ *
+ * The preferred basis is the user's history in the same merchant category,
+ * then the user's overall history, then the learned spending profile.
+ * `amount.deviation` is the robust z-score of the chosen basis (or the
+ * classic z-score for the profile basis, which only keeps mean and variance).
+ * `amount.reference` names the centre the deviation is measured from
+ * (median, or mean for the profile basis) and `amount.referenceAmount` its value.
+ *
+ * @param {Object} transaction Transaction data
+ * @param {Object} user Cardholder
+ * @param {Date} referenceTime Time the transaction took place
+ * @returns {Object} { user, category, amount } anomaly facts
+ */
+const getAmountAnomaly = async (transaction, user, referenceTime) => {
+  const query = {
+    userId: transaction.userId,
+    isFlagged: { $ne: true },
+    isConfirmedFraud: { $ne: true },
+    timestamp: { $lte: referenceTime }
+  };
+  if (transaction._id) {
+    query._id = { $ne: transaction._id };
+  }
+
+  const history = await Transaction.find(query)
+    .sort({ timestamp: -1 })
+    .limit(HISTORY_SAMPLE_SIZE)
+    .select('amount merchantCategory')
+    .lean();
+
+  const userStats = describeAmounts(history.map(t => t.amount));
+  const categoryStats = describeAmounts(
+    history.filter(t => t.merchantCategory === transaction.merchantCategory).map(t => t.amount)
+  );
+
+  const userScore = userStats ? scoreAmount(transaction.amount, userStats) : null;
+  const categoryScore = categoryStats ? scoreAmount(transaction.amount, categoryStats) : null;
+
+  let amount = { basis: null, hasHistory: false, samples: history.length };
+
+  const fromHistory = (basis, score) => ({
+    basis,
+    hasHistory: true,
+    ...score,
+    deviation: score.robustZ,
+    reference: 'median',
+    referenceAmount: score.median
+  });
+
+  if (categoryScore && categoryScore.samples >= MIN_SAMPLES) {
+    amount = fromHistory('category', categoryScore);
+  } else if (userScore && userScore.samples >= MIN_SAMPLES) {
+    amount = fromHistory('user', userScore);
+  } else {
+    const profile = user.spendingProfile;
+    if (profile && profile.transactionCount >= MIN_SAMPLES) {
+      const profileScore = scoreAmount(transaction.amount, {
+        samples: profile.transactionCount,
+        mean: profile.amountMean,
+        stdDev: profile.amountStdDev,
+        median: profile.amountMean,
+        mad: profile.amountStdDev / MAD_SCALE
+      });
+      // The profile keeps no median, so its deviation is measured from the mean
+      amount = {
+        basis: 'profile',
+        hasHistory: true,
+        ...profileScore,
+        median: null,
+        mad: null,
+        robustZ: null,
+        deviation: profileScore.zScore,
+        reference: 'mean',
+        referenceAmount: profileScore.mean
+      };
+    }
+  }
+
+  return {
+    user: userScore,
+    category: categoryScore,
+    amount
+  };
+};
+
+module.exports = {
+  MIN_SAMPLES,
+  describeAmounts,
+  scoreAmount,
+  getAmountAnomaly
+};
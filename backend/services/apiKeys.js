@@ -0,0 +1,175 @@
+// File: backend/services/apiKeys.js
+// Purpose: Issues, checks, rotates and revokes API keys for service accounts
+
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const ServiceAccount = require('../models/ServiceAccount');
+
+// Every key starts with this, so leaked keys are easy to spot and tell apart from JWTs
+const KEY_PREFIX = 'sk_';
+
+// Lifetime of a new key unless the admin picks one
+const DEFAULT_EXPIRE_DAYS = Number(process.env.API_KEY_EXPIRE_DAYS) || 365;
+const MAX_EXPIRE_DAYS = 2 * 365;
+
+// How long a rotated key keeps working, so clients can switch without downtime
+const DEFAULT_ROTATION_GRACE_HOURS = Number(process.env.API_KEY_ROTATION_GRACE_HOURS) || 24;
+
+const apiKeyError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Keys are "sk_<prefix>_<secret>"; the prefix finds the key, the secret proves it
+const parseApiKey = (rawKey) => {
+  const match = /^sk_([a-f0-9]{16})_([A-Za-z0-9_-]{43})$/.exec(String(rawKey || ''));
+  return match ? { prefix: match[1], secret: match[2] } : null;
+};
+
+/**
+ * Whether a credential looks like an API key rather than a JWT
+ * @param {String} credential Header value
+ * @returns {Boolean}
+ */
+const isApiKey = (credential) => String(credential || '').startsWith(KEY_PREFIX);
+
+/**
+ * API key presented with a request, in the X-API-Key header or as the bearer token
+ * @param {Object} req Express request
+ * @returns {String|undefined} Raw key
+ */
+const apiKeyFromRequest = (req) => {
+  const header = req.headers.authorization || '';
+  const bearer = header.startsWith('Bearer') ? header.split(' ')[1] : undefined;
+  return req.headers['x-api-key'] || (isApiKey(bearer) ? bearer : undefined);
+};
+
+const expiryFor = (expiresInDays) => {
+  const days = expiresInDays === undefined ? DEFAULT_EXPIRE_DAYS : Number(expiresInDays);
+  if (!Number.isFinite(days) || days <= 0 || days > MAX_EXPIRE_DAYS) {
+    throw apiKeyError(`expiresInDays must be between 1 and ${MAX_EXPIRE_DAYS}`, 400);
+  }
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Issues a key for a service account
+ * @param {Object} serviceAccount Service account
+ * @param {Object} options
+ * @param {String} options.name Label, e.g. "gateway production"
+ * @param {Array<String>} options.scopes Scopes granted
+ * @param {Number} [options.expiresInDays] Lifetime in days
+ * @param {Object} [actor] Admin issuing the key
+ * @returns {Object} { apiKey, key } where key is the plaintext, shown once
+ */
+const createApiKey = async (serviceAccount, { name, scopes, expiresInDays }, actor) => {
+  const prefix = crypto.randomBytes(8).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+
+  const apiKey = await ApiKey.create({
+    serviceAccount: serviceAccount._id,
+    name,
+    prefix,
+    keyHash: hashSecret(secret),
+    scopes,
+    expiresAt: expiryFor(expiresInDays),
+    createdBy: actor ? actor._id : undefined
+  });
+
+  return { apiKey, key: `${KEY_PREFIX}${prefix}_${secret}` };
+};
+
+/**
+ * Resolves a presented key and records its use
+ * @param {String} rawKey Key from the request
+ * @param {Object} [req] Express request, for usage stats
+ * @returns {Object|null} { apiKey, serviceAccount }, or null when the key cannot be used
+ */
+const authenticateApiKey = async (rawKey, req) => {
+  const parsed = parseApiKey(rawKey);
+  if (!parsed) return null;
+
+  const apiKey = await ApiKey.findOne({ prefix: parsed.prefix }).select('+keyHash');
+  if (!apiKey || !apiKey.isActive) return null;
+
+  const presented = Buffer.from(hashSecret(parsed.secret));
+  if (!crypto.timingSafeEqual(presented, Buffer.from(apiKey.keyHash))) return null;
+
+  const serviceAccount = await ServiceAccount.findById(apiKey.serviceAccount);
+  if (!serviceAccount || !serviceAccount.isActive) return null;
+
+  // Usage stats should not slow down or fail the request
+  ApiKey.updateOne(
+    { _id: apiKey._id },
+    {
+      $inc: { usageCount: 1 },
+      $set: { lastUsedAt: new Date(), lastUsedIp: req ? req.ip : undefined }
+    }
+  ).catch(error => console.error('Error recording API key usage:', error));
+
+  return { apiKey, serviceAccount };
+};
+
+/**
+ * Replaces a key with a new one carrying the same name and scopes.
+ * The old key keeps working for a grace period.
+ * @param {Object} apiKey Key to rotate
+ * @param {Object} [options]
+ * @param {Number} [options.graceHours] How long the old key keeps working
+ * @param {Number} [options.expiresInDays] Lifetime of the new key
+ * @param {Object} [actor] Admin rotating the key
+ * @returns {Object} { apiKey, key, previous }
+ */
+const rotateApiKey = async (apiKey, { graceHours, expiresInDays } = {}, actor) => {
+  if (!apiKey.isActive) {
+    throw apiKeyError('Only active keys can be rotated', 409);
+  }
+
+  const hours = graceHours === undefined ? DEFAULT_ROTATION_GRACE_HOURS : Number(graceHours);
+  if (!Number.isFinite(hours) || hours < 0 || hours > 7 * 24) {
+    throw apiKeyError('graceHours must be between 0 and 168', 400);
+  }
+
+  const serviceAccount = { _id: apiKey.serviceAccount };
+  const issued = await createApiKey(serviceAccount, {
+    name: apiKey.name,
+    scopes: apiKey.scopes,
+    expiresInDays
+  }, actor);
+
+  const graceEnds = new Date(Date.now() + hours * 60 * 60 * 1000);
+  apiKey.replacedBy = issued.apiKey._id;
+  if (graceEnds < apiKey.expiresAt) {
+    apiKey.expiresAt = graceEnds;
+  }
+  await apiKey.save();
+
+  return { ...issued, previous: apiKey };
+};
+
+/**
+ * Revokes a key immediately
+ * @param {Object} apiKey Key to revoke
+ * @param {String} reason Why it was revoked
+ * @returns {Object} The revoked key
+ */
+const revokeApiKey = async (apiKey, reason) => {
+  if (apiKey.revokedAt) {
+    throw apiKeyError('API key is already revoked', 409);
+  }
+  apiKey.revokedAt = new Date();
+  apiKey.revokedReason = reason;
+  return apiKey.save();
+};
+
+module.exports = {
+  isApiKey,
+  apiKeyFromRequest,
+  createApiKey,
+  authenticateApiKey,
+  rotateApiKey,
+  revokeApiKey
+};
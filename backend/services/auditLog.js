@@ -0,0 +1,70 @@
+// File: backend/services/auditLog.js
+// Purpose: Records audit trail entries
+
+const AuditLog = require('../models/AuditLog');
+
+// Transaction fields that make up its fraud status
+const TRANSACTION_STATUS_FIELDS = ['fraudScore', 'isFlagged', 'isConfirmedFraud'];
+
+/**
+ * Copies selected fields from a document or plain object
+ * @param {Object} source Document or object to copy from
+ * @param {Array<String>} fields Field names to copy
+ * @returns {Object} Plain object with the selected fields
+ */
+const snapshot = (source, fields) => {
+  if (!source) return null;
+  const data = typeof source.toObject === 'function' ? source.toObject() : source;
+  return fields.reduce((result, field) => {
+    result[field] = data[field];
+    return result;
+  }, {});
+};
+
+/**
+ * Appends an entry to the audit log
+ *
+ * Failures are logged rather than thrown so that an audit outage does not
+ * turn a completed change into an error response.
+ *
+ * @param {Object} entry Audit entry
+ * @param {String} entry.action Action name, e.g. 'transaction.false_positive'
+ * @param {String} entry.entityType Model name of the affected entity
+ * @param {*} [entry.entityId] Id of the affected entity
+ * @param {Object} [entry.before] Values before the change
+ * @param {Object} [entry.after] Values after the change
+ * @param {Object} [entry.metadata] Any additional context
+ * @param {Object} [entry.actor] Account performing the action (defaults to req.user,
+ *   or the service account of an API key request)
+ * @param {Object} [entry.req] Express request, used for the actor and IP address
+ * @returns {Object|null} Saved entry, or null when it could not be written
+ */
+const recordAudit = async ({ action, entityType, entityId, before, after, metadata, actor, req }) => {
+  const account = actor || (req && req.user) || null;
+  const serviceAccount = !account && req && req.serviceAccount;
+
+  try {
+    return await AuditLog.create({
+      actor: account ? account._id : undefined,
+      actorEmail: account ? account.email : undefined,
+      actorRole: account ? account.role : (serviceAccount ? 'service' : undefined),
+      serviceAccount: serviceAccount ? serviceAccount._id : undefined,
+      action,
+      entityType,
+      entityId,
+      before,
+      after,
+      metadata,
+      ipAddress: req ? req.ip : undefined
+    });
+  } catch (error) {
+    console.error(`Error writing audit entry for ${action}:`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  TRANSACTION_STATUS_FIELDS,
+  snapshot,
+  recordAudit
+};
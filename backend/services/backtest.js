@@ -0,0 +1,314 @@
+// File: backend/services/backtest.js
+// Purpose: Replays stored transactions through a candidate scoring configuration
+
+const Transaction = require('../models/Transaction');
+const BacktestJob = require('../models/BacktestJob');
+const { analyzeTransaction, FACT_CATALOG } = require('./fraudDetection');
+const { getDecisionPolicy } = require('./decisionPolicy');
+const { getActiveRules } = require('./ruleStore');
+const { validateCondition, hasOwn } = require('./ruleEngine');
+
+// Number of transaction ids listed per diff bucket in the report
+const MAX_DIFF_IDS = 100;
+
+// Progress is reported after this many transactions
+const PROGRESS_INTERVAL = 500;
+
+// A running job whose heartbeat is older than this was interrupted (e.g. by a restart)
+const STALE_JOB_MS = 15 * 60 * 1000;
+
+// Set while this process is working through the queue
+let processingJobs = false;
+
+/**
+ * Builds the candidate rule set for a backtest
+ * @param {Object} config Candidate configuration
+ * @param {Array<Object>} [config.rules] Complete rule set to use instead of the active rules
+ * @param {Object} [config.ruleOverrides] Partial changes keyed by ruleId, e.g. { 'device-new': { weight: 10 } }
+ * @returns {Array<Object>} Active candidate rules
+ */
+const buildCandidateRules = async (config = {}) => {
+  const baseRules = config.rules || await getActiveRules();
+  const overrides = config.ruleOverrides || {};
+
+  const rules = baseRules.map(rule => ({
+    ...rule,
+    ...(hasOwn(overrides, rule.ruleId) ? overrides[rule.ruleId] : {})
+  }));
+
+  const knownFacts = Object.keys(FACT_CATALOG);
+  const errors = [];
+  rules.forEach(rule => {
+    if (!rule.ruleId) {
+      errors.push('Every candidate rule needs a ruleId');
+    }
+    if (typeof rule.weight !== 'number') {
+      errors.push(`${rule.ruleId}: weight must be a number`);
+    }
+    validateCondition(rule.condition, knownFacts).forEach(error => {
+      errors.push(`${rule.ruleId}: ${error}`);
+    });
+  });
+
+  if (errors.length > 0) {
+    const error = new Error('Invalid candidate rule set');
+    error.errors = errors;
+    throw error;
+  }
+
+  return rules.filter(rule => rule.isActive !== false);
+};
+
+const ratio = (numerator, denominator) => {
+  return denominator === 0 ? null : Number((numerator / denominator).toFixed(4));
+};
+
+/**
+ * Computes precision and recall from a confusion matrix
+ */
+const summarizeConfusion = ({ truePositives, falsePositives, falseNegatives, trueNegatives }) => ({
+  truePositives,
+  falsePositives,
+  falseNegatives,
+  trueNegatives,
+  precision: ratio(truePositives, truePositives + falsePositives),
+  recall: ratio(truePositives, truePositives + falseNegatives)
+});
+
+/**
+ * Runs a backtest over a date range of stored transactions
+ * @param {Object} options Backtest options
+ * @param {Date|String} [options.startDate] Start of the range (inclusive)
+ * @param {Date|String} [options.endDate] End of the range (inclusive)
+ * @param {Array<Object>} [options.rules] Complete candidate rule set
+ * @param {Object} [options.ruleOverrides] Partial rule changes keyed by ruleId
+ * @param {Number} [options.threshold] Candidate flag threshold (defaults to the policy's reviewAbove)
+ * @param {Number} [options.blendWeight] Candidate ML blend weight (0 scores with rules only)
+ * @param {Number} [options.maxTransactions] Stop after this many transactions
+ * @param {Function} [options.onProgress] Called with (processed, total) as transactions are replayed
+ * @returns {Object} Backtest report
+ */
+const runBacktest = async (options = {}) => {
+  const threshold = options.threshold !== undefined
+    ? Number(options.threshold)
+    : (await getDecisionPolicy()).reviewAbove;
+  if (Number.isNaN(threshold)) {
+    throw new Error('Threshold must be a number');
+  }
+
+  const rules = await buildCandidateRules(options);
+
+  const query = {};
+  if (options.startDate || options.endDate) {
+    query.timestamp = {};
+    if (options.startDate) {
+      query.timestamp.$gte = new Date(options.startDate);
+    }
+    if (options.endDate) {
+      query.timestamp.$lte = new Date(options.endDate);
+    }
+  }
+
+  const candidate = { truePositives: 0, falsePositives: 0, falseNegatives: 0, trueNegatives: 0 };
+  const actual = { truePositives: 0, falsePositives: 0, falseNegatives: 0, trueNegatives: 0 };
+  const diff = {
+    newlyFlagged: { count: 0, transactionIds: [] },
+    noLongerFlagged: { count: 0, transactionIds: [] }
+  };
+  // No prototype, so any ruleId is a safe key
+  const ruleHits = Object.create(null);
+  let evaluated = 0;
+  let candidateFlagged = 0;
+  let actuallyFlagged = 0;
+  let errors = 0;
+  let truncated = false;
+
+  const tally = (matrix, flagged, isFraud) => {
+    if (flagged && isFraud) matrix.truePositives++;
+    else if (flagged) matrix.falsePositives++;
+    else if (isFraud) matrix.falseNegatives++;
+    else matrix.trueNegatives++;
+  };
+
+  const recordDiff = (bucket, transaction) => {
+    bucket.count++;
+    if (bucket.transactionIds.length < MAX_DIFF_IDS) {
+      bucket.transactionIds.push(transaction._id);
+    }
+  };
+
+  let total = null;
+  if (options.onProgress) {
+    total = await Transaction.countDocuments(query);
+    if (options.maxTransactions) {
+      total = Math.min(total, options.maxTransactions);
+    }
+  }
+
+  const cursor = Transaction.find(query).sort({ timestamp: 1 }).lean().cursor();
+
+  for await (const transaction of cursor) {
+    if (options.maxTransactions && evaluated >= options.maxTransactions) {
+      truncated = true;
+      break;
+    }
+
+    const analysis = await analyzeTransaction(transaction, {
+      rules,
+      threshold,
+      blendWeight: options.blendWeight
+    });
+    evaluated++;
+
+    if (options.onProgress && evaluated % PROGRESS_INTERVAL === 0) {
+      await options.onProgress(evaluated, total);
+    }
+
+    // A failed analysis reads as an unflagged score of 0; counting it would
+    // inflate false negatives and list it as no longer flagged
+    if (analysis.error) {
+      errors++;
+      continue;
+    }
+
+    analysis.riskFactors.forEach(factor => {
+      if (factor.ruleId) {
+        ruleHits[factor.ruleId] = (ruleHits[factor.ruleId] || 0) + 1;
+      }
+    });
+
+    const flagged = analysis.isHighRisk;
+    const wasFlagged = Boolean(transaction.isFlagged);
+    const isFraud = Boolean(transaction.isConfirmedFraud);
+
+    if (flagged) candidateFlagged++;
+    if (wasFlagged) actuallyFlagged++;
+
+    tally(candidate, flagged, isFraud);
+    tally(actual, wasFlagged, isFraud);
+
+    if (flagged && !wasFlagged) {
+      recordDiff(diff.newlyFlagged, transaction);
+    } else if (!flagged && wasFlagged) {
+      recordDiff(diff.noLongerFlagged, transaction);
+    }
+  }
+
+  await cursor.close();
+
+  return {
+    range: {
+      startDate: options.startDate || null,
+      endDate: options.endDate || null
+    },
+    threshold,
+    blendWeight: options.blendWeight !== undefined ? options.blendWeight : null,
+    rulesEvaluated: rules.map(rule => rule.ruleId),
+    transactionsEvaluated: evaluated,
+    truncated,
+    errors,
+    candidate: {
+      flagged: candidateFlagged,
+      ...summarizeConfusion(candidate)
+    },
+    actual: {
+      flagged: actuallyFlagged,
+      ...summarizeConfusion(actual)
+    },
+    diff,
+    ruleHits
+  };
+};
+
+/**
+ * Runs one claimed backtest job and stores its report
+ * @param {Object} job Claimed job document (status running)
+ */
+const runBacktestJob = async (job) => {
+  const heartbeat = setInterval(() => {
+    BacktestJob.updateOne({ _id: job._id }, { $set: { heartbeatAt: new Date() } })
+      .catch(error => console.error('Error updating backtest job heartbeat:', error));
+  }, 60 * 1000);
+
+  const onProgress = async (processed, total) => {
+    await BacktestJob.updateOne({ _id: job._id }, { $set: { progress: { processed, total } } });
+  };
+
+  try {
+    const report = await runBacktest({ ...job.toObject().options, onProgress });
+
+    await BacktestJob.updateOne({ _id: job._id }, {
+      $set: {
+        status: 'succeeded',
+        report,
+        progress: { processed: report.transactionsEvaluated, total: report.transactionsEvaluated },
+        finishedAt: new Date()
+      }
+    });
+  } catch (error) {
+    console.error(`Error in backtest job ${job._id}:`, error);
+    await BacktestJob.updateOne({ _id: job._id }, {
+      $set: { status: 'failed', error: error.message, finishedAt: new Date() }
+    });
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+/**
+ * Works through queued backtest jobs, one at a time
+ *
+ * Jobs are claimed atomically, so several instances can share the queue
+ * without running the same job twice. Running jobs that stopped sending
+ * heartbeats (the process died) are marked failed first.
+ */
+const processBacktestJobs = async () => {
+  if (processingJobs) return;
+  processingJobs = true;
+
+  try {
+    await BacktestJob.updateMany(
+      { status: 'running', heartbeatAt: { $lt: new Date(Date.now() - STALE_JOB_MS) } },
+      { $set: { status: 'failed', error: 'Backtest was interrupted', finishedAt: new Date() } }
+    );
+
+    for (;;) {
+      const now = new Date();
+      const job = await BacktestJob.findOneAndUpdate(
+        { status: 'queued' },
+        { $set: { status: 'running', startedAt: now, heartbeatAt: now } },
+        { sort: { createdAt: 1 }, new: true }
+      );
+      if (!job) break;
+      await runBacktestJob(job);
+    }
+  } finally {
+    processingJobs = false;
+  }
+};
+
+/**
+ * Queues a backtest and starts working on the queue in the background
+ *
+ * The candidate rule set is checked first, so an invalid one is refused
+ * straight away rather than failing the job.
+ *
+ * @param {Object} options Options for runBacktest, without onProgress
+ * @param {*} [requestedBy] Account that asked for the backtest
+ * @returns {Object} The queued job
+ */
+const queueBacktestJob = async (options, requestedBy) => {
+  await buildCandidateRules(options);
+
+  const job = await BacktestJob.create({ options, requestedBy });
+
+  processBacktestJobs().catch(error => console.error('Error processing backtest jobs:', error));
+  return job;
+};
+
+module.exports = {
+  buildCandidateRules,
+  runBacktest,
+  queueBacktestJob,
+  processBacktestJobs
+};
@@ -0,0 +1,210 @@
+// File: backend/services/cardLifecycle.js
+// Purpose: Card status changes (freeze, block, lost/stolen, replace) and status lookups
+
+const crypto = require('crypto');
+const { recordAudit } = require('./auditLog');
+const { publishEvent } = require('./webhooks');
+
+// Action -> statuses it may be applied from, the status it moves the card to and its webhook event
+const CARD_ACTIONS = {
+  freeze: { from: ['active'], to: 'frozen', event: 'card.frozen' },
+  unfreeze: { from: ['frozen'], to: 'active', event: 'card.unfrozen' },
+  block: { from: ['active', 'frozen'], to: 'blocked', event: 'card.blocked' },
+  'report-lost': { from: ['active', 'frozen'], to: 'lost', event: 'card.lost' },
+  'report-stolen': { from: ['active', 'frozen'], to: 'stolen', event: 'card.stolen' }
+};
+
+// Statuses that can be replaced with a new card
+const REPLACEABLE_STATUSES = ['active', 'frozen', 'blocked', 'lost', 'stolen'];
+
+const cardError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Current status of a card, including cards stored before statuses existed
+ * @param {Object} card Card subdocument or plain object
+ * @returns {String} Card status
+ */
+const getCardStatus = (card) => {
+  if (card.status) return card.status;
+  return card.isActive === false ? 'blocked' : 'active';
+};
+
+/**
+ * Status a card had at a point in time, replayed from its status history
+ * @param {Object} card Card subdocument or plain object
+ * @param {Date} at Point in time
+ * @returns {String} Card status
+ */
+const getCardStatusAt = (card, at) => {
+  const history = card.statusHistory || [];
+  if (!history.length) return getCardStatus(card);
+
+  const time = new Date(at).getTime();
+  let status = history[0].from || 'active';
+  history.forEach(change => {
+    if (new Date(change.changedAt).getTime() <= time) {
+      status = change.to;
+    }
+  });
+  return status;
+};
+
+/**
+ * Finds the card a transaction was made with
+ *
+ * Replacement cards may reuse the last four digits, so the active card wins.
+ *
+ * @param {Object} user Cardholder
+ * @param {String} lastFour Last four digits from the transaction
+ * @returns {Object|null} Matching card
+ */
+const findCardByLastFour = (user, lastFour) => {
+  const matches = (user.cards || []).filter(card => card.lastFour === lastFour);
+  return matches.find(card => getCardStatus(card) === 'active') || matches[matches.length - 1] || null;
+};
+
+const setStatus = (card, status, actor, reason) => {
+  const from = getCardStatus(card);
+  card.status = status;
+  card.isActive = status === 'active';
+  card.statusHistory.push({ from, to: status, reason, changedBy: actor._id });
+  return from;
+};
+
+/**
+ * Applies a status action to one of a user's cards
+ * @param {Object} user User document
+ * @param {String} cardId Card subdocument id
+ * @param {String} action One of the CARD_ACTIONS keys
+ * @param {Object} actor Authenticated account
+ * @param {String} [reason] Free-text reason
+ * @param {Object} [req] Express request, for auditing
+ * @returns {Object} Updated card
+ */
+const applyCardAction = async (user, cardId, action, actor, reason, req) => {
+  const definition = CARD_ACTIONS[action];
+  if (!definition) {
+    throw cardError(`Unknown card action ${action}`, 400);
+  }
+
+  const card = user.cards.id(cardId);
+  if (!card) {
+    throw cardError('Card not found', 404);
+  }
+
+  const current = getCardStatus(card);
+  if (!definition.from.includes(current)) {
+    throw cardError(`Cannot ${action.replace('-', ' ')} a card that is ${current}`, 400);
+  }
+
+  setStatus(card, definition.to, actor, reason);
+  await user.save();
+
+  await recordAudit({
+    req,
+    actor,
+    action: `card.${definition.to}`,
+    entityType: 'User',
+    entityId: user._id,
+    before: { cardId: card._id, lastFour: card.lastFour, status: current },
+    after: { cardId: card._id, lastFour: card.lastFour, status: definition.to },
+    metadata: reason ? { reason } : undefined
+  });
+
+  await publishEvent(definition.event, {
+    userId: user._id,
+    cardId: card._id,
+    lastFour: card.lastFour,
+    previousStatus: current,
+    status: definition.to,
+    reason
+  });
+
+  return card;
+};
+
+/**
+ * Issues a replacement for a card
+ *
+ * An active or frozen card is retired as "replaced"; a blocked, lost or stolen
+ * card keeps its status so the history shows why it was replaced.
+ *
+ * @param {Object} user User document
+ * @param {String} cardId Card subdocument id
+ * @param {Object} actor Authenticated account
+ * @param {Object} [options]
+ * @param {String} [options.lastFour] Last four digits of the new card (random when omitted)
+ * @param {String} [options.type] Card type (defaults to the old card's type)
+ * @param {String} [options.reason] Free-text reason
+ * @param {Object} [req] Express request, for auditing
+ * @returns {Object} { oldCard, newCard }
+ */
+const replaceCard = async (user, cardId, actor, options = {}, req) => {
+  const oldCard = user.cards.id(cardId);
+  if (!oldCard) {
+    throw cardError('Card not found', 404);
+  }
+
+  const current = getCardStatus(oldCard);
+  if (!REPLACEABLE_STATUSES.includes(current) || oldCard.replacedBy) {
+    throw cardError('Card has already been replaced', 400);
+  }
+
+  const lastFour = options.lastFour || String(crypto.randomInt(0, 10000)).padStart(4, '0');
+  if (!/^\d{4}$/.test(lastFour)) {
+    throw cardError('lastFour must be four digits', 400);
+  }
+
+  user.cards.push({
+    lastFour,
+    type: options.type || oldCard.type,
+    status: 'active',
+    replaces: oldCard._id,
+    statusHistory: [{ to: 'active', reason: 'Issued as replacement', changedBy: actor._id }]
+  });
+  const newCard = user.cards[user.cards.length - 1];
+
+  if (current === 'active' || current === 'frozen') {
+    setStatus(oldCard, 'replaced', actor, options.reason);
+  }
+  oldCard.replacedBy = newCard._id;
+
+  await user.save();
+
+  await recordAudit({
+    req,
+    actor,
+    action: 'card.replaced',
+    entityType: 'User',
+    entityId: user._id,
+    before: { cardId: oldCard._id, lastFour: oldCard.lastFour, status: current },
+    after: { cardId: newCard._id, lastFour: newCard.lastFour, status: 'active', oldCardStatus: getCardStatus(oldCard) },
+    metadata: options.reason ? { reason: options.reason } : undefined
+  });
+
+  await publishEvent('card.replaced', {
+    userId: user._id,
+    cardId: oldCard._id,
+    lastFour: oldCard.lastFour,
+    previousStatus: current,
+    status: getCardStatus(oldCard),
+    replacementCardId: newCard._id,
+    replacementLastFour: newCard.lastFour,
+    reason: options.reason
+  });
+
+  return { oldCard, newCard };
+};
+
+module.exports = {
+  CARD_ACTIONS,
+  getCardStatus,
+  getCardStatusAt,
+  findCardByLastFour,
+  applyCardAction,
+  replaceCard
+};
@@ -0,0 +1,376 @@
+// File: backend/services/caseManagement.js
+// Purpose: Fraud case lifecycle: auto-open, status transitions, assignment and comments
+
+const FraudCase = require('../models/FraudCase');
+const Transaction = require('../models/Transaction');
+const { recordAudit, snapshot, TRANSACTION_STATUS_FIELDS } = require('./auditLog');
+const { publishTransactionEvent } = require('./webhooks');
+const { publishAlert, caseAlertData } = require('./alertStream');
+const { refreshProfileAfterReview } = require('./profileBuilder');
+
+const { ACTIVE_STATUSES } = FraudCase;
+
+// A new case racing another for the same card retries to link to the winner
+const MAX_OPEN_ATTEMPTS = 3;
+
+// Allowed status transitions
+const TRANSITIONS = {
+  open: ['investigating', 'awaiting_customer', 'confirmed_fraud', 'false_positive', 'closed'],
+  investigating: ['awaiting_customer', 'confirmed_fraud', 'false_positive', 'closed'],
+  awaiting_customer: ['investigating', 'confirmed_fraud', 'false_positive', 'closed'],
+  confirmed_fraud: ['investigating', 'closed'],
+  false_positive: ['investigating', 'closed'],
+  closed: ['investigating']
+};
+
+// SLA targets in hours, by case priority
+const SLA_HOURS = {
+  high: { firstResponse: 1, resolution: 8 },
+  medium: { firstResponse: 4, resolution: 24 },
+  low: { firstResponse: 24, resolution: 72 }
+};
+
+const PRIORITY_RANK = { low: 0, medium: 1, high: 2 };
+
+// What resolving a case, or reviewing one transaction, sets on the transactions
+const OUTCOMES = {
+  confirmed_fraud: { isConfirmedFraud: true },
+  // The score is kept so a reopened case still shows what scoring saw
+  false_positive: { isConfirmedFraud: false, isFlagged: false }
+};
+
+const hoursFrom = (date, hours) => new Date(date.getTime() + hours * 60 * 60 * 1000);
+
+const caseError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Maps a fraud score to a case priority
+ * @param {Number} score Fraud score (0-100)
+ * @returns {String} low, medium or high
+ */
+const priorityForScore = (score) => {
+  if (score >= 90) return 'high';
+  if (score >= 70) return 'medium';
+  return 'low';
+};
+
+const applySla = (fraudCase) => {
+  const targets = SLA_HOURS[fraudCase.priority];
+  fraudCase.sla.firstResponseDueAt = hoursFrom(fraudCase.sla.openedAt, targets.firstResponse);
+  fraudCase.sla.resolutionDueAt = hoursFrom(fraudCase.sla.openedAt, targets.resolution);
+};
+
+// Records the first analyst action on a case
+const markFirstResponse = (fraudCase) => {
+  if (!fraudCase.sla.firstRespondedAt) {
+    fraudCase.sla.firstRespondedAt = new Date();
+  }
+};
+
+/**
+ * Opens a case for a flagged transaction, or links it to the card's active case
+ * @param {Object} transaction Saved, flagged transaction document
+ * @returns {Object} The opened or updated case
+ */
+const openCaseForTransaction = async (transaction) => {
+  const priority = priorityForScore(transaction.fraudScore);
+
+  for (let attempt = 0; attempt < MAX_OPEN_ATTEMPTS; attempt++) {
+    let fraudCase = await FraudCase.findOne({
+      userId: transaction.userId,
+      cardLastFour: transaction.cardLastFour,
+      status: { $in: ACTIVE_STATUSES }
+    });
+
+    if (fraudCase) {
+      fraudCase.transactions.addToSet(transaction._id);
+      fraudCase.maxFraudScore = Math.max(fraudCase.maxFraudScore, transaction.fraudScore);
+      if (PRIORITY_RANK[priority] > PRIORITY_RANK[fraudCase.priority]) {
+        fraudCase.priority = priority;
+        applySla(fraudCase);
+      }
+      const updatedCase = await fraudCase.save();
+      publishAlert('case.updated', caseAlertData(updatedCase, 'transaction_linked'));
+      return updatedCase;
+    }
+
+    fraudCase = new FraudCase({
+      userId: transaction.userId,
+      cardLastFour: transaction.cardLastFour,
+      transactions: [transaction._id],
+      maxFraudScore: transaction.fraudScore,
+      priority,
+      statusHistory: [{ to: 'open', reason: 'Transaction flagged by fraud scoring' }]
+    });
+    applySla(fraudCase);
+
+    try {
+      const openedCase = await fraudCase.save();
+      publishAlert('case.opened', caseAlertData(openedCase, 'opened'));
+      return openedCase;
+    } catch (error) {
+      // Another transaction on the card opened its case first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw caseError(`Could not open or find the active case for card ${transaction.cardLastFour}`, 409);
+};
+
+/**
+ * Moves a case to a new status and applies the outcome to its transactions
+ * @param {Object} fraudCase Case document
+ * @param {String} status Target status
+ * @param {Object|null} actor Authenticated account making the change (null for system changes)
+ * @param {String} [reason] Free-text reason recorded in the history
+ * @returns {Object} Updated case
+ */
+const transitionCase = async (fraudCase, status, actor, reason) => {
+  if (!FraudCase.STATUSES.includes(status)) {
+    throw caseError(`Status must be one of ${FraudCase.STATUSES.join(', ')}`, 400);
+  }
+
+  const from = fraudCase.status;
+  if (!TRANSITIONS[from].includes(status)) {
+    throw caseError(`Cannot move case from ${from} to ${status}`, 400);
+  }
+
+  fraudCase.status = status;
+  fraudCase.statusHistory.push({ from, to: status, changedBy: actor ? actor._id : undefined, reason });
+  if (actor) {
+    markFirstResponse(fraudCase);
+  }
+
+  if (status === 'confirmed_fraud' || status === 'false_positive') {
+    fraudCase.sla.resolvedAt = new Date();
+  } else if (status === 'closed') {
+    fraudCase.sla.closedAt = new Date();
+    if (!fraudCase.sla.resolvedAt) {
+      fraudCase.sla.resolvedAt = fraudCase.sla.closedAt;
+    }
+  } else {
+    // Reopened or still in progress
+    fraudCase.sla.resolvedAt = undefined;
+    fraudCase.sla.closedAt = undefined;
+  }
+
+  // The case is saved before its outcome reaches the transactions, so a failed
+  // save never leaves transactions resolved for a case that is still open
+  let savedCase;
+  try {
+    savedCase = await fraudCase.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw caseError('The card already has another active case', 409);
+    }
+    throw error;
+  }
+
+  await recordAudit({
+    actor,
+    action: 'case.status_changed',
+    entityType: 'FraudCase',
+    entityId: fraudCase._id,
+    before: { status: from },
+    after: { status },
+    metadata: reason ? { reason } : undefined
+  });
+
+  const outcome = OUTCOMES[status];
+
+  if (outcome) {
+    const transactions = await Transaction.find({ _id: { $in: savedCase.transactions } })
+      .select(TRANSACTION_STATUS_FIELDS.join(' '))
+      .lean();
+
+    await Transaction.updateMany(
+      { _id: { $in: savedCase.transactions } },
+      { $set: outcome }
+    );
+
+    for (const transaction of transactions) {
+      const { _id, ...before } = transaction;
+      await recordAudit({
+        actor,
+        action: `transaction.${status}`,
+        entityType: 'Transaction',
+        entityId: _id,
+        before,
+        after: { ...before, ...outcome },
+        metadata: { caseId: savedCase._id }
+      });
+    }
+
+    const updatedTransactions = await Transaction.find({ _id: { $in: savedCase.transactions } }).lean();
+    for (const transaction of updatedTransactions) {
+      await publishTransactionEvent(`transaction.${status}`, transaction);
+    }
+
+    await refreshProfileAfterReview(savedCase.userId);
+  }
+
+  publishAlert('case.updated', caseAlertData(savedCase, 'status'));
+  return savedCase;
+};
+
+/**
+ * Applies a reviewer's verdict on one transaction and keeps its active case in step
+ *
+ * Confirmed fraud resolves the whole case as fraud. A false positive resolves
+ * the case as a false positive when nothing else in it is still flagged;
+ * otherwise only this transaction is cleared and the case history records it.
+ *
+ * @param {Object} transaction Transaction document
+ * @param {String} status confirmed_fraud or false_positive
+ * @param {Object} actor Authenticated account making the change
+ * @param {Object} [options]
+ * @param {Object} [options.req] Request, for the audit entry
+ * @param {String} [options.action] Audit action when only the transaction changes
+ * @returns {Object} Updated transaction
+ */
+const reviewTransaction = async (transaction, status, actor, options = {}) => {
+  const outcome = OUTCOMES[status];
+  if (!outcome) {
+    throw caseError('Review must be confirmed_fraud or false_positive', 400);
+  }
+
+  const fraudCase = await FraudCase.findOne({
+    transactions: transaction._id,
+    status: { $in: ACTIVE_STATUSES }
+  });
+
+  if (fraudCase) {
+    const resolvesCase = status === 'confirmed_fraud' || await Transaction.countDocuments({
+      _id: { $in: fraudCase.transactions, $ne: transaction._id },
+      isFlagged: true,
+      isConfirmedFraud: { $ne: true }
+    }) === 0;
+
+    if (resolvesCase) {
+      await transitionCase(fraudCase, status, actor, `Transaction ${transaction._id} reviewed as ${status}`);
+      return Transaction.findById(transaction._id);
+    }
+  }
+
+  const before = snapshot(transaction, TRANSACTION_STATUS_FIELDS);
+  transaction.set(outcome);
+  const updatedTransaction = await transaction.save();
+
+  await recordAudit({
+    req: options.req,
+    actor,
+    action: options.action || `transaction.${status}`,
+    entityType: 'Transaction',
+    entityId: transaction._id,
+    before,
+    after: snapshot(updatedTransaction, TRANSACTION_STATUS_FIELDS),
+    metadata: fraudCase ? { caseId: fraudCase._id } : undefined
+  });
+  await publishTransactionEvent(`transaction.${status}`, updatedTransaction);
+  await refreshProfileAfterReview(updatedTransaction.userId);
+
+  if (fraudCase) {
+    fraudCase.statusHistory.push({
+      from: fraudCase.status,
+      to: fraudCase.status,
+      changedBy: actor ? actor._id : undefined,
+      reason: `Transaction ${transaction._id} reviewed as ${status}; other transactions are still flagged`
+    });
+    if (actor) {
+      markFirstResponse(fraudCase);
+    }
+    const savedCase = await fraudCase.save();
+    publishAlert('case.updated', caseAlertData(savedCase, 'status'));
+  }
+
+  return updatedTransaction;
+};
+
+/**
+ * Assigns a case to an analyst, or unassigns it when assignee is null
+ * @param {Object} fraudCase Case document
+ * @param {Object|null} assignee Auth account of the analyst
+ * @param {Object} actor Authenticated account making the change
+ * @returns {Object} Updated case
+ */
+const assignCase = async (fraudCase, assignee, actor) => {
+  if (assignee && !['analyst', 'admin'].includes(assignee.role)) {
+    throw caseError('Cases can only be assigned to analysts or admins', 400);
+  }
+
+  const previousAssignee = fraudCase.assignee || null;
+  fraudCase.assignee = assignee ? assignee._id : undefined;
+  if (assignee) {
+    markFirstResponse(fraudCase);
+  }
+
+  const savedCase = await fraudCase.save();
+
+  await recordAudit({
+    actor,
+    action: 'case.assigned',
+    entityType: 'FraudCase',
+    entityId: fraudCase._id,
+    before: { assignee: previousAssignee },
+    after: { assignee: savedCase.assignee || null }
+  });
+
+  publishAlert('case.updated', caseAlertData(savedCase, 'assigned'));
+  return savedCase;
+};
+
+/**
+ * Adds a comment to a case
+ * @param {Object} fraudCase Case document
+ * @param {Object} author Authenticated account writing the comment
+ * @param {String} body Comment text
+ * @returns {Object} Updated case
+ */
+const addComment = async (fraudCase, author, body) => {
+  if (!body || !String(body).trim()) {
+    throw caseError('Comment body is required', 400);
+  }
+
+  fraudCase.comments.push({ author: author._id, body });
+  markFirstResponse(fraudCase);
+
+  const savedCase = await fraudCase.save();
+  publishAlert('case.updated', caseAlertData(savedCase, 'comment'));
+  return savedCase;
+};
+
+/**
+ * Links an additional transaction to a case
+ * @param {Object} fraudCase Case document
+ * @param {Object} transaction Transaction document
+ * @returns {Object} Updated case
+ */
+const linkTransaction = async (fraudCase, transaction) => {
+  if (String(transaction.userId) !== String(fraudCase.userId)) {
+    throw caseError('Transaction belongs to a different cardholder', 400);
+  }
+
+  fraudCase.transactions.addToSet(transaction._id);
+  fraudCase.maxFraudScore = Math.max(fraudCase.maxFraudScore, transaction.fraudScore);
+
+  const savedCase = await fraudCase.save();
+  publishAlert('case.updated', caseAlertData(savedCase, 'transaction_linked'));
+  return savedCase;
+};
+
+module.exports = {
+  ACTIVE_STATUSES,
+  TRANSITIONS,
+  SLA_HOURS,
+  priorityForScore,
+  openCaseForTransaction,
+  transitionCase,
+  reviewTransaction,
+  assignCase,
+  addComment,
+  linkTransaction
+};
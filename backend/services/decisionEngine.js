@@ -0,0 +1,177 @@
+// File: backend/services/decisionEngine.js
+// Purpose: Turns fraud analysis into approve / review / decline decisions within a latency budget
+
+const User = require('../models/User');
+const { analyzeTransaction } = require('./fraudDetection');
+const { findCardByLastFour, getCardStatus } = require('./cardLifecycle');
+const { findMerchant } = require('./merchants');
+const { getDecisionPolicy, invalidatePolicyCache } = require('./decisionPolicy');
+
+// Risk factors listed as reason codes, highest contribution first
+const MAX_RULE_REASONS = 5;
+
+/**
+ * Reason code for a rule, e.g. travel-impossible -> RULE_TRAVEL_IMPOSSIBLE
+ */
+const ruleReasonCode = (ruleId) => `RULE_${String(ruleId).toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+
+/**
+ * Runs fraud analysis, giving up when the latency budget is exceeded
+ *
+ * Scoring that fails or times out is reported as such instead of being
+ * treated as a zero score.
+ *
+ * @param {Object} data Transaction data
+ * @param {Number} budgetMs Latency budget in milliseconds
+ * @param {Object} [options] Passed to analyzeTransaction
+ * @returns {Object} { analysis, failure, latencyMs } where failure is null, 'SCORING_ERROR' or 'SCORING_TIMEOUT'
+ */
+const analyzeWithinBudget = async (data, budgetMs, options) => {
+  const startedAt = Date.now();
+  let timer;
+
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(null), budgetMs);
+  });
+
+  const analysis = await Promise.race([analyzeTransaction(data, options), timeout]);
+  clearTimeout(timer);
+
+  let failure = null;
+  if (!analysis) {
+    failure = 'SCORING_TIMEOUT';
+  } else if (analysis.error) {
+    failure = 'SCORING_ERROR';
+  }
+
+  return { analysis, failure, latencyMs: Date.now() - startedAt };
+};
+
+/**
+ * Maps an analysis to a decision under a policy
+ * @param {Object|null} analysis Fraud analysis (null when scoring timed out)
+ * @param {String|null} failure Scoring failure code
+ * @param {Object} policy Decision policy
+ * @returns {Object} { outcome, reasonCodes, isFallback }
+ */
+const decide = (analysis, failure, policy) => {
+  if (failure) {
+    return {
+      outcome: policy.fallbackDecision,
+      reasonCodes: ['FALLBACK_DECISION', failure],
+      isFallback: true
+    };
+  }
+
+  let outcome = 'approve';
+  let bandCode = 'SCORE_WITHIN_LIMITS';
+  if (analysis.score > policy.declineAbove) {
+    outcome = 'decline';
+    bandCode = 'SCORE_ABOVE_DECLINE_THRESHOLD';
+  } else if (analysis.score > policy.reviewAbove) {
+    outcome = 'review';
+    bandCode = 'SCORE_ABOVE_REVIEW_THRESHOLD';
+  }
+
+  const ruleCodes = analysis.riskFactors
+    .filter(factor => factor.ruleId && factor.contribution > 0)
+    .sort((a, b) => b.contribution - a.contribution)
+    .slice(0, MAX_RULE_REASONS)
+    .map(factor => ruleReasonCode(factor.ruleId));
+
+  return {
+    outcome,
+    reasonCodes: [bandCode, ...ruleCodes],
+    isFallback: false
+  };
+};
+
+/**
+ * Current status of the card a transaction was made with
+ * @param {Object} data Transaction data
+ * @returns {String|null} Card status, or null when the card is not on file
+ */
+const lookupCardStatus = async (data) => {
+  const user = await User.findById(data.userId).select('cards').lean();
+  const card = user && findCardByLastFour(user, data.cardLastFour);
+  return card ? getCardStatus(card) : null;
+};
+
+/**
+ * Score stored when scoring failed: the top of the fallback outcome's band
+ *
+ * Keeps fraudScore consistent with the outcome (and isFlagged) so reports
+ * and training that filter on the score see fallback decisions where they
+ * belong; decision.isFallback still tells them apart.
+ *
+ * @param {Object} policy Decision policy
+ * @returns {Number}
+ */
+const fallbackScore = (policy) => {
+  if (policy.fallbackDecision === 'decline') return 100;
+  if (policy.fallbackDecision === 'review') return policy.declineAbove;
+  return policy.reviewAbove;
+};
+
+/**
+ * Scores a transaction and decides what the caller should do with it
+ *
+ * Transactions on a card that is not active, or at a blocklisted merchant,
+ * are always declined.
+ *
+ * The merchant is looked up once, unless the caller already resolved it, and
+ * shared by the blocklist check and the merchant fact.
+ *
+ * @param {Object} data Transaction data
+ * @param {Object} [options] Passed to analyzeTransaction
+ * @param {Object|null} [options.merchant] Merchant already resolved for the transaction
+ * @returns {Object} { analysis, decision } where decision is ready to persist on the transaction
+ */
+const evaluateTransaction = async (data, options = {}) => {
+  const [policy, merchant] = await Promise.all([
+    getDecisionPolicy(),
+    options.merchant !== undefined ? options.merchant : findMerchant(data)
+  ]);
+  const analysisOptions = { threshold: policy.reviewAbove, ...options, merchant };
+  const [{ analysis, failure, latencyMs }, cardStatus] = await Promise.all([
+    analyzeWithinBudget(data, policy.latencyBudgetMs, analysisOptions),
+    lookupCardStatus(data)
+  ]);
+  const merchantBlocked = Boolean(merchant && merchant.listStatus === 'block');
+  let { outcome, reasonCodes, isFallback } = decide(analysis, failure, policy);
+
+  // Activity on a frozen, blocked, lost, stolen or replaced card is declined whatever the score
+  if (cardStatus && cardStatus !== 'active') {
+    outcome = 'decline';
+    reasonCodes = [`CARD_${cardStatus.toUpperCase()}`, ...reasonCodes];
+  }
+
+  // Blocklisted merchants are declined even when scoring failed
+  if (merchantBlocked) {
+    outcome = 'decline';
+    reasonCodes = ['MERCHANT_BLOCKED', ...reasonCodes];
+  }
+
+  return {
+    analysis,
+    decision: {
+      outcome,
+      reasonCodes,
+      isFallback,
+      score: failure ? fallbackScore(policy) : analysis.score,
+      reviewAbove: policy.reviewAbove,
+      declineAbove: policy.declineAbove,
+      latencyMs,
+      decidedAt: new Date()
+    }
+  };
+};
+
+module.exports = {
+  getDecisionPolicy,
+  invalidatePolicyCache,
+  analyzeWithinBudget,
+  decide,
+  fallbackScore,
+  evaluateTransaction
+};
@@ -0,0 +1,40 @@
+// File: backend/services/decisionPolicy.js
+// Purpose: Loads and caches the decision policy shared by scoring, decisions and backtests
+
+const DecisionPolicy = require('../models/DecisionPolicy');
+
+const CACHE_TTL_MS = 30 * 1000;
+
+let cache = null;
+let cacheLoadedAt = 0;
+
+/**
+ * Gets the decision policy, creating the default one on first use
+ * @returns {Object} Policy as a plain object
+ */
+const getDecisionPolicy = async () => {
+  if (cache && Date.now() - cacheLoadedAt < CACHE_TTL_MS) {
+    return cache;
+  }
+
+  cache = await DecisionPolicy.findOneAndUpdate(
+    { name: 'default' },
+    { $setOnInsert: { name: 'default' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+  cacheLoadedAt = Date.now();
+  return cache;
+};
+
+/**
+ * Drops the cached policy so the next decision reloads it
+ */
+const invalidatePolicyCache = () => {
+  cache = null;
+  cacheLoadedAt = 0;
+};
+
+module.exports = {
+  getDecisionPolicy,
+  invalidatePolicyCache
+};
@@ -0,0 +1,308 @@
+// File: backend/services/defaultRules.js
+// Purpose: Built-in rule set, seeded into the database when missing
+
+// The amount, location, category, time, frequency and device rules reproduce the
+// original hard-coded scoring (25, 20, 15, 15, 20 and 5 points). The fixed
+// multiples of the average now only apply while there is too little history for
+// the statistical amount rules.
+//
+// The merchant rules share one group, so an admin's allow or block listing
+// takes the place of the merchant's fraud-rate rule.
+const defaultRules = [
+  {
+    ruleId: 'amount-anomaly-extreme',
+    name: 'Extreme amount anomaly',
+    message: 'Amount is {{anomaly.amount.deviation}} standard deviations above the ' +
+      '{{anomaly.amount.basis}} {{anomaly.amount.reference}} of {{anomaly.amount.referenceAmount}}',
+    group: 'amount',
+    priority: 5,
+    weight: 25,
+    condition: { fact: 'anomaly.amount.deviation', operator: 'gt', value: 6 }
+  },
+  {
+    ruleId: 'amount-anomaly-high',
+    name: 'High amount anomaly',
+    message: 'Amount is {{anomaly.amount.deviation}} standard deviations above the ' +
+      '{{anomaly.amount.basis}} {{anomaly.amount.reference}} of {{anomaly.amount.referenceAmount}}',
+    group: 'amount',
+    priority: 6,
+    weight: 20,
+    condition: { fact: 'anomaly.amount.deviation', operator: 'gt', value: 4 }
+  },
+  {
+    ruleId: 'amount-anomaly-elevated',
+    name: 'Elevated amount anomaly',
+    message: 'Amount is {{anomaly.amount.deviation}} standard deviations above the ' +
+      '{{anomaly.amount.basis}} {{anomaly.amount.reference}} of {{anomaly.amount.referenceAmount}}',
+    group: 'amount',
+    priority: 7,
+    weight: 12.5,
+    condition: { fact: 'anomaly.amount.deviation', operator: 'gt', value: 3 }
+  },
+  {
+    ruleId: 'amount-5x-average',
+    name: 'Amount 5x user average',
+    message: 'Transaction amount 5x higher than user average',
+    group: 'amount',
+    priority: 10,
+    weight: 25,
+    condition: {
+      all: [
+        { fact: 'anomaly.amount.hasHistory', operator: 'eq', value: false },
+        { fact: 'amountRatio', operator: 'gt', value: 5 }
+      ]
+    }
+  },
+  {
+    ruleId: 'amount-3x-average',
+    name: 'Amount 3x user average',
+    message: 'Transaction amount 3x higher than user average',
+    group: 'amount',
+    priority: 11,
+    weight: 20,
+    condition: {
+      all: [
+        { fact: 'anomaly.amount.hasHistory', operator: 'eq', value: false },
+        { fact: 'amountRatio', operator: 'gt', value: 3 }
+      ]
+    }
+  },
+  {
+    ruleId: 'amount-2x-average',
+    name: 'Amount 2x user average',
+    message: 'Transaction amount 2x higher than user average',
+    group: 'amount',
+    priority: 12,
+    weight: 12.5,
+    condition: {
+      all: [
+        { fact: 'anomaly.amount.hasHistory', operator: 'eq', value: false },
+        { fact: 'amountRatio', operator: 'gt', value: 2 }
+      ]
+    }
+  },
+  {
+    ruleId: 'location-foreign-country',
+    name: 'Foreign country',
+    message: 'Transaction from foreign country',
+    group: 'location',
+    priority: 20,
+    weight: 20,
+    condition: { fact: 'isForeignCountry', operator: 'eq', value: true }
+  },
+  {
+    ruleId: 'location-unusual-city',
+    name: 'Unusual city',
+    message: 'Transaction from unusual city',
+    group: 'location',
+    priority: 21,
+    weight: 12,
+    condition: {
+      all: [
+        { fact: 'isKnownLocation', operator: 'eq', value: false },
+        { fact: 'isOnline', operator: 'eq', value: false }
+      ]
+    }
+  },
+  {
+    ruleId: 'category-unusual',
+    name: 'Unusual merchant category',
+    message: 'Unusual merchant category for this user',
+    group: 'category',
+    priority: 30,
+    weight: 15,
+    condition: { fact: 'isUnusualCategory', operator: 'eq', value: true }
+  },
+  {
+    ruleId: 'merchant-blocked',
+    name: 'Blocklisted merchant',
+    message: 'Merchant {{merchant.name}} is blocklisted',
+    group: 'merchant',
+    priority: 1,
+    weight: 100,
+    condition: { fact: 'merchant.isBlocked', operator: 'eq', value: true }
+  },
+  {
+    ruleId: 'merchant-allowlisted',
+    name: 'Allowlisted merchant',
+    message: 'Merchant {{merchant.name}} is allowlisted',
+    group: 'merchant',
+    priority: 2,
+    weight: -20,
+    condition: { fact: 'merchant.isAllowed', operator: 'eq', value: true }
+  },
+  {
+    ruleId: 'merchant-fraud-rate-high',
+    name: 'High merchant fraud rate',
+    message: '{{merchant.confirmedFraudCount}} of {{merchant.transactionCount}} transactions at ' +
+      '{{merchant.name}} were confirmed fraud',
+    group: 'merchant',
+    priority: 31,
+    weight: 20,
+    condition: {
+      all: [
+        { fact: 'merchant.hasHistory', operator: 'eq', value: true },
+        { fact: 'merchant.fraudRate', operator: 'gt', value: 0.05 }
+      ]
+    }
+  },
+  {
+    ruleId: 'merchant-fraud-rate-elevated',
+    name: 'Elevated merchant fraud rate',
+    message: '{{merchant.confirmedFraudCount}} of {{merchant.transactionCount}} transactions at ' +
+      '{{merchant.name}} were confirmed fraud',
+    group: 'merchant',
+    priority: 32,
+    weight: 10,
+    condition: {
+      all: [
+        { fact: 'merchant.hasHistory', operator: 'eq', value: true },
+        { fact: 'merchant.fraudRate', operator: 'gt', value: 0.02 }
+      ]
+    }
+  },
+  {
+    ruleId: 'merchant-high-risk-mcc',
+    name: 'High-risk merchant category code',
+    message: 'Merchant category code {{merchant.mcc}} is high risk',
+    group: 'merchant-mcc',
+    priority: 33,
+    weight: 10,
+    // Money transfer, quasi-cash, stored value, direct marketing and gambling
+    condition: {
+      all: [
+        { fact: 'merchant.isAllowed', operator: 'eq', value: false },
+        { fact: 'merchant.mcc', operator: 'in', value: ['4829', '6051', '6540', '5967', '7995'] }
+      ]
+    }
+  },
+  {
+    ruleId: 'time-outside-active-hours',
+    name: 'Outside active hours',
+    message: 'Transaction outside typical active hours',
+    group: 'time',
+    priority: 40,
+    weight: 15,
+    condition: { fact: 'isOutsideActiveHours', operator: 'eq', value: true }
+  },
+  {
+    ruleId: 'frequency-extreme',
+    name: 'Extreme transaction frequency',
+    message: 'Extremely high transaction frequency (>8 in 24h)',
+    group: 'frequency',
+    priority: 50,
+    weight: 20,
+    condition: { fact: 'recentTransactionCount24h', operator: 'gt', value: 8 }
+  },
+  {
+    ruleId: 'frequency-high',
+    name: 'High transaction frequency',
+    message: 'High transaction frequency (>5 in 24h)',
+    group: 'frequency',
+    priority: 51,
+    weight: 14,
+    condition: { fact: 'recentTransactionCount24h', operator: 'gt', value: 5 }
+  },
+  {
+    ruleId: 'duplicate-near',
+    name: 'Near-duplicate transaction',
+    message: 'Same card, merchant and amount as a transaction {{duplicate.minutesSincePrevious}} ' +
+      'minutes earlier',
+    group: 'duplicate',
+    priority: 55,
+    weight: 20,
+    condition: { fact: 'duplicate.count', operator: 'gte', value: 1 }
+  },
+  {
+    ruleId: 'device-new',
+    name: 'New device',
+    message: 'Transaction from new device',
+    group: 'device',
+    priority: 60,
+    weight: 5,
+    condition: { fact: 'isNewDevice', operator: 'eq', value: true }
+  },
+  {
+    ruleId: 'velocity-device-many-cards',
+    name: 'Many cards on one device',
+    message: '{{velocity.device.1h.distinctCards}} cards used from this device in the last hour',
+    group: 'velocity-device',
+    priority: 70,
+    weight: 25,
+    condition: { fact: 'velocity.device.1h.distinctCards', operator: 'gt', value: 3 }
+  },
+  {
+    ruleId: 'velocity-ip-many-cards',
+    name: 'Many cards from one IP address',
+    message: '{{velocity.ip.1h.distinctCards}} cards used from this IP address in the last hour',
+    group: 'velocity-ip',
+    priority: 71,
+    weight: 20,
+    condition: { fact: 'velocity.ip.1h.distinctCards', operator: 'gt', value: 3 }
+  },
+  {
+    ruleId: 'velocity-card-burst',
+    name: 'Card burst',
+    message: '{{velocity.card.1m.count}} transactions on this card in the last minute',
+    group: 'velocity-card',
+    priority: 72,
+    weight: 20,
+    condition: { fact: 'velocity.card.1m.count', operator: 'gte', value: 3 }
+  },
+  {
+    ruleId: 'velocity-card-hourly',
+    name: 'High hourly card usage',
+    message: '{{velocity.card.1h.count}} transactions totalling {{velocity.card.1h.sum}} on this card in the last hour',
+    group: 'velocity-card',
+    priority: 73,
+    weight: 10,
+    condition: { fact: 'velocity.card.1h.count', operator: 'gt', value: 10 }
+  },
+  {
+    ruleId: 'velocity-merchant-small-amounts',
+    name: 'Small-amount testing at merchant',
+    message: '{{velocity.merchant.1h.smallCount}} small transactions from {{velocity.merchant.1h.distinctCards}} cards at this merchant in the last hour',
+    group: 'velocity-merchant',
+    priority: 74,
+    weight: 20,
+    condition: {
+      all: [
+        { fact: 'amount', operator: 'lte', value: 5 },
+        { fact: 'velocity.merchant.1h.smallCount', operator: 'gt', value: 10 },
+        { fact: 'velocity.merchant.1h.distinctCards', operator: 'gt', value: 5 }
+      ]
+    }
+  },
+  {
+    ruleId: 'travel-impossible',
+    name: 'Impossible travel',
+    message: 'Impossible travel: {{travel.distanceKm}} km from {{travel.previousCity}} in ' +
+      '{{travel.elapsedHours}} h ({{travel.speedKmh}} km/h)',
+    group: 'travel',
+    priority: 80,
+    weight: 30,
+    // Faster than a commercial flight; the distance floor absorbs city-centroid error
+    condition: {
+      all: [
+        { fact: 'travel.speedKmh', operator: 'gt', value: 900 },
+        { fact: 'travel.distanceKm', operator: 'gt', value: 100 }
+      ]
+    }
+  },
+  {
+    ruleId: 'card-not-active',
+    name: 'Inactive card',
+    message: 'Card is {{card.status}}',
+    group: 'card',
+    priority: 0,
+    weight: 100,
+    condition: {
+      all: [
+        { fact: 'card.isKnown', operator: 'eq', value: true },
+        { fact: 'card.isActive', operator: 'eq', value: false }
+      ]
+    }
+  }
+];
+
+module.exports = defaultRules;
@@ -0,0 +1,85 @@
+// File: backend/services/duplicates.js
+// Purpose: Exact duplicates by processor reference, and the near-duplicate signal for scoring
+
+const Transaction = require('../models/Transaction');
+
+// Same card, merchant and amount within this many minutes counts as a near-duplicate
+const NEAR_DUPLICATE_WINDOW_MINUTES = Number(process.env.NEAR_DUPLICATE_WINDOW_MINUTES) || 10;
+
+const round = (value, decimals) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Finds a stored transaction by its processor reference
+ * @param {String} [reference] processorReference from the request
+ * @returns {Object|null} { _id } of the stored transaction, or null
+ */
+const findByProcessorReference = (reference) => {
+  if (!reference) return null;
+  return Transaction.findOne({ processorReference: reference }).select('_id').lean();
+};
+
+/**
+ * Whether a save failed because the processor reference is already stored
+ * @param {Error} error Error from save()
+ * @returns {Boolean}
+ */
+const isDuplicateReferenceError = (error) => {
+  return Boolean(error && error.code === 11000 &&
+    (error.keyPattern ? error.keyPattern.processorReference : /processorReference/.test(error.message)));
+};
+
+/**
+ * Finds earlier transactions on the same card at the same merchant for the same amount
+ *
+ * Gateways that retry without an idempotency key, and fraudsters re-running an
+ * approved charge, both show up here.
+ *
+ * @param {Object} transaction Transaction data
+ * @param {Date} referenceTime Time the transaction took place
+ * @returns {Object} { count, windowMinutes, previousTransactionId, minutesSincePrevious }
+ */
+const getNearDuplicates = async (transaction, referenceTime) => {
+  const result = { count: 0, windowMinutes: NEAR_DUPLICATE_WINDOW_MINUTES };
+  if (!transaction.userId || !transaction.cardLastFour || !transaction.merchantName ||
+      typeof transaction.amount !== 'number') {
+    return result;
+  }
+
+  const query = {
+    userId: transaction.userId,
+    cardLastFour: transaction.cardLastFour,
+    merchantName: transaction.merchantName,
+    amount: transaction.amount,
+    timestamp: {
+      $gte: new Date(referenceTime.getTime() - NEAR_DUPLICATE_WINDOW_MINUTES * 60 * 1000),
+      $lte: referenceTime
+    }
+  };
+  if (transaction._id) {
+    query._id = { $ne: transaction._id };
+  }
+
+  const matches = await Transaction.find(query)
+    .sort({ timestamp: -1 })
+    .select('timestamp')
+    .lean();
+  if (!matches.length) return result;
+
+  const previous = matches[0];
+  return {
+    ...result,
+    count: matches.length,
+    previousTransactionId: previous._id,
+    minutesSincePrevious: round((referenceTime.getTime() - new Date(previous.timestamp).getTime()) / 60000, 1)
+  };
+};
+
+module.exports = {
+  NEAR_DUPLICATE_WINDOW_MINUTES,
+  findByProcessorReference,
+  isDuplicateReferenceError,
+  getNearDuplicates
+};
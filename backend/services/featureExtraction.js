@@ -0,0 +1,51 @@
+// File: backend/services/featureExtraction.js
+// Purpose: Turns transaction facts into the numeric feature vector used by the ML scorer
+
+const { resolvePath } = require('./ruleEngine');
+
+const number = (value, fallback = 0) => {
+  return typeof value === 'number' && Number.isFinite(value) ? value : fallback;
+};
+
+const flag = (value) => (value ? 1 : 0);
+
+// Large or unbounded quantities are log-scaled and deviations clipped so that
+// a single extreme value cannot dominate the model
+const clip = (value, limit) => Math.max(-limit, Math.min(limit, value));
+
+// Ordered feature definitions; the order is part of every stored model artefact
+const FEATURES = [
+  { name: 'logAmount', extract: facts => Math.log1p(Math.max(0, number(facts.amount))) },
+  { name: 'logAmountRatio', extract: facts => Math.log1p(Math.max(0, number(facts.amountRatio))) },
+  { name: 'amountDeviation', extract: facts => clip(number(resolvePath(facts, 'anomaly.amount.deviation')), 20) },
+  { name: 'hasAmountHistory', extract: facts => flag(resolvePath(facts, 'anomaly.amount.hasHistory')) },
+  { name: 'isForeignCountry', extract: facts => flag(facts.isForeignCountry) },
+  { name: 'isKnownLocation', extract: facts => flag(facts.isKnownLocation) },
+  { name: 'isOnline', extract: facts => flag(facts.isOnline) },
+  { name: 'isUnusualCategory', extract: facts => flag(facts.isUnusualCategory) },
+  { name: 'isOutsideActiveHours', extract: facts => flag(facts.isOutsideActiveHours) },
+  { name: 'hourSin', extract: facts => Math.sin(2 * Math.PI * number(facts.hour) / 24) },
+  { name: 'hourCos', extract: facts => Math.cos(2 * Math.PI * number(facts.hour) / 24) },
+  { name: 'recentTransactionCount24h', extract: facts => number(facts.recentTransactionCount24h) },
+  { name: 'isNewDevice', extract: facts => flag(facts.isNewDevice) },
+  { name: 'cardCount1h', extract: facts => Math.log1p(number(resolvePath(facts, 'velocity.card.1h.count'))) },
+  { name: 'cardSum24h', extract: facts => Math.log1p(number(resolvePath(facts, 'velocity.card.24h.sum'))) },
+  { name: 'deviceDistinctCards1h', extract: facts => Math.log1p(number(resolvePath(facts, 'velocity.device.1h.distinctCards'))) },
+  { name: 'ipDistinctCards1h', extract: facts => Math.log1p(number(resolvePath(facts, 'velocity.ip.1h.distinctCards'))) },
+  { name: 'merchantSmallCount1h', extract: facts => Math.log1p(number(resolvePath(facts, 'velocity.merchant.1h.smallCount'))) },
+  { name: 'logTravelSpeed', extract: facts => Math.log1p(number(resolvePath(facts, 'travel.speedKmh'))) }
+];
+
+const FEATURE_NAMES = FEATURES.map(feature => feature.name);
+
+/**
+ * Extracts the feature vector for a transaction
+ * @param {Object} facts Facts built by the fraud detection service
+ * @returns {Array<Number>} Values in FEATURE_NAMES order
+ */
+const extractFeatures = (facts) => FEATURES.map(feature => feature.extract(facts));
+
+module.exports = {
+  FEATURE_NAMES,
+  extractFeatures
+};
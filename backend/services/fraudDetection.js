@@ -3,110 +3,230 @@
 
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
+const { evaluateRules } = require('./ruleEngine');
+const { getActiveRules } = require('./ruleStore');
+const { getVelocity } = require('./velocity');
+const { getTravel } = require('./travel');
+const { getAmountAnomaly } = require('./anomaly');
+const { getNearDuplicates } = require('./duplicates');
+const { getMerchantRisk } = require('./merchants');
+const { getActiveModel, predictProbability } = require('./fraudModel');
+const { findCardByLastFour, getCardStatusAt } = require('./cardLifecycle');
+const { getDecisionPolicy } = require('./decisionPolicy');
+
+// Facts available to rule conditions, with a short description for rule authors
+const FACT_CATALOG = {
+  transaction: 'Raw transaction fields, e.g. transaction.amount or transaction.location.country',
+  user: 'Cardholder profile fields, e.g. user.homeLocation.country',
+  amount: 'Transaction amount',
+  userAverageAmount: 'User average transaction amount (defaults to 100)',
+  amountRatio: 'Transaction amount divided by the user average amount',
+  isForeignCountry: 'Transaction country differs from the home country',
+  isKnownLocation: 'Transaction city matches one of the user frequent locations',
+  isOnline: 'Transaction city is "Online"',
+  isUnusualCategory: 'Merchant category is not one of the user frequent categories',
+  hour: 'Hour of day (0-23) the transaction took place',
+  isOutsideActiveHours: 'Transaction hour is outside the user active hours',
+  recentTransactionCount24h: 'Number of the user\'s last 10 transactions in the 24h before this one',
+  isNewDevice: 'Device id was not seen in the user\'s recent transactions',
+  card: 'Card the transaction was made with: isKnown, status (active, frozen, blocked, lost, stolen, ' +
+    'replaced) and isActive, as of the transaction time',
+  velocity: 'Prior transactions per dimension (card, device, ip, merchant) and window (1m, 1h, 24h) ' +
+    'with count, sum, smallCount and distinctCards, e.g. velocity.device.1h.distinctCards',
+  travel: 'Movement since the card\'s previous card-present transaction: distanceKm, elapsedHours, ' +
+    'speedKmh, previousCity, previousCountry (absent when not card-present or not geocodable)',
+  anomaly: 'Amount deviation from history. anomaly.user and anomaly.category hold samples, mean, stdDev, ' +
+    'median, mad, zScore and robustZ; anomaly.amount is the preferred basis with deviation (standard ' +
+    'units), basis (category, user or profile), reference (median, or mean for the profile basis), ' +
+    'referenceAmount and hasHistory',
+  duplicate: 'Earlier transactions with the same card, merchant and amount within the near-duplicate ' +
+    'window: count, windowMinutes, minutesSincePrevious and previousTransactionId',
+  merchant: 'Merchant the transaction was made at: isKnown, name, listStatus (none, allow, block), isBlocked, ' +
+    'isAllowed, mcc, category, country, and its transactionCount, confirmedFraudCount, fraudRate (0-1) ' +
+    'before this transaction and hasHistory (enough transactions to trust the rate)'
+};
+
+/**
+ * Builds the facts that rule conditions are evaluated against
+ * @param {Object} transaction Transaction data to analyze
+ * @param {Object} user Cardholder the transaction belongs to
+ * @param {Array<Object>} recentTransactions User's most recent prior transactions
+ * @param {Object} [signals] Precomputed signals merged into the facts (e.g. velocity)
+ * @returns {Object} Facts keyed by name (see FACT_CATALOG)
+ */
+const buildFacts = (transaction, user, recentTransactions, signals = {}) => {
+  const patterns = user.typicalSpendingPatterns || {};
+  const location = transaction.location || {};
+  const city = location.city || '';
+  const referenceTime = transaction.timestamp ? new Date(transaction.timestamp) : new Date();
+
+  const userAverageAmount = patterns.averageTransactionAmount || 100;
+
+  const isKnownLocation = (patterns.frequentLocations || []).some(
+    loc => city.includes(loc) || loc.includes(city)
+  );
+
+  const hour = referenceTime.getHours();
+  const activeHours = patterns.activeHours || {};
+  const isOutsideActiveHours = hour < activeHours.start || hour > activeHours.end;
+
+  const last24Hours = new Date(referenceTime.getTime() - 24 * 60 * 60 * 1000);
+  const recentTransactionCount24h = recentTransactions.filter(t =>
+    new Date(t.timestamp) > last24Hours
+  ).length;
+
+  const isKnownDevice = recentTransactions.some(t => t.deviceId === transaction.deviceId);
+
+  const matchedCard = findCardByLastFour(user, transaction.cardLastFour);
+  const cardStatus = matchedCard ? getCardStatusAt(matchedCard, referenceTime) : null;
+
+  return {
+    transaction,
+    user,
+    amount: transaction.amount,
+    userAverageAmount,
+    amountRatio: transaction.amount / userAverageAmount,
+    isForeignCountry: location.country !== (user.homeLocation || {}).country,
+    isKnownLocation,
+    isOnline: city === 'Online',
+    isUnusualCategory: !(patterns.frequentCategories || []).includes(transaction.merchantCategory),
+    hour,
+    isOutsideActiveHours,
+    recentTransactionCount24h,
+    isNewDevice: !isKnownDevice && transaction.deviceId !== 'unknown_device',
+    card: {
+      isKnown: Boolean(matchedCard),
+      status: cardStatus,
+      isActive: cardStatus === 'active'
+    },
+    ...signals
+  };
+};
+
+/**
+ * Loads everything needed to evaluate a transaction and builds its facts
+ *
+ * All lookups are made as of the transaction's timestamp so stored
+ * transactions can be replayed for backtesting and model training.
+ *
+ * @param {Object} data Transaction data (plain object)
+ * @param {Object} [options]
+ * @param {Object|null} [options.merchant] Merchant already resolved for the transaction
+ * @returns {Object} Facts (see FACT_CATALOG)
+ */
+const gatherFacts = async (data, options = {}) => {
+  // Get user data for comparison with normal patterns
+  const user = await User.findById(data.userId).lean();
+  if (!user) {
+    throw new Error('User not found');
+  }
+  
+  // Get user's transactions leading up to this one
+  const recentQuery = { userId: data.userId };
+  if (data.timestamp) {
+    recentQuery.timestamp = { $lte: new Date(data.timestamp) };
+  }
+  if (data._id) {
+    recentQuery._id = { $ne: data._id };
+  }
+  const referenceTime = data.timestamp ? new Date(data.timestamp) : new Date();
+  const [recentTransactions, velocity, travel, anomaly, duplicate, merchant] = await Promise.all([
+    Transaction.find(recentQuery)
+      .sort({ timestamp: -1 })
+      .limit(10)
+      .lean(),
+    getVelocity(data, referenceTime),
+    getTravel(data, referenceTime),
+    getAmountAnomaly(data, user, referenceTime),
+    getNearDuplicates(data, referenceTime),
+    getMerchantRisk(data, { referenceTime, merchant: options.merchant })
+  ]);
+
+  return buildFacts(data, user, recentTransactions, { velocity, travel, anomaly, duplicate, merchant });
+};
+
+/**
+ * Blends the rule score with the model's fraud probability
+ * @param {Number} ruleScore Score from the rule engine (0-100)
+ * @param {Object} model Active model artefact
+ * @param {Object} facts Transaction facts
+ * @param {Number} blendWeight Share of the final score taken from the model (0-1)
+ * @returns {Object} Blended score and a risk factor describing the model's contribution
+ */
+const blendModelScore = (ruleScore, model, facts, blendWeight) => {
+  const probability = predictProbability(model, facts);
+  const score = Math.round(((1 - blendWeight) * ruleScore + blendWeight * probability * 100) * 100) / 100;
+
+  return {
+    score,
+    model: {
+      version: model.version,
+      probability: Math.round(probability * 10000) / 10000,
+      blendWeight
+    },
+    riskFactor: {
+      ruleId: `model-v${model.version}`,
+      name: 'Machine learning model',
+      description: `Model v${model.version} fraud probability ${(probability * 100).toFixed(1)}% ` +
+        `(blend weight ${blendWeight})`,
+      contribution: Math.round((score - ruleScore) * 100) / 100
+    }
+  };
+};
 
 /**
  * Analyzes a transaction for potential fraud
  * @param {Object} transaction Transaction data to analyze
+ * @param {Object} [options] Overrides used for simulation
+ * @param {Array<Object>} [options.rules] Rule set to evaluate instead of the active rules
+ * @param {Number} [options.threshold] Flag threshold to use instead of the policy's reviewAbove
+ * @param {Object|null} [options.model] Model to blend instead of the active model (null disables)
+ * @param {Number} [options.blendWeight] Model blend weight instead of the model's own setting
+ * @param {Object|null} [options.merchant] Merchant already resolved for the transaction
  * @returns {Object} Analysis results with fraud score and risk factors
  */
-const analyzeTransaction = async (transaction) => {
+const analyzeTransaction = async (transaction, options = {}) => {
   try {
-    // Get user data for comparison with normal patterns
-    const user = await User.findById(transaction.userId);
-    if (!user) {
-      throw new Error('User not found');
-    }
-    
-    // Get user's recent transactions
-    const recentTransactions = await Transaction.find({ 
-      userId: transaction.userId 
-    }).sort({ timestamp: -1 }).limit(10);
-    
-    // Initialize score and risk factors
-    let score = 0;
-    const riskFactors = [];
-    const weights = {
-      amount: 25,
-      location: 20,
-      category: 15,
-      time: 15,
-      frequency: 20,
-      device: 5
+    // Work on a plain object so stored documents and request bodies look the same
+    const data = typeof transaction.toObject === 'function' ? transaction.toObject() : transaction;
+
+    const facts = await gatherFacts(data, { merchant: options.merchant });
+    const rules = options.rules || await getActiveRules();
+    const { score: ruleScore, riskFactors } = evaluateRules(rules, facts);
+    const threshold = options.threshold !== undefined
+      ? options.threshold
+      : (await getDecisionPolicy()).reviewAbove;
+
+    const result = {
+      score: ruleScore,
+      ruleScore,
+      riskFactors
     };
-    
-    // Factor 1: Amount analysis
-    const userAvgAmount = user.typicalSpendingPatterns.averageTransactionAmount || 100;
-    if (transaction.amount > userAvgAmount * 5) {
-      score += weights.amount;
-      riskFactors.push('Transaction amount 5x higher than user average');
-    } else if (transaction.amount > userAvgAmount * 3) {
-      score += weights.amount * 0.8;
-      riskFactors.push('Transaction amount 3x higher than user average');
-    } else if (transaction.amount > userAvgAmount * 2) {
-      score += weights.amount * 0.5;
-      riskFactors.push('Transaction amount 2x higher than user average');
-    }
-    
-    // Factor 2: Location analysis
-    const isKnownLocation = user.typicalSpendingPatterns.frequentLocations.some(
-      loc => transaction.location.city.includes(loc) || loc.includes(transaction.location.city)
-    );
-    
-    if (transaction.location.country !== user.homeLocation.country) {
-      score += weights.location;
-      riskFactors.push('Transaction from foreign country');
-    } else if (!isKnownLocation && transaction.location.city !== 'Online') {
-      score += weights.location * 0.6;
-      riskFactors.push('Transaction from unusual city');
-    }
-    
-    // Factor 3: Merchant category analysis
-    const isUnusualCategory = !user.typicalSpendingPatterns.frequentCategories.includes(transaction.merchantCategory);
-    if (isUnusualCategory) {
-      score += weights.category;
-      riskFactors.push('Unusual merchant category for this user');
-    }
-    
-    // Factor 4: Time analysis
-    const transactionHour = new Date(transaction.timestamp).getHours();
-    const isOutsideActiveHours = transactionHour < user.typicalSpendingPatterns.activeHours.start || 
-                               transactionHour > user.typicalSpendingPatterns.activeHours.end;
-    if (isOutsideActiveHours) {
-      score += weights.time;
-      riskFactors.push('Transaction outside typical active hours');
-    }
-    
-    // Factor 5: Frequency analysis
-    const last24Hours = new Date(Date.now() - 24 * 60 * 60 * 1000);
-    const recentCount = recentTransactions.filter(t => 
-      new Date(t.timestamp) > last24Hours
-    ).length;
-    
-    if (recentCount > 8) {
-      score += weights.frequency;
-      riskFactors.push('Extremely high transaction frequency (>8 in 24h)');
-    } else if (recentCount > 5) {
-      score += weights.frequency * 0.7;
-      riskFactors.push('High transaction frequency (>5 in 24h)');
-    }
-    
-    // Factor 6: Device/IP analysis
-    const isKnownDevice = recentTransactions.some(t => t.deviceId === transaction.deviceId);
-    if (!isKnownDevice && transaction.deviceId !== 'unknown_device') {
-      score += weights.device;
-      riskFactors.push('Transaction from new device');
+
+    const model = options.model !== undefined ? options.model : await getActiveModel();
+    const blendWeight = options.blendWeight !== undefined
+      ? options.blendWeight
+      : (model ? model.blendWeight : 0);
+
+    if (model && blendWeight > 0) {
+      const blended = blendModelScore(ruleScore, model, facts, blendWeight);
+      result.score = blended.score;
+      result.model = blended.model;
+      riskFactors.push(blended.riskFactor);
     }
-    
-    return {
-      score,
-      riskFactors,
-      isHighRisk: score > 70
-    };
+
+    result.isHighRisk = result.score > threshold;
+    return result;
   } catch (error) {
     console.error('Error analyzing transaction:', error);
     return {
       score: 0,
-      riskFactors: ['Error analyzing transaction'],
+      riskFactors: [{
+        ruleId: null,
+        name: 'Analysis error',
+        description: 'Error analyzing transaction',
+        contribution: 0
+      }],
       isHighRisk: false,
       error: error.message
     };
@@ -167,6 +287,9 @@ const getFraudStatistics = async () => {
 };
 
 module.exports = {
+  FACT_CATALOG,
+  buildFacts,
+  gatherFacts,
   analyzeTransaction,
   getFraudStatistics
 };
\ No newline at end of file
@@ -0,0 +1,59 @@
+// File: backend/services/fraudModel.js
+// Purpose: Loads the active ML model and scores transactions with it
+
+const FraudModel = require('../models/FraudModel');
+const { FEATURE_NAMES, extractFeatures } = require('./featureExtraction');
+const { predict } = require('./logisticRegression');
+
+const CACHE_TTL_MS = 30 * 1000;
+
+let cache;
+let cacheLoadedAt = 0;
+
+/**
+ * Gets the active model, using the cache when it is fresh
+ *
+ * A model trained against a different feature list than the running code
+ * is ignored rather than scored with misaligned weights.
+ *
+ * @returns {Object|null} Active model as a plain object
+ */
+const getActiveModel = async () => {
+  if (cache !== undefined && Date.now() - cacheLoadedAt < CACHE_TTL_MS) {
+    return cache;
+  }
+
+  const model = await FraudModel.findOne({ isActive: true }).lean();
+  const compatible = model && model.featureNames.join(',') === FEATURE_NAMES.join(',');
+  if (model && !compatible) {
+    console.error(`Active fraud model v${model.version} does not match the current features; ignoring it`);
+  }
+
+  cache = compatible ? model : null;
+  cacheLoadedAt = Date.now();
+  return cache;
+};
+
+/**
+ * Drops the cached model so the next analysis reloads it
+ */
+const invalidateModelCache = () => {
+  cache = undefined;
+  cacheLoadedAt = 0;
+};
+
+/**
+ * Fraud probability of a transaction under a model
+ * @param {Object} model Model artefact
+ * @param {Object} facts Transaction facts
+ * @returns {Number} Probability between 0 and 1
+ */
+const predictProbability = (model, facts) => {
+  return predict(model, extractFeatures(facts));
+};
+
+module.exports = {
+  getActiveModel,
+  invalidateModelCache,
+  predictProbability
+};
@@ -0,0 +1,90 @@
+// File: backend/services/geo.js
+// Purpose: Offline geocoding of transaction locations and great-circle distances
+
+const dataset = require('../data/geoCities.json');
+
+const EARTH_RADIUS_KM = 6371;
+
+// Lowercase, strip accents and punctuation so "São Paulo" matches "Sao Paulo"
+const normalize = (value) => {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Country alias -> canonical country name used in the dataset
+const countryIndex = new Map();
+dataset.cities.forEach(entry => countryIndex.set(normalize(entry.country), entry.country));
+Object.entries(dataset.countryAliases).forEach(([country, aliases]) => {
+  aliases.forEach(alias => countryIndex.set(normalize(alias), country));
+});
+
+// "country|city" -> entry, and "country|zip prefix" -> entry
+const cityIndex = new Map();
+const zipIndex = new Map();
+dataset.cities.forEach(entry => {
+  [entry.city, ...(entry.aliases || [])].forEach(name => {
+    cityIndex.set(`${entry.country}|${normalize(name)}`, entry);
+  });
+  (entry.zipPrefixes || []).forEach(prefix => {
+    zipIndex.set(`${entry.country}|${prefix}`, entry);
+  });
+});
+
+const canonicalCountry = (country) => countryIndex.get(normalize(country)) || null;
+
+/**
+ * Looks up coordinates for a transaction location
+ *
+ * Postal code prefixes are tried first (longest prefix wins), then the city
+ * name. Returns null when the location is not in the bundled dataset.
+ *
+ * @param {Object} location Location with country, city and zip
+ * @returns {Object|null} { lat, lon, city, country, source }
+ */
+const geocode = (location) => {
+  if (!location) return null;
+
+  const country = canonicalCountry(location.country);
+  if (!country) return null;
+
+  const zip = String(location.zip || '').replace(/\s/g, '');
+  for (let length = Math.min(zip.length, 5); length >= 3; length--) {
+    const entry = zipIndex.get(`${country}|${zip.slice(0, length)}`);
+    if (entry) {
+      return { lat: entry.lat, lon: entry.lon, city: entry.city, country, source: 'zip' };
+    }
+  }
+
+  const entry = cityIndex.get(`${country}|${normalize(location.city)}`);
+  if (entry) {
+    return { lat: entry.lat, lon: entry.lon, city: entry.city, country, source: 'city' };
+  }
+
+  return null;
+};
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two points using the haversine formula
+ * @param {Object} from { lat, lon }
+ * @param {Object} to { lat, lon }
+ * @returns {Number} Distance in kilometres
+ */
+const distanceKm = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLon = toRadians(to.lon - from.lon);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+module.exports = {
+  geocode,
+  distanceKm
+};
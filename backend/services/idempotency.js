@@ -0,0 +1,132 @@
+// File: backend/services/idempotency.js
+// Purpose: Stores the outcome of requests sent with an Idempotency-Key so retries are answered, not repeated
+
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// How long a key and its response are kept
+const KEY_TTL_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+// A request still "processing" after this long is assumed to have died with its
+// process, so a retry may take the key over instead of waiting for the TTL
+const PROCESSING_TIMEOUT_MS = Number(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT_MS) || 60 * 1000;
+
+const idempotencyError = (message, statusCode, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+// JSON with sorted object keys, so the same body always hashes the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const entries = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Hashes a request body for comparison with later retries
+ * @param {*} body Parsed request body
+ * @returns {String} sha256 hex digest
+ */
+const hashRequest = (body) => crypto.createHash('sha256').update(canonicalJson(body || {})).digest('hex');
+
+/**
+ * Claims a key for a request, or finds the stored outcome of an earlier one
+ *
+ * @param {Object} request
+ * @param {String} request.owner Client the key belongs to
+ * @param {String} request.key Idempotency-Key header value
+ * @param {String} request.endpoint Method and path
+ * @param {String} request.requestHash Hash of the body (see hashRequest)
+ * @returns {Object} { record, replay } where replay is true when record holds a stored response
+ * @throws 409 when the first request is still running, 422 when the key was used for a different request
+ */
+const beginRequest = async ({ owner, key, endpoint, requestHash }) => {
+  const now = new Date();
+  try {
+    const record = await IdempotencyKey.create({
+      owner,
+      key,
+      endpoint,
+      requestHash,
+      expiresAt: new Date(now.getTime() + KEY_TTL_HOURS * 60 * 60 * 1000)
+    });
+    return { record, replay: false };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await IdempotencyKey.findOne({ owner, key });
+  if (!existing) {
+    // Expired between the insert and the lookup; the client can simply retry
+    throw idempotencyError('Idempotency key is being reset; retry the request', 409, 'IDEMPOTENCY_CONFLICT');
+  }
+
+  if (existing.endpoint !== endpoint || existing.requestHash !== requestHash) {
+    throw idempotencyError(
+      'Idempotency key was already used for a different request',
+      422,
+      'IDEMPOTENCY_KEY_REUSED'
+    );
+  }
+
+  if (existing.status === 'completed') {
+    return { record: existing, replay: true };
+  }
+
+  // Take over a request whose process went away; only one retry can win
+  if (now.getTime() - existing.updatedAt.getTime() > PROCESSING_TIMEOUT_MS) {
+    const reclaimed = await IdempotencyKey.findOneAndUpdate(
+      { _id: existing._id, status: 'processing', updatedAt: existing.updatedAt },
+      { $set: { updatedAt: now } },
+      { new: true, timestamps: false }
+    );
+    if (reclaimed) {
+      return { record: reclaimed, replay: false };
+    }
+  }
+
+  throw idempotencyError(
+    'A request with this idempotency key is still being processed',
+    409,
+    'IDEMPOTENCY_IN_PROGRESS'
+  );
+};
+
+/**
+ * Stores the response so retries receive it
+ * @param {Object} record Key claimed by beginRequest
+ * @param {Number} statusCode Response status
+ * @param {String} body Serialized JSON response body
+ */
+const completeRequest = (record, statusCode, body) => {
+  return IdempotencyKey.updateOne(
+    { _id: record._id },
+    { $set: { status: 'completed', responseStatus: statusCode, responseBody: body, completedAt: new Date() } }
+  );
+};
+
+/**
+ * Frees a key whose request failed unexpectedly, so the client can retry it
+ * @param {Object} record Key claimed by beginRequest
+ */
+const releaseRequest = (record) => {
+  return IdempotencyKey.deleteOne({ _id: record._id, status: 'processing' });
+};
+
+module.exports = {
+  KEY_TTL_HOURS,
+  hashRequest,
+  beginRequest,
+  completeRequest,
+  releaseRequest
+};
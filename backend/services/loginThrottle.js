@@ -0,0 +1,150 @@
+// File: backend/services/loginThrottle.js
+// Purpose: Per-account lockout after repeated failed logins, with lock times that grow on each failure
+
+const Auth = require('../models/Auth');
+const { recordAudit } = require('./auditLog');
+
+// Failed attempts allowed before the account is locked
+const LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+
+// First lock lasts this long and doubles with every further failure, up to the cap
+const BASE_LOCK_SECONDS = Number(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60;
+const MAX_LOCK_SECONDS = Number(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 60 * 60;
+
+/**
+ * Lock length for a number of consecutive failures
+ * @param {Number} failures Consecutive failed attempts
+ * @returns {Number} Seconds, or 0 while under the threshold
+ */
+const lockSecondsFor = (failures) => {
+  if (failures < LOCKOUT_THRESHOLD) return 0;
+  return Math.min(BASE_LOCK_SECONDS * 2 ** (failures - LOCKOUT_THRESHOLD), MAX_LOCK_SECONDS);
+};
+
+/**
+ * Seconds until a locked account can try again
+ * @param {Object} user Auth account
+ * @returns {Number} Seconds, or 0 when the account is not locked
+ */
+const lockRemainingSeconds = (user) => {
+  if (!user.lockUntil) return 0;
+  return Math.max(0, Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000));
+};
+
+/**
+ * Counts an attempt before the password or code is checked, refusing it while the account is locked
+ *
+ * The count, and the lock once it reaches the threshold, are written in one
+ * conditional update and the decision is taken from its result, so parallel
+ * guesses cannot all pass a lock check made on a stale copy of the account.
+ * A right answer gives the attempt back (releaseLoginAttempt) or clears the
+ * count (recordSuccessfulLogin).
+ *
+ * @param {Object} user Auth account
+ * @returns {Object} { lockedFor } when refused, otherwise { failures, lockUntil } where
+ *   lockUntil is set when this attempt locked the account should it fail
+ */
+const claimLoginAttempt = async (user) => {
+  const now = new Date();
+  const failures = { $add: [{ $ifNull: ['$failedLoginAttempts', 0] }, 1] };
+  const lockMs = {
+    $multiply: [1000, {
+      $min: [MAX_LOCK_SECONDS, {
+        $multiply: [BASE_LOCK_SECONDS, { $pow: [2, { $subtract: ['$failedLoginAttempts', LOCKOUT_THRESHOLD] }] }]
+      }]
+    }]
+  };
+
+  const claimed = await Auth.findOneAndUpdate(
+    { _id: user._id, $or: [{ lockUntil: null }, { lockUntil: { $lte: now } }] },
+    [
+      { $set: { failedLoginAttempts: failures } },
+      {
+        $set: {
+          lockUntil: {
+            $cond: [{ $gte: ['$failedLoginAttempts', LOCKOUT_THRESHOLD] }, { $add: [now, lockMs] }, '$$REMOVE']
+          }
+        }
+      }
+    ],
+    { new: true }
+  ).select('failedLoginAttempts lockUntil');
+
+  if (!claimed) {
+    const current = await Auth.findById(user._id).select('lockUntil');
+    return { lockedFor: current ? Math.max(1, lockRemainingSeconds(current)) : 1 };
+  }
+  return { failures: claimed.failedLoginAttempts, lockUntil: claimed.lockUntil };
+};
+
+/**
+ * Records a claimed attempt as failed; the count and any lock were set when it was claimed
+ * @param {Object} user Auth account
+ * @param {Object} claim Result of claimLoginAttempt
+ * @param {Object} req Express request, for auditing
+ * @param {String} reason Why the attempt failed, e.g. wrong_password
+ * @returns {Number} Seconds the account is now locked for (0 when not locked)
+ */
+const recordFailedLogin = async (user, claim, req, reason) => {
+  await Auth.updateOne({ _id: user._id }, { $set: { lastFailedLoginAt: new Date() } });
+  if (!claim.lockUntil) return 0;
+
+  const lockSeconds = lockSecondsFor(claim.failures);
+  await recordAudit({
+    req,
+    actor: user,
+    action: 'auth.account_locked',
+    entityType: 'Auth',
+    entityId: user._id,
+    metadata: {
+      reason,
+      failedAttempts: claim.failures,
+      lockedUntil: claim.lockUntil,
+      lockSeconds
+    }
+  });
+
+  return lockSeconds;
+};
+
+/**
+ * Gives back a claimed attempt that was answered correctly but did not finish
+ * the login, e.g. a right password still waiting for its 2FA code
+ *
+ * Earlier failures still count, so a known password cannot be used to reset
+ * the lockout on the second factor.
+ *
+ * @param {Object} user Auth account
+ * @param {Object} claim Result of claimLoginAttempt
+ */
+const releaseLoginAttempt = async (user, claim) => {
+  await Auth.updateOne(
+    { _id: user._id, failedLoginAttempts: { $gt: 0 } },
+    { $inc: { failedLoginAttempts: -1 } }
+  );
+  // Lift the lock only if it is still the one this attempt set
+  if (claim.lockUntil) {
+    await Auth.updateOne({ _id: user._id, lockUntil: claim.lockUntil }, { $unset: { lockUntil: 1 } });
+  }
+};
+
+/**
+ * Clears the failure count after a successful login
+ * @param {Object} user Auth account
+ */
+const recordSuccessfulLogin = async (user) => {
+  await Auth.updateOne(
+    { _id: user._id },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } }
+  );
+};
+
+module.exports = {
+  LOCKOUT_THRESHOLD,
+  lockSecondsFor,
+  lockRemainingSeconds,
+  claimLoginAttempt,
+  recordFailedLogin,
+  releaseLoginAttempt,
+  recordSuccessfulLogin
+};
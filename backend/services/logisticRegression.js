@@ -0,0 +1,176 @@
+// File: backend/services/logisticRegression.js
+// Purpose: Pure-JavaScript logistic regression training, prediction and evaluation
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+/**
+ * Computes per-feature mean and standard deviation for standardization
+ * @param {Array<Array<Number>>} rows Feature vectors
+ * @returns {Object} { mean, std } arrays
+ */
+const fitScaler = (rows) => {
+  const width = rows[0].length;
+  const mean = new Array(width).fill(0);
+  const std = new Array(width).fill(0);
+
+  rows.forEach(row => row.forEach((value, i) => { mean[i] += value / rows.length; }));
+  rows.forEach(row => row.forEach((value, i) => { std[i] += (value - mean[i]) ** 2 / rows.length; }));
+
+  // Constant features keep a unit scale so they do not divide by zero
+  return { mean, std: std.map(variance => Math.sqrt(variance) || 1) };
+};
+
+const scale = (row, scaler) => row.map((value, i) => (value - scaler.mean[i]) / scaler.std[i]);
+
+/**
+ * Predicts the positive-class probability for a feature vector
+ * @param {Object} params Trained parameters { weights, bias, scaler }
+ * @param {Array<Number>} row Raw (unscaled) feature vector
+ * @returns {Number} Probability between 0 and 1
+ */
+const predict = (params, row) => {
+  const scaled = scale(row, params.scaler);
+  const z = scaled.reduce((sum, value, i) => sum + value * params.weights[i], params.bias);
+  return sigmoid(z);
+};
+
+/**
+ * Trains a logistic regression with full-batch gradient descent and L2 regularization
+ *
+ * Positives are up-weighted by the negative/positive ratio because confirmed
+ * fraud is rare compared to legitimate traffic. The weighting shifts the
+ * intercept by log(weight), which is taken back out after fitting, so the
+ * model predicts probabilities at the class balance of the rows it was given.
+ *
+ * @param {Array<Array<Number>>} rows Feature vectors
+ * @param {Array<Number>} labels 1 for fraud, 0 for legitimate
+ * @param {Object} [options]
+ * @param {Number} [options.epochs=500]
+ * @param {Number} [options.learningRate=0.1]
+ * @param {Number} [options.l2=0.001]
+ * @returns {Object} Trained parameters { weights, bias, scaler }
+ */
+const train = (rows, labels, options = {}) => {
+  const { epochs = 500, learningRate = 0.1, l2 = 0.001 } = options;
+
+  const scaler = fitScaler(rows);
+  const scaled = rows.map(row => scale(row, scaler));
+  const width = scaled[0].length;
+
+  const positives = labels.filter(label => label === 1).length;
+  const negatives = labels.length - positives;
+  const positiveWeight = positives > 0 ? negatives / positives : 1;
+  const sampleWeights = labels.map(label => (label === 1 ? positiveWeight : 1));
+  const totalWeight = sampleWeights.reduce((sum, weight) => sum + weight, 0);
+
+  const weights = new Array(width).fill(0);
+  let bias = 0;
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    const gradient = new Array(width).fill(0);
+    let biasGradient = 0;
+
+    scaled.forEach((row, n) => {
+      const z = row.reduce((sum, value, i) => sum + value * weights[i], bias);
+      const error = (sigmoid(z) - labels[n]) * sampleWeights[n];
+      row.forEach((value, i) => { gradient[i] += error * value; });
+      biasGradient += error;
+    });
+
+    for (let i = 0; i < width; i++) {
+      weights[i] -= learningRate * (gradient[i] / totalWeight + l2 * weights[i]);
+    }
+    bias -= learningRate * biasGradient / totalWeight;
+  }
+
+  return { weights, bias: bias - Math.log(positiveWeight), scaler };
+};
+
+/**
+ * Corrects the intercept of a model fitted on class-sampled rows (prior shift)
+ *
+ * Keeping positives at rate positive and negatives at rate negative
+ * multiplies the odds the model learns by positive / negative; subtracting
+ * the log of that ratio gives probabilities at the full history's fraud rate.
+ *
+ * @param {Object} params Trained parameters
+ * @param {Object} [sampleRates] { positive, negative } share of each class kept
+ * @returns {Object} Parameters with the corrected bias
+ */
+const correctForSampling = (params, sampleRates) => {
+  if (!sampleRates || !(sampleRates.positive > 0) || !(sampleRates.negative > 0)) {
+    return params;
+  }
+  return { ...params, bias: params.bias - Math.log(sampleRates.positive / sampleRates.negative) };
+};
+
+/**
+ * Area under the ROC curve via the rank-sum formulation
+ */
+const areaUnderCurve = (probabilities, labels) => {
+  const ranked = probabilities
+    .map((probability, i) => ({ probability, label: labels[i] }))
+    .sort((a, b) => a.probability - b.probability);
+
+  const positives = labels.filter(label => label === 1).length;
+  const negatives = labels.length - positives;
+  if (positives === 0 || negatives === 0) return null;
+
+  // Average ranks across ties
+  let rankSum = 0;
+  for (let i = 0; i < ranked.length;) {
+    let j = i;
+    while (j < ranked.length && ranked[j].probability === ranked[i].probability) j++;
+    const averageRank = (i + 1 + j) / 2;
+    for (let k = i; k < j; k++) {
+      if (ranked[k].label === 1) rankSum += averageRank;
+    }
+    i = j;
+  }
+
+  return (rankSum - positives * (positives + 1) / 2) / (positives * negatives);
+};
+
+/**
+ * Evaluates trained parameters on a labelled set
+ * @param {Object} params Trained parameters
+ * @param {Array<Array<Number>>} rows Feature vectors
+ * @param {Array<Number>} labels Labels
+ * @param {Number} [threshold=0.5] Probability treated as a fraud prediction
+ * @returns {Object} samples, positives, auc, logLoss, precision and recall
+ */
+const evaluate = (params, rows, labels, threshold = 0.5) => {
+  const probabilities = rows.map(row => predict(params, row));
+  let truePositives = 0;
+  let falsePositives = 0;
+  let falseNegatives = 0;
+  let logLoss = 0;
+
+  probabilities.forEach((probability, i) => {
+    const clipped = Math.min(Math.max(probability, 1e-15), 1 - 1e-15);
+    logLoss -= labels[i] === 1 ? Math.log(clipped) : Math.log(1 - clipped);
+
+    const predicted = probability >= threshold;
+    if (predicted && labels[i] === 1) truePositives++;
+    else if (predicted) falsePositives++;
+    else if (labels[i] === 1) falseNegatives++;
+  });
+
+  const round = (value) => (value === null ? null : Math.round(value * 10000) / 10000);
+
+  return {
+    samples: labels.length,
+    positives: labels.filter(label => label === 1).length,
+    auc: round(areaUnderCurve(probabilities, labels)),
+    logLoss: round(labels.length ? logLoss / labels.length : null),
+    precision: round(truePositives + falsePositives ? truePositives / (truePositives + falsePositives) : null),
+    recall: round(truePositives + falseNegatives ? truePositives / (truePositives + falseNegatives) : null)
+  };
+};
+
+module.exports = {
+  predict,
+  train,
+  correctForSampling,
+  evaluate
+};
@@ -0,0 +1,287 @@
+// File: backend/services/merchants.js
+// Purpose: Matches transactions to merchants, keeps merchant fraud history current and builds the merchant fact
+
+const mongoose = require('mongoose');
+const Merchant = require('../models/Merchant');
+const Transaction = require('../models/Transaction');
+
+// Stats older than this are recomputed in the background when the merchant is scored
+const STATS_TTL_MS = (Number(process.env.MERCHANT_STATS_TTL_MINUTES) || 60) * 60 * 1000;
+
+// Transactions needed before a merchant's fraud rate is trusted
+const MIN_HISTORY = Number(process.env.MERCHANT_MIN_HISTORY) || 20;
+
+// Card processor prefixes, e.g. "SQ *BLUE BOTTLE" or "PAYPAL *EBAY"
+const PROCESSOR_PREFIX = /^(sq|tst|paypal|pp|sp|pos)\s*\*\s*/;
+
+// Legal forms and domains dropped from the end of a name, e.g. "Acme Ltd" or "Amazon.com"
+const NAME_SUFFIXES = ['inc', 'llc', 'ltd', 'corp', 'corporation', 'co', 'company', 'plc', 'gmbh', 'sa', 'com'];
+
+// Merchants whose stats are being recomputed, so a busy merchant is refreshed once
+const refreshing = new Set();
+
+const round = (value, decimals) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Normalizes a merchant name so spellings of the same merchant match
+ *
+ * Lowercases, strips accents, processor prefixes, store numbers, punctuation
+ * and suffixes: "Starbucks Store #1234" and "STARBUCKS, INC." both
+ * become "starbucks".
+ *
+ * @param {String} name Merchant name as sent on the transaction
+ * @returns {String} Normalized name, or '' when there is nothing to match on
+ */
+const normalizeMerchantName = (name) => {
+  if (typeof name !== 'string') return '';
+
+  const cleaned = name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim()
+    .replace(PROCESSOR_PREFIX, '')
+    .replace(/\*\s*[a-z0-9]+$/, ' ')
+    .replace(/#\s*\d+/g, ' ')
+    .replace(/\bstore\b/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+  const words = cleaned.split(' ').filter(Boolean);
+  while (words.length > 1 &&
+    (NAME_SUFFIXES.includes(words[words.length - 1]) || /^\d{3,}$/.test(words[words.length - 1]))) {
+    words.pop();
+  }
+  return words.join(' ');
+};
+
+/**
+ * Finds the merchant a transaction was made at, by merchantId or by name and aliases
+ * @param {Object} data Transaction data
+ * @returns {Object|null} Merchant as a plain object, or null when not on file
+ */
+const findMerchant = async (data) => {
+  if (data.merchantId) {
+    return Merchant.findById(data.merchantId).lean();
+  }
+  const normalizedName = normalizeMerchantName(data.merchantName);
+  if (!normalizedName) return null;
+  return Merchant.findOne({ $or: [{ normalizedName }, { aliases: normalizedName }] }).lean();
+};
+
+/**
+ * Finds the merchant for a transaction, creating it the first time the merchant is seen
+ * @param {Object} data Transaction data
+ * @returns {Object|null} Merchant as a plain object, or null when the name has nothing to match on
+ */
+const resolveMerchant = async (data) => {
+  const existing = await findMerchant(data);
+  if (existing) return existing;
+
+  const normalizedName = normalizeMerchantName(data.merchantName);
+  if (!normalizedName) return null;
+
+  const fields = { name: data.merchantName.trim(), normalizedName };
+  if (data.merchantCategory) {
+    fields.category = data.merchantCategory;
+  }
+  if (data.location && data.location.country) {
+    fields.country = data.location.country;
+  }
+
+  try {
+    return await Merchant.findOneAndUpdate(
+      { normalizedName },
+      { $setOnInsert: fields },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+  } catch (error) {
+    // Lost a race with another first transaction at the same merchant
+    if (error.code === 11000) {
+      return Merchant.findOne({ normalizedName }).lean();
+    }
+    throw error;
+  }
+};
+
+/**
+ * Finds a merchant, other than the given one, already matched by one of these names
+ * @param {Array<String>} names Normalized names
+ * @param {ObjectId} [excludeId] Merchant being edited
+ * @returns {Object|null} Conflicting merchant, or null
+ */
+const findNameConflict = (names, excludeId) => {
+  if (!names.length) return null;
+  const query = { $or: [{ normalizedName: { $in: names } }, { aliases: { $in: names } }] };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  return Merchant.findOne(query).select('name normalizedName aliases').lean();
+};
+
+/**
+ * Counts a merchant's transactions and confirmed fraud
+ * @param {Object} match Transaction filter, including merchantId
+ * @returns {Object} { transactionCount, confirmedFraudCount, fraudRate, lastTransactionAt }
+ */
+const summarizeHistory = async (match) => {
+  const [summary] = await Transaction.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        transactionCount: { $sum: 1 },
+        confirmedFraudCount: { $sum: { $cond: [{ $eq: ['$isConfirmedFraud', true] }, 1, 0] } },
+        lastTransactionAt: { $max: '$timestamp' }
+      }
+    }
+  ]);
+
+  const transactionCount = summary ? summary.transactionCount : 0;
+  const confirmedFraudCount = summary ? summary.confirmedFraudCount : 0;
+  return {
+    transactionCount,
+    confirmedFraudCount,
+    fraudRate: transactionCount ? round(confirmedFraudCount / transactionCount, 4) : 0,
+    lastTransactionAt: summary ? summary.lastTransactionAt : undefined
+  };
+};
+
+/**
+ * Recomputes a merchant's transaction count and confirmed fraud rate
+ * @param {ObjectId|String} merchantId Merchant to refresh
+ * @returns {Object} The stored stats
+ */
+const refreshMerchantStats = async (merchantId) => {
+  const stats = {
+    ...await summarizeHistory({ merchantId: new mongoose.Types.ObjectId(String(merchantId)) }),
+    computedAt: new Date()
+  };
+
+  await Merchant.updateOne({ _id: merchantId }, { $set: { stats } });
+  return stats;
+};
+
+const refreshInBackground = (merchantId) => {
+  const key = String(merchantId);
+  if (refreshing.has(key)) return;
+
+  refreshing.add(key);
+  refreshMerchantStats(merchantId)
+    .catch(error => console.error('Error refreshing merchant stats:', error))
+    .finally(() => refreshing.delete(key));
+};
+
+/**
+ * Builds the merchant fact for scoring
+ *
+ * A new transaction uses the merchant's stored stats; stale stats are used as
+ * they are and refreshed for later transactions. A stored transaction being
+ * replayed (backtests, model training) is instead given the history before
+ * its timestamp, without itself, so neither its own label nor later ones
+ * leak into its score.
+ *
+ * @param {Object} data Transaction data
+ * @param {Object} [options]
+ * @param {Date} [options.referenceTime] Time to take history up to (defaults to the transaction time)
+ * @param {Object|null} [options.merchant] Merchant already resolved for the transaction, to skip the lookup
+ * @returns {Object} { isKnown, name, listStatus, isBlocked, isAllowed, mcc, category, country,
+ *   transactionCount, confirmedFraudCount, fraudRate, hasHistory }
+ */
+const getMerchantRisk = async (data, options = {}) => {
+  const merchant = options.merchant !== undefined ? options.merchant : await findMerchant(data);
+  if (!merchant) {
+    return {
+      isKnown: false,
+      listStatus: 'none',
+      isBlocked: false,
+      isAllowed: false,
+      transactionCount: 0,
+      confirmedFraudCount: 0,
+      fraudRate: 0,
+      hasHistory: false
+    };
+  }
+
+  let stats;
+  if (data._id) {
+    const referenceTime = options.referenceTime || new Date(data.timestamp || Date.now());
+    stats = await summarizeHistory({
+      merchantId: merchant._id,
+      timestamp: { $lt: referenceTime },
+      _id: { $ne: data._id }
+    });
+  } else {
+    stats = merchant.stats || {};
+    if (!stats.computedAt || Date.now() - new Date(stats.computedAt).getTime() > STATS_TTL_MS) {
+      refreshInBackground(merchant._id);
+    }
+  }
+
+  const transactionCount = stats.transactionCount || 0;
+  return {
+    isKnown: true,
+    name: merchant.name,
+    listStatus: merchant.listStatus,
+    isBlocked: merchant.listStatus === 'block',
+    isAllowed: merchant.listStatus === 'allow',
+    mcc: merchant.mcc,
+    category: merchant.category,
+    country: merchant.country,
+    transactionCount,
+    confirmedFraudCount: stats.confirmedFraudCount || 0,
+    fraudRate: stats.fraudRate || 0,
+    hasHistory: transactionCount >= MIN_HISTORY
+  };
+};
+
+/**
+ * Links stored transactions that predate merchants to their merchant, then refreshes the stats
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] Called with (processed, total) merchant names
+ * @returns {Object} { merchants, transactions } merchants touched and transactions linked
+ */
+const backfillMerchants = async ({ onProgress } = {}) => {
+  const unlinked = { merchantId: { $exists: false } };
+  const names = await Transaction.distinct('merchantName', unlinked);
+  const merchantIds = new Set();
+  let transactions = 0;
+
+  for (let i = 0; i < names.length; i++) {
+    const first = await Transaction.findOne({ ...unlinked, merchantName: names[i] })
+      .sort({ timestamp: 1 })
+      .lean();
+    const merchant = first && await resolveMerchant(first);
+
+    if (merchant) {
+      const result = await Transaction.updateMany(
+        { ...unlinked, merchantName: names[i] },
+        { $set: { merchantId: merchant._id } }
+      );
+      transactions += result.modifiedCount;
+      merchantIds.add(String(merchant._id));
+    }
+
+    if (onProgress) onProgress(i + 1, names.length);
+  }
+
+  for (const merchantId of merchantIds) {
+    await refreshMerchantStats(merchantId);
+  }
+
+  return { merchants: merchantIds.size, transactions };
+};
+
+module.exports = {
+  MIN_HISTORY,
+  normalizeMerchantName,
+  findMerchant,
+  resolveMerchant,
+  findNameConflict,
+  refreshMerchantStats,
+  getMerchantRisk,
+  backfillMerchants
+};
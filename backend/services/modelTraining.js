@@ -0,0 +1,375 @@
+// File: backend/services/modelTraining.js
+// Purpose: Builds a labelled dataset from transaction history and trains a new model version
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const Transaction = require('../models/Transaction');
+const FraudModel = require('../models/FraudModel');
+const ModelTrainingJob = require('../models/ModelTrainingJob');
+const Auth = require('../models/Auth');
+const { gatherFacts } = require('./fraudDetection');
+const { FEATURE_NAMES, extractFeatures } = require('./featureExtraction');
+const { invalidateModelCache } = require('./fraudModel');
+const { recordAudit } = require('./auditLog');
+
+// Fewer confirmed fraud cases than this cannot produce a meaningful model
+const MIN_POSITIVES = 5;
+
+// Most recent share of the data held out for evaluation
+const TEST_SHARE = 0.2;
+
+// Labelled transactions kept for training; beyond this the classes are sampled
+const MAX_TRAINING_SAMPLES = Number(process.env.MODEL_TRAINING_MAX_SAMPLES) || 20000;
+
+// Transactions whose facts are gathered concurrently
+const FACT_BATCH_SIZE = 25;
+
+// Storing a new version retries this many times when another training took the number
+const MAX_VERSION_ATTEMPTS = 5;
+
+// A running job whose heartbeat is older than this was interrupted (e.g. by a restart)
+const STALE_JOB_MS = 15 * 60 * 1000;
+
+// Set while this process is working through the queue
+let processingJobs = false;
+
+const trainingError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const rangeQuery = (options) => {
+  const query = {};
+  if (options.startDate || options.endDate) {
+    query.timestamp = {};
+    if (options.startDate) query.timestamp.$gte = new Date(options.startDate);
+    if (options.endDate) query.timestamp.$lte = new Date(options.endDate);
+  }
+  return query;
+};
+
+/**
+ * Label for a stored transaction
+ *
+ * Confirmed fraud is positive. Unflagged transactions and flags resolved as
+ * false positives are negative. Flags still awaiting review are unlabelled.
+ *
+ * @param {Object} transaction Stored transaction
+ * @returns {Number|null} 1, 0 or null when unlabelled
+ */
+const labelFor = (transaction) => {
+  if (transaction.isConfirmedFraud) return 1;
+  if (!transaction.isFlagged) return 0;
+  return null;
+};
+
+/**
+ * Extracts features and labels for the labelled transactions in a range
+ *
+ * When there are more than maxSamples labelled transactions, each class is
+ * sampled at random; positives are kept in full up to half the cap, since
+ * confirmed fraud is the scarce class. Facts are gathered a batch at a time.
+ *
+ * @param {Object} options
+ * @param {Date|String} [options.startDate]
+ * @param {Date|String} [options.endDate]
+ * @param {Number} [options.maxSamples] Cap on the dataset size (default MAX_TRAINING_SAMPLES)
+ * @param {Function} [options.onProgress] Called with (processed, total) after each batch
+ * @returns {Object} { rows, labels, skipped, sampleRates } in chronological order
+ */
+const buildDataset = async (options = {}) => {
+  const query = rangeQuery(options);
+  const maxSamples = options.maxSamples || MAX_TRAINING_SAMPLES;
+
+  const [positives, negatives] = await Promise.all([
+    Transaction.countDocuments({ ...query, isConfirmedFraud: true }),
+    Transaction.countDocuments({ ...query, isConfirmedFraud: { $ne: true }, isFlagged: { $ne: true } })
+  ]);
+  const positiveRate = positives ? Math.min(1, maxSamples / 2 / positives) : 1;
+  const negativeRate = negatives
+    ? Math.min(1, Math.max(0, maxSamples - positives * positiveRate) / negatives)
+    : 1;
+  const total = positives + negatives;
+
+  const rows = [];
+  const labels = [];
+  let skipped = 0;
+  let processed = 0;
+  let batch = [];
+
+  const flush = async () => {
+    const results = await Promise.all(batch.map(async ({ transaction, label }) => {
+      try {
+        return { features: extractFeatures(await gatherFacts(transaction)), label };
+      } catch (error) {
+        // e.g. the cardholder has been deleted
+        return null;
+      }
+    }));
+
+    results.forEach(result => {
+      if (!result) {
+        skipped++;
+        return;
+      }
+      rows.push(result.features);
+      labels.push(result.label);
+    });
+    batch = [];
+
+    if (options.onProgress) {
+      await options.onProgress(processed, total);
+    }
+  };
+
+  const cursor = Transaction.find(query).sort({ timestamp: 1 }).lean().cursor();
+  for await (const transaction of cursor) {
+    const label = labelFor(transaction);
+    if (label === null) {
+      skipped++;
+      continue;
+    }
+
+    processed++;
+    if (Math.random() >= (label === 1 ? positiveRate : negativeRate)) {
+      continue;
+    }
+
+    batch.push({ transaction, label });
+    if (batch.length >= FACT_BATCH_SIZE) {
+      await flush();
+    }
+  }
+  if (batch.length) {
+    await flush();
+  }
+
+  return { rows, labels, skipped, sampleRates: { positive: positiveRate, negative: negativeRate } };
+};
+
+/**
+ * Fits and evaluates a model in a worker thread
+ * @param {Object} data { trainRows, trainLabels, testRows, testLabels, hyperparameters, sampleRates }
+ * @returns {Promise<Object>} { params, metrics }
+ */
+const fitInWorker = (data) => {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'trainingWorker.js'), { workerData: data });
+    worker.once('message', resolve);
+    worker.once('error', reject);
+    worker.once('exit', code => {
+      if (code !== 0) reject(new Error(`Training worker stopped with exit code ${code}`));
+    });
+  });
+};
+
+/**
+ * Stores a model under the next free version number
+ *
+ * The version is unique, so two trainings finishing together cannot share
+ * one; the loser takes the following number.
+ *
+ * @param {Object} fields Model fields other than version
+ * @returns {Object} Saved model document
+ */
+const createModelVersion = async (fields) => {
+  for (let attempt = 0; attempt < MAX_VERSION_ATTEMPTS; attempt++) {
+    const latest = await FraudModel.findOne().sort({ version: -1 }).select('version').lean();
+    try {
+      return await FraudModel.create({ ...fields, version: latest ? latest.version + 1 : 1 });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw trainingError('Could not allocate a model version, please retry', 409);
+};
+
+/**
+ * Trains and stores a new model version
+ * @param {Object} [options]
+ * @param {Date|String} [options.startDate] Start of the training history
+ * @param {Date|String} [options.endDate] End of the training history
+ * @param {Object} [options.hyperparameters] epochs, learningRate, l2
+ * @param {Number} [options.maxSamples] Cap on the dataset size
+ * @param {Boolean} [options.activate] Make the new model the active one
+ * @param {Number} [options.blendWeight] Blend weight for the new model
+ * @param {*} [options.trainedBy] Account that started the training
+ * @param {Function} [options.onProgress] Called with (processed, total) while building the dataset
+ * @returns {Object} Saved model document
+ */
+const trainModel = async (options = {}) => {
+  const { rows, labels, skipped, sampleRates } = await buildDataset(options);
+
+  const positives = labels.filter(label => label === 1).length;
+  if (positives < MIN_POSITIVES) {
+    throw trainingError(`At least ${MIN_POSITIVES} confirmed fraud transactions are needed; found ${positives}`, 400);
+  }
+
+  const splitIndex = Math.floor(rows.length * (1 - TEST_SHARE));
+  const hyperparameters = { epochs: 500, learningRate: 0.1, l2: 0.001, ...(options.hyperparameters || {}) };
+  const { params, metrics } = await fitInWorker({
+    trainRows: rows.slice(0, splitIndex),
+    trainLabels: labels.slice(0, splitIndex),
+    testRows: rows.slice(splitIndex),
+    testLabels: labels.slice(splitIndex),
+    hyperparameters,
+    sampleRates
+  });
+
+  const model = await createModelVersion({
+    featureNames: FEATURE_NAMES,
+    weights: params.weights,
+    bias: params.bias,
+    scaler: params.scaler,
+    hyperparameters,
+    trainingData: {
+      startDate: options.startDate,
+      endDate: options.endDate,
+      samples: rows.length,
+      positives,
+      skipped,
+      sampleRates
+    },
+    metrics,
+    blendWeight: options.blendWeight || 0,
+    trainedBy: options.trainedBy
+  });
+
+  if (options.activate) {
+    return activateModel(model.version, options.blendWeight);
+  }
+
+  return model;
+};
+
+/**
+ * Makes a model version the active one, deactivating all others
+ * @param {Number} version Model version
+ * @param {Number} [blendWeight] New blend weight for the model
+ * @returns {Object|null} Activated model, or null when the version does not exist
+ */
+const activateModel = async (version, blendWeight) => {
+  const model = await FraudModel.findOne({ version });
+  if (!model) return null;
+
+  await FraudModel.updateMany({ isActive: true, version: { $ne: version } }, { $set: { isActive: false } });
+
+  model.isActive = true;
+  if (blendWeight !== undefined) {
+    model.blendWeight = blendWeight;
+  }
+  await model.save();
+
+  invalidateModelCache();
+  return model;
+};
+
+/**
+ * Deactivates all models so scoring falls back to rules only
+ */
+const deactivateModels = async () => {
+  await FraudModel.updateMany({ isActive: true }, { $set: { isActive: false } });
+  invalidateModelCache();
+};
+
+/**
+ * Runs one claimed training job and records its outcome
+ * @param {Object} job Claimed job document (status running)
+ */
+const runTrainingJob = async (job) => {
+  const heartbeat = setInterval(() => {
+    ModelTrainingJob.updateOne({ _id: job._id }, { $set: { heartbeatAt: new Date() } })
+      .catch(error => console.error('Error updating training job heartbeat:', error));
+  }, 60 * 1000);
+
+  let lastProgressAt = 0;
+  const onProgress = async (processed, total) => {
+    if (Date.now() - lastProgressAt < 5000) return;
+    lastProgressAt = Date.now();
+    await ModelTrainingJob.updateOne({ _id: job._id }, { $set: { progress: { processed, total } } });
+  };
+
+  try {
+    const model = await trainModel({ ...job.options.toObject(), trainedBy: job.requestedBy, onProgress });
+
+    await ModelTrainingJob.updateOne({ _id: job._id }, {
+      $set: { status: 'succeeded', modelVersion: model.version, finishedAt: new Date() }
+    });
+
+    const actor = job.requestedBy ? await Auth.findById(job.requestedBy).select('email role') : null;
+    await recordAudit({
+      actor,
+      action: 'model.trained',
+      entityType: 'FraudModel',
+      entityId: model._id,
+      after: { version: model.version, metrics: model.metrics, isActive: model.isActive },
+      metadata: { jobId: job._id }
+    });
+  } catch (error) {
+    if (!error.statusCode || error.statusCode >= 500) {
+      console.error(`Error in model training job ${job._id}:`, error);
+    }
+    await ModelTrainingJob.updateOne({ _id: job._id }, {
+      $set: { status: 'failed', error: error.message, finishedAt: new Date() }
+    });
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+/**
+ * Works through queued training jobs, one at a time
+ *
+ * Jobs are claimed atomically, so several instances can share the queue
+ * without training the same job twice. Running jobs that stopped sending
+ * heartbeats (the process died) are marked failed first.
+ */
+const processTrainingJobs = async () => {
+  if (processingJobs) return;
+  processingJobs = true;
+
+  try {
+    await ModelTrainingJob.updateMany(
+      { status: 'running', heartbeatAt: { $lt: new Date(Date.now() - STALE_JOB_MS) } },
+      { $set: { status: 'failed', error: 'Training was interrupted', finishedAt: new Date() } }
+    );
+
+    for (;;) {
+      const now = new Date();
+      const job = await ModelTrainingJob.findOneAndUpdate(
+        { status: 'queued' },
+        { $set: { status: 'running', startedAt: now, heartbeatAt: now } },
+        { sort: { createdAt: 1 }, new: true }
+      );
+      if (!job) break;
+      await runTrainingJob(job);
+    }
+  } finally {
+    processingJobs = false;
+  }
+};
+
+/**
+ * Queues a training and starts working on the queue in the background
+ * @param {Object} options Options for trainModel, without trainedBy
+ * @param {*} [requestedBy] Account that asked for the training
+ * @returns {Object} The queued job
+ */
+const queueTrainingJob = async (options, requestedBy) => {
+  const job = await ModelTrainingJob.create({ options, requestedBy });
+
+  processTrainingJobs().catch(error => console.error('Error processing training jobs:', error));
+  return job;
+};
+
+module.exports = {
+  MAX_TRAINING_SAMPLES,
+  labelFor,
+  buildDataset,
+  trainModel,
+  activateModel,
+  deactivateModels,
+  queueTrainingJob,
+  processTrainingJobs
+};
@@ -0,0 +1,75 @@
+// File: backend/services/notifier.js
+// Purpose: Delivers cardholder and account emails through a pluggable transport
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const transports = {
+  // Prints the notification, links and tokens included; only the default in development
+  console: async (notification) => {
+    console.log(`[notification] to ${notification.to}: ${notification.subject}\n${notification.text}`);
+  },
+
+  // Appends the notification as one JSON line, so tests can read what was sent
+  file: async (notification) => {
+    const file = process.env.NOTIFICATION_FILE ||
+      path.join(os.tmpdir(), 'sentricard-notifications.log');
+    await fs.promises.appendFile(file, JSON.stringify({ ...notification, sentAt: new Date() }) + '\n');
+  }
+};
+
+/**
+ * Registers a transport, e.g. an email or SMS gateway
+ * @param {String} name Transport name, selected with NOTIFIER_TRANSPORT
+ * @param {Function} send async (notification) => void; throws when delivery fails
+ */
+const registerTransport = (name, send) => {
+  if (typeof send !== 'function') {
+    throw new Error('A transport must be a function');
+  }
+  transports[name] = send;
+};
+
+/**
+ * Name of the transport in use
+ *
+ * Only development falls back to console: elsewhere that would write reset,
+ * invitation and verification links to the logs, so nothing is sent until
+ * NOTIFIER_TRANSPORT is set.
+ *
+ * @returns {String|null} NOTIFIER_TRANSPORT, console in development, otherwise null
+ */
+const getTransportName = () => {
+  if (process.env.NOTIFIER_TRANSPORT) return process.env.NOTIFIER_TRANSPORT;
+  return process.env.NODE_ENV === 'development' ? 'console' : null;
+};
+
+/**
+ * Sends a notification through the configured transport
+ * @param {Object} notification
+ * @param {String} notification.to Recipient address
+ * @param {String} notification.subject Short subject line
+ * @param {String} notification.text Plain-text body
+ * @param {Object} [notification.data] Structured payload for transports that render their own message
+ * @returns {String} Name of the transport used
+ */
+const sendNotification = async (notification) => {
+  const name = getTransportName();
+  if (!name) {
+    throw new Error('No notification transport configured; set NOTIFIER_TRANSPORT');
+  }
+  const send = transports[name];
+  if (!send) {
+    throw new Error(`Unknown notification transport ${name}`);
+  }
+
+  await send(notification);
+  return name;
+};
+
+module.exports = {
+  registerTransport,
+  getTransportName,
+  sendNotification
+};
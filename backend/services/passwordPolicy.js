@@ -0,0 +1,64 @@
+// File: backend/services/passwordPolicy.js
+// Purpose: Password strength rules applied whenever a password is set
+
+const MIN_LENGTH = Number(process.env.PASSWORD_MIN_LENGTH) || 10;
+
+// bcrypt ignores everything after 72 bytes
+const MAX_BYTES = 72;
+
+// Passwords that meet the character rules but are still guessed first
+const COMMON_PASSWORDS = new Set([
+  'password1!', 'password123', 'password123!', 'passw0rd!', 'p@ssw0rd1', 'p@ssword123',
+  'qwerty123!', 'qwertyuiop1', 'welcome123!', 'welcome1!', 'letmein123!', 'admin12345',
+  'administrator1', 'changeme123', 'iloveyou123', 'sentricard1', 'sentricard123', '1q2w3e4r5t'
+]);
+
+/**
+ * Checks a password against the strength rules
+ * @param {String} password Candidate password
+ * @param {Object} [account] Account the password is for
+ * @param {String} [account.email] Email, which the password must not contain
+ * @param {String} [account.name] Name, which the password must not contain
+ * @returns {Array<String>} Problems found (empty when the password is acceptable)
+ */
+const validatePassword = (password, account = {}) => {
+  if (typeof password !== 'string') {
+    return ['Password is required'];
+  }
+
+  const problems = [];
+  if (password.length < MIN_LENGTH) {
+    problems.push(`Password must be at least ${MIN_LENGTH} characters`);
+  }
+  if (Buffer.byteLength(password) > MAX_BYTES) {
+    problems.push(`Password must be at most ${MAX_BYTES} bytes`);
+  }
+  if (!/[a-z]/.test(password) || !/[A-Z]/.test(password)) {
+    problems.push('Password must contain upper and lower case letters');
+  }
+  if (!/\d/.test(password)) {
+    problems.push('Password must contain a number');
+  }
+  if (!/[^A-Za-z0-9]/.test(password)) {
+    problems.push('Password must contain a symbol');
+  }
+
+  const lower = password.toLowerCase();
+  if (COMMON_PASSWORDS.has(lower)) {
+    problems.push('Password is too common');
+  }
+
+  const emailName = String(account.email || '').split('@')[0].toLowerCase();
+  const personalWords = [emailName, ...String(account.name || '').toLowerCase().split(/\s+/)]
+    .filter(word => word.length >= 3);
+  if (personalWords.some(word => lower.includes(word))) {
+    problems.push('Password must not contain your name or email');
+  }
+
+  return problems;
+};
+
+module.exports = {
+  MIN_LENGTH,
+  validatePassword
+};
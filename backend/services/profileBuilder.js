@@ -0,0 +1,416 @@
+// File: backend/services/profileBuilder.js
+// Purpose: Learns typicalSpendingPatterns from each user's legitimate transaction history
+
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+
+// History considered by a full rebuild
+const PROFILE_WINDOW_DAYS = Number(process.env.PROFILE_WINDOW_DAYS) || 180;
+
+// Below this many transactions the learned profile does not replace existing patterns
+const MIN_PROFILE_TRANSACTIONS = 5;
+
+// A category or location must account for this share of transactions to count as frequent
+const FREQUENT_SHARE = 0.05;
+const MAX_FREQUENT_VALUES = 10;
+
+// Active hours span the 5th to 95th percentile of the hour-of-day distribution
+const ACTIVE_HOURS_TAIL = 0.05;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Concurrent writers retry against the newer profile this many times
+const MAX_WRITE_ATTEMPTS = 5;
+
+const HISTORY_FIELDS = 'amount timestamp merchantCategory location';
+
+// Category and city counts are keyed by user-supplied values, so they have no
+// prototype: a category named "constructor" must count from zero like any other
+const emptyStats = () => ({
+  transactionCount: 0,
+  amountMean: 0,
+  amountM2: 0,
+  hourHistogram: new Array(24).fill(0),
+  categoryCounts: Object.create(null),
+  locationCounts: Object.create(null),
+  lastTransactionAt: null
+});
+
+// Converts a stored profile into mutable statistics
+const toStats = (profile) => {
+  if (!profile || !profile.transactionCount) return emptyStats();
+
+  const fromPairs = (pairs) => (pairs || []).reduce((counts, { value, count }) => {
+    counts[value] = count;
+    return counts;
+  }, Object.create(null));
+
+  return {
+    transactionCount: profile.transactionCount,
+    amountMean: profile.amountMean,
+    amountM2: profile.amountM2,
+    hourHistogram: profile.hourHistogram && profile.hourHistogram.length === 24
+      ? [...profile.hourHistogram]
+      : new Array(24).fill(0),
+    categoryCounts: fromPairs(profile.categoryCounts),
+    locationCounts: fromPairs(profile.locationCounts),
+    lastTransactionAt: profile.lastTransactionAt || null
+  };
+};
+
+/**
+ * Adds one transaction to running statistics (Welford's online mean/variance)
+ * @param {Object} stats Statistics to update in place
+ * @param {Object} transaction Transaction data
+ */
+const addTransaction = (stats, transaction) => {
+  const timestamp = new Date(transaction.timestamp || Date.now());
+
+  stats.transactionCount++;
+  const delta = transaction.amount - stats.amountMean;
+  stats.amountMean += delta / stats.transactionCount;
+  stats.amountM2 += delta * (transaction.amount - stats.amountMean);
+
+  stats.hourHistogram[timestamp.getHours()]++;
+
+  if (transaction.merchantCategory) {
+    stats.categoryCounts[transaction.merchantCategory] =
+      (stats.categoryCounts[transaction.merchantCategory] || 0) + 1;
+  }
+
+  const city = transaction.location && transaction.location.city;
+  if (city) {
+    stats.locationCounts[city] = (stats.locationCounts[city] || 0) + 1;
+  }
+
+  if (!stats.lastTransactionAt || timestamp > stats.lastTransactionAt) {
+    stats.lastTransactionAt = timestamp;
+  }
+};
+
+const decrement = (counts, key) => {
+  if (!key || !counts[key]) return;
+  counts[key]--;
+  if (counts[key] <= 0) {
+    delete counts[key];
+  }
+};
+
+/**
+ * Removes a transaction that has left the window from running statistics (reverse Welford)
+ * @param {Object} stats Statistics to update in place
+ * @param {Object} transaction Transaction data, previously added
+ */
+const removeTransaction = (stats, transaction) => {
+  if (stats.transactionCount <= 1) {
+    Object.assign(stats, emptyStats(), { lastTransactionAt: stats.lastTransactionAt });
+    return;
+  }
+
+  const count = stats.transactionCount - 1;
+  const mean = (stats.amountMean * stats.transactionCount - transaction.amount) / count;
+  stats.amountM2 = Math.max(0, stats.amountM2 - (transaction.amount - stats.amountMean) * (transaction.amount - mean));
+  stats.amountMean = mean;
+  stats.transactionCount = count;
+
+  const hour = new Date(transaction.timestamp).getHours();
+  stats.hourHistogram[hour] = Math.max(0, stats.hourHistogram[hour] - 1);
+
+  decrement(stats.categoryCounts, transaction.merchantCategory);
+  decrement(stats.locationCounts, transaction.location && transaction.location.city);
+};
+
+const standardDeviation = (stats) => {
+  return stats.transactionCount > 1
+    ? Math.sqrt(stats.amountM2 / (stats.transactionCount - 1))
+    : 0;
+};
+
+const frequentValues = (counts, total) => {
+  return Object.entries(counts)
+    .filter(([, count]) => count / total >= FREQUENT_SHARE)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_FREQUENT_VALUES)
+    .map(([value]) => value);
+};
+
+const activeHoursFromHistogram = (histogram, total) => {
+  let cumulative = 0;
+  let start = null;
+  let end = 23;
+
+  for (let hour = 0; hour < 24; hour++) {
+    cumulative += histogram[hour];
+    if (start === null && cumulative / total > ACTIVE_HOURS_TAIL) {
+      start = hour;
+    }
+    if (cumulative / total >= 1 - ACTIVE_HOURS_TAIL) {
+      end = hour;
+      break;
+    }
+  }
+
+  return { start: start === null ? 0 : start, end };
+};
+
+/**
+ * Derives the scoring patterns from running statistics
+ * @param {Object} stats Running statistics
+ * @returns {Object} typicalSpendingPatterns values
+ */
+const derivePatterns = (stats) => {
+  const total = stats.transactionCount;
+  return {
+    averageTransactionAmount: Math.round(stats.amountMean * 100) / 100,
+    amountStdDev: Math.round(standardDeviation(stats) * 100) / 100,
+    frequentCategories: frequentValues(stats.categoryCounts, total),
+    frequentLocations: frequentValues(stats.locationCounts, total),
+    activeHours: activeHoursFromHistogram(stats.hourHistogram, total)
+  };
+};
+
+/**
+ * Writes statistics and, when there is enough history, the derived patterns onto the user
+ *
+ * The write only applies if the profile is still at the revision the
+ * statistics were computed from, so concurrent updates never overwrite
+ * each other; the caller recomputes and tries again.
+ *
+ * @param {*} userId User id
+ * @param {Object} profile Stored spendingProfile the statistics were computed from
+ * @param {Object} stats New statistics
+ * @param {Object} [extra] Other spendingProfile fields to set
+ * @returns {Object|null} Updated user, or null when the profile changed in the meantime
+ */
+const writeProfile = (userId, profile, stats, extra = {}) => {
+  const toPairs = (counts) => Object.entries(counts).map(([value, count]) => ({ value, count }));
+
+  const update = {
+    spendingProfile: {
+      windowDays: profile.windowDays,
+      windowStart: profile.windowStart,
+      rebuiltAt: profile.rebuiltAt,
+      transactionCount: stats.transactionCount,
+      amountMean: stats.amountMean,
+      amountM2: stats.amountM2,
+      amountStdDev: standardDeviation(stats),
+      hourHistogram: stats.hourHistogram,
+      categoryCounts: toPairs(stats.categoryCounts),
+      locationCounts: toPairs(stats.locationCounts),
+      lastTransactionAt: stats.lastTransactionAt,
+      updatedAt: new Date(),
+      revision: (profile.revision || 0) + 1,
+      ...extra
+    }
+  };
+
+  if (stats.transactionCount >= MIN_PROFILE_TRANSACTIONS) {
+    update.typicalSpendingPatterns = derivePatterns(stats);
+  }
+
+  return User.findOneAndUpdate(
+    {
+      _id: userId,
+      'spendingProfile.revision': profile.revision === undefined ? { $exists: false } : profile.revision
+    },
+    { $set: update },
+    { new: true }
+  );
+};
+
+// Legitimate history of a user from `from` (inclusive) to `to` (inclusive only with includeEnd)
+const historyQuery = (userId, from, to, includeEnd) => ({
+  userId,
+  isConfirmedFraud: { $ne: true },
+  isFlagged: { $ne: true },
+  timestamp: { $gte: from, [includeEnd ? '$lte' : '$lt']: to }
+});
+
+const profileConflict = (userId) => {
+  return new Error(`Spending profile of user ${userId} kept changing during the update`);
+};
+
+/**
+ * Whether a transaction is legitimate history the profile should learn from
+ * @param {Object} transaction Transaction data
+ * @returns {Boolean}
+ */
+const isLearnable = (transaction) => {
+  return !transaction.isConfirmedFraud && !transaction.isFlagged && typeof transaction.amount === 'number';
+};
+
+/**
+ * Incrementally folds a new transaction into its user's profile
+ *
+ * Applies the same rolling window as a rebuild: transactions that have
+ * left the window since the last update are aged out first, and a
+ * transaction older than the window is not learned.
+ *
+ * @param {Object} transaction Saved transaction
+ * @returns {Object|null} Updated user, or null when the transaction was not learnable
+ */
+const updateProfileWithTransaction = async (transaction) => {
+  if (!isLearnable(transaction)) return null;
+
+  const timestamp = new Date(transaction.timestamp || Date.now());
+
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    const user = await User.findById(transaction.userId).select('spendingProfile').lean();
+    if (!user) return null;
+    const profile = user.spendingProfile || {};
+
+    // New profiles, and those from before the window was tracked, start with a rebuild;
+    // the transaction is already stored, so the rebuild includes it
+    if (!profile.windowStart) {
+      return rebuildProfile(user._id, { windowDays: profile.windowDays });
+    }
+
+    const windowDays = profile.windowDays || PROFILE_WINDOW_DAYS;
+    const previousStart = new Date(profile.windowStart);
+    const windowStart = new Date(Math.max(Date.now() - windowDays * DAY_MS, previousStart.getTime()));
+    const stats = toStats(profile);
+
+    if (windowStart > previousStart) {
+      const expired = await Transaction.find(historyQuery(user._id, previousStart, windowStart))
+        .select(HISTORY_FIELDS)
+        .lean();
+      expired.forEach(expiredTransaction => removeTransaction(stats, expiredTransaction));
+    }
+
+    if (timestamp >= windowStart) {
+      addTransaction(stats, transaction);
+    }
+
+    const updated = await writeProfile(user._id, profile, stats, { windowDays, windowStart });
+    if (updated) return updated;
+  }
+
+  throw profileConflict(transaction.userId);
+};
+
+/**
+ * Recomputes a user's profile from their legitimate transactions in the rolling window
+ * @param {*} userId User id
+ * @param {Object} [options]
+ * @param {Number} [options.windowDays] History to consider
+ * @param {Date} [options.now] End of the window
+ * @returns {Object|null} Updated user, or null when the user does not exist
+ */
+const rebuildProfile = async (userId, options = {}) => {
+  const windowDays = options.windowDays || PROFILE_WINDOW_DAYS;
+
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    const user = await User.findById(userId).select('spendingProfile').lean();
+    if (!user) return null;
+
+    const now = options.now || new Date();
+    const windowStart = new Date(now.getTime() - windowDays * DAY_MS);
+
+    const stats = emptyStats();
+    const cursor = Transaction.find(historyQuery(user._id, windowStart, now, true))
+      .select(HISTORY_FIELDS)
+      .lean()
+      .cursor();
+
+    for await (const transaction of cursor) {
+      addTransaction(stats, transaction);
+    }
+
+    const updated = await writeProfile(user._id, user.spendingProfile || {}, stats, {
+      windowDays,
+      windowStart,
+      rebuiltAt: new Date()
+    });
+    if (updated) return updated;
+  }
+
+  throw profileConflict(userId);
+};
+
+/**
+ * Rebuilds a user's profile after a review changed which transactions are legitimate
+ *
+ * A transaction confirmed as fraud leaves the history and a false positive
+ * joins it; a rebuild applies either without knowing which were learned before.
+ * Failures are logged rather than failing the review.
+ *
+ * @param {*} userId User id
+ */
+const refreshProfileAfterReview = async (userId) => {
+  try {
+    await rebuildProfile(userId);
+  } catch (error) {
+    console.error(`Error rebuilding profile for user ${userId}:`, error);
+  }
+};
+
+/**
+ * Rebuilds every user's profile
+ * @param {Object} [options] Passed to rebuildProfile
+ * @param {Function} [options.onProgress] Called with (processed, total)
+ * @returns {Object} Counts of rebuilt and failed profiles
+ */
+const rebuildAllProfiles = async (options = {}) => {
+  const total = await User.countDocuments();
+  let rebuilt = 0;
+  let failed = 0;
+
+  const cursor = User.find().select('_id').lean().cursor();
+  for await (const { _id } of cursor) {
+    try {
+      await rebuildProfile(_id, options);
+      rebuilt++;
+    } catch (error) {
+      console.error(`Error rebuilding profile for user ${_id}:`, error);
+      failed++;
+    }
+    if (options.onProgress) {
+      options.onProgress(rebuilt + failed, total);
+    }
+  }
+
+  return { total, rebuilt, failed };
+};
+
+/**
+ * Shapes a user's learned profile for the API
+ * @param {Object} user User document
+ * @returns {Object} Derived profile
+ */
+const describeProfile = (user) => {
+  const stats = toStats(user.spendingProfile);
+  const profile = user.spendingProfile || {};
+
+  return {
+    userId: user._id,
+    typicalSpendingPatterns: user.typicalSpendingPatterns,
+    isLearned: stats.transactionCount >= MIN_PROFILE_TRANSACTIONS,
+    statistics: {
+      transactionCount: stats.transactionCount,
+      amountMean: Math.round(stats.amountMean * 100) / 100,
+      amountStdDev: Math.round(standardDeviation(stats) * 100) / 100,
+      hourHistogram: stats.hourHistogram,
+      categoryCounts: stats.categoryCounts,
+      locationCounts: stats.locationCounts,
+      lastTransactionAt: stats.lastTransactionAt
+    },
+    windowDays: profile.windowDays || null,
+    rebuiltAt: profile.rebuiltAt || null,
+    updatedAt: profile.updatedAt || null
+  };
+};
+
+module.exports = {
+  PROFILE_WINDOW_DAYS,
+  MIN_PROFILE_TRANSACTIONS,
+  toStats,
+  addTransaction,
+  removeTransaction,
+  derivePatterns,
+  isLearnable,
+  updateProfileWithTransaction,
+  rebuildProfile,
+  refreshProfileAfterReview,
+  rebuildAllProfiles,
+  describeProfile
+};
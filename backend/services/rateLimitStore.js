@@ -0,0 +1,107 @@
+// File: backend/services/rateLimitStore.js
+// Purpose: Pluggable counter stores for rate limiting (in-memory by default, MongoDB for multiple instances)
+
+const RateLimitCounter = require('../models/RateLimitCounter');
+
+// How often expired in-memory windows are swept
+const MEMORY_SWEEP_MS = 60 * 1000;
+
+/**
+ * Counts requests in this process only
+ * @returns {Object} Store with increment(key, windowMs)
+ */
+const createMemoryStore = () => {
+  const windows = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) {
+        windows.delete(key);
+      }
+    }
+  }, MEMORY_SWEEP_MS).unref();
+
+  return {
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: Math.floor(now / windowMs) * windowMs + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    }
+  };
+};
+
+/**
+ * Counts requests in MongoDB so every instance shares the same limits
+ * @returns {Object} Store with increment(key, windowMs)
+ */
+const createMongoStore = () => ({
+  increment: async (key, windowMs) => {
+    // Fixed windows aligned to the clock: one counter document per key and window
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+    const resetAt = new Date(windowStart + windowMs);
+
+    const update = () => RateLimitCounter.findOneAndUpdate(
+      { key: `${key}:${windowStart}` },
+      { $inc: { count: 1 }, $setOnInsert: { resetAt } },
+      { upsert: true, new: true }
+    ).lean();
+
+    let counter;
+    try {
+      counter = await update();
+    } catch (error) {
+      // Two first requests in a window can race to insert; the loser retries as an update
+      if (error.code !== 11000) throw error;
+      counter = await update();
+    }
+
+    return { count: counter.count, resetAt };
+  }
+});
+
+const factories = {
+  memory: createMemoryStore,
+  mongo: createMongoStore
+};
+
+let store = null;
+
+/**
+ * Registers a store, e.g. one backed by Redis
+ * @param {String} name Store name, selected with RATE_LIMIT_STORE
+ * @param {Function} factory () => ({ increment: async (key, windowMs) => ({ count, resetAt }) })
+ */
+const registerRateLimitStore = (name, factory) => {
+  if (typeof factory !== 'function') {
+    throw new Error('A rate limit store factory must be a function');
+  }
+  factories[name] = factory;
+  store = null;
+};
+
+/**
+ * Store in use, created on first call from RATE_LIMIT_STORE (default memory)
+ * @returns {Object} Store
+ */
+const getRateLimitStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    const factory = factories[name];
+    if (!factory) {
+      throw new Error(`Unknown rate limit store ${name}`);
+    }
+    store = factory();
+  }
+  return store;
+};
+
+module.exports = {
+  registerRateLimitStore,
+  getRateLimitStore
+};
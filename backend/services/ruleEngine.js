@@ -0,0 +1,208 @@
+// File: backend/services/ruleEngine.js
+// Purpose: Evaluates declarative fraud rule conditions against transaction facts
+
+/**
+ * Condition language
+ *
+ * A condition is a JSON object in one of these shapes:
+ *   { all: [condition, ...] }                 every child must match
+ *   { any: [condition, ...] }                 at least one child must match
+ *   { not: condition }                        negates the child
+ *   { fact: 'amountRatio', operator: 'gt', value: 5 }
+ *
+ * `fact` is a dot-separated path into the facts object built by the fraud
+ * detection service. `value` may itself be `{ fact: 'path' }` to compare two
+ * facts with each other.
+ */
+
+const OPERATORS = {
+  eq: (a, b) => a === b,
+  ne: (a, b) => a !== b,
+  gt: (a, b) => typeof a === 'number' && a > b,
+  gte: (a, b) => typeof a === 'number' && a >= b,
+  lt: (a, b) => typeof a === 'number' && a < b,
+  lte: (a, b) => typeof a === 'number' && a <= b,
+  in: (a, b) => Array.isArray(b) && b.includes(a),
+  notIn: (a, b) => Array.isArray(b) && !b.includes(a),
+  contains: (a, b) => (Array.isArray(a) || typeof a === 'string') && a.includes(b),
+  notContains: (a, b) => (Array.isArray(a) || typeof a === 'string') && !a.includes(b),
+  exists: (a, b) => (a !== undefined && a !== null) === (b !== false)
+};
+
+const MAX_CONDITION_DEPTH = 10;
+
+// Own keys only, so names such as "constructor" or "__proto__" in rule input never reach Object.prototype
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+const isOperator = (name) => typeof name === 'string' && hasOwn(OPERATORS, name);
+
+/**
+ * Resolves a dot-separated path inside an object
+ * @param {Object} source Object to read from
+ * @param {String} path Path such as 'transaction.location.country'
+ * @returns {*} Value at the path, or undefined
+ */
+const resolvePath = (source, path) => {
+  return path.split('.').reduce((value, key) => {
+    if (value === undefined || value === null || !hasOwn(Object(value), key)) return undefined;
+    return value[key];
+  }, source);
+};
+
+const isFactReference = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).length === 1 && typeof value.fact === 'string';
+};
+
+/**
+ * Validates a condition tree
+ * @param {Object} condition Condition to validate
+ * @param {Array<String>} [knownFacts] Optional list of allowed fact paths
+ * @returns {Array<String>} List of validation errors (empty when valid)
+ */
+const validateCondition = (condition, knownFacts, depth = 0, path = 'condition') => {
+  const errors = [];
+
+  if (depth > MAX_CONDITION_DEPTH) {
+    return [`${path}: nesting exceeds ${MAX_CONDITION_DEPTH} levels`];
+  }
+
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    return [`${path}: must be an object`];
+  }
+
+  const checkFact = (fact, factPath) => {
+    if (typeof fact !== 'string' || !fact) {
+      errors.push(`${factPath}: fact must be a non-empty string`);
+    } else if (knownFacts && !knownFacts.some(known => fact === known || fact.startsWith(`${known}.`))) {
+      errors.push(`${factPath}: unknown fact "${fact}"`);
+    }
+  };
+
+  if (condition.all !== undefined || condition.any !== undefined) {
+    const key = condition.all !== undefined ? 'all' : 'any';
+    const children = condition[key];
+    if (!Array.isArray(children) || children.length === 0) {
+      errors.push(`${path}.${key}: must be a non-empty array`);
+    } else {
+      children.forEach((child, index) => {
+        errors.push(...validateCondition(child, knownFacts, depth + 1, `${path}.${key}[${index}]`));
+      });
+    }
+  } else if (condition.not !== undefined) {
+    errors.push(...validateCondition(condition.not, knownFacts, depth + 1, `${path}.not`));
+  } else if (condition.fact !== undefined) {
+    checkFact(condition.fact, `${path}.fact`);
+    if (!isOperator(condition.operator)) {
+      errors.push(`${path}.operator: must be one of ${Object.keys(OPERATORS).join(', ')}`);
+    }
+    if (isFactReference(condition.value)) {
+      checkFact(condition.value.fact, `${path}.value.fact`);
+    } else if (condition.value === undefined && condition.operator !== 'exists') {
+      errors.push(`${path}.value: is required`);
+    }
+  } else {
+    errors.push(`${path}: must contain one of all, any, not or fact`);
+  }
+
+  return errors;
+};
+
+/**
+ * Evaluates a condition tree against a set of facts
+ * @param {Object} condition Condition to evaluate
+ * @param {Object} facts Facts describing the transaction
+ * @returns {Boolean} Whether the condition matches
+ */
+const evaluateCondition = (condition, facts) => {
+  if (condition.all) {
+    return condition.all.every(child => evaluateCondition(child, facts));
+  }
+  if (condition.any) {
+    return condition.any.some(child => evaluateCondition(child, facts));
+  }
+  if (condition.not) {
+    return !evaluateCondition(condition.not, facts);
+  }
+
+  // Rules saved before operators were checked this strictly never match instead of throwing
+  if (!isOperator(condition.operator)) {
+    return false;
+  }
+
+  const actual = resolvePath(facts, condition.fact);
+  const expected = isFactReference(condition.value)
+    ? resolvePath(facts, condition.value.fact)
+    : condition.value;
+
+  return OPERATORS[condition.operator](actual, expected);
+};
+
+/**
+ * Replaces {{fact.path}} placeholders in a rule message with fact values
+ * @param {String} template Message template
+ * @param {Object} facts Facts describing the transaction
+ * @returns {String} Rendered message
+ */
+const renderMessage = (template, facts) => {
+  return (template || '').replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+    const value = resolvePath(facts, path);
+    if (value === undefined || value === null) return '';
+    return typeof value === 'number' ? String(Math.round(value * 100) / 100) : String(value);
+  });
+};
+
+/**
+ * Evaluates a rule set against facts
+ *
+ * Rules are evaluated in ascending priority order. Rules sharing a `group`
+ * are mutually exclusive: only the first matching rule in a group counts,
+ * which is how tiered thresholds (5x / 3x / 2x) are expressed.
+ *
+ * @param {Array<Object>} rules Active rules
+ * @param {Object} facts Facts describing the transaction
+ * @returns {Object} Score (clamped to 0-100) and matched risk factors
+ */
+const evaluateRules = (rules, facts) => {
+  const ordered = [...rules].sort((a, b) => (a.priority || 0) - (b.priority || 0));
+  const matchedGroups = new Set();
+  const riskFactors = [];
+  let rawScore = 0;
+
+  for (const rule of ordered) {
+    if (rule.group && matchedGroups.has(rule.group)) continue;
+
+    let matched = false;
+    try {
+      matched = evaluateCondition(rule.condition, facts);
+    } catch (error) {
+      console.error(`Error evaluating rule ${rule.ruleId}:`, error);
+    }
+    if (!matched) continue;
+
+    if (rule.group) matchedGroups.add(rule.group);
+    rawScore += rule.weight;
+    riskFactors.push({
+      ruleId: rule.ruleId,
+      name: rule.name,
+      description: renderMessage(rule.message || rule.name, facts),
+      contribution: rule.weight
+    });
+  }
+
+  return {
+    score: Math.min(100, Math.max(0, rawScore)),
+    rawScore,
+    riskFactors
+  };
+};
+
+module.exports = {
+  OPERATORS,
+  hasOwn,
+  resolvePath,
+  validateCondition,
+  evaluateCondition,
+  evaluateRules,
+  renderMessage
+};
@@ -0,0 +1,69 @@
+// File: backend/services/ruleStore.js
+// Purpose: Loads and caches the active fraud rule set
+
+const FraudRule = require('../models/FraudRule');
+const defaultRules = require('./defaultRules');
+
+// Rules change rarely, so they are cached briefly to avoid a query per transaction
+const CACHE_TTL_MS = 30 * 1000;
+
+let cache = null;
+let cacheLoadedAt = 0;
+let defaultsEnsured = false;
+
+/**
+ * Inserts missing built-in rules and upgrades untouched ones, once per process
+ *
+ * Built-in rules that an admin has edited (updatedBy is set) are never
+ * overwritten, so changes to their weights or conditions survive upgrades.
+ */
+const ensureDefaultRules = async () => {
+  if (defaultsEnsured) return;
+
+  await FraudRule.bulkWrite(defaultRules.flatMap(rule => [
+    {
+      updateOne: {
+        filter: { ruleId: rule.ruleId },
+        update: { $setOnInsert: { ...rule, isBuiltIn: true } },
+        upsert: true
+      }
+    },
+    {
+      updateOne: {
+        filter: { ruleId: rule.ruleId, isBuiltIn: true, updatedBy: { $exists: false } },
+        update: { $set: rule }
+      }
+    }
+  ]), { ordered: false });
+
+  defaultsEnsured = true;
+};
+
+/**
+ * Gets the active rules, using the cache when it is fresh
+ * @returns {Array<Object>} Active rules as plain objects
+ */
+const getActiveRules = async () => {
+  if (cache && Date.now() - cacheLoadedAt < CACHE_TTL_MS) {
+    return cache;
+  }
+
+  await ensureDefaultRules();
+  cache = await FraudRule.find({ isActive: true }).sort({ priority: 1 }).lean();
+  cacheLoadedAt = Date.now();
+  return cache;
+};
+
+/**
+ * Drops the cached rule set so the next evaluation reloads it
+ */
+const invalidateRuleCache = () => {
+  cache = null;
+  cacheLoadedAt = 0;
+};
+
+module.exports = {
+  ensureDefaultRules,
+  getActiveRules,
+  invalidateRuleCache
+};
@@ -0,0 +1,51 @@
+// File: backend/services/securityPolicy.js
+// Purpose: Cached access to the account security policy
+
+const SecurityPolicy = require('../models/SecurityPolicy');
+
+const CACHE_TTL_MS = 30 * 1000;
+
+let cache = null;
+let cacheLoadedAt = 0;
+
+/**
+ * Gets the security policy, creating the default one on first use
+ * @returns {Object} Policy as a plain object
+ */
+const getSecurityPolicy = async () => {
+  if (cache && Date.now() - cacheLoadedAt < CACHE_TTL_MS) {
+    return cache;
+  }
+
+  cache = await SecurityPolicy.findOneAndUpdate(
+    { name: 'default' },
+    { $setOnInsert: { name: 'default' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+  cacheLoadedAt = Date.now();
+  return cache;
+};
+
+/**
+ * Drops the cached policy so the next login reloads it
+ */
+const invalidateSecurityPolicyCache = () => {
+  cache = null;
+  cacheLoadedAt = 0;
+};
+
+/**
+ * Whether the policy requires two-factor authentication for a role
+ * @param {String} role Account role
+ * @returns {Boolean}
+ */
+const isTwoFactorRequired = async (role) => {
+  const policy = await getSecurityPolicy();
+  return policy.requireTwoFactorRoles.includes(role);
+};
+
+module.exports = {
+  getSecurityPolicy,
+  invalidateSecurityPolicyCache,
+  isTwoFactorRequired
+};
@@ -0,0 +1,204 @@
+// File: backend/services/sessions.js
+// Purpose: Issues short-lived access tokens and rotating refresh tokens backed by server-side sessions
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const Auth = require('../models/Auth');
+const { recordAudit } = require('./auditLog');
+const { isTwoFactorRequired } = require('./securityPolicy');
+
+// Refresh token lifetime in days
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+const sessionError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without scanning
+const formatRefreshToken = (session, secret) => `${session._id}.${secret}`;
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+const issueTokens = (user, session, secret) => ({
+  token: user.getSignedJwtToken(session._id),
+  refreshToken: formatRefreshToken(session, secret),
+  refreshTokenExpiresAt: session.expiresAt
+});
+
+/**
+ * Starts a session after a successful login
+ * @param {Object} user Auth account
+ * @param {Object} [req] Express request, for the device and IP address
+ * @returns {Object} { token, refreshToken, refreshTokenExpiresAt, session }
+ */
+const createSession = async (user, req) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    authId: user._id,
+    refreshTokenHash: hashSecret(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: req ? req.get('User-Agent') : undefined,
+    ipAddress: req ? req.ip : undefined
+  });
+
+  return { ...issueTokens(user, session, secret), session };
+};
+
+/**
+ * Revokes a session so its access and refresh tokens stop working
+ * @param {String} sessionId Session id
+ * @param {String} reason Why it was revoked, e.g. logout
+ * @returns {Object|null} The revoked session, or null when it was already revoked
+ */
+const revokeSession = (sessionId, reason) => {
+  return Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  );
+};
+
+/**
+ * Revokes every active session of an account ("log out all devices")
+ * @param {String} authId Auth account id
+ * @param {String} reason Why they were revoked
+ * @param {String} [exceptSessionId] Session to keep, e.g. the one changing the password
+ * @returns {Number} Sessions revoked
+ */
+const revokeAllSessions = async (authId, reason, exceptSessionId) => {
+  const filter = { authId, revokedAt: { $exists: false } };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(
+    filter,
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Revokes every active session of several accounts at once
+ * @param {Array<String>} authIds Auth account ids
+ * @param {String} reason Why they were revoked
+ * @returns {Number} Sessions revoked
+ */
+const revokeSessionsForAccounts = async (authIds, reason) => {
+  if (!authIds.length) return 0;
+
+  const result = await Session.updateMany(
+    { authId: { $in: authIds }, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Exchanges a refresh token for a new access token and refresh token
+ *
+ * Each refresh token works once. Presenting one that has already been
+ * rotated out means it was copied, so the whole session is revoked.
+ *
+ * @param {String} refreshToken Refresh token from the client
+ * @param {Object} [req] Express request, for auditing
+ * @returns {Object} { token, refreshToken, refreshTokenExpiresAt, user }
+ */
+const refreshSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    throw sessionError('Invalid refresh token', 401);
+  }
+
+  const session = await Session.findById(parsed.sessionId).select('+refreshTokenHash +rotatedTokenHashes');
+  if (!session || !session.isActive) {
+    throw sessionError('Session has expired or been revoked', 401);
+  }
+
+  const presentedHash = hashSecret(parsed.secret);
+  if (presentedHash !== session.refreshTokenHash) {
+    if (session.rotatedTokenHashes.includes(presentedHash)) {
+      await revokeSession(session._id, 'refresh_token_reuse');
+      await recordAudit({
+        req,
+        action: 'auth.refresh_token_reuse',
+        entityType: 'Auth',
+        entityId: session.authId,
+        metadata: { sessionId: session._id }
+      });
+    }
+    throw sessionError('Invalid refresh token', 401);
+  }
+
+  const user = await Auth.findById(session.authId);
+  if (!user) {
+    await revokeSession(session._id, 'account_deleted');
+    throw sessionError('Invalid refresh token', 401);
+  }
+  if (!user.isActive) {
+    await revokeSession(session._id, 'account_deactivated');
+    throw sessionError('Invalid refresh token', 401);
+  }
+
+  // The account's role may have started requiring 2FA since the session began
+  if (!user.twoFactor.enabled && await isTwoFactorRequired(user.role)) {
+    await revokeSession(session._id, 'two_factor_required');
+    throw sessionError('Two-factor authentication is required; please log in again', 401);
+  }
+
+  const secret = newSecret();
+  const rotated = [...session.rotatedTokenHashes, session.refreshTokenHash].slice(-Session.MAX_ROTATED_HASHES);
+
+  // Conditional on the current hash so two concurrent refreshes cannot both succeed
+  const updated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: { $exists: false } },
+    {
+      $set: {
+        refreshTokenHash: hashSecret(secret),
+        rotatedTokenHashes: rotated,
+        lastUsedAt: new Date(),
+        ipAddress: req ? req.ip : session.ipAddress
+      }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw sessionError('Invalid refresh token', 401);
+  }
+
+  return { ...issueTokens(user, updated, secret), user };
+};
+
+/**
+ * Checks that the session behind an access token can still be used
+ * @param {String} sessionId Session id from the token's sid claim
+ * @returns {Object|null} The session, or null when it is revoked, expired or unknown
+ */
+const findActiveSession = async (sessionId) => {
+  if (!mongoose.isValidObjectId(sessionId)) return null;
+  const session = await Session.findById(sessionId);
+  return session && session.isActive ? session : null;
+};
+
+module.exports = {
+  REFRESH_TOKEN_DAYS,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  revokeSessionsForAccounts,
+  findActiveSession
+};
@@ -0,0 +1,79 @@
+// File: backend/services/streamTickets.js
+// Purpose: Issues and redeems alert stream tickets, and checks that a stream's session is still live
+
+const crypto = require('crypto');
+const StreamTicket = require('../models/StreamTicket');
+const Auth = require('../models/Auth');
+const { findActiveSession } = require('./sessions');
+
+// Long enough to open an EventSource right after asking for the ticket
+const TICKET_TTL_SECONDS = Number(process.env.STREAM_TICKET_TTL_SECONDS) || 30;
+
+const hashTicket = (ticket) => crypto.createHash('sha256').update(String(ticket)).digest('hex');
+
+/**
+ * Issues a ticket for the caller's session
+ * @param {Object} user Auth account
+ * @param {Object} session Session the request was made with
+ * @returns {Object} { ticket, expiresAt }
+ */
+const issueStreamTicket = async (user, session) => {
+  const ticket = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + TICKET_TTL_SECONDS * 1000);
+
+  await StreamTicket.create({
+    ticketHash: hashTicket(ticket),
+    authId: user._id,
+    sessionId: session._id,
+    role: user.role,
+    expiresAt
+  });
+
+  return { ticket, expiresAt };
+};
+
+/**
+ * Whether the account and session a stream was opened with may still receive alerts
+ * @param {String} authId Auth account id
+ * @param {String} sessionId Session id
+ * @param {String} role Role the stream was opened with
+ * @returns {Object|null} { user, session }, or null once the session is revoked or expired,
+ *   the account deactivated or its role changed
+ */
+const checkStreamAccess = async (authId, sessionId, role) => {
+  const [user, session] = await Promise.all([
+    Auth.findById(authId),
+    findActiveSession(sessionId)
+  ]);
+  if (!user || !user.isActive || !session || String(session.authId) !== String(user._id) ||
+      user.role !== role) {
+    return null;
+  }
+  return { user, session };
+};
+
+/**
+ * Redeems a ticket; each ticket opens one stream
+ * @param {String} ticket Ticket from issueStreamTicket
+ * @returns {Object|null} { user, session }, or null when the ticket is unknown, used,
+ *   expired or its session is no longer live
+ */
+const redeemStreamTicket = async (ticket) => {
+  if (!ticket) return null;
+
+  // Deleting on redeem makes the ticket single-use even across instances
+  const redeemed = await StreamTicket.findOneAndDelete({
+    ticketHash: hashTicket(ticket),
+    expiresAt: { $gt: new Date() }
+  }).lean();
+  if (!redeemed) return null;
+
+  return checkStreamAccess(redeemed.authId, redeemed.sessionId, redeemed.role);
+};
+
+module.exports = {
+  TICKET_TTL_SECONDS,
+  issueStreamTicket,
+  redeemStreamTicket,
+  checkStreamAccess
+};
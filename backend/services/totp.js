@@ -0,0 +1,176 @@
+// File: backend/services/totp.js
+// Purpose: RFC 6238 time-based one-time passwords, backup codes and secret encryption
+
+const crypto = require('crypto');
+
+const ISSUER = process.env.TOTP_ISSUER || 'SentriCard';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+// Steps either side of now that are accepted, to absorb clock drift
+const DRIFT_STEPS = 1;
+
+const BACKUP_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generates a new shared secret
+ * @returns {String} Base32 secret (160 bits)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Builds the otpauth:// URI authenticator apps read from a QR code
+ * @param {String} secret Base32 secret
+ * @param {String} accountName Usually the account email
+ * @returns {String} otpauth URI
+ */
+const otpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+const timeStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * Code for a time step (RFC 4226 HOTP over the RFC 6238 counter)
+ * @param {String} secret Base32 secret
+ * @param {Number} step Time step
+ * @returns {String} Zero-padded code
+ */
+const generateCode = (secret, step = timeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Checks a code, allowing for clock drift and refusing reuse
+ * @param {String} secret Base32 secret
+ * @param {String} code Code entered by the user
+ * @param {Number} [lastUsedStep] Step of the last accepted code
+ * @returns {Number|null} Matching time step, or null when the code is not valid
+ */
+const verifyCode = (secret, code, lastUsedStep) => {
+  const clean = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(clean)) return null;
+
+  const current = timeStep();
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+    if (lastUsedStep !== undefined && lastUsedStep !== null && step <= lastUsedStep) continue;
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+const hashBackupCode = (code) => {
+  return crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[\s-]/g, '')).digest('hex');
+};
+
+/**
+ * Generates single-use backup codes
+ * @returns {Object} { codes, hashes } where codes are shown once and hashes are stored
+ */
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+// Secrets are encrypted at rest with a key derived from TOTP_ENCRYPTION_KEY (or JWT_SECRET)
+const encryptionKey = () => {
+  const material = process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!material) {
+    throw new Error('TOTP_ENCRYPTION_KEY is not configured');
+  }
+  return crypto.createHash('sha256').update(material).digest();
+};
+
+/**
+ * Encrypts a secret for storage (AES-256-GCM)
+ * @param {String} secret Base32 secret
+ * @returns {String} iv.tag.ciphertext, base64url encoded
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+};
+
+/**
+ * Decrypts a stored secret
+ * @param {String} stored Value produced by encryptSecret
+ * @returns {String} Base32 secret
+ */
+const decryptSecret = (stored) => {
+  const [iv, tag, ciphertext] = String(stored).split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  generateSecret,
+  otpauthUri,
+  generateCode,
+  verifyCode,
+  hashBackupCode,
+  generateBackupCodes,
+  encryptSecret,
+  decryptSecret
+};
@@ -0,0 +1,22 @@
+// File: backend/services/trainingWorker.js
+// Purpose: Worker thread that fits and evaluates a model, keeping gradient descent off the event loop
+//
+// Started by services/modelTraining.js with { trainRows, trainLabels, testRows, testLabels,
+// hyperparameters, sampleRates } as workerData; posts back { params, metrics }. The params
+// are corrected for class sampling before they are evaluated, so the metrics describe the
+// stored model.
+
+const { parentPort, workerData } = require('worker_threads');
+const { train, correctForSampling, evaluate } = require('./logisticRegression');
+
+const { trainRows, trainLabels, testRows, testLabels, hyperparameters, sampleRates } = workerData;
+
+const params = correctForSampling(train(trainRows, trainLabels, hyperparameters), sampleRates);
+
+parentPort.postMessage({
+  params,
+  metrics: {
+    train: evaluate(params, trainRows, trainLabels),
+    test: testRows.length ? evaluate(params, testRows, testLabels) : null
+  }
+});
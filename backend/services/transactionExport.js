@@ -0,0 +1,207 @@
+// File: backend/services/transactionExport.js
+// Purpose: Streams filtered transactions as CSV or NDJSON with column selection and masking
+
+const crypto = require('crypto');
+const Transaction = require('../models/Transaction');
+
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+
+// Exportable columns: how to read each one and how to mask it when it is sensitive
+const EXPORT_COLUMNS = {
+  id: { get: t => t._id },
+  processorReference: { get: t => t.processorReference },
+  timestamp: { get: t => t.timestamp },
+  userId: { get: t => (t.userId && t.userId._id) || t.userId },
+  userName: { get: t => t.userId && t.userId.name, mask: value => maskName(value) },
+  userEmail: { get: t => t.userId && t.userId.email, mask: value => maskEmail(value) },
+  cardLastFour: { get: t => t.cardLastFour },
+  amount: { get: t => t.amount },
+  merchantName: { get: t => t.merchantName },
+  merchantCategory: { get: t => t.merchantCategory },
+  country: { get: t => t.location && t.location.country },
+  city: { get: t => t.location && t.location.city },
+  zip: { get: t => t.location && t.location.zip, mask: value => maskTail(value, 2) },
+  cardPresent: { get: t => t.cardPresent },
+  ipAddress: { get: t => t.ipAddress, mask: value => maskIp(value) },
+  deviceId: { get: t => t.deviceId, mask: value => pseudonymize(value) },
+  fraudScore: { get: t => t.fraudScore },
+  isFlagged: { get: t => t.isFlagged },
+  isConfirmedFraud: { get: t => t.isConfirmedFraud },
+  decision: { get: t => t.decision && t.decision.outcome },
+  reasonCodes: { get: t => t.decision && t.decision.reasonCodes && t.decision.reasonCodes.join(' ') },
+  createdAt: { get: t => t.createdAt }
+};
+
+const DEFAULT_COLUMNS = [
+  'id', 'timestamp', 'userId', 'cardLastFour', 'amount', 'merchantName', 'merchantCategory',
+  'country', 'city', 'fraudScore', 'isFlagged', 'isConfirmedFraud', 'decision'
+];
+
+const exportError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const maskTail = (value, keep) => {
+  const text = String(value);
+  return text.slice(0, keep) + '*'.repeat(Math.max(text.length - keep, 0));
+};
+
+const maskName = (value) => String(value)
+  .split(/\s+/)
+  .map(part => maskTail(part, 1))
+  .join(' ');
+
+const maskEmail = (value) => {
+  const [local, domain] = String(value).split('@');
+  return domain ? `${maskTail(local, 1)}@${domain}` : maskTail(local, 1);
+};
+
+// Keeps the network: 203.0.113.7 -> 203.0.113.0, IPv6 keeps the first four groups
+const maskIp = (value) => {
+  const text = String(value);
+  if (text.includes(':')) {
+    return `${text.split(':').slice(0, 4).join(':')}::`;
+  }
+  return text.replace(/\.\d+$/, '.0');
+};
+
+// Stable pseudonym so rows from the same device can still be grouped
+const pseudonymize = (value) => {
+  return crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 12);
+};
+
+/**
+ * Validates the requested columns
+ * @param {String} [fields] Comma-separated column names (defaults to DEFAULT_COLUMNS)
+ * @returns {Array<String>} Column names
+ */
+const resolveColumns = (fields) => {
+  if (!fields) return DEFAULT_COLUMNS;
+
+  const columns = String(fields).split(',').map(field => field.trim()).filter(Boolean);
+  const unknown = columns.filter(column => !EXPORT_COLUMNS[column]);
+  if (unknown.length) {
+    throw exportError(`Unknown export columns: ${unknown.join(', ')}. ` +
+      `Available: ${Object.keys(EXPORT_COLUMNS).join(', ')}`, 400);
+  }
+  return columns;
+};
+
+/**
+ * Builds one export row
+ * @param {Object} transaction Lean transaction with userId populated
+ * @param {Array<String>} columns Column names
+ * @param {Boolean} mask Whether sensitive columns are masked
+ * @returns {Object} Row keyed by column name
+ */
+const toRow = (transaction, columns, mask) => {
+  const row = {};
+  columns.forEach(column => {
+    const definition = EXPORT_COLUMNS[column];
+    let value = definition.get(transaction);
+    if (value instanceof Date) {
+      value = value.toISOString();
+    } else if (value && typeof value === 'object') {
+      value = String(value);
+    }
+    if (mask && definition.mask && value !== undefined && value !== null && value !== '') {
+      value = definition.mask(value);
+    }
+    row[column] = value;
+  });
+  return row;
+};
+
+/**
+ * Formats a CSV cell
+ *
+ * Text starting with a formula character is prefixed with a quote so it is not
+ * evaluated when the file is opened in a spreadsheet.
+ */
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => values.map(csvCell).join(',') + '\r\n';
+
+/**
+ * Writes to a response, waiting when its buffer is full
+ * @param {Object} res Express response
+ * @param {String} chunk Text to write
+ * @returns {Promise} Resolves once more can be written (or the client has gone)
+ */
+const writeWithBackpressure = (res, chunk) => new Promise(resolve => {
+  if (res.destroyed || res.write(chunk)) {
+    return resolve();
+  }
+  // A client that disconnects never drains
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+/**
+ * Streams every transaction matching a filter
+ * @param {Object} query Filter (see buildTransactionQuery)
+ * @param {Object} options
+ * @param {String} options.format csv or ndjson
+ * @param {Array<String>} options.columns Column names
+ * @param {Boolean} options.mask Whether sensitive columns are masked
+ * @param {Object} [options.sort] Sort order
+ * @param {Function} options.write Awaited with each chunk of output
+ * @param {Function} [options.isAborted] Stops the export early when it returns true
+ * @returns {Number} Rows written
+ */
+const exportTransactions = async (query, { format, columns, mask, sort = { timestamp: -1 }, write, isAborted }) => {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw exportError(`format must be one of ${EXPORT_FORMATS.join(', ')}`, 400);
+  }
+
+  if (format === 'csv') {
+    await write(csvLine(columns));
+  }
+
+  const cursor = Transaction.find(query)
+    .sort(sort)
+    .populate('userId', 'name email')
+    .lean()
+    .cursor();
+
+  let count = 0;
+  try {
+    for await (const transaction of cursor) {
+      if (isAborted && isAborted()) break;
+
+      const row = toRow(transaction, columns, mask);
+      await write(format === 'csv'
+        ? csvLine(columns.map(column => row[column]))
+        : JSON.stringify(row) + '\n');
+      count += 1;
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  return count;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  DEFAULT_COLUMNS,
+  resolveColumns,
+  toRow,
+  writeWithBackpressure,
+  exportTransactions
+};
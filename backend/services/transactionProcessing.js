@@ -0,0 +1,165 @@
+// File: backend/services/transactionProcessing.js
+// Purpose: Scores, decides and stores a submitted transaction, then triggers follow-up work
+
+const Transaction = require('../models/Transaction');
+const { evaluateTransaction } = require('./decisionEngine');
+const { openCaseForTransaction } = require('./caseManagement');
+const { recordAudit, snapshot, TRANSACTION_STATUS_FIELDS } = require('./auditLog');
+const { updateProfileWithTransaction } = require('./profileBuilder');
+const { createChallenge } = require('./verification');
+const { publishTransactionEvent, transactionEventData } = require('./webhooks');
+const { publishAlert } = require('./alertStream');
+const { findByProcessorReference, isDuplicateReferenceError } = require('./duplicates');
+const { resolveMerchant } = require('./merchants');
+
+const duplicateReferenceError = (reference, transactionId) => {
+  const error = new Error(`Transaction with processor reference ${reference} was already submitted`);
+  error.statusCode = 409;
+  error.code = 'DUPLICATE_TRANSACTION';
+  error.details = [{
+    location: 'body',
+    field: 'processorReference',
+    message: 'was already submitted',
+    transactionId
+  }];
+  return error;
+};
+
+// Declines caused by the card's status or a merchant blocklist; the cardholder is not asked about these
+const isPolicyDecline = (decision) => decision.reasonCodes.some(code =>
+  code.startsWith('CARD_') || code === 'MERCHANT_BLOCKED'
+);
+
+/**
+ * Audits a decided transaction, then alerts, opens a case and challenges the
+ * cardholder when it was flagged, or refines the spending profile otherwise
+ * @param {Object} transaction Saved transaction
+ * @param {Object|null} analysis Fraud analysis (null when scoring timed out)
+ * @param {Object} decision Decision stored on the transaction
+ * @param {Object} [req] Express request, used for auditing
+ * @param {Object} [actor] Account to audit as when there is no request
+ */
+const runFollowUp = async (transaction, analysis, decision, req, actor) => {
+  await recordAudit({
+    req,
+    actor,
+    action: 'transaction.scored',
+    entityType: 'Transaction',
+    entityId: transaction._id,
+    after: {
+      ...snapshot(transaction, TRANSACTION_STATUS_FIELDS),
+      decision: decision.outcome
+    },
+    metadata: {
+      reasonCodes: decision.reasonCodes,
+      riskFactors: analysis ? analysis.riskFactors.map(factor => factor.ruleId) : []
+    }
+  });
+
+  // Flagged transactions get a case for analysts to work
+  if (transaction.isFlagged) {
+    try {
+      await publishTransactionEvent('transaction.flagged', transaction);
+    } catch (webhookError) {
+      console.error('Error publishing transaction event:', webhookError);
+    }
+    publishAlert('transaction.flagged', {
+      ...transactionEventData(transaction),
+      reasonCodes: decision.reasonCodes
+    });
+
+    let fraudCase = null;
+    try {
+      fraudCase = await openCaseForTransaction(transaction);
+    } catch (caseError) {
+      console.error('Error opening fraud case:', caseError);
+    }
+
+    if (!isPolicyDecline(decision)) {
+      try {
+        await createChallenge(transaction, { fraudCase });
+      } catch (verificationError) {
+        console.error('Error creating verification challenge:', verificationError);
+      }
+    }
+  } else {
+    // Legitimate-looking transactions refine the user's spending profile
+    try {
+      await updateProfileWithTransaction(transaction);
+    } catch (profileError) {
+      console.error('Error updating spending profile:', profileError);
+    }
+  }
+};
+
+/**
+ * Processes a submitted transaction
+ *
+ * Anything other than an approve decision flags the transaction, opens (or
+ * extends) a fraud case and asks the cardholder to verify it; approved
+ * transactions refine the spending profile.
+ *
+ * A processorReference that is already stored is refused with a 409 before
+ * scoring, so a resubmitted transaction is neither saved nor counted twice.
+ *
+ * The transaction is linked to its merchant, which is created the first time
+ * it is seen.
+ *
+ * Follow-up work runs after the decision is returned, so it does not count
+ * against the latency budget; its failures are logged.
+ *
+ * @param {Object} body Transaction fields from the request
+ * @param {Object} [req] Express request, used for auditing
+ * @param {Object} [options]
+ * @param {Object} [options.actor] Account to audit as when there is no request, e.g. a CLI import
+ * @param {Boolean} [options.awaitFollowUp] Finish the follow-up work before returning
+ * @returns {Object} { transaction, fraudAnalysis, decision }
+ */
+const submitTransaction = async (body, req, options = {}) => {
+  const existing = await findByProcessorReference(body.processorReference);
+  if (existing) {
+    throw duplicateReferenceError(body.processorReference, existing._id);
+  }
+
+  const merchant = await resolveMerchant(body);
+  const data = merchant ? { ...body, merchantId: merchant._id } : body;
+
+  // Resolved once; scoring and the blocklist check reuse it
+  const { analysis, decision } = await evaluateTransaction(data, { merchant });
+
+  const transaction = new Transaction({
+    ...data,
+    fraudScore: decision.score,
+    isFlagged: decision.outcome !== 'approve',
+    decision
+  });
+
+  let savedTransaction;
+  try {
+    savedTransaction = await transaction.save();
+  } catch (error) {
+    // Lost a race with a concurrent submission of the same reference
+    if (isDuplicateReferenceError(error)) {
+      const winner = await findByProcessorReference(body.processorReference);
+      throw duplicateReferenceError(body.processorReference, winner ? winner._id : undefined);
+    }
+    throw error;
+  }
+
+  // Audit, alerts, cases, challenges and profile updates do not hold up the decision
+  const followUp = runFollowUp(savedTransaction, analysis, decision, req, options.actor)
+    .catch(error => console.error('Error in transaction follow-up:', error));
+  if (options.awaitFollowUp) {
+    await followUp;
+  }
+
+  return {
+    transaction: savedTransaction,
+    fraudAnalysis: analysis,
+    decision
+  };
+};
+
+module.exports = {
+  submitTransaction
+};
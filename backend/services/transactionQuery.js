@@ -0,0 +1,111 @@
+// File: backend/services/transactionQuery.js
+// Purpose: Builds transaction filters shared by listing and export
+
+const { escapeRegex } = require('../middleware/validate');
+
+/**
+ * Builds a MongoDB filter from transaction list query parameters
+ *
+ * Expects the values already checked by validators/transactions.js; text
+ * filters match literally (case-insensitive substring), never as patterns.
+ *
+ * @param {Object} params Validated query string parameters
+ * @param {Date} [params.startDate] Earliest timestamp
+ * @param {Date} [params.endDate] Latest timestamp
+ * @param {Number} [params.minAmount] Smallest amount
+ * @param {Number} [params.maxAmount] Largest amount
+ * @param {String} [params.merchantCategory] Exact merchant category
+ * @param {String} [params.merchantName] Part of the merchant name
+ * @param {String} [params.location] Part of the country
+ * @param {String} [params.cardLastFour] Card last four digits
+ * @param {String} [params.processorReference] Exact processor reference
+ * @param {Boolean} [params.isFlagged] Flag status
+ * @param {String} [params.searchTerm] Searched in merchant, category, country and city
+ * @returns {Object} Filter for Transaction.find
+ */
+const buildTransactionQuery = (params) => {
+  const {
+    startDate,
+    endDate,
+    minAmount,
+    maxAmount,
+    merchantCategory,
+    merchantName,
+    location,
+    cardLastFour,
+    processorReference,
+    isFlagged,
+    searchTerm
+  } = params;
+
+  const query = {};
+
+  // Date range filter
+  if (startDate || endDate) {
+    query.timestamp = {};
+    if (startDate) {
+      query.timestamp.$gte = new Date(startDate);
+    }
+    if (endDate) {
+      query.timestamp.$lte = new Date(endDate);
+    }
+  }
+
+  // Amount range filter
+  if (minAmount !== undefined || maxAmount !== undefined) {
+    query.amount = {};
+    if (minAmount !== undefined) {
+      query.amount.$gte = minAmount;
+    }
+    if (maxAmount !== undefined) {
+      query.amount.$lte = maxAmount;
+    }
+  }
+
+  // Merchant category filter
+  if (merchantCategory) {
+    query.merchantCategory = merchantCategory;
+  }
+
+  // Merchant name filter
+  if (merchantName) {
+    query.merchantName = { $regex: escapeRegex(merchantName), $options: 'i' };
+  }
+
+  // Location filter
+  if (location) {
+    query['location.country'] = { $regex: escapeRegex(location), $options: 'i' };
+  }
+
+  // Card last four digits filter
+  if (cardLastFour) {
+    query.cardLastFour = cardLastFour;
+  }
+
+  // Processor reference filter
+  if (processorReference) {
+    query.processorReference = processorReference;
+  }
+
+  // Flag status filter
+  if (isFlagged !== undefined) {
+    query.isFlagged = isFlagged;
+  }
+
+  // Text search across multiple fields
+  if (searchTerm) {
+    const pattern = { $regex: escapeRegex(searchTerm), $options: 'i' };
+    query.$or = [
+      { merchantName: pattern },
+      { merchantCategory: pattern },
+      { 'location.country': pattern },
+      { 'location.city': pattern }
+    ];
+  }
+
+  return query;
+};
+
+module.exports = {
+  buildTransactionQuery
+};
@@ -0,0 +1,86 @@
+// File: backend/services/travel.js
+// Purpose: Impossible-travel signal between a card's consecutive card-present transactions
+
+const Transaction = require('../models/Transaction');
+const { geocode, distanceKm } = require('./geo');
+
+// Elapsed time is floored at one minute so simultaneous transactions yield a finite speed
+const MIN_ELAPSED_HOURS = 1 / 60;
+
+// How many prior transactions to scan for the last card-present one
+const LOOKBACK = 5;
+
+/**
+ * Whether a transaction was made in person with the physical card
+ *
+ * Older transactions carry no cardPresent flag, so anything not "Online"
+ * is treated as card-present.
+ *
+ * @param {Object} transaction Transaction data
+ * @returns {Boolean}
+ */
+const isCardPresent = (transaction) => {
+  if (transaction.cardPresent !== undefined && transaction.cardPresent !== null) {
+    return Boolean(transaction.cardPresent);
+  }
+  return Boolean(transaction.location && transaction.location.city && transaction.location.city !== 'Online');
+};
+
+const round = (value, decimals) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Computes distance and implied speed since the card's previous card-present transaction
+ * @param {Object} transaction Transaction data
+ * @param {Date} referenceTime Time the transaction took place
+ * @returns {Object|null} Travel facts, or null when not applicable or not geocodable
+ */
+const getTravel = async (transaction, referenceTime) => {
+  if (!isCardPresent(transaction) || !transaction.cardLastFour) return null;
+
+  const current = geocode(transaction.location);
+  if (!current) return null;
+
+  const query = {
+    userId: transaction.userId,
+    cardLastFour: transaction.cardLastFour,
+    timestamp: { $lte: referenceTime }
+  };
+  if (transaction._id) {
+    query._id = { $ne: transaction._id };
+  }
+
+  const candidates = await Transaction.find(query)
+    .sort({ timestamp: -1 })
+    .limit(LOOKBACK)
+    .select('location timestamp cardPresent')
+    .lean();
+
+  const previous = candidates.find(isCardPresent);
+  if (!previous) return null;
+
+  const origin = geocode(previous.location);
+  if (!origin) return null;
+
+  const distance = distanceKm(origin, current);
+  const elapsedHours = Math.max(
+    (referenceTime.getTime() - new Date(previous.timestamp).getTime()) / (60 * 60 * 1000),
+    MIN_ELAPSED_HOURS
+  );
+
+  return {
+    previousTransactionId: previous._id,
+    previousCity: origin.city,
+    previousCountry: origin.country,
+    distanceKm: round(distance, 0),
+    elapsedHours: round(elapsedHours, 2),
+    speedKmh: round(distance / elapsedHours, 0)
+  };
+};
+
+module.exports = {
+  isCardPresent,
+  getTravel
+};
@@ -0,0 +1,185 @@
+// File: backend/services/twoFactor.js
+// Purpose: TOTP enrolment, second-factor checks and pre-auth tokens for two-step login
+
+const jwt = require('jsonwebtoken');
+const Auth = require('../models/Auth');
+const totp = require('./totp');
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes';
+
+const twoFactorError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Resolves the account behind a pre-auth token
+ * @param {String} token Token from getPreAuthToken
+ * @param {String} purpose Expected purpose: login (code pending) or enroll (2FA setup required)
+ * @returns {Object} Auth account
+ */
+const verifyPreAuthToken = async (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+  } catch (error) {
+    throw twoFactorError('Pre-auth token is invalid or has expired', 401);
+  }
+  if (decoded.purpose !== purpose) {
+    throw twoFactorError('Pre-auth token is invalid or has expired', 401);
+  }
+
+  const user = await Auth.findById(decoded.id);
+  if (!user || !user.isActive) {
+    throw twoFactorError('Pre-auth token is invalid or has expired', 401);
+  }
+  return user;
+};
+
+/**
+ * Checks a TOTP code or a backup code for an account with 2FA enabled
+ *
+ * Accepted codes are consumed with conditional updates, so the same TOTP
+ * code or backup code cannot be used twice, even by concurrent requests.
+ *
+ * @param {Object} user Auth account
+ * @param {Object} input
+ * @param {String} [input.code] Code from the authenticator app
+ * @param {String} [input.backupCode] One of the account's backup codes
+ * @returns {String|null} 'totp' or 'backup_code' when accepted, null otherwise
+ */
+const verifySecondFactor = async (user, { code, backupCode } = {}) => {
+  const account = await Auth.findById(user._id).select(SECRET_FIELDS);
+  if (!account || !account.twoFactor.enabled || !account.twoFactor.secret) {
+    return null;
+  }
+
+  if (code) {
+    const step = totp.verifyCode(
+      totp.decryptSecret(account.twoFactor.secret),
+      code,
+      account.twoFactor.lastUsedStep
+    );
+    if (step === null) return null;
+
+    const updated = await Auth.findOneAndUpdate(
+      {
+        _id: account._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $exists: false } },
+          { 'twoFactor.lastUsedStep': { $lt: step } }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return updated ? 'totp' : null;
+  }
+
+  if (backupCode) {
+    const hash = totp.hashBackupCode(backupCode);
+    const updated = await Auth.findOneAndUpdate(
+      { _id: account._id, 'twoFactor.backupCodes': hash },
+      { $pull: { 'twoFactor.backupCodes': hash } }
+    );
+    return updated ? 'backup_code' : null;
+  }
+
+  return null;
+};
+
+/**
+ * Starts enrolment by generating a secret that waits for confirmation
+ * @param {Object} user Auth account
+ * @returns {Object} { secret, otpauthUrl }
+ */
+const beginEnrollment = async (user) => {
+  if (user.twoFactor && user.twoFactor.enabled) {
+    throw twoFactorError('Two-factor authentication is already enabled', 409);
+  }
+
+  const secret = totp.generateSecret();
+  await Auth.updateOne(
+    { _id: user._id },
+    { $set: { 'twoFactor.pendingSecret': totp.encryptSecret(secret) } }
+  );
+
+  return { secret, otpauthUrl: totp.otpauthUri(secret, user.email) };
+};
+
+/**
+ * Confirms enrolment with a code from the pending secret and enables 2FA
+ * @param {Object} user Auth account
+ * @param {String} code Code from the authenticator app
+ * @returns {Array<String>} Backup codes, shown to the user once
+ */
+const completeEnrollment = async (user, code) => {
+  const account = await Auth.findById(user._id).select(SECRET_FIELDS);
+  if (account.twoFactor.enabled) {
+    throw twoFactorError('Two-factor authentication is already enabled', 409);
+  }
+  if (!account.twoFactor.pendingSecret) {
+    throw twoFactorError('Start two-factor setup first', 400);
+  }
+
+  const step = totp.verifyCode(totp.decryptSecret(account.twoFactor.pendingSecret), code);
+  if (step === null) {
+    throw twoFactorError('Invalid authentication code', 400);
+  }
+
+  const { codes, hashes } = totp.generateBackupCodes();
+  account.twoFactor.secret = account.twoFactor.pendingSecret;
+  account.twoFactor.pendingSecret = undefined;
+  account.twoFactor.backupCodes = hashes;
+  account.twoFactor.lastUsedStep = step;
+  account.twoFactor.enabled = true;
+  account.twoFactor.enabledAt = new Date();
+  await account.save({ validateBeforeSave: false });
+
+  return codes;
+};
+
+/**
+ * Turns 2FA off and forgets the secret and backup codes
+ * @param {Object} user Auth account
+ */
+const disableTwoFactor = async (user) => {
+  await Auth.updateOne(
+    { _id: user._id },
+    { $set: { twoFactor: { enabled: false } } }
+  );
+};
+
+/**
+ * Replaces the account's backup codes
+ * @param {Object} user Auth account
+ * @returns {Array<String>} New backup codes, shown to the user once
+ */
+const regenerateBackupCodes = async (user) => {
+  const { codes, hashes } = totp.generateBackupCodes();
+  await Auth.updateOne(
+    { _id: user._id },
+    { $set: { 'twoFactor.backupCodes': hashes } }
+  );
+  return codes;
+};
+
+/**
+ * Number of backup codes an account has left
+ * @param {Object} user Auth account
+ * @returns {Number}
+ */
+const countBackupCodes = async (user) => {
+  const account = await Auth.findById(user._id).select('+twoFactor.backupCodes');
+  return account && account.twoFactor.backupCodes ? account.twoFactor.backupCodes.length : 0;
+};
+
+module.exports = {
+  verifyPreAuthToken,
+  verifySecondFactor,
+  beginEnrollment,
+  completeEnrollment,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  countBackupCodes
+};
@@ -0,0 +1,129 @@
+// File: backend/services/velocity.js
+// Purpose: Windowed velocity counters across card, device, IP and merchant dimensions
+
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+
+// Window name -> length in seconds. VELOCITY_WINDOWS="1h=7200,7d=604800" changes or adds
+// windows on top of these; the defaults stay, since the built-in rules refer to them.
+const DEFAULT_WINDOWS = { '1m': 60, '1h': 60 * 60, '24h': 24 * 60 * 60 };
+
+// Amounts at or below this count as "small" (typical of card testing)
+const SMALL_AMOUNT = Number(process.env.VELOCITY_SMALL_AMOUNT) || 5;
+
+// A malformed setting stops startup rather than silently dropping windows rules depend on
+const parseWindows = (value) => {
+  if (!value) return { ...DEFAULT_WINDOWS };
+  return value.split(',').reduce((windows, pair) => {
+    const [name, seconds] = pair.split('=').map(part => part.trim());
+    if (!/^\w+$/.test(name || '') || !(Number(seconds) > 0)) {
+      throw new Error(`Invalid VELOCITY_WINDOWS entry "${pair}", expected name=seconds`);
+    }
+    windows[name] = Number(seconds);
+    return windows;
+  }, { ...DEFAULT_WINDOWS });
+};
+
+const VELOCITY_WINDOWS = parseWindows(process.env.VELOCITY_WINDOWS);
+
+// Each dimension maps a transaction to the query that selects its peers.
+// Aggregation pipelines are not cast by mongoose, hence the explicit ObjectId.
+const DIMENSIONS = {
+  card: (transaction) => transaction.userId && transaction.cardLastFour
+    ? { userId: new mongoose.Types.ObjectId(String(transaction.userId)), cardLastFour: transaction.cardLastFour }
+    : null,
+  device: (transaction) => transaction.deviceId && transaction.deviceId !== 'unknown_device'
+    ? { deviceId: transaction.deviceId }
+    : null,
+  ip: (transaction) => transaction.ipAddress ? { ipAddress: transaction.ipAddress } : null,
+  merchant: (transaction) => transaction.merchantName ? { merchantName: transaction.merchantName } : null
+};
+
+const emptyCounters = () => {
+  return Object.keys(VELOCITY_WINDOWS).reduce((counters, name) => {
+    counters[name] = { count: 0, sum: 0, smallCount: 0, distinctCards: 0 };
+    return counters;
+  }, {});
+};
+
+/**
+ * Counts prior transactions sharing one dimension with the transaction
+ *
+ * A single indexed aggregation covers every window: documents are matched
+ * over the longest window and each window is summed conditionally.
+ *
+ * @param {Object} match Dimension query, e.g. { deviceId: 'abc' }
+ * @param {Date} referenceTime Time the transaction took place
+ * @param {*} [excludeId] Id of the transaction itself, when already stored
+ * @returns {Object} Counters keyed by window name
+ */
+const countDimension = async (match, referenceTime, excludeId) => {
+  const windows = Object.entries(VELOCITY_WINDOWS);
+  const longest = Math.max(...windows.map(([, seconds]) => seconds));
+
+  const query = {
+    ...match,
+    timestamp: {
+      $gte: new Date(referenceTime.getTime() - longest * 1000),
+      $lte: referenceTime
+    }
+  };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  const group = { _id: null };
+  windows.forEach(([name, seconds]) => {
+    const inWindow = { $gte: ['$timestamp', new Date(referenceTime.getTime() - seconds * 1000)] };
+    group[`count_${name}`] = { $sum: { $cond: [inWindow, 1, 0] } };
+    group[`sum_${name}`] = { $sum: { $cond: [inWindow, '$amount', 0] } };
+    group[`small_${name}`] = {
+      $sum: { $cond: [{ $and: [inWindow, { $lte: ['$amount', SMALL_AMOUNT] }] }, 1, 0] }
+    };
+    group[`cards_${name}`] = {
+      $addToSet: {
+        $cond: [inWindow, { $concat: [{ $toString: '$userId' }, ':', '$cardLastFour'] }, null]
+      }
+    };
+  });
+
+  const [result] = await Transaction.aggregate([{ $match: query }, { $group: group }]);
+
+  const counters = emptyCounters();
+  if (!result) return counters;
+
+  windows.forEach(([name]) => {
+    counters[name] = {
+      count: result[`count_${name}`],
+      sum: Math.round(result[`sum_${name}`] * 100) / 100,
+      smallCount: result[`small_${name}`],
+      distinctCards: result[`cards_${name}`].filter(card => card !== null).length
+    };
+  });
+
+  return counters;
+};
+
+/**
+ * Computes velocity counters for every dimension of a transaction
+ * @param {Object} transaction Transaction data
+ * @param {Date} referenceTime Time the transaction took place
+ * @returns {Object} e.g. { device: { '1h': { count, sum, smallCount, distinctCards } } }
+ */
+const getVelocity = async (transaction, referenceTime) => {
+  const entries = await Promise.all(Object.entries(DIMENSIONS).map(async ([dimension, toMatch]) => {
+    const match = toMatch(transaction);
+    const counters = match
+      ? await countDimension(match, referenceTime, transaction._id)
+      : emptyCounters();
+    return [dimension, counters];
+  }));
+
+  return Object.fromEntries(entries);
+};
+
+module.exports = {
+  VELOCITY_WINDOWS,
+  SMALL_AMOUNT,
+  getVelocity
+};
@@ -0,0 +1,368 @@
+// File: backend/services/verification.js
+// Purpose: "Was this you?" challenges: creation, delivery, signed responses and expiry
+
+const crypto = require('crypto');
+const VerificationChallenge = require('../models/VerificationChallenge');
+const FraudCase = require('../models/FraudCase');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const { sendNotification, getTransportName } = require('./notifier');
+const { ACTIVE_STATUSES, transitionCase } = require('./caseManagement');
+const { recordAudit, snapshot, TRANSACTION_STATUS_FIELDS } = require('./auditLog');
+const { refreshProfileAfterReview } = require('./profileBuilder');
+const { publishTransactionEvent } = require('./webhooks');
+
+// How long the cardholder has to answer
+const CHALLENGE_TTL_MINUTES = Number(process.env.VERIFICATION_TTL_MINUTES) || 30;
+
+const ANSWERS = ['confirm', 'deny'];
+
+const verificationError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getSecret = () => {
+  const secret = process.env.VERIFICATION_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('VERIFICATION_SECRET is not configured');
+  }
+  return secret;
+};
+
+/**
+ * Signature authorizing one answer to one challenge
+ * @param {String} challengeId Challenge id
+ * @param {String} nonce Challenge nonce
+ * @param {String} answer confirm or deny
+ * @returns {String} Hex HMAC-SHA256
+ */
+const signAnswer = (challengeId, nonce, answer) => {
+  return crypto
+    .createHmac('sha256', getSecret())
+    .update(`${challengeId}.${nonce}.${answer}`)
+    .digest('hex');
+};
+
+const isValidSignature = (challenge, answer, signature) => {
+  const expected = Buffer.from(signAnswer(challenge._id, challenge.nonce, answer), 'hex');
+  const given = Buffer.from(String(signature || ''), 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+const responseUrl = (challenge, answer) => {
+  const base = process.env.VERIFICATION_URL ||
+    `http://localhost:${process.env.PORT || 5000}/api/verifications`;
+  const signature = signAnswer(challenge._id, challenge.nonce, answer);
+  return `${base}/${challenge._id}/respond?answer=${answer}&signature=${signature}`;
+};
+
+/**
+ * Sends (or re-sends) a challenge to the cardholder, recording the delivery outcome
+ *
+ * Delivery failures are recorded on the challenge rather than thrown.
+ *
+ * @param {Object} challenge Challenge document including its nonce
+ * @param {Object} transaction Transaction being verified
+ * @returns {Object} Updated challenge
+ */
+const deliverChallenge = async (challenge, transaction) => {
+  const description = `${transaction.amount} at ${transaction.merchantName} ` +
+    `on the card ending ${transaction.cardLastFour}`;
+
+  challenge.delivery.transport = getTransportName();
+  challenge.delivery.attempts += 1;
+
+  try {
+    await sendNotification({
+      to: challenge.recipient,
+      subject: 'Did you make this purchase?',
+      text: `We noticed a payment of ${description}.\n` +
+        `If this was you: ${responseUrl(challenge, 'confirm')}\n` +
+        `If this was not you: ${responseUrl(challenge, 'deny')}\n` +
+        `This request expires at ${challenge.expiresAt.toISOString()}.`,
+      data: {
+        challengeId: challenge._id,
+        transactionId: transaction._id,
+        amount: transaction.amount,
+        merchantName: transaction.merchantName,
+        cardLastFour: transaction.cardLastFour,
+        expiresAt: challenge.expiresAt,
+        confirmUrl: responseUrl(challenge, 'confirm'),
+        denyUrl: responseUrl(challenge, 'deny')
+      }
+    });
+    challenge.delivery.status = 'sent';
+    challenge.delivery.sentAt = new Date();
+    challenge.delivery.lastError = undefined;
+  } catch (error) {
+    console.error('Error delivering verification challenge:', error);
+    challenge.delivery.status = 'failed';
+    challenge.delivery.lastError = error.message;
+  }
+
+  return challenge.save();
+};
+
+/**
+ * Creates a challenge for a flagged transaction and sends it to the cardholder
+ *
+ * Any challenge still pending for the transaction is cancelled, and the
+ * transaction's open case is moved to awaiting_customer.
+ *
+ * @param {Object} transaction Flagged transaction document
+ * @param {Object} [options]
+ * @param {Object} [options.fraudCase] Case the transaction belongs to
+ * @param {Object} [options.actor] Account requesting the challenge (unset when automatic)
+ * @returns {Object} Saved challenge
+ */
+const createChallenge = async (transaction, options = {}) => {
+  const user = await User.findById(transaction.userId).select('email').lean();
+  if (!user || !user.email) {
+    throw verificationError('Cardholder has no contact address', 400);
+  }
+
+  const fraudCase = options.fraudCase ||
+    await FraudCase.findOne({ transactions: transaction._id, status: { $in: ACTIVE_STATUSES } });
+
+  await VerificationChallenge.updateMany(
+    { transactionId: transaction._id, status: 'pending' },
+    { $set: { status: 'cancelled' } }
+  );
+
+  const challenge = await VerificationChallenge.create({
+    transactionId: transaction._id,
+    userId: transaction.userId,
+    caseId: fraudCase ? fraudCase._id : undefined,
+    recipient: user.email,
+    nonce: crypto.randomBytes(32).toString('hex'),
+    expiresAt: new Date(Date.now() + CHALLENGE_TTL_MINUTES * 60 * 1000),
+    createdBy: options.actor ? options.actor._id : undefined
+  });
+
+  await deliverChallenge(challenge, transaction);
+
+  if (fraudCase && fraudCase.status === 'open') {
+    await transitionCase(fraudCase, 'awaiting_customer', null, 'Verification sent to cardholder');
+  }
+
+  await recordAudit({
+    actor: options.actor,
+    action: 'verification.sent',
+    entityType: 'Transaction',
+    entityId: transaction._id,
+    after: { challengeId: challenge._id, deliveryStatus: challenge.delivery.status },
+    metadata: { transport: challenge.delivery.transport, expiresAt: challenge.expiresAt }
+  });
+
+  return challenge;
+};
+
+// Returns a case that was waiting on the cardholder to the analyst queue
+const returnCaseToAnalysts = async (caseId, reason) => {
+  const fraudCase = caseId && await FraudCase.findById(caseId);
+  if (fraudCase && fraudCase.status === 'awaiting_customer') {
+    await transitionCase(fraudCase, 'investigating', null, reason);
+  }
+};
+
+// Applies a fraud outcome to the verified transaction alone
+const updateTransactionStatus = async (transaction, outcome, action, challenge) => {
+  const before = snapshot(transaction, TRANSACTION_STATUS_FIELDS);
+  transaction.set(outcome);
+  await transaction.save();
+
+  await recordAudit({
+    action,
+    entityType: 'Transaction',
+    entityId: transaction._id,
+    before,
+    after: snapshot(transaction, TRANSACTION_STATUS_FIELDS),
+    metadata: { challengeId: challenge._id }
+  });
+  await publishTransactionEvent(action, transaction);
+  await refreshProfileAfterReview(transaction.userId);
+};
+
+/**
+ * Resolves a transaction from the cardholder's answer
+ *
+ * A denial confirms the whole case as fraud. A confirmation resolves the case
+ * as a false positive when nothing else in it is still flagged; otherwise only
+ * this transaction is cleared and the case goes back to the analysts.
+ *
+ * @param {Object} challenge Answered challenge
+ * @param {String} answer confirm or deny
+ */
+const resolveFromAnswer = async (challenge, answer) => {
+  const transaction = await Transaction.findById(challenge.transactionId);
+  if (!transaction) return;
+
+  const fraudCase = challenge.caseId && await FraudCase.findById(challenge.caseId);
+  const caseIsActive = fraudCase && ACTIVE_STATUSES.includes(fraudCase.status);
+
+  if (answer === 'deny') {
+    if (caseIsActive) {
+      await transitionCase(fraudCase, 'confirmed_fraud', null, 'Cardholder did not recognise the transaction');
+    } else {
+      await updateTransactionStatus(transaction, { isConfirmedFraud: true }, 'transaction.confirmed_fraud', challenge);
+    }
+    return;
+  }
+
+  const otherFlagged = caseIsActive ? await Transaction.countDocuments({
+    _id: { $in: fraudCase.transactions, $ne: transaction._id },
+    isFlagged: true,
+    isConfirmedFraud: false
+  }) : 0;
+
+  if (caseIsActive && otherFlagged === 0) {
+    await transitionCase(fraudCase, 'false_positive', null, 'Cardholder confirmed the transaction');
+  } else {
+    await updateTransactionStatus(
+      transaction,
+      { isConfirmedFraud: false, isFlagged: false },
+      'transaction.false_positive',
+      challenge
+    );
+    if (caseIsActive) {
+      await returnCaseToAnalysts(fraudCase._id, 'Cardholder confirmed one of the flagged transactions');
+    }
+  }
+};
+
+/**
+ * Marks a pending challenge as expired and returns its case to the analysts
+ * @param {Object} challenge Pending challenge
+ * @returns {Boolean} True when this call expired it
+ */
+const expireChallenge = async (challenge) => {
+  const expired = await VerificationChallenge.findOneAndUpdate(
+    { _id: challenge._id, status: 'pending' },
+    { $set: { status: 'expired' } },
+    { new: true }
+  );
+  if (!expired) return false;
+
+  await returnCaseToAnalysts(expired.caseId, 'Cardholder did not answer the verification in time');
+
+  await recordAudit({
+    action: 'verification.expired',
+    entityType: 'Transaction',
+    entityId: expired.transactionId,
+    after: { challengeId: expired._id, status: 'expired' }
+  });
+
+  return true;
+};
+
+// Loads a challenge and checks the link's answer and signature against it
+const findSignedChallenge = async (challengeId, answer, signature) => {
+  if (!ANSWERS.includes(answer)) {
+    throw verificationError('answer must be confirm or deny', 400);
+  }
+
+  const challenge = await VerificationChallenge.findById(challengeId).select('+nonce');
+  if (!challenge) {
+    throw verificationError('Verification not found', 404);
+  }
+
+  if (!isValidSignature(challenge, answer, signature)) {
+    throw verificationError('Invalid verification signature', 403);
+  }
+
+  return challenge;
+};
+
+/**
+ * Loads what the cardholder is asked to confirm, without answering
+ *
+ * Backs the page the notification link opens, so mail scanners that follow
+ * links cannot answer for the cardholder.
+ *
+ * @param {String} challengeId Challenge id
+ * @param {String} answer confirm or deny
+ * @param {String} signature Signature from the notification link
+ * @returns {Object} { challenge, transaction } transaction has amount, merchantName, cardLastFour and timestamp
+ */
+const getChallengeForAnswer = async (challengeId, answer, signature) => {
+  const challenge = await findSignedChallenge(challengeId, answer, signature);
+  const transaction = await Transaction.findById(challenge.transactionId)
+    .select('amount merchantName cardLastFour timestamp')
+    .lean();
+  return { challenge, transaction };
+};
+
+/**
+ * Records the cardholder's answer to a challenge and resolves the transaction
+ * @param {String} challengeId Challenge id
+ * @param {String} answer confirm or deny
+ * @param {String} signature Signature from the notification link
+ * @param {Object} [req] Express request, for the responder's IP address
+ * @returns {Object} Answered challenge
+ */
+const respondToChallenge = async (challengeId, answer, signature, req) => {
+  const challenge = await findSignedChallenge(challengeId, answer, signature);
+
+  if (challenge.status === 'pending' && challenge.expiresAt <= new Date()) {
+    await expireChallenge(challenge);
+    throw verificationError('Verification has expired', 410);
+  }
+
+  // Conditional update so a challenge can only be answered once
+  const answered = await VerificationChallenge.findOneAndUpdate(
+    { _id: challenge._id, status: 'pending' },
+    {
+      $set: {
+        status: answer === 'confirm' ? 'confirmed' : 'denied',
+        respondedAt: new Date(),
+        responseIp: req ? req.ip : undefined
+      }
+    },
+    { new: true }
+  );
+  if (!answered) {
+    throw verificationError(`Verification is already ${challenge.status}`, 409);
+  }
+
+  await recordAudit({
+    req,
+    action: `verification.${answered.status}`,
+    entityType: 'Transaction',
+    entityId: answered.transactionId,
+    after: { challengeId: answered._id, status: answered.status }
+  });
+
+  await resolveFromAnswer(answered, answer);
+
+  return answered;
+};
+
+/**
+ * Expires every pending challenge past its deadline
+ * @param {Date} [now] Reference time
+ * @returns {Number} Number of challenges expired
+ */
+const expireChallenges = async (now = new Date()) => {
+  const stale = await VerificationChallenge.find({ status: 'pending', expiresAt: { $lte: now } })
+    .select('_id')
+    .lean();
+
+  let expired = 0;
+  for (const challenge of stale) {
+    if (await expireChallenge(challenge)) {
+      expired += 1;
+    }
+  }
+  return expired;
+};
+
+module.exports = {
+  CHALLENGE_TTL_MINUTES,
+  signAnswer,
+  createChallenge,
+  getChallengeForAnswer,
+  respondToChallenge,
+  expireChallenges
+};
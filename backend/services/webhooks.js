@@ -0,0 +1,292 @@
+// File: backend/services/webhooks.js
+// Purpose: Publishes fraud events to webhook subscriptions with signing, retries and replay
+
+const crypto = require('crypto');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { publishAlert } = require('./alertStream');
+
+// Attempts per delivery before it is marked failed
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+
+// Delay before the first retry; doubled after each failed attempt
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+
+const REQUEST_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+
+// Deliveries retried per sweep of processDueDeliveries
+const RETRY_BATCH_SIZE = 50;
+
+// How long a claimed delivery stays with its sender; comfortably longer than one attempt
+const CLAIM_TTL_MS = REQUEST_TIMEOUT_MS + 60 * 1000;
+
+// Whether a processDueDeliveries sweep is running, so a slow sweep is not overlapped
+let sweeping = false;
+
+/**
+ * Generates a signing secret for a new subscription
+ * @returns {String} Secret
+ */
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Signature sent in the X-SentriCard-Signature header
+ *
+ * Receivers recompute HMAC-SHA256 over "<timestamp>.<raw body>" with their
+ * secret and compare; the timestamp lets them reject stale replays.
+ *
+ * @param {String} secret Subscription secret
+ * @param {Number} timestamp Unix time in seconds (X-SentriCard-Timestamp)
+ * @param {String} body Raw JSON body
+ * @returns {String} sha256=<hex digest>
+ */
+const signPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+};
+
+/**
+ * Delay before the next attempt after a failure
+ * @param {Number} attempts Attempts made so far
+ * @returns {Number} Milliseconds
+ */
+const retryDelayMs = (attempts) => RETRY_BASE_MS * 2 ** (attempts - 1);
+
+/**
+ * Claims a delivery that is due, so only one sender attempts it
+ *
+ * Due means pending or retrying with nextAttemptAt reached, or sending with
+ * an expired claim (its sender stopped before recording the attempt).
+ *
+ * @param {Object} [filter] Narrows the claim, e.g. to one delivery id
+ * @param {Date} [now] Reference time
+ * @returns {Object|null} Claimed delivery, or null when nothing was due
+ */
+const claimDelivery = (filter = {}, now = new Date()) => WebhookDelivery.findOneAndUpdate(
+  {
+    ...filter,
+    $or: [
+      { status: { $in: ['pending', 'retrying'] }, nextAttemptAt: { $lte: now } },
+      { status: 'sending', lockedUntil: { $lte: now } }
+    ]
+  },
+  { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + CLAIM_TTL_MS) } },
+  { new: true, sort: { nextAttemptAt: 1 } }
+);
+
+/**
+ * Makes one delivery attempt and schedules a retry when it fails
+ * @param {Object} delivery Delivery document, claimed by the caller
+ * @returns {Object} Updated delivery
+ */
+const attemptDelivery = async (delivery) => {
+  delivery.lockedUntil = undefined;
+
+  const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('+secret');
+  if (!subscription) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = undefined;
+    delivery.attempts.push({ error: 'Subscription no longer exists' });
+    return delivery.save();
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  const attempt = {};
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SentriCard-Webhooks/1.0',
+        'X-SentriCard-Event': delivery.event,
+        'X-SentriCard-Delivery': String(delivery._id),
+        'X-SentriCard-Timestamp': String(timestamp),
+        'X-SentriCard-Signature': signPayload(subscription.secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    attempt.responseStatus = response.status;
+    if (!response.ok) {
+      attempt.error = `Endpoint responded with ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.message;
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  delivery.attempts.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = undefined;
+  } else if (delivery.attempts.length >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = undefined;
+    publishAlert('webhook.delivery_failed', {
+      deliveryId: delivery._id,
+      subscriptionId: subscription._id,
+      event: delivery.event,
+      attempts: delivery.attempts.length,
+      lastError: attempt.error
+    });
+  } else {
+    delivery.status = 'retrying';
+    delivery.nextAttemptAt = new Date(Date.now() + retryDelayMs(delivery.attempts.length));
+  }
+
+  return delivery.save();
+};
+
+// Sends in the background so the caller's request is not held up by slow endpoints;
+// a delivery already claimed by a sweep is left to it
+const dispatch = (delivery) => {
+  setImmediate(async () => {
+    try {
+      const claimed = await claimDelivery({ _id: delivery._id });
+      if (claimed) {
+        await attemptDelivery(claimed);
+      }
+    } catch (error) {
+      console.error(`Error delivering webhook ${delivery._id}:`, error);
+    }
+  });
+};
+
+/**
+ * Publishes an event to every active subscription listening for it
+ *
+ * Failures are logged rather than thrown so that a webhook problem never
+ * fails the change that raised the event.
+ *
+ * @param {String} event Event name, one of WebhookSubscription.EVENTS
+ * @param {Object} data Event payload
+ * @returns {Array<Object>} Deliveries created
+ */
+const publishEvent = async (event, data) => {
+  try {
+    const subscriptions = await WebhookSubscription.find({
+      isActive: true,
+      events: { $in: [event, '*'] }
+    }).select('_id').lean();
+
+    if (!subscriptions.length) return [];
+
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      createdAt: new Date(),
+      data
+    };
+
+    // Due now: sent straight away, or by the next sweep if this process stops first
+    const deliveries = await WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+      subscriptionId: subscription._id,
+      eventId: payload.id,
+      event,
+      payload,
+      nextAttemptAt: payload.createdAt
+    })));
+
+    deliveries.forEach(dispatch);
+    return deliveries;
+  } catch (error) {
+    console.error(`Error publishing webhook event ${event}:`, error);
+    return [];
+  }
+};
+
+/**
+ * Transaction fields included in transaction.* event payloads
+ * @param {Object} transaction Transaction document or plain object
+ * @returns {Object} Payload data
+ */
+const transactionEventData = (transaction) => ({
+  transactionId: transaction._id,
+  userId: transaction.userId,
+  cardLastFour: transaction.cardLastFour,
+  amount: transaction.amount,
+  merchantName: transaction.merchantName,
+  merchantCategory: transaction.merchantCategory,
+  timestamp: transaction.timestamp,
+  fraudScore: transaction.fraudScore,
+  isFlagged: transaction.isFlagged,
+  isConfirmedFraud: transaction.isConfirmedFraud,
+  decision: transaction.decision ? transaction.decision.outcome : undefined
+});
+
+/**
+ * Publishes a transaction.* event
+ * @param {String} event Event name
+ * @param {Object} transaction Transaction document or plain object
+ * @returns {Array<Object>} Deliveries created
+ */
+const publishTransactionEvent = (event, transaction) => publishEvent(event, transactionEventData(transaction));
+
+/**
+ * Sends deliveries that are due: retries whose backoff has elapsed, first
+ * attempts that were never made and attempts whose sender stopped
+ *
+ * Each delivery is claimed before it is sent, so several instances can sweep
+ * at once; a sweep still running when the next one is due is not overlapped.
+ *
+ * @param {Date} [now] Reference time
+ * @returns {Number} Deliveries attempted
+ */
+const processDueDeliveries = async (now = new Date()) => {
+  if (sweeping) return 0;
+  sweeping = true;
+
+  let attempted = 0;
+  try {
+    while (attempted < RETRY_BATCH_SIZE) {
+      const delivery = await claimDelivery({}, now);
+      if (!delivery) break;
+      attempted++;
+
+      try {
+        await attemptDelivery(delivery);
+      } catch (error) {
+        console.error(`Error retrying webhook ${delivery._id}:`, error);
+      }
+    }
+  } finally {
+    sweeping = false;
+  }
+  return attempted;
+};
+
+/**
+ * Sends a logged delivery again as a new delivery with the same event id
+ * @param {Object} delivery Delivery to replay
+ * @returns {Object} New delivery, after its first attempt
+ */
+const replayDelivery = async (delivery) => {
+  const replay = await WebhookDelivery.create({
+    subscriptionId: delivery.subscriptionId,
+    eventId: delivery.eventId,
+    event: delivery.event,
+    payload: delivery.payload,
+    replayOf: delivery._id,
+    status: 'sending',
+    lockedUntil: new Date(Date.now() + CLAIM_TTL_MS)
+  });
+
+  return attemptDelivery(replay);
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  generateSecret,
+  signPayload,
+  retryDelayMs,
+  publishEvent,
+  publishTransactionEvent,
+  transactionEventData,
+  processDueDeliveries,
+  replayDelivery
+};
@@ -0,0 +1,50 @@
+// File: backend/test/logisticRegression.test.js
+// Purpose: Checks that trained models report probabilities at the real fraud rate
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { train, correctForSampling, predict } = require('../services/logisticRegression');
+
+// Deterministic pseudo-random numbers, so the data set is the same on every run
+const random = (() => {
+  let seed = 42;
+  return () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+})();
+
+// One weakly informative feature; about 2% of rows are fraud
+const rows = [];
+const labels = [];
+for (let i = 0; i < 5000; i++) {
+  const label = random() < 0.02 ? 1 : 0;
+  rows.push([random() + (label ? 0.3 : 0)]);
+  labels.push(label);
+}
+
+const baseRate = labels.filter(label => label === 1).length / labels.length;
+const meanPrediction = (params) => rows.reduce((sum, row) => sum + predict(params, row), 0) / rows.length;
+
+test('up-weighting positives does not inflate predicted probabilities', () => {
+  const params = train(rows, labels, { epochs: 300 });
+  assert.ok(Math.abs(meanPrediction(params) - baseRate) < 0.01, `mean ${meanPrediction(params)} vs ${baseRate}`);
+});
+
+test('a model fitted on class-sampled rows is corrected back to the real fraud rate', () => {
+  const sampleRates = { positive: 1, negative: 0.1 };
+  const sampledRows = [];
+  const sampledLabels = [];
+  rows.forEach((row, i) => {
+    if (labels[i] === 1 || random() < sampleRates.negative) {
+      sampledRows.push(row);
+      sampledLabels.push(labels[i]);
+    }
+  });
+
+  const params = train(sampledRows, sampledLabels, { epochs: 300 });
+  assert.ok(meanPrediction(params) > baseRate * 3, 'uncorrected model should overstate the fraud rate');
+
+  const corrected = correctForSampling(params, sampleRates);
+  assert.ok(Math.abs(meanPrediction(corrected) - baseRate) < 0.01, `mean ${meanPrediction(corrected)} vs ${baseRate}`);
+});
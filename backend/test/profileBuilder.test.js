@@ -0,0 +1,46 @@
+// File: backend/test/profileBuilder.test.js
+// Purpose: Checks the running statistics behind learned spending profiles
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { toStats, addTransaction, removeTransaction, derivePatterns } = require('../services/profileBuilder');
+
+const transaction = (fields) => ({
+  amount: 50,
+  timestamp: new Date('2024-03-01T12:00:00Z'),
+  ...fields
+});
+
+test('categories and cities named after Object.prototype members are counted like any other', () => {
+  const stats = toStats(null);
+  for (let i = 0; i < 5; i++) {
+    addTransaction(stats, transaction({ merchantCategory: 'constructor', location: { city: 'toString' } }));
+  }
+
+  assert.strictEqual(stats.categoryCounts.constructor, 5);
+  assert.strictEqual(stats.locationCounts.toString, 5);
+
+  const patterns = derivePatterns(stats);
+  assert.deepStrictEqual(patterns.frequentCategories, ['constructor']);
+  assert.deepStrictEqual(patterns.frequentLocations, ['toString']);
+});
+
+test('a stored profile with a "constructor" category keeps numeric counts when updated', () => {
+  const statistics = toStats({
+    transactionCount: 2,
+    amountMean: 50,
+    amountM2: 0,
+    hourHistogram: new Array(24).fill(0),
+    categoryCounts: [{ value: 'constructor', count: 2 }],
+    locationCounts: [{ value: '__proto__', count: 2 }]
+  });
+
+  addTransaction(statistics, transaction({ merchantCategory: 'constructor', location: { city: '__proto__' } }));
+  assert.strictEqual(statistics.categoryCounts.constructor, 3);
+  assert.deepStrictEqual(Object.entries(statistics.locationCounts), [['__proto__', 3]]);
+
+  removeTransaction(statistics, transaction({ merchantCategory: 'constructor', location: { city: '__proto__' } }));
+  assert.strictEqual(statistics.categoryCounts.constructor, 2);
+  assert.strictEqual(statistics.transactionCount, 2);
+  assert.strictEqual(statistics.amountMean, 50);
+});
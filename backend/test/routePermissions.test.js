@@ -0,0 +1,281 @@
+// File: backend/test/routePermissions.test.js
+// Purpose: Checks every route's authentication and, per role and API key scope, who it lets through
+//
+// EXPECTED is the intended access policy written out route by route; a route
+// added, removed or re-permissioned must be reflected here.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const auth = require('../middleware/auth');
+const { ROLES, API_KEY_SCOPES } = require('../middleware/permissions');
+
+// Routers as mounted in server.js
+const MOUNTS = {
+  transactions: '/api/transactions',
+  users: '/api/users',
+  fraudRules: '/api/fraud/rules',
+  fraudModels: '/api/fraud/models',
+  fraudCases: '/api/fraud',
+  dashboard: '/api/dashboard',
+  auth: '/api/auth',
+  audit: '/api/audit',
+  decisions: '/api/decisions',
+  verifications: '/api/verifications',
+  webhooks: '/api/webhooks',
+  alerts: '/api/alerts',
+  accounts: '/api/accounts',
+  serviceAccounts: '/api/service-accounts',
+  merchants: '/api/merchants'
+};
+
+const GATES = [auth.protect, auth.protectOrApiKey, auth.protectStreamTicket, auth.protectEnrollment];
+
+// No authentication, e.g. login or signed verification links
+const PUBLIC = 'public';
+// Any signed-in account, whatever its role
+const SIGNED_IN = 'signed-in';
+
+const STAFF = ['analyst', 'admin'];
+const ADMIN = ['admin'];
+
+const EXPECTED = {
+  'GET /api/transactions': STAFF,
+  'GET /api/transactions/flagged': STAFF,
+  'GET /api/transactions/stats': STAFF,
+  'POST /api/transactions/import': STAFF,
+  'GET /api/transactions/export': STAFF,
+  'GET /api/transactions/:id': STAFF,
+  'POST /api/transactions': STAFF,
+  'PUT /api/transactions/:id/fraud-status': STAFF,
+
+  'GET /api/users': STAFF,
+  'GET /api/users/:id': STAFF,
+  'GET /api/users/:id/profile': STAFF,
+  'POST /api/users/:id/profile/rebuild': STAFF,
+  'GET /api/users/:id/cards': STAFF,
+  'POST /api/users/:id/cards/:cardId/freeze': STAFF,
+  'POST /api/users/:id/cards/:cardId/unfreeze': STAFF,
+  'POST /api/users/:id/cards/:cardId/block': STAFF,
+  'POST /api/users/:id/cards/:cardId/report-lost': STAFF,
+  'POST /api/users/:id/cards/:cardId/replace': STAFF,
+  'POST /api/users': ADMIN,
+
+  'POST /api/fraud/rules/backtest': STAFF,
+  'GET /api/fraud/rules/backtest/:id': STAFF,
+  'GET /api/fraud/rules': ADMIN,
+  'GET /api/fraud/rules/facts': ADMIN,
+  'GET /api/fraud/rules/:ruleId': ADMIN,
+  'POST /api/fraud/rules': ADMIN,
+  'PUT /api/fraud/rules/:ruleId': ADMIN,
+  'DELETE /api/fraud/rules/:ruleId': ADMIN,
+
+  'GET /api/fraud/models': ADMIN,
+  'POST /api/fraud/models/train': ADMIN,
+  'GET /api/fraud/models/jobs': ADMIN,
+  'GET /api/fraud/models/jobs/:id': ADMIN,
+  'PUT /api/fraud/models/deactivate': ADMIN,
+  'GET /api/fraud/models/:version': ADMIN,
+  'PUT /api/fraud/models/:version/activate': ADMIN,
+
+  'GET /api/fraud/cases': STAFF,
+  'POST /api/fraud/cases': STAFF,
+  'GET /api/fraud/cases/:caseId': STAFF,
+  'PUT /api/fraud/cases/:caseId/status': STAFF,
+  'PUT /api/fraud/cases/:caseId/assign': STAFF,
+  'POST /api/fraud/cases/:caseId/comments': STAFF,
+  'POST /api/fraud/cases/:caseId/transactions': STAFF,
+  'GET /api/fraud': STAFF,
+  'PUT /api/fraud/:id/confirm': STAFF,
+  'PUT /api/fraud/:id/false-positive': STAFF,
+
+  'GET /api/dashboard/stats': STAFF,
+  'GET /api/dashboard/recent-flags': STAFF,
+  'GET /api/dashboard/user-count': STAFF,
+
+  'POST /api/auth/register': PUBLIC,
+  'POST /api/auth/login': PUBLIC,
+  'POST /api/auth/login/2fa': PUBLIC,
+  'POST /api/auth/refresh': PUBLIC,
+  'POST /api/auth/forgot-password': PUBLIC,
+  'POST /api/auth/reset-password': PUBLIC,
+  'GET /api/auth/me': SIGNED_IN,
+  'PUT /api/auth/password': SIGNED_IN,
+  'POST /api/auth/logout': SIGNED_IN,
+  'GET /api/auth/logout': SIGNED_IN,
+  'POST /api/auth/logout-all': SIGNED_IN,
+  'GET /api/auth/sessions': SIGNED_IN,
+  'DELETE /api/auth/sessions/:id': SIGNED_IN,
+  'GET /api/auth/2fa': SIGNED_IN,
+  'POST /api/auth/2fa/setup': SIGNED_IN,
+  'POST /api/auth/2fa/enable': SIGNED_IN,
+  'POST /api/auth/2fa/disable': SIGNED_IN,
+  'POST /api/auth/2fa/backup-codes': SIGNED_IN,
+  'GET /api/auth/security-policy': ADMIN,
+  'PUT /api/auth/security-policy': ADMIN,
+
+  'GET /api/audit': ADMIN,
+  'GET /api/audit/:id': ADMIN,
+
+  'GET /api/decisions/policy': STAFF,
+  'PUT /api/decisions/policy': ADMIN,
+  'POST /api/decisions': STAFF,
+  'GET /api/decisions/:transactionId': STAFF,
+
+  'GET /api/verifications/:challengeId/respond': PUBLIC,
+  'POST /api/verifications/:challengeId/respond': PUBLIC,
+  'POST /api/verifications': STAFF,
+  'GET /api/verifications/transaction/:transactionId': STAFF,
+
+  'GET /api/webhooks/events': ADMIN,
+  'POST /api/webhooks/deliveries/:deliveryId/replay': ADMIN,
+  'GET /api/webhooks': ADMIN,
+  'POST /api/webhooks': ADMIN,
+  'GET /api/webhooks/:id': ADMIN,
+  'PUT /api/webhooks/:id': ADMIN,
+  'DELETE /api/webhooks/:id': ADMIN,
+  'GET /api/webhooks/:id/deliveries': ADMIN,
+
+  'POST /api/alerts/stream-ticket': STAFF,
+  'GET /api/alerts/stream': STAFF,
+
+  'GET /api/accounts': ADMIN,
+  'POST /api/accounts/invite': ADMIN,
+  'GET /api/accounts/:id': ADMIN,
+  'PUT /api/accounts/:id/role': ADMIN,
+  'PUT /api/accounts/:id/deactivate': ADMIN,
+  'PUT /api/accounts/:id/reactivate': ADMIN,
+  'PUT /api/accounts/:id/unlock': ADMIN,
+
+  'GET /api/service-accounts/scopes': ADMIN,
+  'GET /api/service-accounts': ADMIN,
+  'POST /api/service-accounts': ADMIN,
+  'GET /api/service-accounts/:id': ADMIN,
+  'PUT /api/service-accounts/:id': ADMIN,
+  'GET /api/service-accounts/:id/keys': ADMIN,
+  'POST /api/service-accounts/:id/keys': ADMIN,
+  'POST /api/service-accounts/:id/keys/:keyId/rotate': ADMIN,
+  'DELETE /api/service-accounts/:id/keys/:keyId': ADMIN,
+
+  'GET /api/merchants': STAFF,
+  'POST /api/merchants': ADMIN,
+  'GET /api/merchants/:id': STAFF,
+  'PUT /api/merchants/:id': ADMIN,
+  'PUT /api/merchants/:id/list': ADMIN,
+  'POST /api/merchants/:id/refresh-stats': ADMIN
+};
+
+// The only routes an API key reaches, and the scope each needs
+const API_KEY_ROUTES = {
+  'GET /api/transactions': 'transactions:read',
+  'GET /api/transactions/flagged': 'transactions:read',
+  'GET /api/transactions/stats': 'transactions:read',
+  'GET /api/transactions/:id': 'transactions:read',
+  'POST /api/transactions': 'transactions:write',
+  'POST /api/decisions': 'decisions:write',
+  'GET /api/decisions/:transactionId': 'decisions:read'
+};
+
+/**
+ * Every route with the middleware that runs before its handler
+ * @returns {Array<Object>} { name, gates, permissionChecks }
+ */
+const collectRoutes = () => {
+  const routes = [];
+  Object.entries(MOUNTS).forEach(([file, mount]) => {
+    const router = require(`../routes/${file}`);
+    // router.use() middleware applies to the routes declared after it
+    const shared = [];
+    router.stack.forEach(layer => {
+      if (!layer.route) {
+        shared.push(layer.handle);
+        return;
+      }
+      const handlers = [...shared, ...layer.route.stack.map(routeLayer => routeLayer.handle)];
+      const path = layer.route.path === '/' ? mount : `${mount}${layer.route.path}`;
+      Object.keys(layer.route.methods).forEach(method => {
+        routes.push({
+          name: `${method.toUpperCase()} ${path}`,
+          gates: handlers.filter(handler => GATES.includes(handler)),
+          permissionChecks: handlers.filter(handler => handler.permission)
+        });
+      });
+    });
+  });
+  return routes;
+};
+
+/**
+ * Runs permission checks as Express would for an authenticated request
+ * @param {Array<Function>} checks requirePermission middleware
+ * @param {Object} req Request with user or apiKey set
+ * @returns {Number} 200 when every check passed, otherwise the status it sent
+ */
+const runChecks = (checks, req) => {
+  for (const check of checks) {
+    let passed = false;
+    let status;
+    const res = {
+      status(code) {
+        status = code;
+        return this;
+      },
+      json() {
+        return this;
+      }
+    };
+    check(req, res, () => { passed = true; });
+    if (!passed) return status;
+  }
+  return 200;
+};
+
+const routes = collectRoutes();
+
+test('every route is in the expected access table', () => {
+  assert.deepStrictEqual(routes.map(route => route.name).sort(), Object.keys(EXPECTED).sort());
+});
+
+routes.forEach(route => {
+  const expected = EXPECTED[route.name];
+  if (!expected) return;
+
+  test(`${route.name} is ${Array.isArray(expected) ? expected.join(', ') : expected}`, async (t) => {
+    if (expected === PUBLIC) {
+      assert.strictEqual(route.gates.length, 0, 'public route should not require authentication');
+      assert.strictEqual(route.permissionChecks.length, 0, 'public route should not check permissions');
+      return;
+    }
+
+    assert.strictEqual(route.gates.length, 1, 'route should authenticate exactly once');
+
+    if (expected === SIGNED_IN) {
+      assert.strictEqual(route.permissionChecks.length, 0, 'route open to every role should not check permissions');
+      return;
+    }
+
+    assert.ok(route.permissionChecks.length > 0, 'route should check a permission');
+    for (const role of ROLES) {
+      await t.test(role, () => {
+        const status = runChecks(route.permissionChecks, { user: { role } });
+        assert.strictEqual(status, expected.includes(role) ? 200 : 403);
+      });
+    }
+  });
+});
+
+test('API keys reach only their scoped routes', async (t) => {
+  for (const route of routes) {
+    const acceptsKeys = route.gates.includes(auth.protectOrApiKey);
+    if (!acceptsKeys) {
+      assert.ok(!API_KEY_ROUTES[route.name], `${route.name} should accept API keys`);
+      continue;
+    }
+
+    await t.test(route.name, () => {
+      Object.keys(API_KEY_SCOPES).forEach(scope => {
+        const status = runChecks(route.permissionChecks, { apiKey: { scopes: [scope] } });
+        assert.strictEqual(status, API_KEY_ROUTES[route.name] === scope ? 200 : 403, `scope ${scope}`);
+      });
+    });
+  }
+});
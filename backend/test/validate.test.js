@@ -0,0 +1,49 @@
+// File: backend/test/validate.test.js
+// Purpose: Checks schema validation outside requests, as used for imported rows
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkValues } = require('../middleware/validate');
+const { transactionBody } = require('../validators/transactions');
+
+const row = (fields) => ({
+  userId: '65f1c0ffee0000000000abcd',
+  cardLastFour: '1234',
+  amount: '42.50',
+  merchantName: 'Corner Shop',
+  merchantCategory: 'grocery',
+  ...fields
+});
+
+const fieldsWithErrors = (checked) => checked.errors.map(error => error.field);
+
+test('CSV rows are converted from text like the query string', () => {
+  const checked = checkValues(transactionBody, row({ cardPresent: 'true', timestamp: '2024-03-01T12:00:00Z' }), 'csv');
+  assert.deepStrictEqual(checked.errors, []);
+  assert.strictEqual(checked.value.amount, 42.5);
+  assert.strictEqual(checked.value.cardPresent, true);
+  assert.ok(checked.value.timestamp instanceof Date);
+});
+
+test('NDJSON rows must carry JSON types, as API bodies do', () => {
+  const checked = checkValues(transactionBody, row({ amount: '42.50' }), 'ndjson');
+  assert.deepStrictEqual(fieldsWithErrors(checked), ['amount']);
+});
+
+test('rows the API would refuse are rejected', () => {
+  const checked = checkValues(transactionBody, row({
+    amount: '-5',
+    cardLastFour: '12a4',
+    merchantName: 'x'.repeat(10000),
+    favouriteColour: 'blue'
+  }), 'csv');
+  assert.deepStrictEqual(fieldsWithErrors(checked).sort(), ['amount', 'cardLastFour', 'favouriteColour', 'merchantName']);
+});
+
+test('rows without prototypes are checked like plain objects', () => {
+  const data = Object.assign(Object.create(null), row({}));
+  data.location = Object.assign(Object.create(null), { city: 'Leeds' });
+  const checked = checkValues(transactionBody, data, 'csv');
+  assert.deepStrictEqual(checked.errors, []);
+  assert.deepStrictEqual(checked.value.location, { city: 'Leeds' });
+});
@@ -0,0 +1,44 @@
+// File: backend/validators/accounts.js
+// Purpose: Request schemas for admin account management
+
+const { types: t, pagination } = require('../middleware/validate');
+const { ROLES } = require('../middleware/permissions');
+
+const id = { id: t.objectId({ required: true }) };
+const reason = { reason: t.string({ max: 500 }) };
+
+module.exports = {
+  list: {
+    query: {
+      role: t.enum(ROLES),
+      active: t.boolean(),
+      search: t.search(),
+      ...pagination(50, 200)
+    }
+  },
+  get: {
+    params: id,
+    query: {}
+  },
+  invite: {
+    body: {
+      email: t.string({
+        required: true,
+        max: 254,
+        pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        patternMessage: 'must be a valid email address'
+      }),
+      name: t.string({ required: true, min: 1, max: 200 }),
+      role: t.enum(ROLES, { default: 'user' })
+    }
+  },
+  changeRole: {
+    params: id,
+    body: { role: t.enum(ROLES, { required: true }) }
+  },
+  // Deactivate, reactivate and unlock take an optional reason for the audit log
+  statusChange: {
+    params: id,
+    body: reason
+  }
+};
@@ -0,0 +1,19 @@
+// File: backend/validators/alerts.js
+// Purpose: Request schemas for the live alert stream
+
+const { types: t } = require('../middleware/validate');
+
+module.exports = {
+  ticket: {
+    body: {}
+  },
+  stream: {
+    query: {
+      // Comma-separated alert types; unknown or forbidden types are ignored
+      types: t.string({ max: 500 }),
+      lastEventId: t.string({ max: 100 }),
+      // Read by protectStreamTicket, since EventSource cannot send headers
+      ticket: t.string({ max: 100 })
+    }
+  }
+};
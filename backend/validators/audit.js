@@ -0,0 +1,23 @@
+// File: backend/validators/audit.js
+// Purpose: Request schemas for audit log queries
+
+const { types: t, pagination } = require('../middleware/validate');
+
+module.exports = {
+  list: {
+    query: {
+      actor: t.objectId(),
+      entityType: t.string({ max: 100 }),
+      entityId: t.objectId(),
+      // Exact action, or a prefix ending in "." (escaped before it is matched)
+      action: t.string({ max: 100 }),
+      startDate: t.date(),
+      endDate: t.date(),
+      ...pagination(50, 500)
+    }
+  },
+  get: {
+    params: { id: t.objectId({ required: true }) },
+    query: {}
+  }
+};
@@ -0,0 +1,105 @@
+// File: backend/validators/auth.js
+// Purpose: Request schemas for login, sessions, passwords and two-factor routes
+//
+// Password strength is enforced by the Auth model (services/passwordPolicy.js);
+// these schemas only bound the input. Passwords are never trimmed.
+
+const { types: t } = require('../middleware/validate');
+const { ROLES } = require('../middleware/permissions');
+
+const email = (options = {}) => t.string({
+  ...options,
+  max: 254,
+  pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  patternMessage: 'must be a valid email address'
+});
+const password = (options = {}) => t.string({ ...options, trim: false, max: 1024 });
+const token = (options = {}) => t.string({ ...options, max: 2048 });
+const code = (options = {}) => t.string({ ...options, max: 20 });
+
+module.exports = {
+  register: {
+    body: {
+      name: t.string({ required: true, min: 1, max: 200 }),
+      email: email({ required: true }),
+      password: password({ required: true }),
+      role: t.enum(ROLES)
+    }
+  },
+  login: {
+    body: {
+      email: email({ required: true }),
+      password: password({ required: true })
+    }
+  },
+  verifyTwoFactorLogin: {
+    body: {
+      preAuthToken: token({ required: true }),
+      code: code(),
+      backupCode: code()
+    }
+  },
+  refresh: {
+    body: { refreshToken: token({ required: true }) }
+  },
+  forgotPassword: {
+    body: { email: email({ required: true }) }
+  },
+  resetPassword: {
+    body: {
+      token: token({ required: true }),
+      password: password({ required: true })
+    }
+  },
+  me: {
+    query: {}
+  },
+  changePassword: {
+    body: {
+      currentPassword: password({ required: true }),
+      newPassword: password({ required: true })
+    }
+  },
+  logout: {
+    query: {},
+    body: {}
+  },
+  sessions: {
+    query: {}
+  },
+  revokeSession: {
+    params: { id: t.objectId({ required: true }) },
+    body: {}
+  },
+
+  // Two-factor authentication
+  twoFactorStatus: {
+    query: {}
+  },
+  setupTwoFactor: {
+    body: {}
+  },
+  enableTwoFactor: {
+    body: { code: code({ required: true }) }
+  },
+  disableTwoFactor: {
+    body: {
+      password: password({ required: true }),
+      code: code(),
+      backupCode: code()
+    }
+  },
+  regenerateBackupCodes: {
+    body: { code: code({ required: true }) }
+  },
+
+  // Security policy
+  getSecurityPolicy: {
+    query: {}
+  },
+  updateSecurityPolicy: {
+    body: {
+      requireTwoFactorRoles: t.array(t.enum(ROLES), { required: true, max: ROLES.length })
+    }
+  }
+};
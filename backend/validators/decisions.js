@@ -0,0 +1,28 @@
+// File: backend/validators/decisions.js
+// Purpose: Request schemas for the real-time decision routes
+
+const { types: t } = require('../middleware/validate');
+const { transactionBody } = require('./transactions');
+
+const OUTCOMES = ['approve', 'review', 'decline'];
+
+module.exports = {
+  getPolicy: {
+    query: {}
+  },
+  updatePolicy: {
+    body: {
+      reviewAbove: t.number({ min: 0, max: 100 }),
+      declineAbove: t.number({ min: 0, max: 100 }),
+      latencyBudgetMs: t.integer({ min: 10, max: 10000 }),
+      fallbackDecision: t.enum(OUTCOMES)
+    }
+  },
+  create: {
+    body: transactionBody
+  },
+  get: {
+    params: { transactionId: t.objectId({ required: true }) },
+    query: {}
+  }
+};
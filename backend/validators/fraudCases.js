@@ -0,0 +1,62 @@
+// File: backend/validators/fraudCases.js
+// Purpose: Request schemas for fraud case management and fraud review routes
+
+const { types: t, pagination } = require('../middleware/validate');
+const FraudCase = require('../models/FraudCase');
+
+const caseId = { caseId: t.objectId({ required: true }) };
+
+module.exports = {
+  listCases: {
+    query: {
+      status: t.enum(['active', ...FraudCase.STATUSES]),
+      assignee: t.string({ pattern: /^(me|none|[a-f0-9]{24})$/i, patternMessage: 'must be me, none or an account id' }),
+      priority: t.enum(['low', 'medium', 'high']),
+      overdue: t.boolean(),
+      ...pagination(20, 200)
+    }
+  },
+  createCase: {
+    body: { transactionId: t.objectId({ required: true }) }
+  },
+  getCase: {
+    params: caseId,
+    query: {}
+  },
+  updateStatus: {
+    params: caseId,
+    body: {
+      status: t.enum(FraudCase.STATUSES, { required: true }),
+      reason: t.string({ max: 1000 })
+    }
+  },
+  assign: {
+    params: caseId,
+    body: {
+      // 'me', an account id, or null to unassign
+      assigneeId: t.string({
+        required: true,
+        nullable: true,
+        pattern: /^(me|[a-f0-9]{24})$/i,
+        patternMessage: 'must be me or an account id'
+      })
+    }
+  },
+  addComment: {
+    params: caseId,
+    body: { body: t.string({ required: true, min: 1, max: 5000 }) }
+  },
+  linkTransaction: {
+    params: caseId,
+    body: { transactionId: t.objectId({ required: true }) }
+  },
+
+  // Confirmed fraud and false-positive review of single transactions
+  listConfirmed: {
+    query: {}
+  },
+  review: {
+    params: { id: t.objectId({ required: true }) },
+    body: {}
+  }
+};
@@ -0,0 +1,49 @@
+// File: backend/validators/fraudModels.js
+// Purpose: Request schemas for ML model training and activation
+
+const { types: t } = require('../middleware/validate');
+const ModelTrainingJob = require('../models/ModelTrainingJob');
+
+const version = { version: t.integer({ required: true, min: 1 }) };
+
+module.exports = {
+  list: {
+    query: {}
+  },
+  get: {
+    params: version,
+    query: {}
+  },
+  train: {
+    body: {
+      startDate: t.date(),
+      endDate: t.date(),
+      // Bounded so one request cannot tie up a training worker for hours
+      hyperparameters: t.object({
+        epochs: t.integer({ min: 1, max: 2000 }),
+        learningRate: t.number({ min: 0.0001, max: 1 }),
+        l2: t.number({ min: 0, max: 1 })
+      }),
+      maxSamples: t.integer({ min: 100, max: 100000 }),
+      activate: t.boolean(),
+      blendWeight: t.number({ min: 0, max: 1 })
+    }
+  },
+  activate: {
+    params: version,
+    body: { blendWeight: t.number({ min: 0, max: 1 }) }
+  },
+  deactivate: {
+    body: {}
+  },
+  jobs: {
+    query: {
+      status: t.enum(ModelTrainingJob.STATUSES),
+      limit: t.integer({ min: 1, max: 200, default: 50 })
+    }
+  },
+  job: {
+    params: { id: t.objectId({ required: true }) },
+    query: {}
+  }
+};
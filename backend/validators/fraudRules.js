@@ -0,0 +1,77 @@
+// File: backend/validators/fraudRules.js
+// Purpose: Request schemas for fraud rule management and backtesting
+//
+// Rule conditions are free-form JSON here; their structure and facts are
+// checked by the rule engine (services/ruleEngine.js).
+
+const { types: t } = require('../middleware/validate');
+
+const RULE_ID = {
+  max: 100,
+  pattern: /^[a-z0-9][a-z0-9-]*$/i,
+  patternMessage: 'may only contain letters, digits and dashes'
+};
+
+const ruleFields = {
+  name: t.string({ min: 1, max: 200 }),
+  description: t.string({ max: 1000 }),
+  message: t.string({ max: 500 }),
+  condition: t.json(),
+  weight: t.number({ min: -100, max: 100 }),
+  group: t.string({ max: 100 }),
+  priority: t.integer({ min: 0, max: 100000 }),
+  isActive: t.boolean()
+};
+
+// Candidate rule in a backtest; it is never saved, so built-in flags are tolerated
+const candidateRule = t.object({
+  ...ruleFields,
+  ruleId: t.string({ required: true, max: 100 }),
+  isBuiltIn: t.boolean()
+});
+
+const byId = { ruleId: t.string({ required: true, max: 100 }) };
+
+module.exports = {
+  list: {
+    query: { isActive: t.boolean() }
+  },
+  facts: {
+    query: {}
+  },
+  get: {
+    params: byId,
+    query: {}
+  },
+  create: {
+    body: {
+      ...ruleFields,
+      ruleId: t.string({ ...RULE_ID, required: true }),
+      name: t.string({ required: true, min: 1, max: 200 }),
+      condition: t.json({ required: true }),
+      weight: t.number({ required: true, min: -100, max: 100 })
+    }
+  },
+  update: {
+    params: byId,
+    body: ruleFields
+  },
+  remove: {
+    params: byId,
+    body: {}
+  },
+  backtest: {
+    body: {
+      startDate: t.date(),
+      endDate: t.date(),
+      rules: t.array(candidateRule, { max: 500 }),
+      ruleOverrides: t.json({ maxKeys: 500 }),
+      threshold: t.number({ min: 0, max: 100 }),
+      blendWeight: t.number({ min: 0, max: 1 })
+    }
+  },
+  backtestJob: {
+    params: { id: t.objectId({ required: true }) },
+    query: {}
+  }
+};
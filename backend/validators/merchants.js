@@ -0,0 +1,58 @@
+// File: backend/validators/merchants.js
+// Purpose: Request schemas for merchants and their allow/block lists
+
+const { types: t, pagination } = require('../middleware/validate');
+const Merchant = require('../models/Merchant');
+
+const id = { id: t.objectId({ required: true }) };
+const SORT_FIELDS = ['name', 'stats.fraudRate', 'stats.transactionCount', 'stats.lastTransactionAt', 'createdAt'];
+
+const merchantFields = {
+  name: t.string({ min: 1, max: 200 }),
+  aliases: t.array(t.string({ min: 1, max: 200 }), { max: 50 }),
+  mcc: t.string({ pattern: /^\d{4}$/, patternMessage: 'must be four digits', nullable: true }),
+  category: t.string({ max: 100, nullable: true }),
+  country: t.string({ max: 100, nullable: true })
+};
+
+module.exports = {
+  list: {
+    query: {
+      listStatus: t.enum(Merchant.LIST_STATUSES),
+      search: t.search(),
+      mcc: t.string({ pattern: /^\d{4}$/, patternMessage: 'must be four digits' }),
+      country: t.string({ max: 100 }),
+      minFraudRate: t.number({ min: 0, max: 1 }),
+      minTransactions: t.integer({ min: 0 }),
+      sortField: t.enum(SORT_FIELDS, { default: 'name' }),
+      sortOrder: t.enum(['asc', 'desc'], { default: 'asc' }),
+      ...pagination(50, 200)
+    }
+  },
+  get: {
+    params: id,
+    query: {}
+  },
+  create: {
+    body: {
+      ...merchantFields,
+      name: t.string({ required: true, min: 1, max: 200 })
+    }
+  },
+  update: {
+    params: id,
+    body: merchantFields
+  },
+  // Moving a merchant on or off a list takes a reason for the audit log
+  setListStatus: {
+    params: id,
+    body: {
+      status: t.enum(Merchant.LIST_STATUSES, { required: true }),
+      reason: t.string({ max: 500 })
+    }
+  },
+  refreshStats: {
+    params: id,
+    body: {}
+  }
+};
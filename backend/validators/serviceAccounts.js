@@ -0,0 +1,63 @@
+// File: backend/validators/serviceAccounts.js
+// Purpose: Request schemas for service accounts and their API keys
+
+const { types: t } = require('../middleware/validate');
+const { API_KEY_SCOPES } = require('../middleware/permissions');
+
+const id = { id: t.objectId({ required: true }) };
+const key = { ...id, keyId: t.objectId({ required: true }) };
+
+// Expiry bounds are enforced by services/apiKeys.js
+const expiresInDays = t.integer({ min: 1 });
+
+module.exports = {
+  scopes: {
+    query: {}
+  },
+  list: {
+    query: {}
+  },
+  get: {
+    params: id,
+    query: {}
+  },
+  create: {
+    body: {
+      name: t.string({ required: true, min: 1, max: 100 }),
+      description: t.string({ max: 500 })
+    }
+  },
+  update: {
+    params: id,
+    body: {
+      name: t.string({ min: 1, max: 100 }),
+      description: t.string({ max: 500 }),
+      isActive: t.boolean()
+    }
+  },
+
+  // API keys
+  listKeys: {
+    params: id,
+    query: {}
+  },
+  createKey: {
+    params: id,
+    body: {
+      name: t.string({ max: 100 }),
+      scopes: t.array(t.enum(Object.keys(API_KEY_SCOPES)), { required: true, min: 1, max: 20 }),
+      expiresInDays
+    }
+  },
+  rotateKey: {
+    params: key,
+    body: {
+      graceHours: t.number({ min: 0 }),
+      expiresInDays
+    }
+  },
+  revokeKey: {
+    params: key,
+    body: { reason: t.string({ max: 200 }) }
+  }
+};
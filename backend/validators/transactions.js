@@ -0,0 +1,86 @@
+// File: backend/validators/transactions.js
+// Purpose: Request schemas for the transaction and decision routes
+
+const { types: t, pagination } = require('../middleware/validate');
+
+const SORT_FIELDS = ['timestamp', 'amount', 'fraudScore', 'merchantName', 'merchantCategory', 'createdAt'];
+const FORMATS = ['csv', 'ndjson'];
+
+const id = { id: t.objectId({ required: true }) };
+
+// Transaction submitted for scoring (POST /api/transactions and /api/decisions)
+const transactionBody = {
+  userId: t.objectId({ required: true }),
+  processorReference: t.string({ min: 1, max: 100 }),
+  cardLastFour: t.string({ required: true, pattern: /^\d{4}$/, patternMessage: 'must be four digits' }),
+  amount: t.number({ required: true, min: 0, max: 1e9 }),
+  merchantName: t.string({ required: true, min: 1, max: 200 }),
+  merchantCategory: t.string({ required: true, min: 1, max: 100 }),
+  location: t.object({
+    country: t.string({ max: 100 }),
+    city: t.string({ max: 100 }),
+    zip: t.string({ max: 20 })
+  }),
+  timestamp: t.date(),
+  cardPresent: t.boolean(),
+  ipAddress: t.string({ max: 45 }),
+  deviceId: t.string({ max: 200 })
+};
+
+// Filters shared by listing and export (see services/transactionQuery.js)
+const filters = {
+  startDate: t.date(),
+  endDate: t.date(),
+  minAmount: t.number({ min: 0 }),
+  maxAmount: t.number({ min: 0 }),
+  merchantCategory: t.string({ max: 100 }),
+  merchantName: t.search(),
+  location: t.search(),
+  cardLastFour: t.string({ pattern: /^\d{4}$/, patternMessage: 'must be four digits' }),
+  processorReference: t.string({ max: 100 }),
+  isFlagged: t.boolean(),
+  searchTerm: t.search()
+};
+
+const sort = {
+  sortField: t.enum(SORT_FIELDS, { default: 'timestamp' }),
+  sortOrder: t.enum(['asc', 'desc'], { default: 'desc' })
+};
+
+module.exports = {
+  transactionBody,
+
+  list: {
+    query: { ...filters, ...sort, ...pagination(20, 200) }
+  },
+  flagged: {
+    query: { limit: t.integer({ min: 1, max: 500, default: 100 }) }
+  },
+  stats: {
+    query: {}
+  },
+  // The body is a CSV or NDJSON stream, read by the import service
+  import: {
+    query: { format: t.enum(FORMATS) }
+  },
+  export: {
+    query: {
+      ...filters,
+      ...sort,
+      format: t.enum(FORMATS, { default: 'csv' }),
+      fields: t.string({ max: 500 }),
+      mask: t.boolean({ default: true })
+    }
+  },
+  get: {
+    params: id,
+    query: {}
+  },
+  create: {
+    body: transactionBody
+  },
+  updateFraudStatus: {
+    params: id,
+    body: { isConfirmedFraud: t.boolean({ required: true }) }
+  }
+};
@@ -0,0 +1,79 @@
+// File: backend/validators/users.js
+// Purpose: Request schemas for cardholder and card lifecycle routes
+
+const { types: t } = require('../middleware/validate');
+
+const id = { id: t.objectId({ required: true }) };
+const card = { ...id, cardId: t.objectId({ required: true }) };
+const lastFour = t.string({ pattern: /^\d{4}$/, patternMessage: 'must be four digits' });
+
+const place = () => t.object({
+  country: t.string({ max: 100 }),
+  city: t.string({ max: 100 }),
+  zip: t.string({ max: 20 })
+});
+
+module.exports = {
+  list: {
+    query: {}
+  },
+  get: {
+    params: id,
+    query: {}
+  },
+  rebuildProfile: {
+    params: id,
+    body: {}
+  },
+  create: {
+    body: {
+      name: t.string({ required: true, min: 1, max: 200 }),
+      email: t.string({
+        required: true,
+        max: 254,
+        pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        patternMessage: 'must be a valid email address'
+      }),
+      homeLocation: place(),
+      cards: t.array(t.object({
+        lastFour: t.string({ required: true, pattern: /^\d{4}$/, patternMessage: 'must be four digits' }),
+        type: t.string({ required: true, min: 1, max: 50 })
+      }), { max: 20 }),
+      typicalSpendingPatterns: t.object({
+        averageTransactionAmount: t.number({ min: 0 }),
+        amountStdDev: t.number({ min: 0 }),
+        frequentCategories: t.array(t.string({ max: 100 }), { max: 50 }),
+        frequentLocations: t.array(t.string({ max: 100 }), { max: 50 }),
+        activeHours: t.object({
+          start: t.integer({ min: 0, max: 23 }),
+          end: t.integer({ min: 0, max: 23 })
+        })
+      })
+    }
+  },
+
+  // Card lifecycle
+  getCards: {
+    params: id,
+    query: {}
+  },
+  cardAction: {
+    params: card,
+    body: { reason: t.string({ max: 500 }) }
+  },
+  reportLost: {
+    params: card,
+    body: {
+      type: t.enum(['lost', 'stolen'], { default: 'lost' }),
+      reason: t.string({ max: 500 })
+    }
+  },
+  replaceCard: {
+    params: card,
+    body: {
+      lastFour,
+      type: t.string({ max: 50 }),
+      reason: t.string({ max: 500 })
+    }
+  }
+};
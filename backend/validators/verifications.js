@@ -0,0 +1,34 @@
+// File: backend/validators/verifications.js
+// Purpose: Request schemas for cardholder verification routes
+
+const { types: t } = require('../middleware/validate');
+
+const ANSWERS = ['confirm', 'deny'];
+const SIGNATURE = { max: 128, pattern: /^[a-f0-9]+$/i, patternMessage: 'must be hex encoded' };
+
+const answer = t.enum(ANSWERS);
+const signature = t.string(SIGNATURE);
+
+module.exports = {
+  // The confirmation page posts the answer as a form; apps may post JSON or keep it in the query
+  respond: {
+    params: { challengeId: t.objectId({ required: true }) },
+    query: { answer, signature },
+    body: { answer, signature }
+  },
+  // The notification link itself; it only shows what will be answered
+  responsePage: {
+    params: { challengeId: t.objectId({ required: true }) },
+    query: {
+      answer: t.enum(ANSWERS, { required: true }),
+      signature: t.string({ ...SIGNATURE, required: true })
+    }
+  },
+  create: {
+    body: { transactionId: t.objectId({ required: true }) }
+  },
+  forTransaction: {
+    params: { transactionId: t.objectId({ required: true }) },
+    query: {}
+  }
+};
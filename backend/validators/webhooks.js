@@ -0,0 +1,67 @@
+// File: backend/validators/webhooks.js
+// Purpose: Request schemas for webhook subscriptions and deliveries
+
+const { types: t, pagination } = require('../middleware/validate');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+const id = { id: t.objectId({ required: true }) };
+const EVENTS = [...WebhookSubscription.EVENTS, '*'];
+
+const subscriptionFields = {
+  name: t.string({ min: 1, max: 200 }),
+  url: t.string({
+    max: 2048,
+    pattern: /^https?:\/\/\S+$/,
+    patternMessage: 'must be an http(s) URL'
+  }),
+  events: t.array(t.enum(EVENTS), { min: 1, max: EVENTS.length }),
+  isActive: t.boolean(),
+  description: t.string({ max: 500 })
+};
+
+module.exports = {
+  events: {
+    query: {}
+  },
+  list: {
+    query: {}
+  },
+  get: {
+    params: id,
+    query: {}
+  },
+  create: {
+    body: {
+      ...subscriptionFields,
+      name: t.string({ required: true, min: 1, max: 200 }),
+      url: t.string({
+        required: true,
+        max: 2048,
+        pattern: /^https?:\/\/\S+$/,
+        patternMessage: 'must be an http(s) URL'
+      }),
+      events: t.array(t.enum(EVENTS), { required: true, min: 1, max: EVENTS.length })
+    }
+  },
+  update: {
+    params: id,
+    body: subscriptionFields
+  },
+  remove: {
+    params: id,
+    body: {}
+  },
+  deliveries: {
+    params: id,
+    query: {
+      status: t.enum(WebhookDelivery.STATUSES),
+      event: t.enum(WebhookSubscription.EVENTS),
+      ...pagination(50, 200)
+    }
+  },
+  replay: {
+    params: { deliveryId: t.objectId({ required: true }) },
+    body: {}
+  }
+};